@@ -1,6 +1,7 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
+import { DEFAULT_STAFF_ROLES } from '../src/config/permissions.js';
 
 dotenv.config();
 
@@ -69,6 +70,21 @@ async function main() {
     console.log('\n⚠️  Please change the admin password after first login!');
   }
 
+  // Seed staff roles (permission presets for non-admin staff)
+  console.log('\n🔐 Seeding staff roles...');
+  let createdRoles = 0;
+  for (const roleData of DEFAULT_STAFF_ROLES) {
+    const existing = await prisma.staffRole.findUnique({
+      where: { name: roleData.name },
+    });
+
+    if (!existing) {
+      await prisma.staffRole.create({ data: roleData });
+      createdRoles++;
+    }
+  }
+  console.log(`✓ Staff roles seeded: ${createdRoles} created, ${DEFAULT_STAFF_ROLES.length - createdRoles} skipped`);
+
   // Seed Categories
   console.log('\n📂 Seeding categories...');
   const categories = [
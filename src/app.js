@@ -7,6 +7,7 @@ import authRoutes from './routes/authRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
 import instructorRoutes from './routes/instructorRoutes.js';
+import instructorPortalRoutes from './routes/instructorPortalRoutes.js';
 import courseRoutes from './routes/courseRoutes.js';
 import enrollmentRoutes from './routes/enrollmentRoutes.js';
 import consultationRoutes from './routes/consultationRoutes.js';
@@ -36,13 +37,52 @@ import faqRoutes from './routes/faqRoutes.js';
 import contactRoutes from './routes/contactRoutes.js';
 import newsletterRoutes from './routes/newsletterRoutes.js';
 import wishlistRoutes from './routes/wishlistRoutes.js';
+import organisationRoutes from './routes/organisationRoutes.js';
+import cohortRoutes from './routes/cohortRoutes.js';
+import scormRoutes from './routes/scormRoutes.js';
+import scormPlayerRoutes from './routes/scormPlayerRoutes.js';
+import lessonMediaRoutes from './routes/lessonMediaRoutes.js';
+import lessonNoteRoutes from './routes/lessonNoteRoutes.js';
+import discussionRoutes from './routes/discussionRoutes.js';
+import translationRoutes from './routes/translationRoutes.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { resolveApiKey } from './middleware/auth.js';
+import { resolveLocale } from './middleware/locale.js';
 
 const app = express();
 
 // Security middleware
 app.use(helmet());
 
+// SCORM player: same-origin with the package it frames, so it runs before CORS
+// and gets its own limit (one lesson can load hundreds of assets)
+const scormPlayerLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later.',
+  },
+});
+
+app.use('/api/scorm/player', scormPlayerLimiter, scormPlayerRoutes);
+
+// Signed lesson media: same treatment, a video player makes a range request per chunk
+const lessonMediaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later.',
+  },
+});
+
+app.use('/api/media', lessonMediaLimiter, lessonMediaRoutes);
+
 // CORS configuration - Support both web and mobile apps
 const corsOptions = {
   origin: (origin, callback) => {
@@ -86,6 +126,22 @@ const limiter = rateLimit({
     success: false,
     message: 'Too many requests from this IP, please try again later.',
   },
+  // Integrations are limited per key instead
+  skip: (req) => Boolean(req.apiKey),
+});
+
+// Per-key limit for server-to-server callers (set on each key)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey.id,
+  skip: (req) => !req.apiKey,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down.',
+  },
 });
 
 const authLimiter = rateLimit({
@@ -111,11 +167,19 @@ const authLimiter = rateLimit({
   },
 });
 
+app.use('/api/', resolveApiKey);
+app.use('/api/', apiKeyLimiter);
 app.use('/api/', limiter);
+app.use('/api/', resolveLocale);
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', authLimiter);
 app.use('/api/auth/resend-otp', authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter);
+app.use('/api/auth/phone', authLimiter);
+app.use('/api/auth/email-change', authLimiter);
+app.use('/api/auth/unlock', authLimiter);
+app.use('/api/auth/password', authLimiter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -131,6 +195,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/instructors', instructorRoutes);
+app.use('/api/instructor', instructorPortalRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/enrollments', enrollmentRoutes);
 app.use('/api/consultations', consultationRoutes);
@@ -140,6 +205,9 @@ app.use('/api/gallery', galleryRoutes);
 app.use('/api/lessons', lessonRoutes);
 app.use('/api/chapters', chapterRoutes);
 app.use('/api/progress', progressRoutes);
+app.use('/api/notes', lessonNoteRoutes);
+app.use('/api/discussions', discussionRoutes);
+app.use('/api/translations', translationRoutes);
 app.use('/api/coupons', couponRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/quizzes', quizRoutes);
@@ -160,6 +228,9 @@ app.use('/api/faqs', faqRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/newsletter', newsletterRoutes);
 app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/organisations', organisationRoutes);
+app.use('/api/cohorts', cohortRoutes);
+app.use('/api/scorm', scormRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
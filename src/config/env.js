@@ -10,6 +10,130 @@ export const config = {
     process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key-change-in-production',
   jwtExpiresIn: process.env.JWT_EXPIRES_IN || process.env.JWT_ACCESS_EXPIRY || '15m',
   jwtRefreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || process.env.JWT_REFRESH_EXPIRY || '7d',
+
+  // Two-factor authentication
+  twoFactor: {
+    // How long the password step stays valid while the user enters their TOTP code
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+  },
+  
+  // Password strength rules and reuse history
+  passwordPolicy: {
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // How many previous passwords (including the current one) cannot be reused
+    historyCount: Number(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+  },
+  
+  // Per-account login protection
+  loginProtection: {
+    // Failed attempts before the account is locked
+    maxFailedAttempts: Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    // After this many failures each further attempt must wait 2^n seconds
+    delayAfterAttempts: Number(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 2,
+    // Failures older than this no longer count
+    attemptWindowMinutes: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  },
+  
+  // Email change
+  emailChange: {
+    // How long the cancel link sent to the old address keeps working (also undoes a confirmed change)
+    cancelExpiresIn: process.env.EMAIL_CHANGE_CANCEL_EXPIRY || '7d',
+  },
+  
+  // Admin "view as user"
+  impersonation: {
+    expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRY || '15m',
+  },
+  
+  // Server-to-server API keys
+  apiKeys: {
+    // Requests per minute for keys created without their own limit
+    defaultRateLimitPerMinute: Number(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 60,
+  },
+  
+  // Organisation seat invites
+  organisations: {
+    inviteExpiryDays: Number(process.env.ORGANISATION_INVITE_EXPIRY_DAYS) || 14,
+  },
+  
+  // SCORM lessons
+  scorm: {
+    // Largest zip accepted, and the most it may unpack to
+    maxPackageMb: Number(process.env.SCORM_MAX_PACKAGE_MB) || 100,
+    maxUnpackedMb: Number(process.env.SCORM_MAX_UNPACKED_MB) || 300,
+    // Where uploaded zips are staged and unpacked; defaults to the OS temp directory
+    stagingDir: process.env.SCORM_STAGING_DIR || null,
+    // Lifetime of the player link (the content is served under it)
+    launchExpiresIn: process.env.SCORM_LAUNCH_EXPIRY || '8h',
+  },
+  
+  // xAPI statements sent to one or more Learning Record Stores
+  xapi: {
+    enabled: process.env.XAPI_ENABLED === 'true',
+    // JSON array: [{ "name": "partner", "endpoint": "https://lrs.example.com/xapi/", "username": "...", "password": "..." }]
+    endpoints: (() => {
+      try {
+        const endpoints = JSON.parse(process.env.XAPI_LRS_ENDPOINTS || '[]');
+        return Array.isArray(endpoints) ? endpoints.filter((lrs) => lrs?.name && lrs?.endpoint) : [];
+      } catch (error) {
+        console.error('XAPI_LRS_ENDPOINTS is not valid JSON; no LRS will receive statements');
+        return [];
+      }
+    })(),
+    // Activity IDs are IRIs under this base
+    activityBaseUrl: process.env.XAPI_ACTIVITY_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3001',
+    // Deliveries are retried with backoff, then marked FAILED (they can be replayed)
+    maxAttempts: Number(process.env.XAPI_MAX_ATTEMPTS) || 10,
+    batchSize: Number(process.env.XAPI_BATCH_SIZE) || 50,
+  },
+  
+  // Paid lesson videos and attachments
+  lessonMedia: {
+    // Lifetime of a signed media link, in minutes
+    urlExpiryMinutes: Number(process.env.LESSON_MEDIA_URL_EXPIRY_MINUTES) || 10,
+    // Playback started through a link keeps working for the video's length plus this long
+    playbackGraceMinutes: Number(process.env.LESSON_MEDIA_PLAYBACK_GRACE_MINUTES) || 60,
+  },
+  
+  // Lesson video pipeline (adaptive HLS renditions generated by Cloudinary)
+  lessonVideo: {
+    // Where uploads wait for the background upload; defaults to the OS temp directory
+    stagingDir: process.env.LESSON_VIDEO_STAGING_DIR || null,
+    streamingProfile: process.env.LESSON_VIDEO_STREAMING_PROFILE || 'auto',
+    maxAttempts: Number(process.env.LESSON_VIDEO_MAX_ATTEMPTS) || 3,
+    // Renditions not ready after this long mark the video FAILED
+    processingTimeoutHours: Number(process.env.LESSON_VIDEO_PROCESSING_TIMEOUT_HOURS) || 6,
+  },
+  
+  // Watch-time tracking from player heartbeats
+  watchTracking: {
+    // Share of a video's duration that must actually be watched before the lesson completes
+    completionThreshold: Number(process.env.WATCH_COMPLETION_THRESHOLD) || 0.9,
+    // A beat more than this many seconds after the previous one starts a new interval
+    maxBeatGapSeconds: Number(process.env.WATCH_MAX_BEAT_GAP_SECONDS) || 60,
+    // Fastest playback speed the player offers
+    maxPlaybackRate: Number(process.env.WATCH_MAX_PLAYBACK_RATE) || 2,
+  },
+  
+  // Content languages (translations of courses, lessons, blogs, products, FAQs and categories)
+  i18n: {
+    defaultLocale: process.env.DEFAULT_CONTENT_LOCALE || 'en',
+    supportedLocales: (process.env.SUPPORTED_CONTENT_LOCALES || 'en,ne,hi')
+      .split(',')
+      .map((locale) => locale.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  
+  // Account deletion
+  accountDeletion: {
+    // Days a deletion request can still be cancelled before the account is anonymised
+    graceDays: Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+  },
   
   // Database
   databaseUrl: process.env.DATABASE_URL,
@@ -34,6 +158,16 @@ export const config = {
   resendApiKey: process.env.RESEND_API_KEY,
   resendFromEmail: process.env.RESEND_FROM_EMAIL,
   
+  // SMS (console | sparrow | aakash); the server will not start in production with console
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'console',
+    apiUrl: process.env.SMS_API_URL,
+    apiToken: process.env.SMS_API_TOKEN,
+    senderId: process.env.SMS_SENDER_ID,
+    // Console provider only: also append messages to this file (useful in tests)
+    logFile: process.env.SMS_LOG_FILE,
+  },
+  
   // Cloudinary
   cloudinary: {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME?.trim(),
@@ -0,0 +1,171 @@
+/**
+ * Staff permission matrix.
+ * ADMIN users implicitly hold every permission; other users get permissions
+ * through the staff roles assigned to them.
+ */
+export const PERMISSIONS = {
+  // Users
+  USERS_READ: 'users:read',
+  USERS_BLOCK: 'users:block',
+
+  // Dashboard & reporting
+  DASHBOARD_READ: 'dashboard:read',
+  ANALYTICS_READ: 'analytics:read',
+  AUDIT_LOGS_READ: 'audit-logs:read',
+
+  // Money
+  FINANCE_READ: 'finance:read',
+  PAYMENTS_READ: 'payments:read',
+  PAYMENTS_REFUND: 'payments:refund',
+  EXPENSES_MANAGE: 'expenses:manage',
+  EXPENSES_APPROVE: 'expenses:approve',
+  PAYOUTS_MANAGE: 'payouts:manage',
+
+  // Learning content
+  COURSES_MANAGE: 'courses:manage',
+  ASSIGNMENTS_GRADE: 'assignments:grade',
+  INSTRUCTORS_MANAGE: 'instructors:manage',
+  ENROLLMENTS_READ: 'enrollments:read',
+  LIVE_CLASSES_MANAGE: 'live-classes:manage',
+  DISCUSSIONS_MODERATE: 'discussions:moderate',
+
+  // Website content
+  BLOGS_PUBLISH: 'blogs:publish',
+  BLOGS_MODERATE: 'blogs:moderate',
+  CONTENT_MANAGE: 'content:manage',
+  EVENTS_MANAGE: 'events:manage',
+
+  // Shop
+  PRODUCTS_MANAGE: 'products:manage',
+  ORDERS_MANAGE: 'orders:manage',
+
+  // Marketing
+  COUPONS_MANAGE: 'coupons:manage',
+  NEWSLETTER_MANAGE: 'newsletter:manage',
+  NOTIFICATIONS_SEND: 'notifications:send',
+  AFFILIATES_MANAGE: 'affiliates:manage',
+
+  // Corporate accounts
+  ORGANISATIONS_MANAGE: 'organisations:manage',
+
+  // Support
+  CONSULTATIONS_MANAGE: 'consultations:manage',
+  CONTACTS_MANAGE: 'contacts:manage',
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Suggested staff roles; admins can create these or build their own.
+ */
+export const DEFAULT_STAFF_ROLES = [
+  {
+    name: 'Content Editor',
+    description: 'Manages courses, blogs and website content',
+    permissions: [
+      PERMISSIONS.COURSES_MANAGE,
+      PERMISSIONS.ASSIGNMENTS_GRADE,
+      PERMISSIONS.INSTRUCTORS_MANAGE,
+      PERMISSIONS.LIVE_CLASSES_MANAGE,
+      PERMISSIONS.DISCUSSIONS_MODERATE,
+      PERMISSIONS.BLOGS_PUBLISH,
+      PERMISSIONS.BLOGS_MODERATE,
+      PERMISSIONS.CONTENT_MANAGE,
+      PERMISSIONS.EVENTS_MANAGE,
+    ],
+  },
+  {
+    name: 'Finance',
+    description: 'Handles payments, refunds, expenses and payouts',
+    permissions: [
+      PERMISSIONS.DASHBOARD_READ,
+      PERMISSIONS.ANALYTICS_READ,
+      PERMISSIONS.FINANCE_READ,
+      PERMISSIONS.PAYMENTS_READ,
+      PERMISSIONS.PAYMENTS_REFUND,
+      PERMISSIONS.EXPENSES_MANAGE,
+      PERMISSIONS.EXPENSES_APPROVE,
+      PERMISSIONS.PAYOUTS_MANAGE,
+      PERMISSIONS.ORDERS_MANAGE,
+    ],
+  },
+  {
+    name: 'Support',
+    description: 'Helps students with accounts, enrollments and enquiries',
+    permissions: [
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.USERS_BLOCK,
+      PERMISSIONS.ENROLLMENTS_READ,
+      PERMISSIONS.PAYMENTS_READ,
+      PERMISSIONS.ORDERS_MANAGE,
+      PERMISSIONS.BLOGS_MODERATE,
+      PERMISSIONS.DISCUSSIONS_MODERATE,
+      PERMISSIONS.CONSULTATIONS_MANAGE,
+      PERMISSIONS.CONTACTS_MANAGE,
+    ],
+  },
+  {
+    name: 'Marketing',
+    description: 'Runs campaigns, coupons, newsletters and affiliates',
+    permissions: [
+      PERMISSIONS.ANALYTICS_READ,
+      PERMISSIONS.COUPONS_MANAGE,
+      PERMISSIONS.NEWSLETTER_MANAGE,
+      PERMISSIONS.NOTIFICATIONS_SEND,
+      PERMISSIONS.AFFILIATES_MANAGE,
+      PERMISSIONS.BLOGS_PUBLISH,
+      PERMISSIONS.CONTENT_MANAGE,
+      PERMISSIONS.EVENTS_MANAGE,
+    ],
+  },
+];
+
+/**
+ * API key scopes: `<resource>:read` covers GET requests and `<resource>:write`
+ * everything else, where the resource is the path segment after /api/.
+ * Account routes (/api/auth) are never available to API keys.
+ */
+export const API_KEY_RESOURCES = [
+  'admin',
+  'categories',
+  'instructors',
+  'instructor',
+  'courses',
+  'enrollments',
+  'consultations',
+  'student-success',
+  'testimonials',
+  'gallery',
+  'lessons',
+  'chapters',
+  'progress',
+  'coupons',
+  'payments',
+  'quizzes',
+  'reviews',
+  'assignments',
+  'certificates',
+  'audit-logs',
+  'payment-analytics',
+  'products',
+  'cart',
+  'orders',
+  'live-classes',
+  'events',
+  'blogs',
+  'affiliates',
+  'notifications',
+  'faqs',
+  'contact',
+  'newsletter',
+  'wishlist',
+  'organisations',
+  'scorm',
+  'cohorts',
+  'translations',
+];
+
+export const API_KEY_SCOPES = API_KEY_RESOURCES.flatMap((resource) => [
+  `${resource}:read`,
+  `${resource}:write`,
+]);
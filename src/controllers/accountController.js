@@ -0,0 +1,134 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { comparePassword } from '../utils/hashPassword.js';
+import { verifySecondFactor } from '../services/twoFactorService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+import {
+  createDataExportArchive,
+  scheduleAccountDeletion,
+  cancelAccountDeletion as cancelScheduledDeletion,
+} from '../services/accountService.js';
+
+const auditAccountAction = (req, userId, action, description, metadata = null) => createAuditLog({
+  userId,
+  action,
+  entityType: 'USER',
+  entityId: userId,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  metadata,
+});
+
+/**
+ * Download a copy of the logged-in user's personal data (a ZIP of data.json and uploaded files)
+ */
+export const exportMyData = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const archive = await createDataExportArchive(userId);
+
+  try {
+    await auditAccountAction(req, userId, 'DATA_EXPORTED', 'Personal data export downloaded');
+  } catch (error) {
+    archive.destroy();
+    throw error;
+  }
+
+  const filename = `data-export-${new Date().toISOString().slice(0, 10)}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // Headers are sent by the time a file fails; all that's left is to cut the download short
+  archive.on('error', () => res.destroy());
+  res.on('close', () => archive.destroy());
+  archive.pipe(res);
+});
+
+/**
+ * Request deletion of the logged-in user's account.
+ * The account is anonymised once the grace period ends unless the request is cancelled.
+ */
+export const deleteMyAccount = asyncHandler(async (req, res) => {
+  const { password, token } = req.body;
+  const userId = req.user.id;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (user.role === 'ADMIN') {
+    return res.status(400).json({
+      success: false,
+      message: 'Admin accounts cannot be deleted this way',
+    });
+  }
+
+  if (user.deletionScheduledFor) {
+    return res.status(400).json({
+      success: false,
+      message: 'Account deletion is already scheduled',
+      data: { deletionScheduledFor: user.deletionScheduledFor },
+    });
+  }
+
+  const isValidPassword = await comparePassword(password, user.password);
+  if (!isValidPassword) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid password',
+    });
+  }
+
+  if (user.twoFactorEnabled && user.twoFactorSecret) {
+    const verification = verifySecondFactor(user, token);
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+  }
+
+  const deletionScheduledFor = await scheduleAccountDeletion(userId);
+
+  await auditAccountAction(req, userId, 'ACCOUNT_DELETION_REQUESTED', 'Account deletion requested', {
+    deletionScheduledFor,
+  });
+
+  res.json({
+    success: true,
+    message: 'Your account is scheduled for deletion. Log in and cancel before the date below to keep it.',
+    data: { deletionScheduledFor },
+  });
+});
+
+/**
+ * Cancel a pending account deletion
+ */
+export const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { deletionScheduledFor: true },
+  });
+
+  if (!user.deletionScheduledFor) {
+    return res.status(400).json({
+      success: false,
+      message: 'No account deletion is scheduled',
+    });
+  }
+
+  await cancelScheduledDeletion(userId);
+
+  await auditAccountAction(req, userId, 'ACCOUNT_DELETION_CANCELLED', 'Account deletion cancelled');
+
+  res.json({
+    success: true,
+    message: 'Account deletion cancelled',
+  });
+});
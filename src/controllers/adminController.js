@@ -3,6 +3,11 @@ import { asyncHandler } from '../middleware/errorHandler.js';
 import * as financeService from '../services/financeService.js';
 import * as instructorEarningService from '../services/instructorEarningService.js';
 import * as expenseService from '../services/expenseService.js';
+import { revokeAllSessions, SessionRevokeReason } from '../services/sessionService.js';
+import { generateImpersonationToken } from '../services/tokenService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+import { unlockAccount } from '../services/loginProtectionService.js';
+import { config } from '../config/env.js';
 
 export const blockUser = asyncHandler(async (req, res) => {
   const { userId } = req.body;
@@ -48,14 +53,14 @@ export const blockUser = asyncHandler(async (req, res) => {
     });
   }
 
-  // Block user and invalidate refresh token
+  // Block user and sign out all of their sessions
   await prisma.user.update({
     where: { id: userId },
     data: {
       isActive: false,
-      refreshToken: null,
     },
   });
+  await revokeAllSessions(userId, SessionRevokeReason.ACCOUNT_BLOCKED);
 
   res.json({
     success: true,
@@ -184,6 +189,8 @@ export const getUserById = asyncHandler(async (req, res) => {
       role: true,
       isEmailVerified: true,
       isActive: true,
+      failedLoginAttempts: true,
+      lockedUntil: true,
       createdAt: true,
       updatedAt: true,
     },
@@ -204,6 +211,137 @@ export const getUserById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Lift a login lockout before it expires
+ */
+export const unlockUserAccount = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, lockedUntil: true, failedLoginAttempts: true },
+  });
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  const isLocked = user.lockedUntil && user.lockedUntil > new Date();
+  if (!isLocked && !user.failedLoginAttempts) {
+    return res.status(400).json({
+      success: false,
+      message: 'User account is not locked',
+    });
+  }
+
+  await unlockAccount(user.id, req, 'ADMIN');
+
+  res.json({
+    success: true,
+    message: 'User account unlocked successfully',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        lockedUntil: null,
+      },
+    },
+  });
+});
+
+/**
+ * Issue a short-lived, view-only token to see the app as another user
+ */
+export const impersonateUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+
+  if (userId === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot impersonate yourself',
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      fullName: true,
+      role: true,
+      isActive: true,
+      deletedAt: true,
+    },
+  });
+
+  if (!user || user.deletedAt) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  if (user.role === 'ADMIN') {
+    return res.status(403).json({
+      success: false,
+      message: 'Cannot impersonate admin users',
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot impersonate a blocked user',
+    });
+  }
+
+  const accessToken = generateImpersonationToken({
+    targetUser: user,
+    impersonatorId: req.user.id,
+  });
+
+  await createAuditLog({
+    userId: req.user.id,
+    action: 'IMPERSONATION_STARTED',
+    entityType: 'USER',
+    entityId: user.id,
+    description: `${req.user.email} started viewing as ${user.email}`,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+    metadata: {
+      impersonatorId: req.user.id,
+      impersonatedUserId: user.id,
+      reason,
+    },
+    riskScore: 60,
+  });
+
+  res.json({
+    success: true,
+    message: `Viewing as ${user.fullName}. This token is read-only.`,
+    data: {
+      accessToken,
+      expiresIn: config.impersonation.expiresIn,
+      user: {
+        id: user.id,
+        email: user.email,
+        fullName: user.fullName,
+        role: user.role,
+      },
+      impersonator: {
+        id: req.user.id,
+        email: req.user.email,
+      },
+    },
+  });
+});
+
 // ==================== DASHBOARD STATISTICS ====================
 
 /**
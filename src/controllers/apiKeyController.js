@@ -0,0 +1,140 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+import {
+  apiKeySelect,
+  createApiKey as createKey,
+  findUnknownScopes,
+  revokeApiKey as revokeKey,
+} from '../services/apiKeyService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+const auditApiKeyChange = (req, action, entityId, description, changes = null) => createAuditLog({
+  userId: req.user.id,
+  action,
+  entityType: 'API_KEY',
+  entityId,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  changes,
+  riskScore: 50,
+});
+
+/**
+ * List the scopes a key can be granted
+ */
+export const getApiKeyScopes = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scopes: API_KEY_SCOPES,
+    },
+  });
+});
+
+/**
+ * List API keys (never the keys themselves)
+ */
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const { includeRevoked } = req.query;
+
+  const apiKeys = await prisma.apiKey.findMany({
+    where: includeRevoked === 'true' ? {} : { revokedAt: null },
+    select: {
+      ...apiKeySelect,
+      createdBy: {
+        select: { id: true, email: true, fullName: true },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  res.json({
+    success: true,
+    data: apiKeys,
+  });
+});
+
+/**
+ * Create an API key. The key is only shown in this response.
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+
+  const unknown = findUnknownScopes(scopes);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown scopes: ${unknown.join(', ')}`,
+    });
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Expiry must be in the future',
+    });
+  }
+
+  const { apiKey, key } = await createKey({
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    rateLimitPerMinute,
+    createdById: req.user.id,
+  });
+
+  await auditApiKeyChange(req, 'API_KEY_CREATED', apiKey.id, `API key "${apiKey.name}" created`, {
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now; it will not be shown again.',
+    data: {
+      ...apiKey,
+      key,
+    },
+  });
+});
+
+/**
+ * Revoke an API key; it stops working immediately
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { id },
+    select: { id: true, name: true, revokedAt: true },
+  });
+
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      message: 'API key not found',
+    });
+  }
+
+  if (apiKey.revokedAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'API key is already revoked',
+    });
+  }
+
+  const revoked = await revokeKey(id, req.user.id);
+
+  await auditApiKeyChange(req, 'API_KEY_REVOKED', id, `API key "${apiKey.name}" revoked`);
+
+  res.json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: revoked,
+  });
+});
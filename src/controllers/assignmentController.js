@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
+import { recordStatement } from '../services/xapiService.js';
 
 const prisma = new PrismaClient();
 
@@ -296,6 +297,23 @@ export const gradeSubmission = async (req, res, next) => {
       },
     });
 
+    const { assignment } = updatedSubmission;
+    await recordStatement({
+      user: updatedSubmission.user,
+      verb: 'scored',
+      object: { type: 'assignment', id: assignment.id, name: assignment.title },
+      course: { id: assignment.courseId },
+      result: {
+        score: {
+          raw: score,
+          min: 0,
+          max: assignment.maxScore,
+          ...(assignment.maxScore > 0 && { scaled: score / assignment.maxScore }),
+        },
+        ...(feedback && { response: feedback }),
+      },
+    });
+
     res.json({
       success: true,
       data: updatedSubmission,
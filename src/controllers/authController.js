@@ -1,15 +1,28 @@
 import { prisma } from '../config/database.js';
 import { hashPassword, comparePassword } from '../utils/hashPassword.js';
-import { createOTP, verifyOTP, canResendOTP } from '../services/otpService.js';
+import { createOTP, verifyOTP, canResendOTP, invalidateOTPs, markOTPUsed } from '../services/otpService.js';
+import { isPasswordReused, recordPasswordHistory, setUserPassword } from '../services/passwordService.js';
+import {
+  checkLoginAllowed,
+  rejectBlockedLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+} from '../services/loginProtectionService.js';
+import { describePasswordPolicy } from '../utils/passwordPolicy.js';
 import { sendOTPEmail, sendWelcomeEmail } from '../services/emailService.js';
+import { sendOTPSms, normalizePhone, maskPhone } from '../services/smsService.js';
+import { generateTwoFactorChallengeToken, verifyAccountUnlockToken } from '../services/tokenService.js';
 import {
-  generateAccessToken,
-  generateRefreshToken,
-  saveRefreshToken,
-  removeRefreshToken,
-  verifyRefreshTokenInDB,
-  verifyRefreshToken,
-} from '../services/tokenService.js';
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  getSessionContext,
+  SessionRevokeReason,
+} from '../services/sessionService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+import { config } from '../config/env.js';
 import { OtpType } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -63,6 +76,7 @@ export const register = asyncHandler(async (req, res) => {
       fullName,
     },
   });
+  await recordPasswordHistory(user.id, hashedPassword);
 
   // Generate and send OTP
   const otp = await createOTP(user.id, OtpType.EMAIL_VERIFICATION);
@@ -114,12 +128,8 @@ export const verifyOtp = asyncHandler(async (req, res) => {
     data: { isEmailVerified: true },
   });
 
-  // Generate tokens (same as login)
-  const accessToken = generateAccessToken({ userId: updatedUser.id, role: updatedUser.role });
-  const refreshToken = generateRefreshToken({ userId: updatedUser.id });
-
-  // Save refresh token
-  await saveRefreshToken(updatedUser.id, refreshToken);
+  // Start a session (same as login)
+  const { accessToken, refreshToken } = await createSession(updatedUser, getSessionContext(req));
 
   // Send welcome email
   try {
@@ -185,6 +195,48 @@ export const resendOtp = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Finish a successful first-factor login: send a 2FA challenge or start a session
+ */
+const completeLogin = async (req, res, user) => {
+  // 2FA users only get a short-lived challenge here; tokens are issued by /2fa/verify
+  if (user.twoFactorEnabled && user.twoFactorSecret) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        requiresTwoFactor: true,
+        challengeToken: generateTwoFactorChallengeToken(user.id),
+        expiresIn: config.twoFactor.challengeExpiresIn,
+      },
+    });
+  }
+
+  // Only a fully completed login clears the failed-attempt counter
+  await recordSuccessfulLogin(user);
+
+  // Start a session for this device
+  const { accessToken, refreshToken } = await createSession(user, getSessionContext(req));
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        fullName: user.fullName,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        isPhoneVerified: user.isPhoneVerified,
+        deletionScheduledFor: user.deletionScheduledFor,
+      },
+      accessToken,
+      refreshToken,
+    },
+  });
+};
+
 export const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
@@ -213,41 +265,30 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
 
+  const loginCheck = checkLoginAllowed(user);
+  if (!loginCheck.allowed) {
+    return rejectBlockedLogin(res, loginCheck);
+  }
+
   const isPasswordValid = await comparePassword(password, user.password);
   if (!isPasswordValid) {
+    await recordFailedLogin(user, req);
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password',
     });
   }
 
-  // Generate tokens
-  const accessToken = generateAccessToken({ userId: user.id, role: user.role });
-  const refreshToken = generateRefreshToken({ userId: user.id });
-
-  // Save refresh token
-  await saveRefreshToken(user.id, refreshToken);
-
-  res.json({
-    success: true,
-    message: 'Login successful',
-    data: {
-      user: {
-        id: user.id,
-        email: user.email,
-        fullName: user.fullName,
-        role: user.role,
-        isEmailVerified: user.isEmailVerified,
-      },
-      accessToken,
-      refreshToken,
-    },
-  });
+  await completeLogin(req, res, user);
 });
 
 export const logout = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  await removeRefreshToken(userId);
+  // Only end the session this device is using; legacy tokens without one end all sessions
+  if (req.sessionId) {
+    await revokeSession(req.sessionId, SessionRevokeReason.LOGOUT);
+  } else {
+    await revokeAllSessions(req.user.id, SessionRevokeReason.LOGOUT);
+  }
 
   res.json({
     success: true,
@@ -265,60 +306,25 @@ export const refreshToken = asyncHandler(async (req, res) => {
     });
   }
 
-  let decoded;
-
+  // Every refresh rotates the refresh token of the session it belongs to
+  let tokens;
   try {
-    decoded = verifyRefreshToken(refreshToken);
+    tokens = await rotateSession(refreshToken, getSessionContext(req));
   } catch (error) {
+    if (error.statusCode !== 401) {
+      throw error;
+    }
     return res.status(401).json({
       success: false,
       message: error.message || 'Invalid refresh token',
     });
   }
 
-  // Verify token in database
-  const isValid = await verifyRefreshTokenInDB(decoded.userId, refreshToken);
-  if (!isValid) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid refresh token',
-    });
-  }
-
-  // Generate new access token
-  const user = await prisma.user.findUnique({
-    where: { id: decoded.userId },
-    select: { id: true, role: true },
-  });
-
-  if (!user || !user.isActive) {
-    return res.status(401).json({
-      success: false,
-      message: 'User not found or inactive',
-    });
-  }
-
-  const accessToken = generateAccessToken({ userId: user.id, role: user.role });
-
-  // Optionally generate a new refresh token if the current one is about to expire
-  // Check if refresh token expires in less than 1 day (optional rotation)
-  const tokenExpiryTime = decoded.exp * 1000; // Convert to milliseconds
-  const oneDayInMs = 24 * 60 * 60 * 1000;
-  const timeUntilExpiry = tokenExpiryTime - Date.now();
-
-  let newRefreshToken = refreshToken; // Keep the same refresh token by default
-
-  // Only rotate refresh token if it's expiring soon (less than 1 day remaining)
-  if (timeUntilExpiry < oneDayInMs) {
-    newRefreshToken = generateRefreshToken({ userId: user.id });
-    await saveRefreshToken(user.id, newRefreshToken);
-  }
-
   res.json({
     success: true,
     data: {
-      accessToken,
-      refreshToken: newRefreshToken || refreshToken, // Always return refreshToken (new or original)
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
     },
   });
 });
@@ -371,7 +377,8 @@ export const resetPassword = asyncHandler(async (req, res) => {
     });
   }
 
-  const verification = await verifyOTP(user.id, otp, OtpType.PASSWORD_RESET);
+  // Keep the code valid until the new password is accepted
+  const verification = await verifyOTP(user.id, otp, OtpType.PASSWORD_RESET, { markUsed: false });
 
   if (!verification.valid) {
     return res.status(400).json({
@@ -380,17 +387,256 @@ export const resetPassword = asyncHandler(async (req, res) => {
     });
   }
 
-  // Hash new password
-  const hashedPassword = await hashPassword(newPassword);
+  if (await isPasswordReused(user.id, newPassword)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot reuse a recent password. Please choose a different one.',
+    });
+  }
+
+  await markOTPUsed(verification.otpRecord.id);
+
+  // Update password (this also lifts any lockout)
+  await setUserPassword(user.id, newPassword);
+
+  // Sign out every device
+  await revokeAllSessions(user.id, SessionRevokeReason.PASSWORD_RESET);
+
+  res.json({
+    success: true,
+    message: 'Password reset successful. Please login with your new password.',
+  });
+});
+
+// ==================== PHONE / SMS OTP ====================
+
+// Only a verified number identifies an account
+const findUserByVerifiedPhone = (phone) => prisma.user.findFirst({
+  where: { phone, isPhoneVerified: true },
+});
+
+export const sendPhoneVerification = asyncHandler(async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+
+  const owner = await findUserByVerifiedPhone(phone);
+  if (owner && owner.id !== req.user.id) {
+    return res.status(409).json({
+      success: false,
+      message: 'This phone number is already linked to another account',
+    });
+  }
+
+  if (owner) {
+    return res.status(400).json({
+      success: false,
+      message: 'Phone number already verified',
+    });
+  }
+
+  const canResend = await canResendOTP(req.user.id, OtpType.PHONE_VERIFICATION);
+  if (!canResend.canResend) {
+    return res.status(429).json({
+      success: false,
+      message: canResend.message,
+    });
+  }
+
+  // Store the number unverified; an older code must not verify a different number
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { phone, isPhoneVerified: false },
+  });
+  await invalidateOTPs(req.user.id, OtpType.PHONE_VERIFICATION);
+
+  const otp = await createOTP(req.user.id, OtpType.PHONE_VERIFICATION);
+  await sendOTPSms(phone, otp, 'phone_verification');
+
+  res.json({
+    success: true,
+    message: `A verification code has been sent to ${maskPhone(phone)}`,
+  });
+});
+
+export const verifyPhone = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, phone: true, isPhoneVerified: true },
+  });
+
+  if (!user.phone) {
+    return res.status(400).json({
+      success: false,
+      message: 'Add a phone number before verifying it',
+    });
+  }
+
+  if (user.isPhoneVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Phone number already verified',
+    });
+  }
+
+  const verification = await verifyOTP(user.id, otp, OtpType.PHONE_VERIFICATION);
+  if (!verification.valid) {
+    return res.status(400).json({
+      success: false,
+      message: verification.message,
+    });
+  }
+
+  // Someone else may have verified the same number in the meantime
+  const owner = await findUserByVerifiedPhone(user.phone);
+  if (owner && owner.id !== user.id) {
+    return res.status(409).json({
+      success: false,
+      message: 'This phone number is already linked to another account',
+    });
+  }
 
-  // Update password
   await prisma.user.update({
     where: { id: user.id },
-    data: { password: hashedPassword },
+    data: { isPhoneVerified: true },
   });
 
-  // Invalidate all refresh tokens
-  await removeRefreshToken(user.id);
+  res.json({
+    success: true,
+    message: 'Phone number verified successfully',
+    data: {
+      phone: user.phone,
+      isPhoneVerified: true,
+    },
+  });
+});
+
+export const requestPhoneLoginOtp = asyncHandler(async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  const genericResponse = {
+    success: true,
+    message: 'If the number is registered, a login code has been sent.',
+  };
+
+  const user = await findUserByVerifiedPhone(phone);
+
+  // Don't reveal if the number is registered
+  if (!user || !user.isActive) {
+    return res.json(genericResponse);
+  }
+
+  const canResend = await canResendOTP(user.id, OtpType.PHONE_LOGIN);
+  if (!canResend.canResend) {
+    return res.status(429).json({
+      success: false,
+      message: canResend.message,
+    });
+  }
+
+  const otp = await createOTP(user.id, OtpType.PHONE_LOGIN);
+  await sendOTPSms(phone, otp, 'login');
+
+  res.json(genericResponse);
+});
+
+export const phoneLogin = asyncHandler(async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  const { otp } = req.body;
+
+  const user = await findUserByVerifiedPhone(phone);
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid phone number or code',
+    });
+  }
+
+  const loginCheck = checkLoginAllowed(user);
+  if (!loginCheck.allowed) {
+    return rejectBlockedLogin(res, loginCheck);
+  }
+
+  const verification = await verifyOTP(user.id, otp, OtpType.PHONE_LOGIN);
+  if (!verification.valid) {
+    await recordFailedLogin(user, req);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid phone number or code',
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account has been blocked. Please contact support.',
+    });
+  }
+
+  await completeLogin(req, res, user);
+});
+
+export const forgotPasswordByPhone = asyncHandler(async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  const genericResponse = {
+    success: true,
+    message: 'If the number is registered, a password reset code has been sent.',
+  };
+
+  const user = await findUserByVerifiedPhone(phone);
+
+  if (!user) {
+    // Don't reveal if user exists for security
+    return res.json(genericResponse);
+  }
+
+  const canResend = await canResendOTP(user.id, OtpType.PHONE_PASSWORD_RESET);
+  if (!canResend.canResend) {
+    return res.status(429).json({
+      success: false,
+      message: canResend.message,
+    });
+  }
+
+  const otp = await createOTP(user.id, OtpType.PHONE_PASSWORD_RESET);
+  await sendOTPSms(phone, otp, 'password_reset');
+
+  res.json(genericResponse);
+});
+
+export const resetPasswordByPhone = asyncHandler(async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  const { otp, newPassword } = req.body;
+
+  const user = await findUserByVerifiedPhone(phone);
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired OTP',
+    });
+  }
+
+  const verification = await verifyOTP(user.id, otp, OtpType.PHONE_PASSWORD_RESET, { markUsed: false });
+  if (!verification.valid) {
+    return res.status(400).json({
+      success: false,
+      message: verification.message,
+    });
+  }
+
+  if (await isPasswordReused(user.id, newPassword)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot reuse a recent password. Please choose a different one.',
+    });
+  }
+
+  await markOTPUsed(verification.otpRecord.id);
+  await setUserPassword(user.id, newPassword);
+
+  // Sign out every device
+  await revokeAllSessions(user.id, SessionRevokeReason.PASSWORD_RESET);
 
   res.json({
     success: true,
@@ -398,11 +644,100 @@ export const resetPassword = asyncHandler(async (req, res) => {
   });
 });
 
+// ==================== PASSWORD & LOCKOUT ====================
+
+export const getPasswordPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: describePasswordPolicy(),
+  });
+});
+
+export const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+  });
+
+  const isPasswordValid = await comparePassword(currentPassword, user.password);
+  if (!isPasswordValid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Current password is incorrect',
+    });
+  }
+
+  if (await isPasswordReused(user.id, newPassword)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot reuse a recent password. Please choose a different one.',
+    });
+  }
+
+  await setUserPassword(user.id, newPassword);
+
+  // Keep this device signed in, sign out the rest
+  await revokeAllSessions(user.id, SessionRevokeReason.PASSWORD_CHANGED, req.sessionId);
+
+  await createAuditLog({
+    userId: user.id,
+    action: 'PASSWORD_CHANGED',
+    entityType: 'USER',
+    entityId: user.id,
+    description: 'Password changed from account settings',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+    riskScore: 30,
+  });
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully',
+  });
+});
+
+export const unlockAccountWithToken = asyncHandler(async (req, res) => {
+  let decoded;
+  try {
+    decoded = verifyAccountUnlockToken(req.body.token);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    select: { id: true, lockedUntil: true },
+  });
+
+  // The link only lifts the lockout it was sent for
+  if (!user || user.lockedUntil?.toISOString() !== decoded.lockedUntil) {
+    return res.status(400).json({
+      success: false,
+      message: 'This unlock link is no longer valid',
+    });
+  }
+
+  await unlockAccount(user.id, req, 'EMAIL_LINK');
+
+  res.json({
+    success: true,
+    message: 'Your account has been unlocked. You can log in again.',
+  });
+});
+
 export const getMe = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
       user: req.user,
+      // Present when an admin is viewing as this user
+      ...(req.impersonator && { impersonator: req.impersonator }),
     },
   });
 });
@@ -1,5 +1,7 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const prisma = new PrismaClient();
 
@@ -17,8 +19,9 @@ export const getBlogComments = async (req, res, next) => {
       parentId: null, // Only top-level comments
     };
 
-    // Filter by approval status (admin can see all)
-    if (req.user?.role === 'ADMIN') {
+    // Filter by approval status (blog moderators can see all)
+    const canModerate = hasPermission(req, PERMISSIONS.BLOGS_MODERATE);
+    if (canModerate) {
       if (approved === 'true') {
         where.isApproved = true;
       } else if (approved === 'false') {
@@ -41,7 +44,7 @@ export const getBlogComments = async (req, res, next) => {
           },
           replies: {
             where: {
-              isApproved: req.user?.role === 'ADMIN' ? undefined : true,
+              isApproved: canModerate ? undefined : true,
             },
             include: {
               user: {
@@ -151,7 +154,7 @@ export const createBlogComment = async (req, res, next) => {
         email: email || null,
         content,
         parentId: parentId || null,
-        isApproved: req.user?.role === 'ADMIN', // Auto-approve admin comments
+        isApproved: hasPermission(req, PERMISSIONS.BLOGS_MODERATE), // Auto-approve moderator comments
       },
       include: {
         user: userId
@@ -168,7 +171,7 @@ export const createBlogComment = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: req.user?.role === 'ADMIN' ? 'Comment created successfully' : 'Comment submitted for approval',
+      message: comment.isApproved ? 'Comment created successfully' : 'Comment submitted for approval',
       data: comment,
     });
   } catch (error) {
@@ -211,7 +214,7 @@ export const updateBlogComment = async (req, res, next) => {
       });
     }
 
-    if (comment.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    if (comment.userId !== req.user.id && !hasPermission(req, PERMISSIONS.BLOGS_MODERATE)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this comment',
@@ -270,7 +273,7 @@ export const deleteBlogComment = async (req, res, next) => {
       });
     }
 
-    if (comment.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    if (comment.userId !== req.user.id && !hasPermission(req, PERMISSIONS.BLOGS_MODERATE)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this comment',
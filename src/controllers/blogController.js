@@ -1,6 +1,9 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import { sanitizeSearch } from '../utils/sanitize.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { localizeWithCategory } from '../services/translationService.js';
 
 const prisma = new PrismaClient();
 
@@ -22,8 +25,8 @@ export const getAllBlogs = async (req, res, next) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const where = {};
 
-    // Only show published blogs to public, admins can see all
-    if (req.user?.role !== 'ADMIN') {
+    // Only show published blogs to public, blog moderators can see all
+    if (!hasPermission(req, PERMISSIONS.BLOGS_MODERATE)) {
       where.status = 'PUBLISHED';
     } else if (status) {
       where.status = status;
@@ -74,7 +77,7 @@ export const getAllBlogs = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: blogs,
+      data: await localizeWithCategory('BLOG', blogs, req.locales),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -101,7 +104,7 @@ export const getBlogById = async (req, res, next) => {
           { slug: id },
         ],
         // Only show published blogs to public
-        ...(req.user?.role !== 'ADMIN' ? { status: 'PUBLISHED' } : {}),
+        ...(!hasPermission(req, PERMISSIONS.BLOGS_MODERATE) ? { status: 'PUBLISHED' } : {}),
       },
       include: {
         author: {
@@ -168,10 +171,12 @@ export const getBlogById = async (req, res, next) => {
       },
     });
 
+    const localized = await localizeWithCategory('BLOG', blog, req.locales);
+
     res.json({
       success: true,
       data: {
-        ...blog,
+        ...localized,
         views: blog.views + 1,
       },
     });
@@ -300,8 +305,8 @@ export const updateBlog = async (req, res, next) => {
       });
     }
 
-    // Check authorization - author or admin
-    if (blog.authorId !== req.user.id && req.user.role !== 'ADMIN') {
+    // Check authorization - author or blog moderator
+    if (blog.authorId !== req.user.id && !hasPermission(req, PERMISSIONS.BLOGS_MODERATE)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this blog',
@@ -384,8 +389,8 @@ export const deleteBlog = async (req, res, next) => {
       });
     }
 
-    // Check authorization - author or admin
-    if (blog.authorId !== req.user.id && req.user.role !== 'ADMIN') {
+    // Check authorization - author or blog moderator
+    if (blog.authorId !== req.user.id && !hasPermission(req, PERMISSIONS.BLOGS_MODERATE)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this blog',
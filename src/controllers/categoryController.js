@@ -1,6 +1,7 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import { generateSlug } from '../utils/helpers.js';
+import { localizeCategories } from '../services/translationService.js';
 
 const prisma = new PrismaClient();
 
@@ -36,7 +37,7 @@ export const getAllCategories = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: categories,
+      data: await localizeCategories(categories, req.locales),
     });
   } catch (error) {
     next(error);
@@ -90,7 +91,7 @@ export const getCategoryById = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: category,
+      data: await localizeCategories(category, req.locales),
     });
   } catch (error) {
     next(error);
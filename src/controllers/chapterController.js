@@ -1,6 +1,9 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import { generateSlug, generateUniqueSlug } from '../utils/helpers.js';
+import * as courseRevisionService from '../services/courseRevisionService.js';
+import { hideLessonMedia } from '../services/lessonMediaService.js';
+import { localizeChapters } from '../services/translationService.js';
 
 const prisma = new PrismaClient();
 
@@ -11,9 +14,14 @@ export const getCourseChapters = async (req, res, next) => {
   try {
     const { courseId } = req.params;
 
-    const chapters = await prisma.chapter.findMany({
+    const chapters = await localizeChapters(await prisma.chapter.findMany({
       where: { courseId },
       include: {
+        course: {
+          select: {
+            language: true,
+          },
+        },
         lessons: {
           orderBy: {
             order: 'asc',
@@ -28,11 +36,14 @@ export const getCourseChapters = async (req, res, next) => {
       orderBy: {
         order: 'asc',
       },
-    });
+    }), req.locales);
 
     res.json({
       success: true,
-      data: chapters,
+      data: chapters.map(chapter => ({
+        ...chapter,
+        lessons: chapter.lessons.map(lesson => hideLessonMedia(lesson, chapter)),
+      })),
     });
   } catch (error) {
     console.error('Error fetching chapters:', error);
@@ -47,7 +58,7 @@ export const getChapterById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const chapter = await prisma.chapter.findUnique({
+    const chapter = await localizeChapters(await prisma.chapter.findUnique({
       where: { id },
       include: {
         course: true,
@@ -57,7 +68,7 @@ export const getChapterById = async (req, res, next) => {
           },
         },
       },
-    });
+    }), req.locales);
 
     if (!chapter) {
       return res.status(404).json({
@@ -68,7 +79,10 @@ export const getChapterById = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: chapter,
+      data: {
+        ...chapter,
+        lessons: chapter.lessons.map(lesson => hideLessonMedia(lesson, chapter)),
+      },
     });
   } catch (error) {
     console.error('Error fetching chapter:', error);
@@ -103,6 +117,22 @@ export const createChapter = async (req, res, next) => {
       });
     }
 
+    // While a draft is open, curriculum edits go to the draft
+    const draft = await courseRevisionService.getOpenDraft(courseId);
+    if (draft) {
+      const chapter = await courseRevisionService.createDraftChapter(
+        draft,
+        courseRevisionService.normaliseChapterInput(req.body)
+      );
+
+      return res.status(201).json({
+        success: true,
+        data: chapter,
+        draft: true,
+        message: 'Chapter added to the draft',
+      });
+    }
+
     // Auto-generate slug if not provided
     let finalSlug = slug;
     if (!finalSlug && title) {
@@ -136,6 +166,7 @@ export const createChapter = async (req, res, next) => {
         order: finalOrder,
         isLocked: isLocked === true || isLocked === 'true',
         isPreview: isPreview === true || isPreview === 'true',
+        ...courseRevisionService.normaliseReleaseInput(req.body),
       },
       include: {
         lessons: true,
@@ -175,6 +206,22 @@ export const updateChapter = async (req, res, next) => {
     const { id } = req.params;
     const { title, slug, description, order, isLocked, isPreview } = req.body;
 
+    const draft = await courseRevisionService.findDraftForChapter(id);
+    if (draft) {
+      const chapter = await courseRevisionService.updateDraftChapter(
+        draft,
+        id,
+        courseRevisionService.normaliseChapterInput(req.body)
+      );
+
+      return res.json({
+        success: true,
+        data: chapter,
+        draft: true,
+        message: 'Chapter updated in the draft',
+      });
+    }
+
     // Check if chapter exists
     const existingChapter = await prisma.chapter.findUnique({
       where: { id },
@@ -209,6 +256,7 @@ export const updateChapter = async (req, res, next) => {
     if (order !== undefined) updateData.order = parseInt(order);
     if (isLocked !== undefined) updateData.isLocked = isLocked === true || isLocked === 'true';
     if (isPreview !== undefined) updateData.isPreview = isPreview === true || isPreview === 'true';
+    Object.assign(updateData, courseRevisionService.normaliseReleaseInput(req.body));
 
     const chapter = await prisma.chapter.update({
       where: { id },
@@ -246,6 +294,17 @@ export const deleteChapter = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    const draft = await courseRevisionService.findDraftForChapter(id);
+    if (draft) {
+      await courseRevisionService.deleteDraftChapter(draft, id);
+
+      return res.json({
+        success: true,
+        draft: true,
+        message: 'Chapter removed from the draft',
+      });
+    }
+
     const chapter = await prisma.chapter.findUnique({
       where: { id },
       include: {
@@ -301,6 +360,18 @@ export const reorderChapters = async (req, res, next) => {
       });
     }
 
+    const draft = await courseRevisionService.findDraftForChapter(id);
+    if (draft) {
+      const chapter = await courseRevisionService.updateDraftChapter(draft, id, { order: parseInt(order) });
+
+      return res.json({
+        success: true,
+        data: chapter,
+        draft: true,
+        message: 'Chapter reordered in the draft',
+      });
+    }
+
     const chapter = await prisma.chapter.findUnique({
       where: { id },
     });
@@ -336,6 +407,20 @@ export const toggleLock = async (req, res, next) => {
     const { id } = req.params;
     const { isLocked } = req.body;
 
+    const draft = await courseRevisionService.findDraftForChapter(id);
+    if (draft) {
+      const chapter = await courseRevisionService.updateDraftChapter(draft, id, (current) => ({
+        isLocked: isLocked !== undefined ? (isLocked === true || isLocked === 'true') : !current.isLocked,
+      }));
+
+      return res.json({
+        success: true,
+        data: chapter,
+        draft: true,
+        message: `Chapter ${chapter.isLocked ? 'locked' : 'unlocked'} in the draft`,
+      });
+    }
+
     const chapter = await prisma.chapter.findUnique({
       where: { id },
     });
@@ -375,6 +460,20 @@ export const togglePreview = async (req, res, next) => {
     const { id } = req.params;
     const { isPreview } = req.body;
 
+    const draft = await courseRevisionService.findDraftForChapter(id);
+    if (draft) {
+      const chapter = await courseRevisionService.updateDraftChapter(draft, id, (current) => ({
+        isPreview: isPreview !== undefined ? (isPreview === true || isPreview === 'true') : !current.isPreview,
+      }));
+
+      return res.json({
+        success: true,
+        data: chapter,
+        draft: true,
+        message: `Chapter ${chapter.isPreview ? 'marked as preview' : 'preview removed'} in the draft`,
+      });
+    }
+
     const chapter = await prisma.chapter.findUnique({
       where: { id },
     });
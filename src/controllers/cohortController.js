@@ -0,0 +1,228 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as cohortService from '../services/cohortService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+const auditCohortChange = (req, action, cohort, description, changes = null) => createAuditLog({
+  userId: req.user.id,
+  action,
+  entityType: 'COHORT',
+  entityId: cohort.id,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  changes,
+  metadata: { courseId: cohort.courseId },
+});
+
+const loadCohort = async (id) => {
+  const cohort = await prisma.cohort.findUnique({
+    where: { id },
+    include: {
+      course: { select: { id: true, title: true, slug: true, price: true, isFree: true } },
+    },
+  });
+  if (!cohort) {
+    const error = new Error('Cohort not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return cohort;
+};
+
+/**
+ * Upcoming and running cohorts of a published course, with seats left and price
+ */
+export const getCourseCohorts = asyncHandler(async (req, res) => {
+  const course = await prisma.course.findFirst({
+    where: {
+      OR: [{ id: req.params.courseId }, { slug: req.params.courseId }],
+      status: 'PUBLISHED',
+    },
+    select: { id: true, price: true, isFree: true },
+  });
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+  }
+
+  const cohorts = await prisma.cohort.findMany({
+    where: {
+      courseId: course.id,
+      isActive: true,
+      OR: [{ endDate: null }, { endDate: { gte: new Date() } }],
+    },
+    orderBy: { startDate: 'asc' },
+  });
+
+  res.json({
+    success: true,
+    data: await cohortService.withAvailability(cohorts, course),
+  });
+});
+
+/**
+ * List cohorts (Admin)
+ */
+export const getCohorts = asyncHandler(async (req, res) => {
+  const { courseId, isActive, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const where = {};
+  if (courseId) where.courseId = courseId;
+  if (isActive !== undefined) where.isActive = isActive;
+
+  const [cohorts, total] = await Promise.all([
+    prisma.cohort.findMany({
+      where,
+      include: {
+        course: { select: { id: true, title: true, slug: true } },
+        _count: { select: { enrollments: true, liveClasses: true } },
+      },
+      orderBy: { startDate: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.cohort.count({ where }),
+  ]);
+
+  res.json({
+    success: true,
+    data: cohorts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get a cohort with its live classes (Admin)
+ */
+export const getCohort = asyncHandler(async (req, res) => {
+  const cohort = await loadCohort(req.params.id);
+  const liveClasses = await prisma.liveClass.findMany({
+    where: { cohortId: cohort.id },
+    select: { id: true, title: true, scheduledAt: true, duration: true, status: true },
+    orderBy: { scheduledAt: 'asc' },
+  });
+
+  const [withSeats] = await cohortService.withAvailability([cohort], cohort.course);
+
+  res.json({
+    success: true,
+    data: { ...withSeats, liveClasses },
+  });
+});
+
+/**
+ * Create a cohort (Admin)
+ */
+export const createCohort = asyncHandler(async (req, res) => {
+  const cohort = await cohortService.createCohort(req.body.courseId, req.body);
+
+  await auditCohortChange(req, 'COHORT_CREATED', cohort, `Cohort "${cohort.name}" created`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Cohort created successfully',
+    data: cohort,
+  });
+});
+
+/**
+ * Update a cohort (Admin)
+ */
+export const updateCohort = asyncHandler(async (req, res) => {
+  const { before, cohort } = await cohortService.updateCohort(req.params.id, req.body);
+
+  const changes = Object.fromEntries(
+    Object.keys(req.body)
+      .filter((field) => field in before && String(before[field]) !== String(cohort[field]))
+      .map((field) => [field, { from: before[field], to: cohort[field] }])
+  );
+  await auditCohortChange(req, 'COHORT_UPDATED', cohort, `Cohort "${cohort.name}" updated`, changes);
+
+  res.json({
+    success: true,
+    message: 'Cohort updated successfully',
+    data: cohort,
+  });
+});
+
+/**
+ * Delete a cohort without enrollments (Admin)
+ */
+export const deleteCohort = asyncHandler(async (req, res) => {
+  const cohort = await cohortService.deleteCohort(req.params.id);
+
+  await auditCohortChange(req, 'COHORT_DELETED', cohort, `Cohort "${cohort.name}" deleted`);
+
+  res.json({
+    success: true,
+    message: 'Cohort deleted successfully',
+  });
+});
+
+/**
+ * Move a student's enrollment into this cohort (Admin)
+ */
+export const assignEnrollment = asyncHandler(async (req, res) => {
+  const { enrollment, previousCohortId } = await cohortService.assignEnrollment(
+    req.params.id,
+    req.params.enrollmentId,
+    { force: req.body.force === true }
+  );
+
+  await auditCohortChange(
+    req,
+    'COHORT_ENROLLMENT_MOVED',
+    { id: req.params.id, courseId: enrollment.courseId },
+    `${enrollment.user.fullName} moved into cohort`,
+    { cohortId: { from: previousCohortId, to: req.params.id } }
+  );
+
+  res.json({
+    success: true,
+    message: 'Enrollment moved to cohort',
+    data: enrollment,
+  });
+});
+
+/**
+ * Cohort roster (Admin)
+ */
+export const getCohortRoster = asyncHandler(async (req, res) => {
+  const cohort = await loadCohort(req.params.id);
+  const { status, search, page = 1, limit = 50 } = req.query;
+
+  const { roster, pagination } = await cohortService.getCohortRoster(cohort.id, { status, search, page, limit });
+
+  res.json({
+    success: true,
+    data: {
+      cohort: { id: cohort.id, name: cohort.name, course: cohort.course },
+      roster,
+    },
+    pagination,
+  });
+});
+
+/**
+ * Cohort progress report (Admin)
+ */
+export const getCohortProgress = asyncHandler(async (req, res) => {
+  const report = await cohortService.getCohortProgressReport(req.params.id);
+
+  res.json({
+    success: true,
+    data: report,
+  });
+});
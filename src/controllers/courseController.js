@@ -1,6 +1,10 @@
 import { prisma } from '../config/database.js';
 import { validationResult } from 'express-validator';
 import { generateSlug } from '../utils/helpers.js';
+import * as courseCloneService from '../services/courseCloneService.js';
+import { openCohortWhere, countTakenSeats, withAvailability } from '../services/cohortService.js';
+import { hideLessonMedia } from '../services/lessonMediaService.js';
+import { localizeCourses } from '../services/translationService.js';
 
 /**
  * Get all courses with filtering
@@ -13,12 +17,14 @@ export const getAllCourses = async (req, res, next) => {
       isOngoing,
       instructorId,
       categoryId,
+      isTemplate,
       page = 1,
       limit = 10,
     } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const where = {};
+    // Templates are only listed when asked for
+    const where = { isTemplate: isTemplate === 'true' };
 
     if (status) where.status = status;
     if (featured === 'true') where.featured = true;
@@ -51,7 +57,7 @@ export const getAllCourses = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: courses,
+      data: await localizeCourses(courses, req.locales),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -89,6 +95,7 @@ export const filterCourses = async (req, res, next) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const where = {
       status: 'PUBLISHED',
+      isTemplate: false,
     };
 
     // Category filter
@@ -203,7 +210,7 @@ export const filterCourses = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: courses,
+      data: await localizeCourses(courses, req.locales),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -217,22 +224,34 @@ export const filterCourses = async (req, res, next) => {
 };
 
 /**
- * Get ongoing courses
+ * Get ongoing courses: courses marked ongoing and courses with a cohort open for enrollment,
+ * each with its open cohorts
  */
 export const getOngoingCourses = async (req, res, next) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const openCohorts = openCohortWhere();
+
+    const where = {
+      status: 'PUBLISHED',
+      isTemplate: false,
+      OR: [
+        { isOngoing: true },
+        { cohorts: { some: openCohorts } },
+      ],
+    };
 
     const [courses, total] = await Promise.all([
       prisma.course.findMany({
-        where: {
-          status: 'PUBLISHED',
-          isOngoing: true,
-        },
+        where,
         include: {
           instructor: true,
           category: true,
+          cohorts: {
+            where: openCohorts,
+            orderBy: { startDate: 'asc' },
+          },
           _count: {
             select: {
               enrollments: true,
@@ -246,17 +265,19 @@ export const getOngoingCourses = async (req, res, next) => {
           startDate: 'desc',
         },
       }),
-      prisma.course.count({
-        where: {
-          status: 'PUBLISHED',
-          isOngoing: true,
-        },
-      }),
+      prisma.course.count({ where }),
     ]);
 
+    const takenSeats = await countTakenSeats(courses.flatMap((course) => course.cohorts.map((cohort) => cohort.id)));
+    const localized = await localizeCourses(courses, req.locales);
+    const data = await Promise.all(localized.map(async (course) => ({
+      ...course,
+      cohorts: await withAvailability(course.cohorts, course, takenSeats),
+    })));
+
     res.json({
       success: true,
-      data: courses,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -290,6 +311,13 @@ export const getCourseById = async (req, res, next) => {
           orderBy: {
             order: 'asc',
           },
+          include: {
+            chapter: {
+              select: {
+                isPreview: true,
+              },
+            },
+          },
         },
         reviews: {
           include: {
@@ -323,9 +351,14 @@ export const getCourseById = async (req, res, next) => {
       });
     }
 
+    const localized = await localizeCourses(course, req.locales);
+
     res.json({
       success: true,
-      data: course,
+      data: {
+        ...localized,
+        lessons: localized.lessons.map(lesson => hideLessonMedia(lesson)),
+      },
     });
   } catch (error) {
     next(error);
@@ -368,6 +401,8 @@ export const createCourse = async (req, res, next) => {
       skills,
       instructorId,
       categoryId,
+      isTemplate,
+      progressionMode,
     } = req.body;
 
     // Generate slug if not provided
@@ -463,6 +498,8 @@ export const createCourse = async (req, res, next) => {
         language: language || 'en',
         featured: featured === true || featured === 'true',
         isOngoing: isOngoing === true || isOngoing === 'true',
+        isTemplate: isTemplate === true || isTemplate === 'true',
+        progressionMode: progressionMode || 'FREE',
         startDate: startDate ? new Date(startDate) : null,
         endDate: endDate ? new Date(endDate) : null,
         tags,
@@ -548,6 +585,8 @@ export const updateCourse = async (req, res, next) => {
       skills,
       instructorId,
       categoryId,
+      isTemplate,
+      progressionMode,
     } = req.body;
 
     // Check if course exists
@@ -609,6 +648,8 @@ export const updateCourse = async (req, res, next) => {
     if (language) updateData.language = language;
     if (featured !== undefined) updateData.featured = featured === true || featured === 'true';
     if (isOngoing !== undefined) updateData.isOngoing = isOngoing === true || isOngoing === 'true';
+    if (isTemplate !== undefined) updateData.isTemplate = isTemplate === true || isTemplate === 'true';
+    if (progressionMode) updateData.progressionMode = progressionMode;
     if (startDate !== undefined) updateData.startDate = startDate ? new Date(startDate) : null;
     if (endDate !== undefined) updateData.endDate = endDate ? new Date(endDate) : null;
     if (tags !== undefined) updateData.tags = tags;
@@ -747,4 +788,41 @@ export const deleteCourse = async (req, res, next) => {
   }
 };
 
+/**
+ * Clone a course or start a new course from a template (Admin only)
+ */
+export const cloneCourse = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { title, slug, instructorId, price } = req.body;
+    const isFalse = (value) => value === false || value === 'false';
+
+    const course = await courseCloneService.cloneCourse(id, {
+      title,
+      slug,
+      instructorId,
+      price,
+      includeQuizzes: !isFalse(req.body.includeQuizzes),
+      includeAssignments: !isFalse(req.body.includeAssignments),
+      keepPrices: !isFalse(req.body.keepPrices),
+      asTemplate: req.body.asTemplate === true || req.body.asTemplate === 'true',
+    });
 
+    res.status(201).json({
+      success: true,
+      data: course,
+      message: 'Course cloned successfully',
+    });
+  } catch (error) {
+    console.error('Error cloning course:', error);
+    next(error);
+  }
+};
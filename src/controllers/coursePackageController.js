@@ -0,0 +1,70 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as coursePackageService from '../services/coursePackageService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+/**
+ * Download a course as a portable package (JSON manifest + media URLs)
+ */
+export const exportCourse = asyncHandler(async (req, res) => {
+  const pkg = await coursePackageService.exportCoursePackage(req.params.id);
+
+  await createAuditLog({
+    userId: req.user.id,
+    action: 'COURSE_EXPORTED',
+    entityType: 'COURSE',
+    entityId: req.params.id,
+    description: `Course "${pkg.course.title}" exported`,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+  });
+
+  res.setHeader('Content-Disposition', `attachment; filename="${pkg.course.slug}.course.json"`);
+  res.json(pkg);
+});
+
+/**
+ * Import a course package as a new draft course. With dryRun the package is only checked.
+ */
+export const importCourse = asyncHandler(async (req, res) => {
+  const { package: pkg, instructorId, categoryId, slug } = req.body;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+  const problems = coursePackageService.validateCoursePackage(pkg);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid course package',
+      errors: problems,
+    });
+  }
+
+  const report = await coursePackageService.importCoursePackage(pkg, {
+    instructorId,
+    categoryId,
+    slug,
+    dryRun,
+  });
+
+  if (!dryRun) {
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'COURSE_IMPORTED',
+      entityType: 'COURSE',
+      entityId: report.course.id,
+      description: `Course "${report.course.title}" imported from a package`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      requestMethod: req.method,
+      requestPath: req.originalUrl,
+      metadata: { created: report.created, warnings: report.warnings, exportedAt: pkg.exportedAt },
+    });
+  }
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun ? 'Package is valid. Nothing was imported (dry run).' : 'Course imported successfully',
+    data: report,
+  });
+});
@@ -0,0 +1,196 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as courseRevisionService from '../services/courseRevisionService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+const auditRevisionChange = (req, action, revision, description, metadata = null) => createAuditLog({
+  userId: req.user.id,
+  action,
+  entityType: 'COURSE',
+  entityId: revision.courseId,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  metadata: { revisionId: revision.id, version: revision.version, ...metadata },
+});
+
+const findCourseRevision = async (req, res) => {
+  const revision = await prisma.courseRevision.findFirst({
+    where: {
+      id: req.params.revisionId,
+      courseId: req.params.courseId,
+    },
+  });
+
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      message: 'Revision not found',
+    });
+  }
+
+  return revision;
+};
+
+/**
+ * List a course's curriculum revisions (newest first)
+ */
+export const getCourseRevisions = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+
+  const revisions = await prisma.courseRevision.findMany({
+    where: { courseId },
+    select: {
+      id: true,
+      version: true,
+      status: true,
+      notes: true,
+      createdBy: true,
+      publishedBy: true,
+      publishedAt: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+    orderBy: { version: 'desc' },
+  });
+
+  res.json({
+    success: true,
+    data: revisions,
+  });
+});
+
+/**
+ * View a revision. Drafts also show what publishing would change and anything blocking it.
+ */
+export const getCourseRevision = asyncHandler(async (req, res) => {
+  const revision = await findCourseRevision(req, res);
+  if (!revision) return;
+
+  const data = {
+    ...revision,
+    preview: courseRevisionService.buildCurriculumPreview(revision.content),
+  };
+
+  if (revision.status === 'DRAFT') {
+    const liveContent = await courseRevisionService.snapshotCurriculum(revision.courseId);
+    data.changes = courseRevisionService.summariseChanges(revision.content, liveContent);
+    data.problems = courseRevisionService.validateRevisionContent(revision.content);
+  }
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * Open a draft. Until it is published or discarded, curriculum edits for the course go to the draft.
+ */
+export const createCourseDraft = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: { id: true, title: true },
+  });
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+  }
+
+  const draft = await courseRevisionService.openDraft(courseId, req.user.id, req.body.notes || null);
+
+  await auditRevisionChange(req, 'COURSE_REVISION_CREATED', draft, `Draft v${draft.version} opened for "${course.title}"`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Draft created. Curriculum changes will be saved to the draft until it is published.',
+    data: draft,
+  });
+});
+
+/**
+ * Throw away a draft; the live curriculum is untouched
+ */
+export const discardCourseDraft = asyncHandler(async (req, res) => {
+  const revision = await findCourseRevision(req, res);
+  if (!revision) return;
+
+  if (revision.status !== 'DRAFT') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only drafts can be discarded',
+    });
+  }
+
+  await courseRevisionService.discardDraft(revision);
+
+  await auditRevisionChange(req, 'COURSE_REVISION_DISCARDED', revision, `Draft v${revision.version} discarded`);
+
+  res.json({
+    success: true,
+    message: 'Draft discarded',
+  });
+});
+
+/**
+ * Publish a draft. The curriculum is replaced in one transaction and the previous version is archived.
+ */
+export const publishCourseDraft = asyncHandler(async (req, res) => {
+  const revision = await findCourseRevision(req, res);
+  if (!revision) return;
+
+  if (revision.status !== 'DRAFT') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only drafts can be published',
+    });
+  }
+
+  const published = await courseRevisionService.publishRevision(revision, req.user.id);
+
+  await auditRevisionChange(req, 'COURSE_REVISION_PUBLISHED', published, `Curriculum v${published.version} published`);
+
+  res.json({
+    success: true,
+    message: 'Draft published successfully',
+    data: published,
+  });
+});
+
+/**
+ * Publish an archived version again
+ */
+export const rollbackCourseRevision = asyncHandler(async (req, res) => {
+  const revision = await findCourseRevision(req, res);
+  if (!revision) return;
+
+  if (revision.status !== 'ARCHIVED') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only archived revisions can be restored',
+    });
+  }
+
+  const published = await courseRevisionService.rollbackToRevision(revision, req.user.id);
+
+  await auditRevisionChange(
+    req,
+    'COURSE_REVISION_ROLLED_BACK',
+    published,
+    `Curriculum rolled back to v${revision.version} (published as v${published.version})`,
+    { restoredFromVersion: revision.version }
+  );
+
+  res.json({
+    success: true,
+    message: `Curriculum restored from version ${revision.version}`,
+    data: published,
+  });
+});
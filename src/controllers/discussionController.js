@@ -0,0 +1,238 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import * as discussionService from '../services/discussionService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+const actorOf = (req) => ({
+  user: req.user,
+  canModerate: hasPermission(req, PERMISSIONS.DISCUSSIONS_MODERATE),
+});
+
+const auditModeration = (req, action, entityType, entity, description, changes = null) => createAuditLog({
+  userId: req.user.id,
+  action,
+  entityType,
+  entityId: entity.id,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  changes,
+  metadata: { threadId: entity.threadId ?? entity.id, authorId: entity.userId },
+});
+
+const moderationChanges = (before, after, fields) => Object.fromEntries(
+  fields
+    .filter((field) => before[field] !== after[field])
+    .map((field) => [field, { from: before[field], to: after[field] }])
+);
+
+/**
+ * Questions on a course (enrolled students, the instructor and staff)
+ */
+export const getCourseThreads = asyncHandler(async (req, res) => {
+  const { lessonId, q, answered, hidden, sort, page = 1, limit = 20 } = req.query;
+
+  const { threads, permissions, pagination } = await discussionService.listThreads(actorOf(req), req.params.courseId, {
+    lessonId,
+    q,
+    answered,
+    hidden,
+    sort,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: threads,
+    permissions,
+    pagination,
+  });
+});
+
+/**
+ * A question with its replies
+ */
+export const getThread = asyncHandler(async (req, res) => {
+  const thread = await discussionService.getThread(actorOf(req), req.params.id);
+
+  res.json({
+    success: true,
+    data: thread,
+  });
+});
+
+/**
+ * Ask a question (enrolled students)
+ */
+export const createThread = asyncHandler(async (req, res) => {
+  const thread = await discussionService.createThread(actorOf(req), req.params.courseId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Question posted',
+    data: thread,
+  });
+});
+
+/**
+ * Edit your own question
+ */
+export const updateThread = asyncHandler(async (req, res) => {
+  const thread = await discussionService.updateThread(actorOf(req), req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Question updated',
+    data: thread,
+  });
+});
+
+/**
+ * Delete a question (author or moderator)
+ */
+export const deleteThread = asyncHandler(async (req, res) => {
+  const { thread, asModerator } = await discussionService.deleteThread(actorOf(req), req.params.id);
+
+  if (asModerator) {
+    await auditModeration(req, 'DISCUSSION_THREAD_DELETED', 'DISCUSSION_THREAD', thread, `Question "${thread.title}" deleted`);
+  }
+
+  res.json({
+    success: true,
+    message: 'Question deleted',
+  });
+});
+
+/**
+ * Reply to a question or to another reply
+ */
+export const createReply = asyncHandler(async (req, res) => {
+  const reply = await discussionService.createReply(actorOf(req), req.params.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Reply posted',
+    data: reply,
+  });
+});
+
+/**
+ * Edit your own reply
+ */
+export const updateReply = asyncHandler(async (req, res) => {
+  const reply = await discussionService.updateReply(actorOf(req), req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Reply updated',
+    data: reply,
+  });
+});
+
+/**
+ * Delete a reply (author or moderator)
+ */
+export const deleteReply = asyncHandler(async (req, res) => {
+  const { reply, asModerator } = await discussionService.deleteReply(actorOf(req), req.params.id);
+
+  if (asModerator) {
+    await auditModeration(req, 'DISCUSSION_REPLY_DELETED', 'DISCUSSION_REPLY', reply, 'Reply deleted');
+  }
+
+  res.json({
+    success: true,
+    message: 'Reply deleted',
+  });
+});
+
+/**
+ * Mark a question answered, optionally by a reply (instructor or staff)
+ */
+export const markAnswered = asyncHandler(async (req, res) => {
+  const thread = await discussionService.markAnswered(actorOf(req), req.params.id, req.body.replyId || null);
+
+  res.json({
+    success: true,
+    message: 'Question marked as answered',
+    data: thread,
+  });
+});
+
+export const unmarkAnswered = asyncHandler(async (req, res) => {
+  const thread = await discussionService.unmarkAnswered(actorOf(req), req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Question marked as unanswered',
+    data: thread,
+  });
+});
+
+/**
+ * Upvote a question or reply; DELETE removes the upvote
+ */
+export const upvoteThread = asyncHandler(async (req, res) => {
+  const result = await discussionService.setUpvote(actorOf(req), { threadId: req.params.id }, req.method !== 'DELETE');
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+export const upvoteReply = asyncHandler(async (req, res) => {
+  const result = await discussionService.setUpvote(actorOf(req), { replyId: req.params.id }, req.method !== 'DELETE');
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Hide, pin or lock a question (instructor or moderator)
+ */
+export const moderateThread = asyncHandler(async (req, res) => {
+  const { before, thread } = await discussionService.moderateThread(actorOf(req), req.params.id, req.body);
+
+  await auditModeration(
+    req,
+    'DISCUSSION_THREAD_MODERATED',
+    'DISCUSSION_THREAD',
+    thread,
+    `Question "${thread.title}" moderated`,
+    moderationChanges(before, thread, ['isHidden', 'isPinned', 'isLocked'])
+  );
+
+  res.json({
+    success: true,
+    message: 'Question updated',
+    data: thread,
+  });
+});
+
+/**
+ * Hide or restore a reply (instructor or moderator)
+ */
+export const moderateReply = asyncHandler(async (req, res) => {
+  const { before, reply } = await discussionService.moderateReply(actorOf(req), req.params.id, req.body);
+
+  await auditModeration(
+    req,
+    'DISCUSSION_REPLY_MODERATED',
+    'DISCUSSION_REPLY',
+    reply,
+    reply.isHidden ? 'Reply hidden' : 'Reply restored',
+    moderationChanges(before, reply, ['isHidden'])
+  );
+
+  res.json({
+    success: true,
+    message: reply.isHidden ? 'Reply hidden' : 'Reply restored',
+    data: reply,
+  });
+});
@@ -0,0 +1,267 @@
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { comparePassword } from '../utils/hashPassword.js';
+import { createOTP, verifyOTP, canResendOTP, invalidateOTPs } from '../services/otpService.js';
+import { sendOTPEmail, sendEmailChangeNoticeEmail } from '../services/emailService.js';
+import {
+  generateEmailChangeCancelToken,
+  verifyEmailChangeCancelToken,
+} from '../services/tokenService.js';
+import { revokeAllSessions, SessionRevokeReason } from '../services/sessionService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+import { OtpType } from '@prisma/client';
+
+const auditEmailChange = (req, userId, action, description, changes = null) => createAuditLog({
+  userId,
+  action,
+  entityType: 'USER',
+  entityId: userId,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  changes,
+  riskScore: 50,
+});
+
+const isEmailTaken = async (email, userId) => {
+  const existing = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true },
+  });
+  return Boolean(existing && existing.id !== userId);
+};
+
+/**
+ * Point newsletter subscriptions at the new address
+ */
+const moveNewsletterSubscription = async (fromEmail, toEmail) => {
+  const [from, to] = await Promise.all([
+    prisma.newsletterSubscriber.findUnique({ where: { email: fromEmail } }),
+    prisma.newsletterSubscriber.findUnique({ where: { email: toEmail } }),
+  ]);
+
+  if (!from) return;
+
+  if (to) {
+    // Already subscribed under the new address; drop the duplicate
+    await prisma.newsletterSubscriber.delete({ where: { id: from.id } });
+  } else {
+    await prisma.newsletterSubscriber.update({
+      where: { id: from.id },
+      data: { email: toEmail },
+    });
+  }
+};
+
+/**
+ * Start changing the login email: OTP to the new address, notice with a cancel link to the old one
+ */
+export const requestEmailChange = asyncHandler(async (req, res) => {
+  const { newEmail, password } = req.body;
+  const userId = req.user.id;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  const isValidPassword = await comparePassword(password, user.password);
+  if (!isValidPassword) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid password',
+    });
+  }
+
+  if (newEmail === user.email) {
+    return res.status(400).json({
+      success: false,
+      message: 'This is already your email address',
+    });
+  }
+
+  if (await isEmailTaken(newEmail, userId)) {
+    return res.status(409).json({
+      success: false,
+      message: 'An account with this email already exists',
+    });
+  }
+
+  const canResend = await canResendOTP(userId, OtpType.EMAIL_CHANGE);
+  if (!canResend.canResend) {
+    return res.status(429).json({
+      success: false,
+      message: canResend.message,
+    });
+  }
+
+  // Only the latest requested address can be confirmed
+  await prisma.user.update({
+    where: { id: userId },
+    data: { pendingEmail: newEmail },
+  });
+  await invalidateOTPs(userId, OtpType.EMAIL_CHANGE);
+
+  const otp = await createOTP(userId, OtpType.EMAIL_CHANGE);
+  await sendOTPEmail(newEmail, otp, 'email_change');
+
+  const cancelToken = generateEmailChangeCancelToken({ userId, oldEmail: user.email, newEmail });
+  const cancelUrl = `${config.frontendUrl}/account/email-change/cancel?token=${encodeURIComponent(cancelToken)}`;
+  try {
+    await sendEmailChangeNoticeEmail(user.email, user.fullName, newEmail, cancelUrl);
+  } catch (error) {
+    console.error('Failed to send email change notice:', error);
+  }
+
+  await auditEmailChange(req, userId, 'EMAIL_CHANGE_REQUESTED', 'Email change requested', {
+    from: user.email,
+    to: newEmail,
+  });
+
+  res.json({
+    success: true,
+    message: 'A confirmation code has been sent to your new email address.',
+    data: { pendingEmail: newEmail },
+  });
+});
+
+/**
+ * Confirm the new address with its OTP and swap the login email
+ */
+export const confirmEmailChange = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+  const userId = req.user.id;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, pendingEmail: true },
+  });
+
+  if (!user.pendingEmail) {
+    return res.status(400).json({
+      success: false,
+      message: 'No email change is pending',
+    });
+  }
+
+  const verification = await verifyOTP(userId, otp, OtpType.EMAIL_CHANGE);
+  if (!verification.valid) {
+    return res.status(400).json({
+      success: false,
+      message: verification.message,
+    });
+  }
+
+  // The address may have been registered since the request
+  if (await isEmailTaken(user.pendingEmail, userId)) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { pendingEmail: null },
+    });
+    return res.status(409).json({
+      success: false,
+      message: 'An account with this email already exists',
+    });
+  }
+
+  const oldEmail = user.email;
+  const newEmail = user.pendingEmail;
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      email: newEmail,
+      pendingEmail: null,
+      isEmailVerified: true,
+    },
+  });
+  await moveNewsletterSubscription(oldEmail, newEmail);
+
+  // Every device has to sign in again with the new address
+  await revokeAllSessions(userId, SessionRevokeReason.EMAIL_CHANGED);
+
+  await auditEmailChange(req, userId, 'EMAIL_CHANGED', 'Login email changed', {
+    from: oldEmail,
+    to: newEmail,
+  });
+
+  res.json({
+    success: true,
+    message: 'Email changed successfully. Please login with your new email address.',
+    data: { email: newEmail },
+  });
+});
+
+/**
+ * Cancel link from the notice sent to the old address.
+ * Cancels a pending change, or undoes it if it was already confirmed.
+ */
+export const cancelEmailChange = asyncHandler(async (req, res) => {
+  let decoded;
+  try {
+    decoded = verifyEmailChangeCancelToken(req.body.token);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  const { userId, oldEmail, newEmail } = decoded;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, pendingEmail: true },
+  });
+
+  if (user && user.email === oldEmail && user.pendingEmail === newEmail) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { pendingEmail: null },
+    });
+    await invalidateOTPs(userId, OtpType.EMAIL_CHANGE);
+
+    await auditEmailChange(req, userId, 'EMAIL_CHANGE_CANCELLED', 'Pending email change cancelled from the old address', {
+      from: oldEmail,
+      to: newEmail,
+    });
+
+    return res.json({
+      success: true,
+      message: 'The email change has been cancelled.',
+    });
+  }
+
+  if (user && user.email === newEmail) {
+    if (await isEmailTaken(oldEmail, userId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The original email address is now used by another account. Please contact support.',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { email: oldEmail, pendingEmail: null },
+    });
+    await moveNewsletterSubscription(newEmail, oldEmail);
+    await revokeAllSessions(userId, SessionRevokeReason.EMAIL_CHANGED);
+
+    await auditEmailChange(req, userId, 'EMAIL_CHANGE_REVERTED', 'Email change reverted from the old address', {
+      from: newEmail,
+      to: oldEmail,
+    });
+
+    return res.json({
+      success: true,
+      message: 'Your original email address has been restored. Please login and change your password.',
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'This email change no longer applies to your account',
+  });
+});
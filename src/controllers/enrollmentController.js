@@ -1,5 +1,9 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
+import { resolveEnrollmentCohort, getEffectivePrice, reserveCohortSeat } from '../services/cohortService.js';
+import { hideLessonMedia } from '../services/lessonMediaService.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const prisma = new PrismaClient();
 
@@ -16,7 +20,7 @@ export const enrollInCourse = async (req, res, next) => {
       });
     }
 
-    const { courseId, affiliateCode } = req.body;
+    const { courseId, cohortId, affiliateCode } = req.body;
     const userId = req.user.id;
 
     // Check if already enrolled
@@ -48,6 +52,9 @@ export const enrollInCourse = async (req, res, next) => {
       });
     }
 
+    // Courses that run in cohorts are joined through an open cohort
+    const cohort = await resolveEnrollmentCohort(course, cohortId);
+
     // Check affiliate if provided
     let affiliateId = null;
     if (affiliateCode) {
@@ -60,21 +67,31 @@ export const enrollInCourse = async (req, res, next) => {
       }
     }
 
-    // Create enrollment
-    const enrollment = await prisma.enrollment.create({
-      data: {
-        userId,
-        courseId,
-        status: course.isFree ? 'ACTIVE' : 'PENDING',
-        affiliateId,
-      },
-      include: {
-        course: {
-          include: {
-            instructor: true,
+    // Create enrollment. Free enrollments take their seat now (paid ones once the payment
+    // is verified), re-checked under the cohort lock.
+    const status = getEffectivePrice(course, cohort) === 0 ? 'ACTIVE' : 'PENDING';
+    const enrollment = await prisma.$transaction(async (tx) => {
+      if (status === 'ACTIVE') {
+        await reserveCohortSeat(tx, cohort?.id ?? null);
+      }
+
+      return tx.enrollment.create({
+        data: {
+          userId,
+          courseId,
+          cohortId: cohort?.id ?? null,
+          status,
+          affiliateId,
+        },
+        include: {
+          course: {
+            include: {
+              instructor: true,
+            },
           },
+          cohort: true,
         },
-      },
+      });
     });
 
     // Update course enrollment count
@@ -121,6 +138,7 @@ export const getUserEnrollments = async (req, res, next) => {
               category: true,
             },
           },
+          cohort: true,
         },
         skip,
         take: parseInt(limit),
@@ -160,7 +178,15 @@ export const getEnrollmentById = async (req, res, next) => {
         course: {
           include: {
             instructor: true,
-            lessons: true,
+            lessons: {
+              include: {
+                chapter: {
+                  select: {
+                    isPreview: true,
+                  },
+                },
+              },
+            },
           },
         },
         user: {
@@ -180,8 +206,8 @@ export const getEnrollmentById = async (req, res, next) => {
       });
     }
 
-    // Check if user owns this enrollment or is admin
-    if (enrollment.userId !== userId && req.user.role !== 'ADMIN') {
+    // Check if user owns this enrollment or may read everyone's
+    if (enrollment.userId !== userId && !hasPermission(req, PERMISSIONS.ENROLLMENTS_READ)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied',
@@ -190,7 +216,13 @@ export const getEnrollmentById = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: enrollment,
+      data: {
+        ...enrollment,
+        course: {
+          ...enrollment.course,
+          lessons: enrollment.course.lessons.map(lesson => hideLessonMedia(lesson)),
+        },
+      },
     });
   } catch (error) {
     next(error);
@@ -249,12 +281,13 @@ export const unenrollFromCourse = async (req, res, next) => {
  */
 export const getAllEnrollments = async (req, res, next) => {
   try {
-    const { status, courseId, userId, page = 1, limit = 10 } = req.query;
+    const { status, courseId, cohortId, userId, page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = {};
     if (status) where.status = status;
     if (courseId) where.courseId = courseId;
+    if (cohortId) where.cohortId = cohortId;
     if (userId) where.userId = userId;
 
     const [enrollments, total] = await Promise.all([
@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
+import { localize } from '../services/translationService.js';
 
 const prisma = new PrismaClient();
 
@@ -37,7 +38,7 @@ export const getAllFAQs = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: faqs,
+      data: await localize('FAQ', faqs, req.locales),
     });
   } catch (error) {
     next(error);
@@ -64,7 +65,7 @@ export const getFAQById = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: faq,
+      data: await localize('FAQ', faq, req.locales),
     });
   } catch (error) {
     next(error);
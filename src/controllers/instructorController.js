@@ -348,10 +348,18 @@ export const deleteInstructor = async (req, res, next) => {
       });
     }
 
-    await prisma.instructor.delete({
+    const instructor = await prisma.instructor.delete({
       where: { id },
     });
 
+    // A linked account loses portal access along with the profile
+    if (instructor.userId) {
+      await prisma.user.update({
+        where: { id: instructor.userId },
+        data: { role: 'USER' },
+      });
+    }
+
     res.json({
       success: true,
       message: 'Instructor deleted successfully',
@@ -368,3 +376,130 @@ export const deleteInstructor = async (req, res, next) => {
 };
 
 
+
+/**
+ * Link an instructor profile to a user account so they can use the instructor portal (Admin only)
+ */
+export const linkInstructorAccount = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { userId, email } = req.body;
+
+    const instructor = await prisma.instructor.findUnique({
+      where: { id },
+    });
+
+    if (!instructor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor not found',
+      });
+    }
+
+    if (instructor.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Instructor is already linked to a user account',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: userId ? { id: userId } : { email },
+      include: { instructorProfile: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.instructorProfile) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already linked to another instructor profile',
+      });
+    }
+
+    if (user.role !== 'USER') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot convert a ${user.role} account into an instructor account`,
+      });
+    }
+
+    const [updatedInstructor] = await prisma.$transaction([
+      prisma.instructor.update({
+        where: { id },
+        data: { userId: user.id },
+      }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: { role: 'INSTRUCTOR' },
+      }),
+    ]);
+
+    res.json({
+      success: true,
+      data: updatedInstructor,
+      message: 'Instructor account linked successfully. The user must log in again to use the instructor portal.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the user account link from an instructor profile (Admin only)
+ */
+export const unlinkInstructorAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const instructor = await prisma.instructor.findUnique({
+      where: { id },
+    });
+
+    if (!instructor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor not found',
+      });
+    }
+
+    if (!instructor.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Instructor is not linked to a user account',
+      });
+    }
+
+    const [updatedInstructor] = await prisma.$transaction([
+      prisma.instructor.update({
+        where: { id },
+        data: { userId: null },
+      }),
+      prisma.user.update({
+        where: { id: instructor.userId },
+        data: { role: 'USER' },
+      }),
+    ]);
+
+    res.json({
+      success: true,
+      data: updatedInstructor,
+      message: 'Instructor account unlinked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
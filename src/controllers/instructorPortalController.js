@@ -0,0 +1,278 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as instructorEarningService from '../services/instructorEarningService.js';
+
+// Profile fields an instructor may change themselves; the rest stays admin-managed
+const SELF_EDITABLE_FIELDS = [
+  'bio',
+  'designation',
+  'specialization',
+  'phone',
+  'bankName',
+  'accountNumber',
+  'ifscCode',
+  'panNumber',
+];
+
+/**
+ * Get the logged-in instructor's profile
+ */
+export const getMyProfile = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: req.instructor,
+  });
+});
+
+/**
+ * Update the logged-in instructor's profile
+ */
+export const updateMyProfile = asyncHandler(async (req, res) => {
+  const updateData = {};
+
+  for (const field of SELF_EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      updateData[field] = req.body[field] || null;
+    }
+  }
+
+  if (req.cloudinary?.url || req.body.image !== undefined) {
+    updateData.image = req.cloudinary?.url || req.body.image || null;
+  }
+
+  if (req.body.socialLinks !== undefined) {
+    updateData.socialLinks = typeof req.body.socialLinks === 'string'
+      ? JSON.parse(req.body.socialLinks)
+      : req.body.socialLinks;
+  }
+
+  const instructor = await prisma.instructor.update({
+    where: { id: req.instructor.id },
+    data: updateData,
+  });
+
+  res.json({
+    success: true,
+    data: instructor,
+    message: 'Profile updated successfully',
+  });
+});
+
+/**
+ * List the instructor's own courses
+ */
+export const getMyCourses = asyncHandler(async (req, res) => {
+  const courses = await prisma.course.findMany({
+    where: { instructorId: req.instructor.id },
+    include: {
+      category: {
+        select: { id: true, name: true, slug: true },
+      },
+      _count: {
+        select: {
+          chapters: true,
+          lessons: true,
+          enrollments: true,
+          assignments: true,
+        },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  res.json({
+    success: true,
+    data: courses,
+  });
+});
+
+/**
+ * Get one of the instructor's courses with its full curriculum
+ */
+export const getMyCourse = asyncHandler(async (req, res) => {
+  const course = await prisma.course.findUnique({
+    where: { id: req.params.courseId },
+    include: {
+      category: true,
+      chapters: {
+        orderBy: { order: 'asc' },
+        include: {
+          lessons: {
+            orderBy: { order: 'asc' },
+            include: { quiz: { include: { questions: { orderBy: { order: 'asc' } } } } },
+          },
+        },
+      },
+      lessons: {
+        where: { chapterId: null },
+        orderBy: { order: 'asc' },
+        include: { quiz: { include: { questions: { orderBy: { order: 'asc' } } } } },
+      },
+      assignments: {
+        orderBy: { createdAt: 'asc' },
+      },
+      liveClasses: {
+        orderBy: { scheduledAt: 'asc' },
+      },
+    },
+  });
+
+  res.json({
+    success: true,
+    data: course,
+  });
+});
+
+/**
+ * List students enrolled in one of the instructor's courses
+ */
+export const getMyCourseStudents = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const where = { courseId };
+
+  const [enrollments, total] = await Promise.all([
+    prisma.enrollment.findMany({
+      where,
+      select: {
+        id: true,
+        status: true,
+        progress: true,
+        completedAt: true,
+        createdAt: true,
+        user: {
+          select: { id: true, fullName: true, email: true, profileImage: true },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.enrollment.count({ where }),
+  ]);
+
+  res.json({
+    success: true,
+    data: enrollments,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * List assignment submissions across the instructor's courses
+ */
+export const getMySubmissions = asyncHandler(async (req, res) => {
+  const { courseId, graded } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const where = {
+    assignment: {
+      course: { instructorId: req.instructor.id },
+      ...(courseId && { courseId }),
+    },
+  };
+
+  if (graded === 'true') where.gradedAt = { not: null };
+  if (graded === 'false') where.gradedAt = null;
+
+  const [submissions, total] = await Promise.all([
+    prisma.assignmentSubmission.findMany({
+      where,
+      include: {
+        user: {
+          select: { id: true, fullName: true, email: true },
+        },
+        assignment: {
+          select: { id: true, title: true, maxScore: true, courseId: true },
+        },
+      },
+      orderBy: { submittedAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.assignmentSubmission.count({ where }),
+  ]);
+
+  res.json({
+    success: true,
+    data: submissions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * List the instructor's live classes
+ */
+export const getMyLiveClasses = asyncHandler(async (req, res) => {
+  const liveClasses = await prisma.liveClass.findMany({
+    where: { instructorId: req.instructor.id },
+    include: {
+      course: {
+        select: { id: true, title: true, slug: true },
+      },
+      _count: {
+        select: { enrollments: true },
+      },
+    },
+    orderBy: { scheduledAt: 'desc' },
+  });
+
+  res.json({
+    success: true,
+    data: liveClasses,
+  });
+});
+
+/**
+ * Get the instructor's earnings summary
+ */
+export const getMyEarningsSummary = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const summary = await instructorEarningService.getInstructorEarningsSummary(req.instructor.id, {
+    startDate,
+    endDate,
+  });
+
+  res.json({
+    success: true,
+    data: summary,
+  });
+});
+
+/**
+ * List the instructor's individual earnings
+ */
+export const getMyEarnings = asyncHandler(async (req, res) => {
+  const { courseId, status, startDate, endDate, page, limit } = req.query;
+
+  const result = await instructorEarningService.getInstructorEarningsByInstructor(req.instructor.id, {
+    courseId,
+    status,
+    startDate,
+    endDate,
+    page: page || 1,
+    limit: limit || 10,
+  });
+
+  res.json({
+    success: true,
+    data: result.earnings,
+    pagination: result.pagination,
+  });
+});
@@ -1,9 +1,29 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import { generateSlug } from '../utils/helpers.js';
+import * as courseRevisionService from '../services/courseRevisionService.js';
+import { checkLessonAccess } from '../services/lessonAccessService.js';
+import { isPublicLesson, hideLessonMedia, signLessonMedia } from '../services/lessonMediaService.js';
+import * as lessonVideoService from '../services/lessonVideoService.js';
+import { localize, localizeCourses } from '../services/translationService.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Hand an uploaded video (if any) to the background HLS pipeline
+ */
+const queueUploadedVideo = async (req, lesson, courseId, revisionId = null) => {
+  if (!req.stagedVideo) return null;
+  const video = await lessonVideoService.queueLessonVideo({
+    lessonId: lesson.id,
+    courseId,
+    revisionId,
+    stagedVideo: req.stagedVideo,
+    uploadedBy: req.user?.id,
+  });
+  return lessonVideoService.getVideoStatus(video);
+};
+
 /**
  * Get all lessons for a course
  */
@@ -12,7 +32,7 @@ export const getCourseLessons = async (req, res, next) => {
     const { courseId } = req.params;
     const userId = req.user?.id;
 
-    const course = await prisma.course.findUnique({
+    const course = await localizeCourses(await prisma.course.findUnique({
       where: { id: courseId },
       include: {
         instructor: true,
@@ -57,7 +77,7 @@ export const getCourseLessons = async (req, res, next) => {
           },
         } : false,
       },
-    });
+    }), req.locales);
 
     if (!course) {
       return res.status(404).json({
@@ -69,7 +89,7 @@ export const getCourseLessons = async (req, res, next) => {
     // Check if user has access (enrolled, preview, or is instructor/admin)
     if (userId) {
       const isEnrolled = course.enrollments && course.enrollments.length > 0;
-      const isInstructor = course.instructor?.id === userId;
+      const isInstructor = course.instructor?.userId === userId;
 
       // If user is instructor or admin, return all lessons
       if (isInstructor) {
@@ -84,7 +104,8 @@ export const getCourseLessons = async (req, res, next) => {
         return;
       }
 
-      // Process chapters and their lessons for enrolled users
+      // Process chapters and their lessons for enrolled users. Paid media is never listed;
+      // the lesson endpoint hands out signed links.
       const processedChapters = course.chapters.map(chapter => ({
         ...chapter,
         lessons: chapter.lessons.map(lesson => {
@@ -96,7 +117,7 @@ export const getCourseLessons = async (req, res, next) => {
               attachmentUrl: null,
             };
           }
-          return lesson;
+          return hideLessonMedia(lesson, chapter);
         }),
       }));
 
@@ -110,7 +131,7 @@ export const getCourseLessons = async (req, res, next) => {
             attachmentUrl: null,
           };
         }
-        return lesson;
+        return hideLessonMedia(lesson, null);
       });
 
       res.json({
@@ -164,7 +185,7 @@ export const getLessonById = async (req, res, next) => {
     const { id } = req.params;
     const userId = req.user?.id;
 
-    const lesson = await prisma.lesson.findUnique({
+    const lesson = await localize('LESSON', await prisma.lesson.findUnique({
       where: { id },
       include: {
         course: {
@@ -177,6 +198,11 @@ export const getLessonById = async (req, res, next) => {
             } : false,
           },
         },
+        chapter: {
+          select: {
+            isPreview: true,
+          },
+        },
         progress: userId ? {
           where: {
             userId,
@@ -184,7 +210,7 @@ export const getLessonById = async (req, res, next) => {
         } : false,
         quiz: true,
       },
-    });
+    }), req.locales);
 
     if (!lesson) {
       return res.status(404).json({
@@ -209,9 +235,32 @@ export const getLessonById = async (req, res, next) => {
       });
     }
 
+    const video = await prisma.lessonVideo.findUnique({
+      where: { lessonId: lesson.id },
+    });
+
+    // Paid media goes out as short-lived links for this user, once the lesson is unlocked.
+    // Preview lessons still need one for the HLS playlist.
+    let data = { ...lesson, video: lessonVideoService.describeLessonVideo(video, lesson) };
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    if (isPublicLesson(lesson)) {
+      data = signLessonMedia(data, userId ?? null, baseUrl);
+    } else {
+      const access = await checkLessonAccess(userId, lesson.id);
+      data = access.canAccess
+        ? signLessonMedia(data, userId, baseUrl)
+        : {
+          ...hideLessonMedia(data),
+          mediaLocked: {
+            reason: access.reason,
+            unlocksAt: access.unlocksAt ?? null,
+          },
+        };
+    }
+
     res.json({
       success: true,
-      data: lesson,
+      data,
     });
   } catch (error) {
     next(error);
@@ -260,6 +309,23 @@ export const createLesson = async (req, res, next) => {
       });
     }
 
+    // While a draft is open, curriculum edits go to the draft
+    const draft = await courseRevisionService.getOpenDraft(courseId);
+    if (draft) {
+      const lesson = await courseRevisionService.createDraftLesson(
+        draft,
+        courseRevisionService.normaliseLessonInput(req.body)
+      );
+      const video = await queueUploadedVideo(req, lesson, courseId, draft.id);
+
+      return res.status(201).json({
+        success: true,
+        data: { ...lesson, video },
+        draft: true,
+        message: 'Lesson added to the draft',
+      });
+    }
+
     // Auto-generate slug if not provided
     let finalSlug = slug;
     if (!finalSlug && title) {
@@ -330,7 +396,7 @@ export const createLesson = async (req, res, next) => {
         slug: finalSlug,
         description: description || null,
         content: content || null,
-        videoUrl: req.cloudinary?.url || videoUrl || null,
+        videoUrl: videoUrl || null,
         videoDuration: videoDuration ? parseInt(videoDuration) : null,
         attachmentUrl: attachmentUrl || null,
         lessonType: lessonType || 'VIDEO',
@@ -338,6 +404,7 @@ export const createLesson = async (req, res, next) => {
         isPreview: isPreview === true || isPreview === 'true',
         isLocked: isLocked === true || isLocked === 'true',
         unlockRequirement: parsedUnlockRequirement,
+        ...courseRevisionService.normaliseReleaseInput(req.body),
       },
       include: {
         course: true,
@@ -345,10 +412,12 @@ export const createLesson = async (req, res, next) => {
       },
     });
 
+    const video = await queueUploadedVideo(req, lesson, courseId);
+
     res.status(201).json({
       success: true,
-      data: lesson,
-      message: 'Lesson created successfully',
+      data: { ...lesson, video },
+      message: video ? 'Lesson created; the video is being processed' : 'Lesson created successfully',
     });
   } catch (error) {
     next(error);
@@ -385,6 +454,23 @@ export const updateLesson = async (req, res, next) => {
       unlockRequirement,
     } = req.body;
 
+    const draft = await courseRevisionService.findDraftForLesson(id);
+    if (draft) {
+      const lesson = await courseRevisionService.updateDraftLesson(
+        draft,
+        id,
+        courseRevisionService.normaliseLessonInput(req.body)
+      );
+      const video = await queueUploadedVideo(req, lesson, draft.courseId, draft.id);
+
+      return res.json({
+        success: true,
+        data: { ...lesson, video },
+        draft: true,
+        message: 'Lesson updated in the draft',
+      });
+    }
+
     const existingLesson = await prisma.lesson.findUnique({
       where: { id },
     });
@@ -459,8 +545,8 @@ export const updateLesson = async (req, res, next) => {
     if (chapterId !== undefined) updateData.chapterId = chapterId || null;
     if (description !== undefined) updateData.description = description || null;
     if (content !== undefined) updateData.content = content || null;
-    if (req.cloudinary?.url || videoUrl !== undefined) {
-      updateData.videoUrl = req.cloudinary?.url || videoUrl || null;
+    if (videoUrl !== undefined) {
+      updateData.videoUrl = videoUrl || null;
     }
     if (videoDuration !== undefined) {
       updateData.videoDuration = videoDuration ? parseInt(videoDuration) : null;
@@ -477,6 +563,7 @@ export const updateLesson = async (req, res, next) => {
     if (unlockRequirement !== undefined) {
       updateData.unlockRequirement = parsedUnlockRequirement;
     }
+    Object.assign(updateData, courseRevisionService.normaliseReleaseInput(req.body));
 
     const lesson = await prisma.lesson.update({
       where: { id },
@@ -487,10 +574,14 @@ export const updateLesson = async (req, res, next) => {
       },
     });
 
+    const video = req.stagedVideo
+      ? await queueUploadedVideo(req, lesson, lesson.courseId)
+      : lessonVideoService.getVideoStatus(await prisma.lessonVideo.findUnique({ where: { lessonId: id } }));
+
     res.json({
       success: true,
-      data: lesson,
-      message: 'Lesson updated successfully',
+      data: { ...lesson, video },
+      message: req.stagedVideo ? 'Lesson updated; the video is being processed' : 'Lesson updated successfully',
     });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -517,9 +608,26 @@ export const deleteLesson = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    const draft = await courseRevisionService.findDraftForLesson(id);
+    if (draft) {
+      await courseRevisionService.deleteDraftLesson(draft, id);
+      // A lesson that only existed in the draft takes its upload with it
+      const liveLesson = await prisma.lesson.findUnique({ where: { id }, select: { id: true } });
+      if (!liveLesson) {
+        await lessonVideoService.removeLessonVideo(id);
+      }
+
+      return res.json({
+        success: true,
+        draft: true,
+        message: 'Lesson removed from the draft',
+      });
+    }
+
     await prisma.lesson.delete({
       where: { id },
     });
+    await lessonVideoService.removeLessonVideo(id);
 
     res.json({
       success: true,
@@ -536,4 +644,27 @@ export const deleteLesson = async (req, res, next) => {
   }
 };
 
+/**
+ * Processing status of a lesson's uploaded video (Admin/Instructor)
+ */
+export const getLessonVideoStatus = async (req, res, next) => {
+  try {
+    const video = await prisma.lessonVideo.findUnique({
+      where: { lessonId: req.params.id },
+    });
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'No video has been uploaded for this lesson',
+      });
+    }
 
+    res.json({
+      success: true,
+      data: lessonVideoService.getVideoStatus(video),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,195 @@
+import { Readable } from 'stream';
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { config } from '../config/env.js';
+import {
+  verifyLessonMediaToken,
+  verifyLessonMediaPath,
+  signLessonMediaPath,
+} from '../services/tokenService.js';
+import { MEDIA_ASSETS, HLS_ASSET, isPublicLesson } from '../services/lessonMediaService.js';
+import { getSignedDeliveryUrl } from '../services/cloudinaryService.js';
+
+// Upstream headers a media player needs (ranges for seeking)
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+const PRIVATE_MEDIA_HEADERS = {
+  // The link is per user and short-lived; keep it out of shared caches
+  'Cache-Control': 'private, no-store',
+  // Played by the frontend, which is on another origin
+  'Cross-Origin-Resource-Policy': 'cross-origin',
+};
+
+/**
+ * Relay an upstream file (with range support) to the player
+ */
+const pipeUpstream = async (url, req, res) => {
+  const upstream = await fetch(getSignedDeliveryUrl(url), {
+    method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+    headers: req.headers.range ? { Range: req.headers.range } : {},
+  });
+
+  if (upstream.status === 416) {
+    return res.status(416).set('Content-Range', upstream.headers.get('content-range') || '').end();
+  }
+  if (!upstream.ok) {
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to load media',
+    });
+  }
+
+  for (const header of FORWARDED_HEADERS) {
+    if (upstream.headers.get(header)) {
+      res.set(header, upstream.headers.get(header));
+    }
+  }
+  res.set(PRIVATE_MEDIA_HEADERS);
+  res.status(upstream.status);
+
+  if (!upstream.body || req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const body = Readable.fromWeb(upstream.body);
+  // Players abort range requests constantly while seeking
+  res.on('close', () => body.destroy());
+  body.on('error', () => res.destroy());
+  body.pipe(res);
+};
+
+/**
+ * Serve a lesson's HLS playlists and segments through its media link. The renditions use
+ * authenticated delivery, so every URI in a playlist is rewritten to come back through this
+ * link (with a signature for its path) and the player never holds a lasting CDN URL.
+ * Those paths stay valid for the length of the video, so playback outlives the link.
+ */
+const sendHls = async (lessonId, req, res) => {
+  const video = await prisma.lessonVideo.findUnique({
+    where: { lessonId },
+    select: { status: true, manifestUrl: true, duration: true },
+  });
+
+  if (!video || video.status !== 'READY' || !video.manifestUrl) {
+    return res.status(404).json({
+      success: false,
+      message: 'Media not found',
+    });
+  }
+
+  const { token, signature } = req.params;
+  let url = video.manifestUrl;
+  // Paths listed in a rendition playlist share its window; the master playlist opens one
+  let { expires } = req.params;
+  if (!signature) {
+    const playbackSeconds = (video.duration || 0) + config.lessonMedia.playbackGraceMinutes * 60;
+    expires = String(Math.floor(Date.now() / 1000) + playbackSeconds);
+  }
+
+  // A rendition playlist or segment listed in an earlier playlist (checked by the caller)
+  if (signature) {
+    const path = req.params[0];
+    url = `${new URL(video.manifestUrl).origin}/${encodeURI(path)}`;
+    if (!/\.m3u8$/i.test(path)) {
+      return await pipeUpstream(url, req, res);
+    }
+  }
+
+  const upstream = await fetch(getSignedDeliveryUrl(url));
+  if (!upstream.ok) {
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to load media',
+    });
+  }
+
+  const { origin } = new URL(video.manifestUrl);
+  const linkBase = `${req.protocol}://${req.get('host')}${req.baseUrl}/lessons/${token}/hls`;
+  const toLink = (uri) => {
+    const target = new URL(uri, url);
+    if (target.origin !== origin) {
+      return target.toString();
+    }
+    const path = decodeURIComponent(target.pathname.slice(1));
+    return `${linkBase}/${expires}/${signLessonMediaPath(token, path, expires)}/${encodeURI(path)}`;
+  };
+
+  const playlist = (await upstream.text())
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+      if (trimmed && !trimmed.startsWith('#')) {
+        return toLink(trimmed);
+      }
+      // Tags like #EXT-X-MEDIA and #EXT-X-KEY carry URIs in an attribute
+      return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${toLink(uri)}"`);
+    })
+    .join('\n');
+
+  res.set({
+    'Content-Type': 'application/vnd.apple.mpegurl',
+    ...PRIVATE_MEDIA_HEADERS,
+  });
+  res.send(playlist);
+};
+
+/**
+ * Stream a paid lesson's video or attachment (or serve its HLS playlists) for a signed media link
+ */
+export const streamLessonMedia = asyncHandler(async (req, res) => {
+  const { token, signature } = req.params;
+
+  let decoded;
+  try {
+    // Playlist and segment paths are checked against their own expiry, not the link's
+    decoded = signature
+      ? verifyLessonMediaPath(token, { path: req.params[0], expires: req.params.expires, signature })
+      : verifyLessonMediaToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  const isHls = decoded.asset === HLS_ASSET;
+  const field = MEDIA_ASSETS[decoded.asset];
+  const [user, lesson] = await Promise.all([
+    decoded.userId
+      ? prisma.user.findUnique({
+        where: { id: decoded.userId },
+        select: { isActive: true },
+      })
+      : null,
+    prisma.lesson.findUnique({
+      where: { id: decoded.lessonId },
+      select: {
+        isPreview: true,
+        chapter: { select: { isPreview: true } },
+        ...(field && { [field]: true }),
+      },
+    }),
+  ]);
+
+  // Links without a user are only handed out for preview lessons
+  const allowed = decoded.userId ? user?.isActive : lesson && isPublicLesson(lesson);
+  if (!allowed) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid media link',
+    });
+  }
+
+  if (isHls) {
+    return await sendHls(decoded.lessonId, req, res);
+  }
+
+  if (!lesson || !field || !lesson[field] || signature) {
+    return res.status(404).json({
+      success: false,
+      message: 'Media not found',
+    });
+  }
+
+  await pipeUpstream(lesson[field], req, res);
+});
@@ -0,0 +1,93 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as lessonNoteService from '../services/lessonNoteService.js';
+
+/**
+ * Search the logged-in student's notes
+ */
+export const searchMyNotes = asyncHandler(async (req, res) => {
+  const { q, courseId, lessonId, type, page = 1, limit = 20 } = req.query;
+
+  const { notes, pagination } = await lessonNoteService.searchNotes(req.user.id, {
+    q,
+    courseId,
+    lessonId,
+    type,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: notes,
+    pagination,
+  });
+});
+
+/**
+ * The logged-in student's notes and bookmarks on a lesson
+ */
+export const getLessonNotes = asyncHandler(async (req, res) => {
+  const notes = await lessonNoteService.getLessonNotes(req.user.id, req.params.lessonId);
+
+  res.json({
+    success: true,
+    data: notes,
+  });
+});
+
+/**
+ * Add a note or bookmark to a lesson
+ */
+export const createNote = asyncHandler(async (req, res) => {
+  const note = await lessonNoteService.createNote(req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: note.type === 'BOOKMARK' ? 'Bookmark added' : 'Note saved',
+    data: note,
+  });
+});
+
+/**
+ * Edit one of the student's notes
+ */
+export const updateNote = asyncHandler(async (req, res) => {
+  const note = await lessonNoteService.updateNote(req.user.id, req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Note updated',
+    data: note,
+  });
+});
+
+/**
+ * Delete one of the student's notes
+ */
+export const deleteNote = asyncHandler(async (req, res) => {
+  await lessonNoteService.deleteNote(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Note deleted',
+  });
+});
+
+/**
+ * Download the student's notes on a course as Markdown or PDF
+ */
+export const exportCourseNotes = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'markdown';
+  const notes = await lessonNoteService.getCourseNotes(req.user.id, req.params.courseId);
+  const filename = `${notes.course.slug}-notes`;
+
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.send(await lessonNoteService.renderNotesPdf(notes));
+  }
+
+  res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.md"`);
+  res.send(lessonNoteService.renderNotesMarkdown(notes));
+});
@@ -1,6 +1,9 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import * as zoomService from '../services/zoomService.js';
+import { recordStatement } from '../services/xapiService.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const prisma = new PrismaClient();
 
@@ -13,6 +16,7 @@ export const getAllLiveClasses = async (req, res, next) => {
       status,
       instructorId,
       courseId,
+      cohortId,
       upcoming,
       page = 1,
       limit = 10,
@@ -24,6 +28,7 @@ export const getAllLiveClasses = async (req, res, next) => {
     if (status) where.status = status;
     if (instructorId) where.instructorId = instructorId;
     if (courseId) where.courseId = courseId;
+    if (cohortId) where.cohortId = cohortId;
 
     // Filter upcoming classes
     if (upcoming === 'true') {
@@ -47,6 +52,12 @@ export const getAllLiveClasses = async (req, res, next) => {
               slug: true,
             },
           },
+          cohort: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
           _count: {
             select: {
               enrollments: true,
@@ -148,6 +159,7 @@ export const createLiveClass = async (req, res, next) => {
       title,
       description,
       courseId,
+      cohortId,
       instructorId,
       scheduledAt,
       duration,
@@ -185,6 +197,21 @@ export const createLiveClass = async (req, res, next) => {
       }
     }
 
+    // A cohort class belongs to the cohort's course
+    let cohort = null;
+    if (cohortId) {
+      cohort = await prisma.cohort.findUnique({
+        where: { id: cohortId },
+      });
+
+      if (!cohort || (courseId && cohort.courseId !== courseId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cohort not found for this course',
+        });
+      }
+    }
+
     // Handle Zoom meeting generation
     let zoomMeetingData = {};
     let finalMeetingProvider = meetingProvider || 'OTHER';
@@ -238,7 +265,8 @@ export const createLiveClass = async (req, res, next) => {
       data: {
         title,
         description,
-        courseId: courseId || null,
+        courseId: courseId || cohort?.courseId || null,
+        cohortId: cohortId || null,
         instructorId,
         scheduledAt: new Date(scheduledAt),
         duration: parseInt(duration),
@@ -284,6 +312,7 @@ export const updateLiveClass = async (req, res, next) => {
       title,
       description,
       courseId,
+      cohortId,
       instructorId,
       scheduledAt,
       duration,
@@ -338,11 +367,31 @@ export const updateLiveClass = async (req, res, next) => {
       }
     }
 
+    // Validate cohort against the class's (new) course; moving the class to another course leaves its cohort
+    const targetCourseId = courseId !== undefined ? courseId || null : liveClass.courseId;
+    let cohortUpdate = {};
+    if (cohortId) {
+      const cohort = await prisma.cohort.findUnique({
+        where: { id: cohortId },
+      });
+
+      if (!cohort || (targetCourseId && cohort.courseId !== targetCourseId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cohort not found for this course',
+        });
+      }
+      cohortUpdate = { cohortId, courseId: cohort.courseId };
+    } else if (cohortId !== undefined || targetCourseId !== liveClass.courseId) {
+      cohortUpdate = { cohortId: null };
+    }
+
     // Handle Zoom meeting updates
     let updateData = {
       ...(title && { title }),
       ...(description !== undefined && { description }),
       ...(courseId !== undefined && { courseId: courseId || null }),
+      ...cohortUpdate,
       ...(instructorId && { instructorId }),
       ...(scheduledAt && { scheduledAt: new Date(scheduledAt) }),
       ...(duration !== undefined && { duration: parseInt(duration) }),
@@ -498,6 +547,11 @@ export const enrollInLiveClass = async (req, res, next) => {
 
     const liveClass = await prisma.liveClass.findUnique({
       where: { id },
+      include: {
+        cohort: {
+          select: { course: { select: { instructor: { select: { userId: true } } } } },
+        },
+      },
     });
 
     if (!liveClass) {
@@ -507,6 +561,29 @@ export const enrollInLiveClass = async (req, res, next) => {
       });
     }
 
+    // Cohort classes are for that cohort's students, staff and the course's instructor
+    const instructorUserId = liveClass.cohort?.course.instructor?.userId;
+    const canManage = hasPermission(req, PERMISSIONS.LIVE_CLASSES_MANAGE) ||
+      (instructorUserId && instructorUserId === userId);
+
+    if (liveClass.cohortId && !canManage) {
+      const cohortEnrollment = await prisma.enrollment.findFirst({
+        where: {
+          userId,
+          cohortId: liveClass.cohortId,
+          status: { in: ['ACTIVE', 'COMPLETED'] },
+        },
+        select: { id: true },
+      });
+
+      if (!cohortEnrollment) {
+        return res.status(403).json({
+          success: false,
+          message: 'This live class is only open to students of its cohort',
+        });
+      }
+    }
+
     // Check if already enrolled
     const existingEnrollment = await prisma.liveClassEnrollment.findUnique({
       where: {
@@ -555,8 +632,8 @@ export const markAttendance = async (req, res, next) => {
   try {
     const { id, userId } = req.params;
 
-    // Only admin or the user themselves can mark attendance
-    if (req.user.role !== 'ADMIN' && req.user.id !== userId) {
+    // Only live class staff or the user themselves can mark attendance
+    if (!hasPermission(req, PERMISSIONS.LIVE_CLASSES_MANAGE) && req.user.id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to mark attendance',
@@ -602,6 +679,17 @@ export const markAttendance = async (req, res, next) => {
       },
     });
 
+    // Marking attendance again doesn't produce a second record
+    if (!enrollment.attended) {
+      const { liveClass } = updatedEnrollment;
+      await recordStatement({
+        user: updatedEnrollment.user,
+        verb: 'attended',
+        object: { type: 'live-class', id: liveClass.id, name: liveClass.title },
+        ...(liveClass.courseId && { course: { id: liveClass.courseId } }),
+      });
+    }
+
     res.json({
       success: true,
       message: 'Attendance marked successfully',
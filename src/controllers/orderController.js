@@ -1,11 +1,13 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import * as orderService from '../services/orderService.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const prisma = new PrismaClient();
 
 /**
- * Get all orders (User sees own orders, Admin sees all)
+ * Get all orders (User sees own orders, order managers see all)
  */
 export const getAllOrders = async (req, res, next) => {
   try {
@@ -21,8 +23,8 @@ export const getAllOrders = async (req, res, next) => {
 
     const where = {};
 
-    // Users can only see their own orders, admins can see all
-    if (currentUser.role !== 'ADMIN') {
+    // Users can only see their own orders, order managers can see all
+    if (!hasPermission(req, PERMISSIONS.ORDERS_MANAGE)) {
       where.userId = currentUser.id;
     } else if (userId) {
       where.userId = userId;
@@ -92,7 +94,10 @@ export const getOrderById = async (req, res, next) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const order = await orderService.getOrderById(id, userId);
+    const order = await orderService.getOrderById(
+      id,
+      hasPermission(req, PERMISSIONS.ORDERS_MANAGE) ? null : userId
+    );
 
     if (!order) {
       return res.status(404).json({
@@ -202,7 +207,7 @@ export const cancelOrder = async (req, res, next) => {
     }
 
     // Check authorization
-    if (order.userId !== userId && req.user.role !== 'ADMIN') {
+    if (order.userId !== userId && !hasPermission(req, PERMISSIONS.ORDERS_MANAGE)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this order',
@@ -0,0 +1,537 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { generateSlug } from '../utils/helpers.js';
+import { getUserPermissions } from '../services/permissionService.js';
+import * as paymentService from '../services/paymentService.js';
+import * as organisationService from '../services/organisationService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+const auditOrganisationChange = (req, action, entityId, description, changes = null) => createAuditLog({
+  userId: req.user.id,
+  action,
+  entityType: 'ORGANISATION',
+  entityId,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  changes,
+  metadata: { organisationId: req.organisation?.id || entityId },
+});
+
+const countAdmins = (organisationId) => prisma.organisationMember.count({
+  where: { organisationId, role: 'ADMIN' },
+});
+
+/**
+ * Create an organisation; the creator becomes its first admin
+ */
+export const createOrganisation = asyncHandler(async (req, res) => {
+  const { name, contactEmail } = req.body;
+
+  let slug = generateSlug(name);
+  let counter = 1;
+  while (await prisma.organisation.findUnique({ where: { slug } })) {
+    slug = `${generateSlug(name)}-${counter}`;
+    counter++;
+  }
+
+  const organisation = await prisma.organisation.create({
+    data: {
+      name,
+      slug,
+      contactEmail: contactEmail || req.user.email,
+      members: {
+        create: {
+          userId: req.user.id,
+          role: 'ADMIN',
+        },
+      },
+    },
+  });
+
+  await auditOrganisationChange(req, 'ORGANISATION_CREATED', organisation.id, `Organisation "${organisation.name}" created`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Organisation created successfully',
+    data: organisation,
+  });
+});
+
+/**
+ * Organisations the current user belongs to
+ */
+export const getMyOrganisations = asyncHandler(async (req, res) => {
+  const memberships = await prisma.organisationMember.findMany({
+    where: { userId: req.user.id },
+    include: {
+      organisation: true,
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  res.json({
+    success: true,
+    data: memberships.map((membership) => ({
+      ...membership.organisation,
+      role: membership.role,
+    })),
+  });
+});
+
+/**
+ * All organisations (staff)
+ */
+export const getAllOrganisations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, search } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = search
+    ? { name: { contains: search, mode: 'insensitive' } }
+    : {};
+
+  const [organisations, total] = await Promise.all([
+    prisma.organisation.findMany({
+      where,
+      include: {
+        _count: {
+          select: { members: true, seatPools: true },
+        },
+      },
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.organisation.count({ where }),
+  ]);
+
+  res.json({
+    success: true,
+    data: organisations,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+export const getOrganisation = asyncHandler(async (req, res) => {
+  const organisation = await prisma.organisation.findUnique({
+    where: { id: req.organisation.id },
+    include: {
+      _count: {
+        select: { members: true },
+      },
+      seatPools: {
+        include: {
+          course: { select: { id: true, title: true, slug: true } },
+        },
+      },
+    },
+  });
+
+  const used = await organisationService.countUsedSeats(organisation.seatPools.map((pool) => pool.id));
+
+  res.json({
+    success: true,
+    data: {
+      ...organisation,
+      seatPools: organisation.seatPools.map((pool) => ({
+        ...pool,
+        usedSeats: used.get(pool.id) || 0,
+        availableSeats: Math.max(pool.totalSeats - (used.get(pool.id) || 0), 0),
+      })),
+    },
+  });
+});
+
+export const updateOrganisation = asyncHandler(async (req, res) => {
+  const { name, contactEmail, isActive } = req.body;
+
+  // Only platform staff can suspend or reactivate an organisation
+  if (isActive !== undefined) {
+    const permissions = await getUserPermissions(req.user);
+    if (!permissions.has(PERMISSIONS.ORGANISATIONS_MANAGE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only platform staff can change an organisation\'s status',
+      });
+    }
+  }
+
+  const organisation = await prisma.organisation.update({
+    where: { id: req.organisation.id },
+    data: {
+      ...(name && { name }),
+      ...(contactEmail !== undefined && { contactEmail: contactEmail || null }),
+      ...(isActive !== undefined && { isActive }),
+    },
+  });
+
+  await auditOrganisationChange(req, 'ORGANISATION_UPDATED', organisation.id, `Organisation "${organisation.name}" updated`, {
+    before: { name: req.organisation.name, contactEmail: req.organisation.contactEmail, isActive: req.organisation.isActive },
+    after: { name: organisation.name, contactEmail: organisation.contactEmail, isActive: organisation.isActive },
+  });
+
+  res.json({
+    success: true,
+    message: 'Organisation updated successfully',
+    data: organisation,
+  });
+});
+
+export const getMembers = asyncHandler(async (req, res) => {
+  const members = await prisma.organisationMember.findMany({
+    where: { organisationId: req.organisation.id },
+    include: {
+      user: {
+        select: { id: true, email: true, fullName: true, profileImage: true },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  res.json({
+    success: true,
+    data: members,
+  });
+});
+
+/**
+ * Make a member an organisation admin, or back to a regular member
+ */
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+  const organisationId = req.organisation.id;
+
+  const member = await prisma.organisationMember.findUnique({
+    where: { organisationId_userId: { organisationId, userId } },
+  });
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found',
+    });
+  }
+
+  if (member.role === 'ADMIN' && role !== 'ADMIN' && (await countAdmins(organisationId)) <= 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'An organisation needs at least one admin',
+    });
+  }
+
+  const updated = await prisma.organisationMember.update({
+    where: { id: member.id },
+    data: { role },
+  });
+
+  await auditOrganisationChange(req, 'ORGANISATION_MEMBER_ROLE_CHANGED', organisationId, 'Organisation member role changed', {
+    userId,
+    from: member.role,
+    to: role,
+  });
+
+  res.json({
+    success: true,
+    message: 'Member role updated successfully',
+    data: updated,
+  });
+});
+
+/**
+ * Remove a member (e.g. an employee who left); every seat they hold is reclaimed
+ */
+export const removeMember = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const organisationId = req.organisation.id;
+
+  const member = await prisma.organisationMember.findUnique({
+    where: { organisationId_userId: { organisationId, userId } },
+  });
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found',
+    });
+  }
+
+  if (member.role === 'ADMIN' && (await countAdmins(organisationId)) <= 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'An organisation needs at least one admin',
+    });
+  }
+
+  const seats = await prisma.organisationSeat.findMany({
+    where: {
+      userId,
+      status: 'ACTIVE',
+      seatPool: { organisationId },
+    },
+    include: { seatPool: true },
+  });
+
+  for (const seat of seats) {
+    await organisationService.reclaimSeat(seat, req.user.id);
+  }
+
+  await prisma.organisationMember.delete({
+    where: { id: member.id },
+  });
+
+  await auditOrganisationChange(req, 'ORGANISATION_MEMBER_REMOVED', organisationId, 'Member removed from organisation', {
+    userId,
+    reclaimedSeats: seats.map((seat) => seat.id),
+  });
+
+  res.json({
+    success: true,
+    message: 'Member removed successfully',
+    data: { reclaimedSeats: seats.length },
+  });
+});
+
+/**
+ * Buy seats for a course. Seats are added once the payment is verified.
+ */
+export const purchaseSeats = asyncHandler(async (req, res) => {
+  const { courseId, seats, paymentMethod, couponCode, successUrl, failureUrl } = req.body;
+  const organisationId = req.organisation.id;
+
+  if (!req.organisation.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'This organisation is not active',
+    });
+  }
+
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: { id: true, title: true, price: true, isFree: true, status: true },
+  });
+
+  if (!course || course.status !== 'PUBLISHED') {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+  }
+
+  if (course.isFree || parseFloat(course.price) <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Free courses do not need seats; members can enroll directly',
+    });
+  }
+
+  const seatPool = await prisma.organisationSeatPool.upsert({
+    where: { organisationId_courseId: { organisationId, courseId } },
+    create: { organisationId, courseId },
+    update: {},
+  });
+
+  const pricePerSeat = parseFloat(course.price);
+
+  const result = await paymentService.initiatePayment({
+    userId: req.user.id,
+    amount: pricePerSeat * seats,
+    paymentMethod,
+    courseId,
+    couponCode,
+    productName: `${seats} seats: ${course.title}`,
+    successUrl,
+    failureUrl,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      organisationId,
+      seats,
+    },
+  });
+
+  await prisma.organisationSeatPurchase.create({
+    data: {
+      seatPoolId: seatPool.id,
+      paymentId: result.paymentId,
+      seats,
+      pricePerSeat,
+      purchasedBy: req.user.id,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Complete the payment to add the seats',
+    data: result,
+  });
+});
+
+/**
+ * Seat pools with every seat and purchase
+ */
+export const getSeats = asyncHandler(async (req, res) => {
+  const seatPools = await prisma.organisationSeatPool.findMany({
+    where: { organisationId: req.organisation.id },
+    include: {
+      course: { select: { id: true, title: true, slug: true, price: true } },
+      seats: {
+        include: {
+          user: { select: { id: true, email: true, fullName: true } },
+        },
+        orderBy: { invitedAt: 'desc' },
+      },
+      purchases: {
+        include: {
+          payment: { select: { id: true, status: true, finalAmount: true, paymentMethod: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  res.json({
+    success: true,
+    data: seatPools.map(({ seats, ...pool }) => {
+      const used = seats.filter((seat) => seat.status !== 'RECLAIMED').length;
+      return {
+        ...pool,
+        usedSeats: used,
+        availableSeats: Math.max(pool.totalSeats - used, 0),
+        // Never expose invite token hashes
+        seats: seats.map(({ inviteTokenHash, ...seat }) => seat),
+      };
+    }),
+  });
+});
+
+/**
+ * Invite people by email to seats for a course
+ */
+export const inviteToSeats = asyncHandler(async (req, res) => {
+  const { courseId, emails } = req.body;
+
+  if (!req.organisation.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'This organisation is not active',
+    });
+  }
+
+  const seatPool = await prisma.organisationSeatPool.findUnique({
+    where: { organisationId_courseId: { organisationId: req.organisation.id, courseId } },
+    include: {
+      course: { select: { id: true, title: true } },
+    },
+  });
+
+  if (!seatPool || seatPool.totalSeats === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your organisation has no seats for this course. Purchase seats first.',
+    });
+  }
+
+  const result = await organisationService.inviteToSeats({
+    organisation: req.organisation,
+    seatPool,
+    emails,
+    invitedBy: req.user.id,
+  });
+
+  await auditOrganisationChange(req, 'ORGANISATION_SEATS_INVITED', req.organisation.id, `Invited ${result.invited.length} people to ${seatPool.course.title}`, {
+    courseId,
+    invited: result.invited.map((seat) => seat.email),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${result.invited.length} invitation(s) sent`,
+    data: result,
+  });
+});
+
+/**
+ * Take a seat back (pending invite or an employee who left) so it can be reassigned
+ */
+export const reclaimSeat = asyncHandler(async (req, res) => {
+  const { seatId } = req.params;
+
+  const seat = await prisma.organisationSeat.findUnique({
+    where: { id: seatId },
+    include: { seatPool: true },
+  });
+
+  if (!seat || seat.seatPool.organisationId !== req.organisation.id) {
+    return res.status(404).json({
+      success: false,
+      message: 'Seat not found',
+    });
+  }
+
+  if (seat.status === 'RECLAIMED') {
+    return res.status(400).json({
+      success: false,
+      message: 'Seat has already been reclaimed',
+    });
+  }
+
+  const { inviteTokenHash, ...reclaimed } = await organisationService.reclaimSeat(seat, req.user.id);
+
+  await auditOrganisationChange(req, 'ORGANISATION_SEAT_RECLAIMED', req.organisation.id, `Seat reclaimed from ${seat.email}`, {
+    seatId,
+    userId: seat.userId,
+    courseId: seat.seatPool.courseId,
+  });
+
+  res.json({
+    success: true,
+    message: 'Seat reclaimed successfully',
+    data: reclaimed,
+  });
+});
+
+/**
+ * Learner progress and certificates for every seat
+ */
+export const getDashboard = asyncHandler(async (req, res) => {
+  const dashboard = await organisationService.buildProgressDashboard(req.organisation.id);
+
+  res.json({
+    success: true,
+    data: dashboard,
+  });
+});
+
+/**
+ * Accept an emailed seat invite (signed in with the invited address)
+ */
+export const acceptInvite = asyncHandler(async (req, res) => {
+  const result = await organisationService.acceptSeatInvite(req.body.token, req.user);
+
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `You now have access to ${result.course.title} through ${result.organisation.name}`,
+    data: {
+      organisation: result.organisation,
+      course: result.course,
+      enrollment: result.enrollment,
+    },
+  });
+});
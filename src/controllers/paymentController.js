@@ -3,6 +3,9 @@ import * as paymentService from '../services/paymentService.js';
 import * as cardPaymentService from '../services/cardPaymentService.js';
 import * as esewaService from '../services/esewaService.js';
 import { config } from '../config/env.js';
+import { resolveEnrollmentCohort, getEffectivePrice } from '../services/cohortService.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 /**
  * Initiate payment
@@ -21,6 +24,7 @@ export const initiatePayment = async (req, res, next) => {
       amount,
       paymentMethod,
       courseId,
+      cohortId,
       orderId,
       couponCode,
       productIds,
@@ -47,6 +51,8 @@ export const initiatePayment = async (req, res, next) => {
       }
     }
 
+    let cohort = null;
+    let chargedAmount = amount;
     if (courseId) {
       const { PrismaClient } = await import('@prisma/client');
       const prisma = new PrismaClient();
@@ -60,11 +66,29 @@ export const initiatePayment = async (req, res, next) => {
           message: 'Course not found',
         });
       }
+
+      // Cohort courses are paid per cohort; a pending enrollment already names one
+      const pendingEnrollment = await prisma.enrollment.findUnique({
+        where: { userId_courseId: { userId, courseId } },
+        select: { cohortId: true },
+      });
+      cohort = await resolveEnrollmentCohort(course, cohortId || pendingEnrollment?.cohortId);
+
+      // A cohort can override the course price, so the amount is never taken from the client
+      if (cohort) {
+        chargedAmount = getEffectivePrice(course, cohort);
+        if (chargedAmount <= 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'This cohort is free; enroll without paying',
+          });
+        }
+      }
     }
 
     const result = await paymentService.initiatePayment({
       userId,
-      amount,
+      amount: chargedAmount,
       paymentMethod,
       courseId,
       orderId,
@@ -76,6 +100,7 @@ export const initiatePayment = async (req, res, next) => {
       metadata: {
         ipAddress: req.ip,
         userAgent: req.get('user-agent'),
+        ...(cohort && { cohortId: cohort.id }),
       },
     });
 
@@ -222,8 +247,8 @@ export const getPayment = async (req, res, next) => {
       });
     }
 
-    // Ensure user can only view their own payments (unless admin)
-    if (payment.userId !== userId && req.user.role !== 'ADMIN') {
+    // Ensure user can only view their own payments (unless staff with payment access)
+    if (payment.userId !== userId && !hasPermission(req, PERMISSIONS.PAYMENTS_READ)) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized access to this payment',
@@ -1,6 +1,9 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import { sanitizeSearch } from '../utils/sanitize.js';
+import { localizeWithCategory } from '../services/translationService.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const prisma = new PrismaClient();
 
@@ -99,7 +102,7 @@ export const getAllProducts = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: products,
+      data: await localizeWithCategory('PRODUCT', products, req.locales),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -169,10 +172,12 @@ export const getProductById = async (req, res, next) => {
         ? reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length
         : null;
 
+    const localized = await localizeWithCategory('PRODUCT', product, req.locales);
+
     res.json({
       success: true,
       data: {
-        ...product,
+        ...localized,
         averageRating: avgRating,
         totalReviews: reviews.length,
       },
@@ -634,7 +639,7 @@ export const updateProductReview = async (req, res, next) => {
       });
     }
 
-    if (review.userId !== userId && req.user.role !== 'ADMIN') {
+    if (review.userId !== userId && !hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this review',
@@ -694,7 +699,7 @@ export const deleteProductReview = async (req, res, next) => {
       });
     }
 
-    if (review.userId !== userId && req.user.role !== 'ADMIN') {
+    if (review.userId !== userId && !hasPermission(req, PERMISSIONS.PRODUCTS_MANAGE)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this review',
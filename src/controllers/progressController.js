@@ -1,10 +1,16 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
+import { refreshCourseProgress } from '../services/progressService.js';
+import { recordStatement } from '../services/xapiService.js';
+import { getUnlockedLessons, getProgressionBlockers } from '../services/lessonAccessService.js';
+import { hideLessonMedia } from '../services/lessonMediaService.js';
+import { recordHeartbeat, requiredWatchSeconds } from '../services/watchTimeService.js';
 
 const prisma = new PrismaClient();
 
 /**
- * Update lesson progress
+ * Update lesson progress. Watch time only comes from heartbeats; a measurable video lesson
+ * can't be marked completed before enough of it was watched.
  */
 export const updateLessonProgress = async (req, res, next) => {
   try {
@@ -17,7 +23,7 @@ export const updateLessonProgress = async (req, res, next) => {
     }
 
     const { lessonId } = req.params;
-    const { isCompleted, watchTime } = req.body;
+    const { isCompleted } = req.body;
     const userId = req.user.id;
 
     // Check if user is enrolled in the course
@@ -52,6 +58,40 @@ export const updateLessonProgress = async (req, res, next) => {
       });
     }
 
+    const previous = await prisma.lessonProgress.findUnique({
+      where: {
+        userId_lessonId: {
+          userId,
+          lessonId,
+        },
+      },
+      select: { isCompleted: true, watchTime: true },
+    });
+
+    const requiredSeconds = requiredWatchSeconds(lesson);
+    if (isCompleted === true && !previous?.isCompleted && requiredSeconds !== null && (previous?.watchTime || 0) < requiredSeconds) {
+      return res.status(403).json({
+        success: false,
+        message: 'Watch more of the video to complete this lesson',
+        data: {
+          watchedSeconds: previous?.watchTime || 0,
+          requiredSeconds,
+        },
+      });
+    }
+
+    // Sequential courses: lessons are completed in order
+    if (isCompleted === true) {
+      const progression = await getProgressionBlockers(userId, lesson, lesson.course.progressionMode);
+      if (progression.blockingLessons.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: progression.reason,
+          data: { blockingLessons: progression.blockingLessons },
+        });
+      }
+    }
+
     // Update or create progress
     const progress = await prisma.lessonProgress.upsert({
       where: {
@@ -62,53 +102,103 @@ export const updateLessonProgress = async (req, res, next) => {
       },
       update: {
         isCompleted: isCompleted !== undefined ? isCompleted : undefined,
-        watchTime: watchTime !== undefined ? watchTime : undefined,
         completedAt: isCompleted === true ? new Date() : undefined,
       },
       create: {
         userId,
         lessonId,
         isCompleted: isCompleted || false,
-        watchTime: watchTime || 0,
         completedAt: isCompleted === true ? new Date() : null,
       },
     });
 
-    // Update course progress
-    const totalLessons = await prisma.lesson.count({
-      where: { courseId: lesson.courseId },
+    const courseProgress = await refreshCourseProgress(userId, lesson.courseId);
+
+    // Learning records: first open of the lesson, and the first time it is completed
+    const lessonActivity = { type: 'lesson', id: lesson.id, name: lesson.title };
+    const course = { id: lesson.courseId, title: lesson.course.title };
+    if (!previous) {
+      await recordStatement({ userId, verb: 'launched', object: lessonActivity, course });
+    }
+    if (progress.isCompleted && !previous?.isCompleted) {
+      await recordStatement({ userId, verb: 'completed', object: lessonActivity, course, result: { completion: true } });
+    }
+
+    res.json({
+      success: true,
+      data: progress,
+      courseProgress,
+      message: 'Progress updated successfully',
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const completedLessons = await prisma.lessonProgress.count({
-      where: {
-        userId,
-        lesson: {
-          courseId: lesson.courseId,
+/**
+ * Player heartbeat: current position of a video lesson. Send one every few seconds while
+ * playing, and on play/pause/seek so the resume point stays current.
+ */
+export const recordWatchHeartbeat = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { lessonId } = req.params;
+    const userId = req.user.id;
+
+    const lesson = await prisma.lesson.findUnique({
+      where: { id: lessonId },
+      include: {
+        course: {
+          select: {
+            title: true,
+            progressionMode: true,
+            enrollments: {
+              where: {
+                userId,
+                status: 'ACTIVE',
+              },
+              select: { id: true },
+            },
+          },
         },
-        isCompleted: true,
       },
     });
 
-    const courseProgress = Math.round((completedLessons / totalLessons) * 100);
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found',
+      });
+    }
 
-    // Update enrollment progress
-    await prisma.enrollment.updateMany({
-      where: {
-        userId,
-        courseId: lesson.courseId,
-      },
-      data: {
-        progress: courseProgress,
-        completedAt: courseProgress === 100 ? new Date() : null,
-        status: courseProgress === 100 ? 'COMPLETED' : 'ACTIVE',
-      },
-    });
+    if (lesson.course.enrollments.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be enrolled in this course',
+      });
+    }
+
+    const result = await recordHeartbeat(userId, lesson, req.body.position);
+    const { progress } = result;
 
     res.json({
       success: true,
-      data: progress,
-      courseProgress,
-      message: 'Progress updated successfully',
+      data: {
+        lastPosition: progress.lastPosition,
+        watchedSeconds: progress.watchTime,
+        requiredSeconds: result.required,
+        credited: result.credited,
+        isCompleted: progress.isCompleted,
+        ...(result.blockingLessons && { blockingLessons: result.blockingLessons }),
+      },
+      ...(result.courseProgress !== undefined && { courseProgress: result.courseProgress }),
     });
   } catch (error) {
     next(error);
@@ -149,6 +239,11 @@ export const getCourseProgress = async (req, res, next) => {
             order: 'asc',
           },
           include: {
+            chapter: {
+              select: {
+                isPreview: true,
+              },
+            },
             progress: {
               where: {
                 userId,
@@ -170,7 +265,10 @@ export const getCourseProgress = async (req, res, next) => {
       success: true,
       data: {
         enrollment,
-        course,
+        course: {
+          ...course,
+          lessons: course.lessons.map(lesson => hideLessonMedia(lesson)),
+        },
       },
     });
   } catch (error) {
@@ -178,4 +276,33 @@ export const getCourseProgress = async (req, res, next) => {
   }
 };
 
+/**
+ * Which lessons the user can open in a course; locked lessons say why and, for drip
+ * schedules, when they unlock
+ */
+export const getCourseUnlocks = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await prisma.course.findUnique({
+      where: { id: courseId },
+      select: { id: true },
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const data = await getUnlockedLessons(req.user.id, courseId);
 
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,8 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
 import * as quizService from '../services/quizService.js';
+import * as courseRevisionService from '../services/courseRevisionService.js';
+import { recordStatement } from '../services/xapiService.js';
 
 const prisma = new PrismaClient();
 
@@ -148,6 +150,23 @@ export const submitQuiz = async (req, res, next) => {
       },
     });
 
+    await recordStatement({
+      userId,
+      verb: scoreResult.isPassed ? 'passed' : 'failed',
+      object: { type: 'quiz', id: quiz.id, name: quiz.title },
+      course: { id: quiz.lesson.courseId, title: quiz.lesson.course.title },
+      result: {
+        score: {
+          raw: scoreResult.totalScore,
+          min: 0,
+          max: scoreResult.maxScore,
+          ...(scoreResult.maxScore > 0 && { scaled: scoreResult.totalScore / scoreResult.maxScore }),
+        },
+        success: scoreResult.isPassed,
+        completion: true,
+      },
+    });
+
     res.status(201).json({
       success: true,
       data: {
@@ -198,6 +217,18 @@ export const createQuiz = async (req, res, next) => {
 
     const { lessonId, title, description, timeLimit, passingScore, questions } = req.body;
 
+    // While a draft is open, curriculum edits go to the draft
+    const draft = await courseRevisionService.findDraftForLesson(lessonId);
+    if (draft) {
+      const quiz = await courseRevisionService.createDraftQuiz(draft, lessonId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        data: quiz,
+        draft: true,
+      });
+    }
+
     // Check if lesson exists and doesn't already have a quiz
     const existingQuiz = await prisma.quiz.findUnique({
       where: { lessonId },
@@ -260,6 +291,17 @@ export const updateQuiz = async (req, res, next) => {
     const { id } = req.params;
     const { title, description, timeLimit, passingScore } = req.body;
 
+    const draft = await courseRevisionService.findDraftForQuiz(id);
+    if (draft) {
+      const quiz = await courseRevisionService.updateDraftQuiz(draft, id, req.body);
+
+      return res.json({
+        success: true,
+        data: quiz,
+        draft: true,
+      });
+    }
+
     const quiz = await prisma.quiz.update({
       where: { id },
       data: {
@@ -289,6 +331,17 @@ export const deleteQuiz = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    const draft = await courseRevisionService.findDraftForQuiz(id);
+    if (draft) {
+      await courseRevisionService.deleteDraftQuiz(draft, id);
+
+      return res.json({
+        success: true,
+        draft: true,
+        message: 'Quiz removed from the draft',
+      });
+    }
+
     await prisma.quiz.delete({
       where: { id },
     });
@@ -0,0 +1,359 @@
+import { Readable } from 'stream';
+import { prisma } from '../config/database.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { hasPermission } from '../middleware/role.js';
+import * as scormService from '../services/scormService.js';
+import { checkLessonAccess } from '../services/lessonAccessService.js';
+import { generateScormLaunchToken } from '../services/tokenService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+import { recordStatement } from '../services/xapiService.js';
+
+const attemptSummarySelect = {
+  completionStatus: true,
+  successStatus: true,
+  scoreRaw: true,
+  scoreScaled: true,
+  totalTimeSeconds: true,
+  completedAt: true,
+  updatedAt: true,
+};
+
+const findLesson = async (req, res) => {
+  const lesson = await prisma.lesson.findUnique({
+    where: { id: req.params.lessonId },
+    select: {
+      id: true,
+      title: true,
+      lessonType: true,
+      courseId: true,
+      course: {
+        select: {
+          instructor: { select: { userId: true } },
+        },
+      },
+      scormPackage: { select: scormService.scormPackageSelect },
+    },
+  });
+
+  if (!lesson) {
+    res.status(404).json({
+      success: false,
+      message: 'Lesson not found',
+    });
+  }
+
+  return lesson;
+};
+
+const sendNoPackage = (res) => res.status(404).json({
+  success: false,
+  message: 'No SCORM package has been uploaded for this lesson',
+});
+
+/**
+ * Upload (or replace) the SCORM zip for a SCORM lesson
+ */
+export const uploadScormPackage = asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req, res);
+  if (!lesson) return;
+
+  if (lesson.lessonType !== 'SCORM') {
+    return res.status(400).json({
+      success: false,
+      message: 'SCORM packages can only be uploaded to SCORM lessons',
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Package file is required',
+    });
+  }
+
+  const scormPackage = await scormService.importScormPackage(lesson, req.file.path, req.user.id);
+
+  await createAuditLog({
+    userId: req.user.id,
+    action: 'SCORM_PACKAGE_UPLOADED',
+    entityType: 'LESSON',
+    entityId: lesson.id,
+    description: `SCORM package "${scormPackage.title || req.file.originalname}" uploaded to "${lesson.title}"`,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+    metadata: {
+      packageId: scormPackage.id,
+      version: scormPackage.version,
+      fileCount: scormPackage.fileCount,
+      replaced: Boolean(lesson.scormPackage),
+    },
+  });
+
+  res.status(lesson.scormPackage ? 200 : 201).json({
+    success: true,
+    message: lesson.scormPackage ? 'SCORM package replaced successfully' : 'SCORM package uploaded successfully',
+    data: Object.fromEntries(Object.keys(scormService.scormPackageSelect).map((key) => [key, scormPackage[key]])),
+  });
+});
+
+/**
+ * Package details for a lesson
+ */
+export const getScormPackage = asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req, res);
+  if (!lesson) return;
+
+  if (!lesson.scormPackage) {
+    return sendNoPackage(res);
+  }
+
+  res.json({
+    success: true,
+    data: lesson.scormPackage,
+  });
+});
+
+/**
+ * Remove a lesson's package and its learners' runtime data
+ */
+export const deleteScormPackage = asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req, res);
+  if (!lesson) return;
+
+  const scormPackage = await prisma.scormPackage.findUnique({
+    where: { lessonId: lesson.id },
+  });
+  if (!scormPackage) {
+    return sendNoPackage(res);
+  }
+
+  await scormService.deleteScormPackage(scormPackage);
+
+  await createAuditLog({
+    userId: req.user.id,
+    action: 'SCORM_PACKAGE_DELETED',
+    entityType: 'LESSON',
+    entityId: lesson.id,
+    description: `SCORM package removed from "${lesson.title}"`,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+    metadata: { packageId: scormPackage.id },
+  });
+
+  res.json({
+    success: true,
+    message: 'SCORM package deleted successfully',
+  });
+});
+
+/**
+ * Start a SCORM lesson: returns a player URL for the frontend to show in an iframe
+ */
+export const launchScormLesson = asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req, res);
+  if (!lesson) return;
+
+  if (!lesson.scormPackage) {
+    return sendNoPackage(res);
+  }
+
+  // Staff and the course's instructor can preview without enrolling
+  const canManage = hasPermission(req, PERMISSIONS.COURSES_MANAGE) ||
+    (lesson.course.instructor?.userId && lesson.course.instructor.userId === req.user.id);
+
+  if (!canManage) {
+    const access = await checkLessonAccess(req.user.id, lesson.id);
+    if (!access.canAccess) {
+      return res.status(403).json({
+        success: false,
+        message: access.reason || 'You cannot access this lesson',
+      });
+    }
+
+    await recordStatement({
+      userId: req.user.id,
+      verb: 'launched',
+      object: { type: 'lesson', id: lesson.id, name: lesson.title },
+      course: { id: lesson.courseId },
+    });
+  }
+
+  const token = generateScormLaunchToken({ userId: req.user.id, packageId: lesson.scormPackage.id });
+  const attempt = await prisma.scormAttempt.findUnique({
+    where: { packageId_userId: { packageId: lesson.scormPackage.id, userId: req.user.id } },
+    select: attemptSummarySelect,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      launchUrl: `${req.protocol}://${req.get('host')}/api/scorm/player/${token}/`,
+      package: {
+        version: lesson.scormPackage.version,
+        title: lesson.scormPackage.title,
+      },
+      attempt,
+    },
+  });
+});
+
+/**
+ * Current user's attempt on a SCORM lesson
+ */
+export const getMyScormAttempt = asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req, res);
+  if (!lesson) return;
+
+  if (!lesson.scormPackage) {
+    return sendNoPackage(res);
+  }
+
+  const attempt = await prisma.scormAttempt.findUnique({
+    where: { packageId_userId: { packageId: lesson.scormPackage.id, userId: req.user.id } },
+    select: attemptSummarySelect,
+  });
+
+  res.json({
+    success: true,
+    data: attempt,
+  });
+});
+
+/**
+ * Every learner's attempt on a SCORM lesson (admin)
+ */
+export const getScormAttempts = asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req, res);
+  if (!lesson) return;
+
+  if (!lesson.scormPackage) {
+    return sendNoPackage(res);
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+  const where = { packageId: lesson.scormPackage.id };
+
+  const [attempts, total] = await Promise.all([
+    prisma.scormAttempt.findMany({
+      where,
+      select: {
+        id: true,
+        ...attemptSummarySelect,
+        createdAt: true,
+        user: {
+          select: { id: true, fullName: true, email: true },
+        },
+      },
+      orderBy: { updatedAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.scormAttempt.count({ where }),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      attempts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// ==================== PLAYER (authorised by the launch token) ====================
+
+/**
+ * Player page with the SCORM runtime API
+ */
+export const getScormPlayer = asyncHandler(async (req, res) => {
+  // Relative content/runtime URLs need the trailing slash
+  if (!req.originalUrl.split('?')[0].endsWith('/')) {
+    return res.redirect(301, `${req.originalUrl.split('?')[0]}/`);
+  }
+
+  const { user, scormPackage } = req.scormLaunch;
+  const attempt = await prisma.scormAttempt.findUnique({
+    where: { packageId_userId: { packageId: scormPackage.id, userId: user.id } },
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(
+    scormService.renderPlayerPage(scormPackage, scormService.buildInitialValues(scormPackage, attempt, user))
+  );
+});
+
+/**
+ * Package file, streamed from storage so it is same-origin with the player
+ */
+export const getScormContent = asyncHandler(async (req, res) => {
+  const { scormPackage } = req.scormLaunch;
+  const file = scormPackage.files[req.params[0]];
+
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found in package',
+    });
+  }
+
+  const upstream = await fetch(file.url);
+  if (!upstream.ok || !upstream.body) {
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to load package file',
+    });
+  }
+
+  res.set({
+    'Content-Type': file.contentType,
+    'Cache-Control': 'private, max-age=3600',
+  });
+  if (upstream.headers.get('content-length')) {
+    res.set('Content-Length', upstream.headers.get('content-length'));
+  }
+
+  Readable.fromWeb(upstream.body).pipe(res);
+});
+
+/**
+ * Runtime commit from the player (LMSCommit/LMSFinish, Commit/Terminate)
+ */
+export const commitScormRuntime = asyncHandler(async (req, res) => {
+  const { user, scormPackage } = req.scormLaunch;
+  const { sessionId, values } = req.body;
+
+  if (typeof sessionId !== 'string' || !sessionId || !values || typeof values !== 'object' || Array.isArray(values)) {
+    return res.status(400).json({
+      success: false,
+      message: 'sessionId and values are required',
+    });
+  }
+
+  const attempt = await scormService.commitRuntimeData({
+    scormPackage,
+    userId: user.id,
+    sessionId: sessionId.slice(0, 100),
+    values,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      completionStatus: attempt.completionStatus,
+      successStatus: attempt.successStatus,
+      completedAt: attempt.completedAt,
+    },
+  });
+});
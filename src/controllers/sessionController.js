@@ -0,0 +1,69 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  SessionRevokeReason,
+} from '../services/sessionService.js';
+
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await getActiveSessions(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session,
+        isCurrent: session.id === req.sessionId,
+      })),
+    },
+  });
+});
+
+export const deleteSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await prisma.session.findUnique({
+    where: { id },
+    select: { id: true, userId: true, revokedAt: true },
+  });
+
+  // Don't reveal whether another user's session ID exists
+  if (!session || session.userId !== req.user.id || session.revokedAt) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  await revokeSession(id, SessionRevokeReason.USER_REVOKED);
+
+  res.json({
+    success: true,
+    message: id === req.sessionId ? 'Signed out of this device' : 'Session signed out successfully',
+  });
+});
+
+export const deleteOtherSessions = asyncHandler(async (req, res) => {
+  if (!req.sessionId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Current session could not be identified. Please login again.',
+    });
+  }
+
+  const { count } = await revokeAllSessions(
+    req.user.id,
+    SessionRevokeReason.SIGN_OUT_OTHERS,
+    req.sessionId
+  );
+
+  res.json({
+    success: true,
+    message: 'Signed out of all other devices',
+    data: {
+      revokedSessions: count,
+    },
+  });
+});
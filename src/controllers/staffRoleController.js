@@ -0,0 +1,294 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ALL_PERMISSIONS, DEFAULT_STAFF_ROLES } from '../config/permissions.js';
+import { findUnknownPermissions, getUserPermissions } from '../services/permissionService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+const auditRoleChange = (req, action, entityId, description, changes = null) => createAuditLog({
+  userId: req.user.id,
+  action,
+  entityType: 'STAFF_ROLE',
+  entityId,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  changes,
+  riskScore: 40,
+});
+
+const rejectUnknownPermissions = (res, permissions) => {
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown permissions: ${unknown.join(', ')}`,
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List every permission and the suggested role presets
+ */
+export const getPermissionCatalog = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: ALL_PERMISSIONS,
+      presets: DEFAULT_STAFF_ROLES,
+    },
+  });
+});
+
+/**
+ * List staff roles
+ */
+export const getStaffRoles = asyncHandler(async (req, res) => {
+  const roles = await prisma.staffRole.findMany({
+    include: {
+      _count: {
+        select: { assignments: true },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  res.json({
+    success: true,
+    data: roles,
+  });
+});
+
+/**
+ * Create a staff role
+ */
+export const createStaffRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  if (rejectUnknownPermissions(res, permissions)) return;
+
+  const existing = await prisma.staffRole.findUnique({ where: { name } });
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'A role with this name already exists',
+    });
+  }
+
+  const role = await prisma.staffRole.create({
+    data: {
+      name,
+      description: description || null,
+      permissions: [...new Set(permissions)],
+    },
+  });
+
+  await auditRoleChange(req, 'STAFF_ROLE_CREATED', role.id, `Staff role "${role.name}" created`, {
+    permissions: role.permissions,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: role,
+  });
+});
+
+/**
+ * Update a staff role
+ */
+export const updateStaffRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, permissions } = req.body;
+
+  const role = await prisma.staffRole.findUnique({ where: { id } });
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found',
+    });
+  }
+
+  if (permissions !== undefined && rejectUnknownPermissions(res, permissions)) return;
+
+  if (name && name !== role.name) {
+    const existing = await prisma.staffRole.findUnique({ where: { name } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+  }
+
+  const updated = await prisma.staffRole.update({
+    where: { id },
+    data: {
+      ...(name && { name }),
+      ...(description !== undefined && { description: description || null }),
+      ...(permissions !== undefined && { permissions: [...new Set(permissions)] }),
+    },
+  });
+
+  await auditRoleChange(req, 'STAFF_ROLE_UPDATED', id, `Staff role "${updated.name}" updated`, {
+    before: { name: role.name, permissions: role.permissions },
+    after: { name: updated.name, permissions: updated.permissions },
+  });
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: updated,
+  });
+});
+
+/**
+ * Delete a staff role (removes it from every user holding it)
+ */
+export const deleteStaffRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const role = await prisma.staffRole.findUnique({ where: { id } });
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found',
+    });
+  }
+
+  await prisma.staffRole.delete({ where: { id } });
+
+  await auditRoleChange(req, 'STAFF_ROLE_DELETED', id, `Staff role "${role.name}" deleted`);
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully',
+  });
+});
+
+/**
+ * Get a user's staff roles and effective permissions
+ */
+export const getUserStaffRoles = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      fullName: true,
+      role: true,
+      staffRoles: {
+        select: {
+          id: true,
+          assignedBy: true,
+          createdAt: true,
+          staffRole: true,
+        },
+      },
+    },
+  });
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  const permissions = await getUserPermissions(user);
+
+  res.json({
+    success: true,
+    data: {
+      ...user,
+      permissions: [...permissions],
+    },
+  });
+});
+
+/**
+ * Assign a staff role to a user
+ */
+export const assignStaffRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { roleId } = req.body;
+
+  const [user, role] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true } }),
+    prisma.staffRole.findUnique({ where: { id: roleId } }),
+  ]);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found',
+    });
+  }
+
+  const assignment = await prisma.staffRoleAssignment.upsert({
+    where: {
+      userId_staffRoleId: { userId, staffRoleId: roleId },
+    },
+    update: {},
+    create: {
+      userId,
+      staffRoleId: roleId,
+      assignedBy: req.user.id,
+    },
+    include: { staffRole: true },
+  });
+
+  await auditRoleChange(req, 'STAFF_ROLE_ASSIGNED', roleId, `Staff role "${role.name}" assigned to ${user.email}`, {
+    userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role assigned successfully',
+    data: assignment,
+  });
+});
+
+/**
+ * Remove a staff role from a user
+ */
+export const removeStaffRole = asyncHandler(async (req, res) => {
+  const { userId, roleId } = req.params;
+
+  const assignment = await prisma.staffRoleAssignment.findUnique({
+    where: {
+      userId_staffRoleId: { userId, staffRoleId: roleId },
+    },
+    include: { staffRole: true },
+  });
+
+  if (!assignment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role assignment not found',
+    });
+  }
+
+  await prisma.staffRoleAssignment.delete({ where: { id: assignment.id } });
+
+  await auditRoleChange(req, 'STAFF_ROLE_REVOKED', roleId, `Staff role "${assignment.staffRole.name}" removed from user`, {
+    userId,
+  });
+
+  res.json({
+    success: true,
+    message: 'Role removed successfully',
+  });
+});
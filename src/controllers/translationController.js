@@ -0,0 +1,147 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { hasPermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import * as translationService from '../services/translationService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+// Who may translate what: the same staff who edit the original
+const MANAGE_PERMISSIONS = {
+  COURSE: PERMISSIONS.COURSES_MANAGE,
+  CHAPTER: PERMISSIONS.COURSES_MANAGE,
+  LESSON: PERMISSIONS.COURSES_MANAGE,
+  BLOG: PERMISSIONS.BLOGS_PUBLISH,
+  PRODUCT: PERMISSIONS.PRODUCTS_MANAGE,
+  FAQ: PERMISSIONS.CONTENT_MANAGE,
+  CATEGORY: PERMISSIONS.CONTENT_MANAGE,
+};
+
+const entityTypeOf = (req) => req.params.entityType.toUpperCase();
+
+const canManage = (req, entityType) => hasPermission(req, MANAGE_PERMISSIONS[entityType]);
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You do not have permission to manage these translations',
+});
+
+const auditTranslation = (req, action, translation, description, changes = null) => createAuditLog({
+  userId: req.user.id,
+  action,
+  entityType: 'CONTENT_TRANSLATION',
+  entityId: translation.id,
+  description,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  changes,
+  metadata: {
+    contentType: translation.entityType,
+    contentId: translation.entityId,
+    locale: translation.locale,
+  },
+});
+
+/**
+ * Content missing a translation (or with an incomplete one), limited to the types the
+ * caller can manage
+ */
+export const getMissingTranslations = asyncHandler(async (req, res) => {
+  const { entityType, locale, courseId, page = 1, limit = 50 } = req.query;
+
+  const requested = entityType ? [entityType.toUpperCase()] : Object.keys(MANAGE_PERMISSIONS);
+  const entityTypes = requested.filter((type) => canManage(req, type));
+  if (entityTypes.length === 0) {
+    return forbidden(res);
+  }
+
+  const report = await translationService.getMissingTranslations({
+    entityTypes,
+    locale,
+    courseId,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      locales: report.locales,
+      summary: report.summary,
+      items: report.items,
+    },
+    pagination: report.pagination,
+  });
+});
+
+/**
+ * A record's base text and its translations
+ */
+export const getEntityTranslations = asyncHandler(async (req, res) => {
+  const entityType = entityTypeOf(req);
+  if (!canManage(req, entityType)) {
+    return forbidden(res);
+  }
+
+  const translations = await translationService.getEntityTranslations(entityType, req.params.entityId);
+
+  res.json({
+    success: true,
+    data: translations,
+  });
+});
+
+/**
+ * Create or replace a translation
+ */
+export const upsertTranslation = asyncHandler(async (req, res) => {
+  const entityType = entityTypeOf(req);
+  if (!canManage(req, entityType)) {
+    return forbidden(res);
+  }
+
+  const { entityId, locale } = req.params;
+  const { translation, previous } = await translationService.upsertTranslation(
+    entityType,
+    entityId,
+    locale,
+    req.body.fields,
+    req.user.id
+  );
+
+  await auditTranslation(
+    req,
+    previous ? 'TRANSLATION_UPDATED' : 'TRANSLATION_CREATED',
+    translation,
+    `${locale} translation of ${entityType.toLowerCase()} ${entityId} ${previous ? 'updated' : 'added'}`,
+    previous ? { fields: { from: previous.fields, to: translation.fields } } : null
+  );
+
+  res.status(previous ? 200 : 201).json({
+    success: true,
+    message: previous ? 'Translation updated' : 'Translation added',
+    data: translation,
+  });
+});
+
+export const deleteTranslation = asyncHandler(async (req, res) => {
+  const entityType = entityTypeOf(req);
+  if (!canManage(req, entityType)) {
+    return forbidden(res);
+  }
+
+  const { entityId, locale } = req.params;
+  const translation = await translationService.deleteTranslation(entityType, entityId, locale);
+
+  await auditTranslation(
+    req,
+    'TRANSLATION_DELETED',
+    translation,
+    `${locale} translation of ${entityType.toLowerCase()} ${entityId} deleted`
+  );
+
+  res.json({
+    success: true,
+    message: 'Translation deleted',
+  });
+});
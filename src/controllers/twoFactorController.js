@@ -1,6 +1,16 @@
 import { PrismaClient } from '@prisma/client';
 import { validationResult } from 'express-validator';
-import { generateTwoFactorSecret, generateBackupCodes, verifyTwoFactorToken, verifyBackupCode } from '../services/twoFactorService.js';
+import { generateTwoFactorSecret, generateBackupCodes, verifyTwoFactorToken, verifySecondFactor } from '../services/twoFactorService.js';
+import { verifyTwoFactorChallengeToken } from '../services/tokenService.js';
+import { createSession, getSessionContext } from '../services/sessionService.js';
+import { comparePassword } from '../utils/hashPassword.js';
+import { createAuditLog } from '../services/auditLogService.js';
+import {
+  checkLoginAllowed,
+  rejectBlockedLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} from '../services/loginProtectionService.js';
 
 const prisma = new PrismaClient();
 
@@ -22,16 +32,23 @@ export const setup2FA = async (req, res, next) => {
       });
     }
 
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: '2FA is already enabled. Disable it first to set up a new authenticator.',
+      });
+    }
+
     // Generate secret and backup codes
     const { secret, otpAuthUrl } = generateTwoFactorSecret(user.email);
-    const backupCodes = generateBackupCodes();
+    const { codes: backupCodes, hashedCodes } = generateBackupCodes();
 
-    // Update user with secret and backup codes (but don't enable yet)
+    // Update user with secret and hashed backup codes (but don't enable yet)
     await prisma.user.update({
       where: { id: userId },
       data: {
         twoFactorSecret: secret,
-        twoFactorBackupCodes: backupCodes,
+        twoFactorBackupCodes: hashedCodes,
       },
     });
 
@@ -76,6 +93,13 @@ export const enable2FA = async (req, res, next) => {
       });
     }
 
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: '2FA is already enabled',
+      });
+    }
+
     // Verify token
     const isValid = verifyTwoFactorToken(user.twoFactorSecret, token);
 
@@ -94,6 +118,16 @@ export const enable2FA = async (req, res, next) => {
       },
     });
 
+    await createAuditLog({
+      userId,
+      action: 'TWO_FACTOR_ENABLED',
+      entityType: 'USER',
+      entityId: userId,
+      description: 'Two-factor authentication enabled',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
     res.json({
       success: true,
       message: '2FA enabled successfully',
@@ -131,8 +165,7 @@ export const disable2FA = async (req, res, next) => {
     }
 
     // Verify password
-    const bcrypt = await import('bcryptjs');
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    const isValidPassword = await comparePassword(password, user.password);
 
     if (!isValidPassword) {
       return res.status(400).json({
@@ -141,17 +174,14 @@ export const disable2FA = async (req, res, next) => {
       });
     }
 
-    // If 2FA is enabled, verify token
+    // If 2FA is enabled, verify TOTP or backup code
     if (user.twoFactorEnabled && user.twoFactorSecret) {
-      const isValidToken = verifyToken(token, user.twoFactorSecret);
-      if (!isValidToken) {
-        // Try backup code
-        if (!token || !verifyBackupCode(token, user.twoFactorBackupCodes)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid verification code',
-          });
-        }
+      const verification = verifySecondFactor(user, token);
+      if (!verification.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification code',
+        });
       }
     }
 
@@ -165,6 +195,16 @@ export const disable2FA = async (req, res, next) => {
       },
     });
 
+    await createAuditLog({
+      userId,
+      action: 'TWO_FACTOR_DISABLED',
+      entityType: 'USER',
+      entityId: userId,
+      description: 'Two-factor authentication disabled',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
     res.json({
       success: true,
       message: '2FA disabled successfully',
@@ -175,7 +215,9 @@ export const disable2FA = async (req, res, next) => {
 };
 
 /**
- * Verify 2FA token (for login)
+ * Verify 2FA token (second step of login)
+ * Exchanges the challenge token from the password step plus a TOTP or backup code
+ * for the real access/refresh token pair.
  */
 export const verify2FAToken = async (req, res, next) => {
   try {
@@ -187,10 +229,20 @@ export const verify2FAToken = async (req, res, next) => {
       });
     }
 
-    const { userId, token } = req.body;
+    const { challengeToken, token } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
 
     const user = await prisma.user.findUnique({
-      where: { id: userId },
+      where: { id: decoded.userId },
     });
 
     if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
@@ -200,40 +252,85 @@ export const verify2FAToken = async (req, res, next) => {
       });
     }
 
-    // Try TOTP token first
-    const isValidToken = verifyToken(token, user.twoFactorSecret);
-
-    // If not valid, try backup code
-    let usedBackupCode = false;
-    if (!isValidToken) {
-      const isValidBackup = verifyBackupCode(token, user.twoFactorBackupCodes);
-      if (isValidBackup) {
-        usedBackupCode = true;
-        // Remove used backup code
-        const updatedCodes = user.twoFactorBackupCodes.filter(
-          code => code !== token.toUpperCase()
-        );
-        await prisma.user.update({
-          where: { id: userId },
-          data: {
-            twoFactorBackupCodes: updatedCodes,
-          },
-        });
-      } else {
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been blocked. Please contact support.',
+      });
+    }
+
+    const loginCheck = checkLoginAllowed(user);
+    if (!loginCheck.allowed) {
+      return rejectBlockedLogin(res, loginCheck);
+    }
+
+    const verification = verifySecondFactor(user, token);
+
+    if (!verification.valid) {
+      await recordFailedLogin(user, req);
+      await createAuditLog({
+        userId: user.id,
+        action: 'TWO_FACTOR_FAILED',
+        entityType: 'USER',
+        entityId: user.id,
+        description: 'Invalid two-factor code during login',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    let remainingBackupCodes = Array.isArray(user.twoFactorBackupCodes)
+      ? user.twoFactorBackupCodes.length
+      : 0;
+
+    // Backup codes are single use. The write only applies to the list the code was checked
+    // against, so two logins racing with the same code can't both spend it.
+    if (verification.usedBackupCode) {
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          twoFactorBackupCodes: { equals: user.twoFactorBackupCodes },
+        },
+        data: {
+          twoFactorBackupCodes: verification.remainingBackupCodes,
+        },
+      });
+
+      if (count === 0) {
         return res.status(400).json({
           success: false,
           message: 'Invalid verification code',
         });
       }
+      remainingBackupCodes = verification.remainingBackupCodes.length;
     }
 
+    await recordSuccessfulLogin(user);
+
+    // Start a session for this device
+    const { accessToken, refreshToken } = await createSession(user, getSessionContext(req));
+
     res.json({
       success: true,
-      message: '2FA verification successful',
-      usedBackupCode,
-      remainingBackupCodes: usedBackupCode 
-        ? (await prisma.user.findUnique({ where: { id: userId } })).twoFactorBackupCodes.length
-        : user.twoFactorBackupCodes.length,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.fullName,
+          role: user.role,
+          isEmailVerified: user.isEmailVerified,
+        },
+        accessToken,
+        refreshToken,
+        usedBackupCode: verification.usedBackupCode,
+        remainingBackupCodes,
+      },
     });
   } catch (error) {
     next(error);
@@ -259,8 +356,8 @@ export const get2FAStatus = async (req, res, next) => {
       success: true,
       data: {
         enabled: user.twoFactorEnabled,
-        hasBackupCodes: user.twoFactorBackupCodes && user.twoFactorBackupCodes.length > 0,
-        backupCodesCount: user.twoFactorBackupCodes?.length || 0,
+        hasBackupCodes: Array.isArray(user.twoFactorBackupCodes) && user.twoFactorBackupCodes.length > 0,
+        backupCodesCount: Array.isArray(user.twoFactorBackupCodes) ? user.twoFactorBackupCodes.length : 0,
       },
     });
   } catch (error) {
@@ -0,0 +1,97 @@
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as xapiService from '../services/xapiService.js';
+import { createAuditLog } from '../services/auditLogService.js';
+
+const LOG_FILTERS = ['userId', 'verb', 'activityType', 'courseId', 'lrs', 'status', 'startDate', 'endDate'];
+
+const pickFilters = (source) => Object.fromEntries(
+  LOG_FILTERS.filter((key) => source[key] !== undefined && source[key] !== '').map((key) => [key, source[key]])
+);
+
+/**
+ * Query the local xAPI statement log
+ */
+export const getXapiStatements = asyncHandler(async (req, res) => {
+  const result = await xapiService.getStatements({
+    ...pickFilters(req.query),
+    page: req.query.page || 1,
+    limit: req.query.limit || 50,
+  });
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * One statement as sent to the LRS, with its delivery state
+ */
+export const getXapiStatement = asyncHandler(async (req, res) => {
+  const statement = await prisma.xapiStatement.findUnique({
+    where: { id: req.params.id },
+    include: { deliveries: true },
+  });
+
+  if (!statement) {
+    return res.status(404).json({
+      success: false,
+      message: 'Statement not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: statement,
+  });
+});
+
+/**
+ * Configured LRS endpoints (without credentials) and delivery counts
+ */
+export const getXapiDeliverySummary = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: config.xapi.enabled,
+      endpoints: await xapiService.getDeliverySummary(),
+    },
+  });
+});
+
+/**
+ * Queue statements for delivery again, by ID or by log filters
+ */
+export const replayXapiStatements = asyncHandler(async (req, res) => {
+  const { statementIds, lrs } = req.body;
+  const filters = pickFilters(req.body);
+
+  if (!statementIds?.length && Object.keys(filters).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pass statementIds or at least one filter (use startDate to replay everything since a date)',
+    });
+  }
+
+  const result = await xapiService.replayStatements({ statementIds, lrs, ...filters });
+
+  await createAuditLog({
+    userId: req.user.id,
+    action: 'XAPI_STATEMENTS_REPLAYED',
+    entityType: 'XAPI_STATEMENT',
+    description: `${result.statements} xAPI statement(s) queued for ${result.lrs.join(', ')}`,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+    metadata: { statementIds: statementIds || null, filters, lrs: result.lrs, count: result.statements },
+  });
+
+  res.json({
+    success: true,
+    message: `${result.statements} statement(s) queued for delivery`,
+    data: result,
+  });
+});
@@ -1,8 +1,143 @@
 import { verifyAccessToken } from '../services/tokenService.js';
 import { prisma } from '../config/database.js';
+import { isSessionActive } from '../services/sessionService.js';
+import { createAuditLog } from '../services/auditLogService.js';
 import { asyncHandler } from './errorHandler.js';
+import { findUsableApiKey, getRequiredScope, hasScope, touchApiKey } from '../services/apiKeyService.js';
+
+const API_KEY_PATTERN = /^sk_/;
+
+const userSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  role: true,
+  phone: true,
+  isEmailVerified: true,
+  isPhoneVerified: true,
+  isActive: true,
+  deletionScheduledFor: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Impersonation is view-only: anything that changes state (payments, passwords, deletions...) is refused
+const IMPERSONATION_ALLOWED_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Resolve the admin behind an impersonation token; null if they may no longer impersonate
+ */
+const loadImpersonator = async (impersonatorId) => {
+  const impersonator = await prisma.user.findUnique({
+    where: { id: impersonatorId },
+    select: { id: true, email: true, fullName: true, role: true, isActive: true },
+  });
+
+  if (!impersonator || impersonator.role !== 'ADMIN' || !impersonator.isActive) {
+    return null;
+  }
+
+  return { id: impersonator.id, email: impersonator.email, fullName: impersonator.fullName };
+};
+
+/**
+ * Record every request made with an impersonation token, with both identities
+ */
+const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    createAuditLog({
+      userId: req.impersonator.id,
+      action: 'IMPERSONATED_REQUEST',
+      entityType: 'USER',
+      entityId: req.user.id,
+      description: `${req.impersonator.email} as ${req.user.email}: ${req.method} ${req.originalUrl} - ${res.statusCode}`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      requestMethod: req.method,
+      requestPath: req.originalUrl,
+      metadata: {
+        impersonatorId: req.impersonator.id,
+        impersonatedUserId: req.user.id,
+        statusCode: res.statusCode,
+      },
+      riskScore: res.statusCode === 403 ? 50 : 20,
+    });
+  });
+};
+
+/**
+ * The API key sent with a request: X-API-Key header, or an "sk_" key as the Bearer token
+ */
+const getPresentedApiKey = (req) => {
+  const headerKey = req.get('x-api-key');
+  if (headerKey) return headerKey.trim();
+
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith('Bearer ') && API_KEY_PATTERN.test(authHeader.substring(7))) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+};
+
+/**
+ * Validate any API key on the request before rate limiting, so limits are counted per key
+ * and a bad key fails on every route, public or not. Sets req.apiKey.
+ */
+export const resolveApiKey = asyncHandler(async (req, res, next) => {
+  const presentedKey = getPresentedApiKey(req);
+  if (!presentedKey) return next();
+
+  const { apiKey, reason } = await findUsableApiKey(presentedKey);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: reason,
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+});
+
+/**
+ * API key requests act as the admin who created the key, limited to the key's scopes
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const requiredScope = getRequiredScope(req);
+  if (!requiredScope || !hasScope(req.apiKey, requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      message: requiredScope
+        ? `API key is missing the ${requiredScope} scope`
+        : 'This endpoint is not available to API keys',
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.apiKey.createdById },
+    select: userSelect,
+  });
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'The owner of this API key is no longer active',
+    });
+  }
+
+  req.user = user;
+  req.sessionId = null;
+  await touchApiKey(req.apiKey, req.ip);
+
+  next();
+};
 
 export const authenticate = asyncHandler(async (req, res, next) => {
+  if (req.apiKey) {
+    return authenticateApiKey(req, res, next);
+  }
+
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -20,16 +155,7 @@ export const authenticate = asyncHandler(async (req, res, next) => {
     // Get user from database
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        role: true,
-        isEmailVerified: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+      select: userSelect,
     });
 
     if (!user) {
@@ -46,7 +172,37 @@ export const authenticate = asyncHandler(async (req, res, next) => {
       });
     }
 
+    // Signed-out sessions lose access immediately, not when the access token expires
+    if (decoded.sessionId && !(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out',
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sessionId || null;
+
+    if (decoded.impersonatorId) {
+      const impersonator = await loadImpersonator(decoded.impersonatorId);
+      if (!impersonator) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer allowed',
+        });
+      }
+
+      req.impersonator = impersonator;
+      auditImpersonatedRequest(req, res);
+
+      if (!IMPERSONATION_ALLOWED_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This action is not available while viewing as another user',
+        });
+      }
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -56,3 +212,14 @@ export const authenticate = asyncHandler(async (req, res, next) => {
   }
 });
 
+
+/**
+ * For public routes that show staff more: authenticate when credentials are sent,
+ * otherwise continue as a visitor
+ */
+export const optionalAuthenticate = (req, res, next) => {
+  if (!req.apiKey && !req.headers.authorization?.startsWith('Bearer ')) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
@@ -1,4 +1,9 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import multer from 'multer';
+import { config } from '../config/env.js';
 import { uploadImage, uploadVideo, uploadDocument } from '../services/cloudinaryService.js';
 
 // Configure multer for memory storage
@@ -47,6 +52,49 @@ export const multipleUpload = (fieldName, maxCount = 10) =>
  */
 export const fieldsUpload = (fields) => upload.fields(fields);
 
+// Course content packages (e.g. SCORM) are zip files, staged on disk for unpacking
+const packageStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const stagingDir = config.scorm.stagingDir || path.join(os.tmpdir(), 'scorm-packages');
+    fs.mkdir(stagingDir, { recursive: true }).then(() => cb(null, stagingDir), cb);
+  },
+  filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}.zip`),
+});
+
+const packageUploader = multer({
+  storage: packageStorage,
+  limits: {
+    fileSize: config.scorm.maxPackageMb * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+      (file.mimetype === 'application/octet-stream' && /\.zip$/i.test(file.originalname));
+
+    if (isZip) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .zip packages are allowed.'));
+    }
+  },
+});
+
+/**
+ * Middleware for a single zip package upload (not sent to Cloudinary as-is). Sets req.file.path;
+ * the staged zip is removed once the response is done.
+ */
+export const packageUpload = (fieldName) => {
+  const handler = packageUploader.single(fieldName);
+  return (req, res, next) => handler(req, res, (error) => {
+    if (req.file?.path) {
+      const stagedPath = req.file.path;
+      res.on('close', () => {
+        fs.unlink(stagedPath).catch(() => {});
+      });
+    }
+    next(error);
+  });
+};
+
 /**
  * Upload image to Cloudinary after multer processing
  */
@@ -169,6 +217,60 @@ export const processVideoUpload = async (req, res, next) => {
   }
 };
 
+/**
+ * Write an uploaded lesson video to the staging directory instead of uploading it in the
+ * request. The background pipeline (lessonVideoService) stores it and builds HLS renditions.
+ * Sets req.stagedVideo = { path, originalName, size, queued }; the file is removed after the
+ * response unless the handler marked it queued.
+ */
+export const stageVideoUpload = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next();
+    }
+
+    if (!Buffer.isBuffer(req.file.buffer) || req.file.buffer.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file data',
+      });
+    }
+
+    if (!req.file.mimetype.startsWith('video/')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type. Only videos are allowed.',
+      });
+    }
+
+    const stagingDir = config.lessonVideo.stagingDir || path.join(os.tmpdir(), 'lesson-videos');
+    await fs.mkdir(stagingDir, { recursive: true });
+
+    const extension = path.extname(req.file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const filePath = path.join(stagingDir, `${crypto.randomUUID()}${extension}`);
+    await fs.writeFile(filePath, req.file.buffer);
+
+    req.stagedVideo = {
+      path: filePath,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      queued: false,
+    };
+
+    // Requests that fail before the video is queued must not leave the file behind
+    res.on('close', () => {
+      if (!req.stagedVideo.queued) {
+        fs.unlink(filePath).catch(() => {});
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Video staging middleware error:', error);
+    next(error);
+  }
+};
+
 /**
  * Upload document to Cloudinary after multer processing
  */
@@ -0,0 +1,172 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from './errorHandler.js';
+import { findDraftCourseId } from '../services/courseRevisionService.js';
+
+/**
+ * Require an INSTRUCTOR account linked to an Instructor profile.
+ * Loads the profile into req.instructor.
+ */
+export const requireInstructor = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  if (req.user.role !== 'INSTRUCTOR') {
+    return res.status(403).json({
+      success: false,
+      message: 'Instructor access required',
+    });
+  }
+
+  const instructor = await prisma.instructor.findUnique({
+    where: { userId: req.user.id },
+  });
+
+  if (!instructor) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account is not linked to an instructor profile',
+    });
+  }
+
+  req.instructor = instructor;
+  next();
+});
+
+/*
+ * Course resolvers: map a request to the ID of the course it touches.
+ * Return undefined when the request does not reference a course (nothing to check)
+ * and null when the referenced resource does not exist.
+ */
+
+export const courseFromParam = (name = 'courseId') => async (req) => req.params[name] || null;
+
+export const courseFromBody = async (req) => req.body.courseId || null;
+
+export const optionalCourseFromBody = async (req) => req.body.courseId || undefined;
+
+export const courseOfChapter = async (req) => {
+  const chapter = await prisma.chapter.findUnique({
+    where: { id: req.params.id },
+    select: { courseId: true },
+  });
+  // Chapters added in a draft only exist in the draft
+  return chapter?.courseId ?? await findDraftCourseId({ chapterId: req.params.id });
+};
+
+export const courseOfLesson = async (req) => {
+  const lessonId = req.params.id || req.params.lessonId || req.body.lessonId;
+  if (!lessonId) return null;
+
+  const lesson = await prisma.lesson.findUnique({
+    where: { id: lessonId },
+    select: { courseId: true },
+  });
+  return lesson?.courseId ?? await findDraftCourseId({ lessonId });
+};
+
+export const courseOfQuiz = async (req) => {
+  const quiz = await prisma.quiz.findUnique({
+    where: { id: req.params.id },
+    select: { lesson: { select: { courseId: true } } },
+  });
+  return quiz?.lesson.courseId ?? await findDraftCourseId({ quizId: req.params.id });
+};
+
+export const courseOfAssignment = async (req) => {
+  const assignment = await prisma.assignment.findUnique({
+    where: { id: req.params.id },
+    select: { courseId: true },
+  });
+  return assignment?.courseId ?? null;
+};
+
+export const courseOfSubmission = async (req) => {
+  const submission = await prisma.assignmentSubmission.findUnique({
+    where: { id: req.params.submissionId },
+    select: { assignment: { select: { courseId: true } } },
+  });
+  return submission?.assignment.courseId ?? null;
+};
+
+/**
+ * Only let the instructor through if the resolved course is one of theirs
+ * @param {Function} resolveCourseId - async (req) => courseId | null | undefined
+ */
+export const requireCourseOwnership = (resolveCourseId) => asyncHandler(async (req, res, next) => {
+  const courseId = await resolveCourseId(req);
+
+  if (courseId === undefined) {
+    return next();
+  }
+
+  const course = courseId
+    ? await prisma.course.findUnique({
+      where: { id: courseId },
+      select: { id: true, instructorId: true },
+    })
+    : null;
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Resource not found',
+    });
+  }
+
+  if (course.instructorId !== req.instructor.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only manage your own courses',
+    });
+  }
+
+  next();
+});
+
+/**
+ * Only let the instructor through for live classes they host
+ */
+export const requireLiveClassOwnership = asyncHandler(async (req, res, next) => {
+  const liveClass = await prisma.liveClass.findUnique({
+    where: { id: req.params.id },
+    select: { instructorId: true },
+  });
+
+  if (!liveClass) {
+    return res.status(404).json({
+      success: false,
+      message: 'Live class not found',
+    });
+  }
+
+  if (liveClass.instructorId !== req.instructor.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only manage your own live classes',
+    });
+  }
+
+  next();
+});
+
+/**
+ * Pin instructor-owned fields so an instructor cannot reassign content to someone else
+ */
+export const pinInstructor = (req, res, next) => {
+  req.body.instructorId = req.instructor.id;
+  next();
+};
+
+// Commercial and catalogue fields stay under admin control
+const ADMIN_ONLY_COURSE_FIELDS = ['price', 'originalPrice', 'isFree', 'status', 'featured', 'slug', 'isTemplate'];
+
+export const stripAdminOnlyCourseFields = (req, res, next) => {
+  for (const field of ADMIN_ONLY_COURSE_FIELDS) {
+    delete req.body[field];
+  }
+  next();
+};
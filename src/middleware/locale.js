@@ -0,0 +1,51 @@
+import { config } from '../config/env.js';
+
+/**
+ * Language tags from an Accept-Language header, most preferred first
+ * "ne-NP,ne;q=0.9,en;q=0.5" -> ['ne-NP', 'ne', 'en']
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+      const quality = qParam ? Number(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim(), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+};
+
+/**
+ * Work out which content languages the client wants: ?lang= first, then Accept-Language,
+ * then the default. Sets req.locales (supported languages, best first, always ending with
+ * the default) and req.locale (the best of them).
+ */
+export const resolveLocale = (req, res, next) => {
+  const { defaultLocale, supportedLocales } = config.i18n;
+  const requested = [
+    ...(typeof req.query.lang === 'string' ? [req.query.lang] : []),
+    ...parseAcceptLanguage(req.get('accept-language')),
+  ];
+
+  const locales = [];
+  for (const tag of requested) {
+    // Regional variants count as the language itself (ne-NP -> ne)
+    const language = tag.toLowerCase().split('-')[0];
+    if (supportedLocales.includes(language) && !locales.includes(language)) {
+      locales.push(language);
+    }
+  }
+  if (!locales.includes(defaultLocale)) {
+    locales.push(defaultLocale);
+  }
+
+  req.locales = locales;
+  req.locale = locales[0];
+  res.vary('Accept-Language');
+  next();
+};
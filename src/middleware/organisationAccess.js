@@ -0,0 +1,47 @@
+import { prisma } from '../config/database.js';
+import { asyncHandler } from './errorHandler.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { getUserPermissions } from '../services/permissionService.js';
+
+/**
+ * Require an admin of the organisation in req.params.id.
+ * Staff with organisations:manage pass as well. Loads the organisation into req.organisation.
+ */
+export const requireOrganisationAdmin = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  const organisation = await prisma.organisation.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!organisation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Organisation not found',
+    });
+  }
+
+  const membership = await prisma.organisationMember.findUnique({
+    where: {
+      organisationId_userId: { organisationId: organisation.id, userId: req.user.id },
+    },
+  });
+
+  if (membership?.role !== 'ADMIN') {
+    const permissions = await getUserPermissions(req.user);
+    if (!permissions.has(PERMISSIONS.ORGANISATIONS_MANAGE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Organisation admin access required',
+      });
+    }
+  }
+
+  req.organisation = organisation;
+  next();
+});
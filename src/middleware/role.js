@@ -1,5 +1,53 @@
 import { asyncHandler } from './errorHandler.js';
+import { createAuditLog } from '../services/auditLogService.js';
+import { getUserPermissions } from '../services/permissionService.js';
 
+const auditDenial = (req, required) => createAuditLog({
+  userId: req.user.id,
+  action: 'PERMISSION_DENIED',
+  entityType: 'PERMISSION',
+  description: `Access denied to ${req.method} ${req.originalUrl}`,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  requestMethod: req.method,
+  requestPath: req.originalUrl,
+  metadata: { required, role: req.user.role },
+  riskScore: 30,
+});
+
+/**
+ * Load the current user's permissions onto req.permissions (once per request)
+ */
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user);
+  }
+  return req.permissions;
+};
+
+/**
+ * Check a permission inside a controller; requires a preceding
+ * requirePermission or loadUserPermissions in the chain
+ */
+export const hasPermission = (req, permission) => {
+  if (!req.user) return false;
+  if (req.user.role === 'ADMIN') return true;
+  return Boolean(req.permissions?.has(permission));
+};
+
+/**
+ * Populate req.permissions without enforcing anything
+ */
+export const loadUserPermissions = asyncHandler(async (req, res, next) => {
+  if (req.user) {
+    await loadPermissions(req);
+  }
+  next();
+});
+
+/**
+ * Full administrators only (role and staff management)
+ */
 export const requireAdmin = asyncHandler(async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -9,12 +57,47 @@ export const requireAdmin = asyncHandler(async (req, res, next) => {
   }
 
   if (req.user.role !== 'ADMIN') {
+    await auditDenial(req, ['ADMIN']);
     return res.status(403).json({
       success: false,
       message: 'Admin access required',
     });
   }
 
+  // Full-admin actions (staff roles, API keys, impersonation) need a signed-in admin, not an integration
+  if (req.apiKey) {
+    await auditDenial(req, ['ADMIN']);
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available to API keys',
+    });
+  }
+
   next();
 });
 
+/**
+ * Require every listed permission; ADMIN users always pass
+ * @param {...string} required - Permissions from config/permissions.js
+ */
+export const requirePermission = (...required) => asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  const permissions = await loadPermissions(req);
+  const missing = required.filter((permission) => !permissions.has(permission));
+
+  if (missing.length > 0) {
+    await auditDenial(req, missing);
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+    });
+  }
+
+  next();
+});
@@ -0,0 +1,61 @@
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { asyncHandler } from './errorHandler.js';
+import { verifyScormLaunchToken } from '../services/tokenService.js';
+
+/**
+ * The SCORM player is embedded by the frontend, so these responses may be framed by it
+ * (helmet blocks framing everywhere else). Content scripts are the package's own, so no
+ * script restrictions apply beyond who may frame them.
+ */
+export const allowPlayerEmbedding = (req, res, next) => {
+  res.removeHeader('X-Frame-Options');
+  res.setHeader('Content-Security-Policy', `frame-ancestors 'self' ${config.corsOrigins.join(' ')}`);
+  next();
+};
+
+/**
+ * Resolve the launch token in the URL to req.scormLaunch = { user, scormPackage }
+ */
+export const resolveScormLaunch = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyScormLaunchToken(req.params.token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  const [user, scormPackage] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: { id: true, fullName: true, isActive: true },
+    }),
+    prisma.scormPackage.findUnique({
+      where: { id: decoded.packageId },
+      include: {
+        lesson: { select: { id: true, title: true, courseId: true } },
+      },
+    }),
+  ]);
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid player link',
+    });
+  }
+
+  // The package was replaced or removed since the lesson was opened
+  if (!scormPackage) {
+    return res.status(410).json({
+      success: false,
+      message: 'This lesson content has changed. Reopen the lesson.',
+    });
+  }
+
+  req.scormLaunch = { user, scormPackage };
+  next();
+});
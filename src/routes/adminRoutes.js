@@ -4,6 +4,8 @@ import {
   unblockUser,
   getAllUsers,
   getUserById,
+  impersonateUser,
+  unlockUserAccount,
   getDashboardStats,
   getFinancialOverview,
   getIncomeBreakdown,
@@ -31,36 +33,172 @@ import {
   markExpenseAsPaid,
   getExpenseStatistics,
 } from '../controllers/expenseController.js';
+import {
+  getPermissionCatalog,
+  getStaffRoles,
+  createStaffRole,
+  updateStaffRole,
+  deleteStaffRole,
+  getUserStaffRoles,
+  assignStaffRole,
+  removeStaffRole,
+} from '../controllers/staffRoleController.js';
+import {
+  getApiKeyScopes,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from '../controllers/apiKeyController.js';
+import {
+  getXapiStatements,
+  getXapiStatement,
+  getXapiDeliverySummary,
+  replayXapiStatements,
+} from '../controllers/xapiController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
-import { userIdValidation, userIdParamValidation, paginationValidation, validate, body, param } from '../utils/validators.js';
+import { requireAdmin, requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { userIdValidation, userIdParamValidation, paginationValidation, validate, body, param, query } from '../utils/validators.js';
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication; each route declares the permission it needs
 router.use(authenticate);
-router.use(requireAdmin);
 
 // ==================== USER MANAGEMENT ====================
-router.post('/users/block', validate(userIdValidation), blockUser);
-router.post('/users/unblock', validate(userIdValidation), unblockUser);
-router.get('/users', validate(paginationValidation), getAllUsers);
-router.get('/users/:userId', validate(userIdParamValidation), getUserById);
+router.post('/users/block', requirePermission(PERMISSIONS.USERS_BLOCK), validate(userIdValidation), blockUser);
+router.post('/users/unblock', requirePermission(PERMISSIONS.USERS_BLOCK), validate(userIdValidation), unblockUser);
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), validate(paginationValidation), getAllUsers);
+router.get('/users/:userId', requirePermission(PERMISSIONS.USERS_READ), validate(userIdParamValidation), getUserById);
+router.post(
+  '/users/:userId/unlock',
+  requirePermission(PERMISSIONS.USERS_BLOCK),
+  validate(userIdParamValidation),
+  unlockUserAccount
+);
+router.post(
+  '/users/:userId/impersonate',
+  requireAdmin,
+  validate([
+    ...userIdParamValidation,
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A reason is required'),
+  ]),
+  impersonateUser
+);
+
+// ==================== STAFF ROLES (full admins only) ====================
+const staffRoleValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString(),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isString(),
+];
+
+router.get('/permissions', requireAdmin, getPermissionCatalog);
+router.get('/roles', requireAdmin, getStaffRoles);
+router.post(
+  '/roles',
+  requireAdmin,
+  validate([
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Role name is required'),
+    body('permissions').isArray().withMessage('Permissions must be an array'),
+    ...staffRoleValidation,
+  ]),
+  createStaffRole
+);
+router.put(
+  '/roles/:id',
+  requireAdmin,
+  validate([param('id').isUUID().withMessage('Invalid role ID'), ...staffRoleValidation]),
+  updateStaffRole
+);
+router.delete('/roles/:id', requireAdmin, validate([param('id').isUUID()]), deleteStaffRole);
+router.get('/users/:userId/roles', requireAdmin, validate(userIdParamValidation), getUserStaffRoles);
+router.post(
+  '/users/:userId/roles',
+  requireAdmin,
+  validate([...userIdParamValidation, body('roleId').isUUID().withMessage('Invalid role ID')]),
+  assignStaffRole
+);
+router.delete(
+  '/users/:userId/roles/:roleId',
+  requireAdmin,
+  validate([...userIdParamValidation, param('roleId').isUUID().withMessage('Invalid role ID')]),
+  removeStaffRole
+);
+
+// ==================== API KEYS (full admins only) ====================
+router.get('/api-keys/scopes', requireAdmin, getApiKeyScopes);
+router.get('/api-keys', requireAdmin, getApiKeys);
+router.post(
+  '/api-keys',
+  requireAdmin,
+  validate([
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Key name is required'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isString(),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+    body('rateLimitPerMinute')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Rate limit must be between 1 and 10000 requests per minute')
+      .toInt(),
+  ]),
+  createApiKey
+);
+router.delete('/api-keys/:id', requireAdmin, validate([param('id').isUUID().withMessage('Invalid API key ID')]), revokeApiKey);
+
+// ==================== xAPI LEARNING RECORDS ====================
+const xapiLogFilters = (location) => [
+  location('userId').optional().isUUID().withMessage('Invalid user ID'),
+  location('verb').optional().isIn(['launched', 'completed', 'passed', 'failed', 'scored', 'attended']),
+  location('activityType').optional().isIn(['course', 'lesson', 'quiz', 'assignment', 'live-class']),
+  location('courseId').optional().isUUID().withMessage('Invalid course ID'),
+  location('lrs').optional().trim().isLength({ min: 1, max: 100 }),
+  location('status').optional().isIn(['PENDING', 'SENT', 'FAILED']),
+  location('startDate').optional().isISO8601(),
+  location('endDate').optional().isISO8601(),
+];
+
+router.get('/xapi/endpoints', requirePermission(PERMISSIONS.ANALYTICS_READ), getXapiDeliverySummary);
+router.get(
+  '/xapi/statements',
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+  validate([...paginationValidation, ...xapiLogFilters(query)]),
+  getXapiStatements
+);
+router.get(
+  '/xapi/statements/:id',
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+  validate([param('id').isUUID().withMessage('Invalid statement ID')]),
+  getXapiStatement
+);
+router.post(
+  '/xapi/statements/replay',
+  requireAdmin,
+  validate([
+    body('statementIds').optional().isArray({ min: 1, max: 5000 }),
+    body('statementIds.*').isUUID().withMessage('Invalid statement ID'),
+    ...xapiLogFilters(body),
+  ]),
+  replayXapiStatements
+);
 
 // ==================== DASHBOARD ====================
-router.get('/dashboard/stats', getDashboardStats);
+router.get('/dashboard/stats', requirePermission(PERMISSIONS.DASHBOARD_READ), getDashboardStats);
 
 // ==================== FINANCIAL MANAGEMENT ====================
-router.get('/finance/overview', getFinancialOverview);
-router.get('/finance/income', getIncomeBreakdown);
-router.get('/finance/expenses', getExpenseBreakdown);
-router.get('/finance/profit-loss', getProfitLoss);
-router.get('/finance/salary-summary', getSalarySummary);
-router.get('/finance/payments', getAllPayments);
+router.get('/finance/overview', requirePermission(PERMISSIONS.FINANCE_READ), getFinancialOverview);
+router.get('/finance/income', requirePermission(PERMISSIONS.FINANCE_READ), getIncomeBreakdown);
+router.get('/finance/expenses', requirePermission(PERMISSIONS.FINANCE_READ), getExpenseBreakdown);
+router.get('/finance/profit-loss', requirePermission(PERMISSIONS.FINANCE_READ), getProfitLoss);
+router.get('/finance/salary-summary', requirePermission(PERMISSIONS.FINANCE_READ), getSalarySummary);
+router.get('/finance/payments', requirePermission(PERMISSIONS.PAYMENTS_READ), getAllPayments);
 
 // ==================== EXPENSE MANAGEMENT ====================
 router.post(
   '/expenses',
+  requirePermission(PERMISSIONS.EXPENSES_MANAGE),
   validate([
     body('title').trim().isLength({ min: 1, max: 255 }),
     body('amount').isFloat({ min: 0 }),
@@ -87,11 +225,12 @@ router.post(
   ]),
   createExpense
 );
-router.get('/expenses', getExpenses);
-router.get('/expenses/statistics', getExpenseStatistics);
-router.get('/expenses/:id', getExpenseById);
+router.get('/expenses', requirePermission(PERMISSIONS.EXPENSES_MANAGE), getExpenses);
+router.get('/expenses/statistics', requirePermission(PERMISSIONS.EXPENSES_MANAGE), getExpenseStatistics);
+router.get('/expenses/:id', requirePermission(PERMISSIONS.EXPENSES_MANAGE), getExpenseById);
 router.put(
   '/expenses/:id',
+  requirePermission(PERMISSIONS.EXPENSES_MANAGE),
   validate([
     param('id').isUUID().withMessage('Invalid expense ID'),
     body('title').optional().trim().isLength({ min: 1, max: 255 }),
@@ -114,10 +253,11 @@ router.put(
   ]),
   updateExpense
 );
-router.delete('/expenses/:id', validate([param('id').isUUID()]), deleteExpense);
-router.post('/expenses/:id/approve', validate([param('id').isUUID()]), approveExpense);
+router.delete('/expenses/:id', requirePermission(PERMISSIONS.EXPENSES_MANAGE), validate([param('id').isUUID()]), deleteExpense);
+router.post('/expenses/:id/approve', requirePermission(PERMISSIONS.EXPENSES_APPROVE), validate([param('id').isUUID()]), approveExpense);
 router.post(
   '/expenses/:id/reject',
+  requirePermission(PERMISSIONS.EXPENSES_APPROVE),
   validate([
     param('id').isUUID(),
     body('reason').optional().isString(),
@@ -126,6 +266,7 @@ router.post(
 );
 router.post(
   '/expenses/:id/mark-paid',
+  requirePermission(PERMISSIONS.EXPENSES_APPROVE),
   validate([
     param('id').isUUID(),
     body('paymentMethod').optional().isString(),
@@ -135,11 +276,12 @@ router.post(
 );
 
 // ==================== INSTRUCTOR EARNINGS ====================
-router.get('/instructors/earnings', getInstructorEarnings);
-router.get('/instructors/:instructorId/earnings', getInstructorEarnings);
-router.get('/instructors/:instructorId/earnings-summary', getInstructorEarningsSummary);
+router.get('/instructors/earnings', requirePermission(PERMISSIONS.FINANCE_READ), getInstructorEarnings);
+router.get('/instructors/:instructorId/earnings', requirePermission(PERMISSIONS.FINANCE_READ), getInstructorEarnings);
+router.get('/instructors/:instructorId/earnings-summary', requirePermission(PERMISSIONS.FINANCE_READ), getInstructorEarningsSummary);
 router.post(
   '/instructors/earnings/mark-paid',
+  requirePermission(PERMISSIONS.PAYOUTS_MANAGE),
   validate([
     body('earningIds').isArray({ min: 1 }),
     body('earningIds.*').isUUID(),
@@ -151,15 +293,16 @@ router.post(
 );
 router.put(
   '/instructors/:instructorId/commission-rate',
+  requirePermission(PERMISSIONS.PAYOUTS_MANAGE),
   validate([body('commissionRate').isFloat({ min: 0, max: 100 })]),
   updateInstructorCommissionRate
 );
 
 // ==================== ACCOUNT MANAGEMENT ====================
-router.get('/account/overview', getAccountOverview);
-router.get('/account/transactions', getAllTransactions);
-router.get('/account/balance', getAccountBalance);
-router.get('/account/statement', getAccountStatement);
+router.get('/account/overview', requirePermission(PERMISSIONS.FINANCE_READ), getAccountOverview);
+router.get('/account/transactions', requirePermission(PERMISSIONS.FINANCE_READ), getAllTransactions);
+router.get('/account/balance', requirePermission(PERMISSIONS.FINANCE_READ), getAccountBalance);
+router.get('/account/statement', requirePermission(PERMISSIONS.FINANCE_READ), getAccountStatement);
 
 export default router;
 
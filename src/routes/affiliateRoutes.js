@@ -8,7 +8,8 @@ import {
   markEarningsAsPaid,
 } from '../controllers/affiliateController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -37,7 +38,7 @@ router.get('/me', getMyAffiliate);
 // Admin routes
 router.get(
   '/',
-  requireAdmin,
+  requirePermission(PERMISSIONS.AFFILIATES_MANAGE),
   [
     query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED', 'SUSPENDED']),
     query('page').optional().isInt({ min: 1 }),
@@ -48,7 +49,7 @@ router.get(
 
 router.put(
   '/:id/status',
-  requireAdmin,
+  requirePermission(PERMISSIONS.AFFILIATES_MANAGE),
   [
     param('id').isUUID(),
     body('status').isIn(['PENDING', 'APPROVED', 'REJECTED', 'SUSPENDED']),
@@ -60,7 +61,7 @@ router.put(
 
 router.get(
   '/earnings',
-  requireAdmin,
+  requirePermission(PERMISSIONS.AFFILIATES_MANAGE),
   [
     query('affiliateId').optional().isUUID(),
     query('status').optional().isIn(['PENDING', 'PAID']),
@@ -72,7 +73,7 @@ router.get(
 
 router.post(
   '/earnings/mark-paid',
-  requireAdmin,
+  requirePermission(PERMISSIONS.AFFILIATES_MANAGE),
   [
     body('earningIds').isArray().withMessage('Earning IDs array is required'),
     body('earningIds.*').isUUID(),
@@ -10,7 +10,8 @@ import {
   deleteAssignment,
 } from '../controllers/assignmentController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 
 const router = express.Router();
@@ -45,7 +46,7 @@ router.post(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     body('courseId').isUUID().withMessage('Invalid course ID'),
     body('title').notEmpty().trim().withMessage('Title is required'),
@@ -59,7 +60,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     param('id').isUUID().withMessage('Invalid assignment ID'),
     body('title').optional().trim(),
@@ -73,7 +74,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [param('id').isUUID().withMessage('Invalid assignment ID')],
   deleteAssignment
 );
@@ -81,7 +82,7 @@ router.delete(
 router.get(
   '/:id/submissions',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ASSIGNMENTS_GRADE),
   [
     param('id').isUUID().withMessage('Invalid assignment ID'),
     query('page').optional().isInt({ min: 1 }).toInt(),
@@ -93,7 +94,7 @@ router.get(
 router.post(
   '/submissions/:submissionId/grade',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ASSIGNMENTS_GRADE),
   [
     param('submissionId').isUUID().withMessage('Invalid submission ID'),
     body('score').isInt({ min: 0 }).withMessage('Score must be a non-negative integer'),
@@ -1,7 +1,8 @@
 import express from 'express';
 import { getAuditLogs } from '../controllers/auditLogController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { query } from 'express-validator';
 
 const router = express.Router();
@@ -10,7 +11,7 @@ const router = express.Router();
 router.get(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.AUDIT_LOGS_READ),
   [
     query('userId').optional().isUUID().withMessage('Invalid user ID format'),
     query('action').optional().trim(),
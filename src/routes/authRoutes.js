@@ -9,7 +9,38 @@ import {
   forgotPassword,
   resetPassword,
   getMe,
+  sendPhoneVerification,
+  verifyPhone,
+  requestPhoneLoginOtp,
+  phoneLogin,
+  forgotPasswordByPhone,
+  resetPasswordByPhone,
+  getPasswordPolicy,
+  changePassword,
+  unlockAccountWithToken,
 } from '../controllers/authController.js';
+import {
+  setup2FA,
+  enable2FA,
+  disable2FA,
+  verify2FAToken,
+  get2FAStatus,
+} from '../controllers/twoFactorController.js';
+import {
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+} from '../controllers/sessionController.js';
+import {
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+} from '../controllers/emailChangeController.js';
+import {
+  exportMyData,
+  deleteMyAccount,
+  cancelAccountDeletion,
+} from '../controllers/accountController.js';
 import {
   getProfile,
   updatePaymentPreference,
@@ -22,10 +53,23 @@ import {
   forgotPasswordValidation,
   resetPasswordValidation,
   refreshTokenValidation,
+  twoFactorTokenValidation,
+  twoFactorLoginValidation,
+  disableTwoFactorValidation,
+  phoneValidation,
+  verifyPhoneValidation,
+  phoneLoginValidation,
+  phoneResetPasswordValidation,
+  deleteAccountValidation,
+  emailChangeValidation,
+  confirmEmailChangeValidation,
+  cancelEmailChangeValidation,
+  changePasswordValidation,
+  unlockAccountValidation,
   validate,
 } from '../utils/validators.js';
 import { authenticate } from '../middleware/auth.js';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 
 const router = express.Router();
 
@@ -37,11 +81,57 @@ router.post('/login', validate(loginValidation), login);
 router.post('/refresh-token', validate(refreshTokenValidation), refreshToken);
 router.post('/forgot-password', validate(forgotPasswordValidation), forgotPassword);
 router.post('/reset-password', validate(resetPasswordValidation), resetPassword);
+router.post('/2fa/verify', validate(twoFactorLoginValidation), verify2FAToken);
+router.get('/password-policy', getPasswordPolicy);
+
+// Unlock link from the account locked email
+router.post('/unlock', validate(unlockAccountValidation), unlockAccountWithToken);
+
+// Cancel link from the notice sent to the old address
+router.post('/email-change/cancel', validate(cancelEmailChangeValidation), cancelEmailChange);
+
+// SMS OTP login and password reset (verified phone numbers only)
+router.post('/phone/login/request-otp', validate(phoneValidation), requestPhoneLoginOtp);
+router.post('/phone/login', validate(phoneLoginValidation), phoneLogin);
+router.post('/phone/forgot-password', validate(phoneValidation), forgotPasswordByPhone);
+router.post('/phone/reset-password', validate(phoneResetPasswordValidation), resetPasswordByPhone);
 
 // Protected routes
 router.post('/logout', authenticate, logout);
 router.get('/me', authenticate, getMe);
 
+// Password change (checked against the policy and recent passwords)
+router.put('/password', authenticate, validate(changePasswordValidation), changePassword);
+
+// Personal data export and account deletion
+router.post('/me/export', authenticate, exportMyData);
+router.delete('/me', authenticate, validate(deleteAccountValidation), deleteMyAccount);
+router.post('/me/cancel-deletion', authenticate, cancelAccountDeletion);
+
+// Email change
+router.post('/email-change', authenticate, validate(emailChangeValidation), requestEmailChange);
+router.post('/email-change/confirm', authenticate, validate(confirmEmailChangeValidation), confirmEmailChange);
+
+// Phone verification
+router.post('/phone/send-verification', authenticate, validate(phoneValidation), sendPhoneVerification);
+router.post('/phone/verify', authenticate, validate(verifyPhoneValidation), verifyPhone);
+
+// Session management
+router.get('/sessions', authenticate, getSessions);
+router.post('/sessions/revoke-others', authenticate, deleteOtherSessions);
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  validate([param('id').isUUID().withMessage('Invalid session ID')]),
+  deleteSession
+);
+
+// Two-factor authentication
+router.get('/2fa/status', authenticate, get2FAStatus);
+router.post('/2fa/setup', authenticate, setup2FA);
+router.post('/2fa/enable', authenticate, validate(twoFactorTokenValidation), enable2FA);
+router.post('/2fa/disable', authenticate, validate(disableTwoFactorValidation), disable2FA);
+
 // User profile routes
 router.get('/profile', authenticate, getProfile);
 router.put(
@@ -13,8 +13,9 @@ import {
   deleteBlogComment,
   moderateComment,
 } from '../controllers/blogCommentController.js';
-import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.js';
+import { requirePermission, loadUserPermissions } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -32,12 +33,16 @@ router.get(
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
   ],
+  optionalAuthenticate,
+  loadUserPermissions,
   getAllBlogs
 );
 
 router.get(
   '/:id',
   [param('id').notEmpty()],
+  optionalAuthenticate,
+  loadUserPermissions,
   getBlogById
 );
 
@@ -50,12 +55,15 @@ router.get(
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('approved').optional().isBoolean(),
   ],
+  optionalAuthenticate,
+  loadUserPermissions,
   getBlogComments
 );
 
 router.post(
   '/:id/comments',
   authenticate, // Move authenticate before validate
+  loadUserPermissions,
   [
     param('id').isUUID(),
     body('content').notEmpty().trim().withMessage('Comment content is required'),
@@ -70,6 +78,7 @@ router.post(
 router.put(
   '/:id/comments/:commentId',
   authenticate,
+  loadUserPermissions,
   [
     param('id').isUUID(),
     param('commentId').isUUID(),
@@ -82,6 +91,7 @@ router.put(
 router.delete(
   '/:id/comments/:commentId',
   authenticate,
+  loadUserPermissions,
   [
     param('id').isUUID(),
     param('commentId').isUUID(),
@@ -92,7 +102,7 @@ router.delete(
 router.post(
   '/:id/comments/:commentId/moderate',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.BLOGS_MODERATE),
   [
     param('id').isUUID(),
     param('commentId').isUUID(),
@@ -106,6 +116,7 @@ router.post(
 router.post(
   '/',
   authenticate,
+  requirePermission(PERMISSIONS.BLOGS_PUBLISH),
   [
     body('title').notEmpty().trim().withMessage('Blog title is required'),
     body('slug').notEmpty().trim().withMessage('Blog slug is required'),
@@ -126,6 +137,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
+  requirePermission(PERMISSIONS.BLOGS_PUBLISH),
   [
     param('id').isUUID(),
     body('title').optional().notEmpty().trim(),
@@ -147,6 +159,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
+  requirePermission(PERMISSIONS.BLOGS_PUBLISH),
   [param('id').isUUID()],
   deleteBlog
 );
@@ -7,7 +7,8 @@ import {
   deleteCategory,
 } from '../controllers/categoryController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { singleUpload, processImageUpload } from '../middleware/cloudinaryUpload.js';
 
@@ -34,7 +35,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   singleUpload('image'),
   processImageUpload,
   [
@@ -51,7 +52,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   singleUpload('image'),
   processImageUpload,
   [
@@ -69,7 +70,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   [
     param('id').isUUID(),
   ],
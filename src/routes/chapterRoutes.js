@@ -10,7 +10,8 @@ import {
   togglePreview,
 } from '../controllers/chapterController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param } from 'express-validator';
 
 const router = express.Router();
@@ -32,7 +33,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     body('courseId').notEmpty().isUUID().withMessage('Course ID is required'),
     body('title').notEmpty().trim().isLength({ min: 1, max: 255 }).withMessage('Title is required (max 255 characters)'),
@@ -41,6 +42,8 @@ router.post(
     body('order').optional().isInt({ min: 0 }),
     body('isLocked').optional().isBoolean(),
     body('isPreview').optional().isBoolean(),
+    body('releaseAfterDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }),
+    body('releaseAt').optional({ nullable: true }).isISO8601(),
   ],
   createChapter
 );
@@ -48,7 +51,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     param('id').isUUID().withMessage('Invalid chapter ID'),
     body('title').optional().trim().isLength({ min: 1, max: 255 }),
@@ -57,6 +60,8 @@ router.put(
     body('order').optional().isInt({ min: 0 }),
     body('isLocked').optional().isBoolean(),
     body('isPreview').optional().isBoolean(),
+    body('releaseAfterDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }),
+    body('releaseAt').optional({ nullable: true }).isISO8601(),
   ],
   updateChapter
 );
@@ -64,7 +69,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [param('id').isUUID().withMessage('Invalid chapter ID')],
   deleteChapter
 );
@@ -72,7 +77,7 @@ router.delete(
 router.post(
   '/:id/reorder',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     param('id').isUUID().withMessage('Invalid chapter ID'),
     body('order').notEmpty().isInt({ min: 0 }).withMessage('Order is required and must be a positive integer'),
@@ -83,7 +88,7 @@ router.post(
 router.post(
   '/:id/toggle-lock',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     param('id').isUUID().withMessage('Invalid chapter ID'),
     body('isLocked').optional().isBoolean(),
@@ -94,7 +99,7 @@ router.post(
 router.post(
   '/:id/toggle-preview',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     param('id').isUUID().withMessage('Invalid chapter ID'),
     body('isPreview').optional().isBoolean(),
@@ -0,0 +1,102 @@
+import express from 'express';
+import {
+  getCourseCohorts,
+  getCohorts,
+  getCohort,
+  createCohort,
+  updateCohort,
+  deleteCohort,
+  assignEnrollment,
+  getCohortRoster,
+  getCohortProgress,
+} from '../controllers/cohortController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { validate, paginationValidation, body, param, query } from '../utils/validators.js';
+
+const router = express.Router();
+
+const cohortIdValidation = [param('id').isUUID().withMessage('Invalid cohort ID')];
+
+const cohortFieldValidation = [
+  body('description').optional({ nullable: true }).isString(),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  body('enrollmentOpensAt').optional({ nullable: true }).isISO8601().withMessage('Enrollment opening must be a valid date'),
+  body('enrollmentClosesAt').optional({ nullable: true }).isISO8601().withMessage('Enrollment closing must be a valid date'),
+  body('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('isActive').optional().isBoolean().toBoolean(),
+];
+
+// Public: cohorts a student can pick from (course ID or slug)
+router.get('/course/:courseId', getCourseCohorts);
+
+// ==================== ADMIN ====================
+router.use(authenticate);
+
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.ENROLLMENTS_READ),
+  validate([
+    ...paginationValidation,
+    query('courseId').optional().isUUID().withMessage('Invalid course ID'),
+    query('isActive').optional().isBoolean().toBoolean(),
+  ]),
+  getCohorts
+);
+
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([
+    body('courseId').isUUID().withMessage('Valid course ID is required'),
+    body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Cohort name must be between 2 and 255 characters'),
+    body('startDate').isISO8601().withMessage('Start date is required'),
+    ...cohortFieldValidation,
+  ]),
+  createCohort
+);
+
+router.get('/:id', requirePermission(PERMISSIONS.ENROLLMENTS_READ), validate(cohortIdValidation), getCohort);
+
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([
+    ...cohortIdValidation,
+    body('name').optional().trim().isLength({ min: 2, max: 255 }).withMessage('Cohort name must be between 2 and 255 characters'),
+    body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    ...cohortFieldValidation,
+  ]),
+  updateCohort
+);
+
+router.delete('/:id', requirePermission(PERMISSIONS.COURSES_MANAGE), validate(cohortIdValidation), deleteCohort);
+
+router.get(
+  '/:id/roster',
+  requirePermission(PERMISSIONS.ENROLLMENTS_READ),
+  validate([
+    ...cohortIdValidation,
+    ...paginationValidation,
+    query('status').optional().isIn(['PENDING', 'ACTIVE', 'COMPLETED', 'CANCELLED']),
+    query('search').optional().trim().isLength({ max: 255 }),
+  ]),
+  getCohortRoster
+);
+
+router.get('/:id/progress', requirePermission(PERMISSIONS.ENROLLMENTS_READ), validate(cohortIdValidation), getCohortProgress);
+
+router.put(
+  '/:id/enrollments/:enrollmentId',
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([
+    ...cohortIdValidation,
+    param('enrollmentId').isUUID().withMessage('Invalid enrollment ID'),
+    body('force').optional().isBoolean().toBoolean(),
+  ]),
+  assignEnrollment
+);
+
+export default router;
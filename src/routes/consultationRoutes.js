@@ -7,7 +7,8 @@ import {
   deleteConsultation,
 } from '../controllers/consultationController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { consultationValidation } from '../utils/validators.js';
 import { body, param, query } from 'express-validator';
 
@@ -20,7 +21,7 @@ router.post('/', consultationValidation, submitConsultation);
 router.get(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONSULTATIONS_MANAGE),
   [
     query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED', 'COMPLETED']),
     query('page').optional().isInt({ min: 1 }),
@@ -32,7 +33,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONSULTATIONS_MANAGE),
   [param('id').isUUID()],
   getConsultationById
 );
@@ -40,7 +41,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONSULTATIONS_MANAGE),
   [
     param('id').isUUID(),
     body('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED', 'COMPLETED']),
@@ -52,7 +53,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONSULTATIONS_MANAGE),
   [param('id').isUUID()],
   deleteConsultation
 );
@@ -7,7 +7,8 @@ import {
   deleteContact,
 } from '../controllers/contactController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -31,7 +32,7 @@ router.post(
 router.get(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTACTS_MANAGE),
   [
     query('status').optional().isIn(['PENDING', 'READ', 'REPLIED']),
     query('page').optional().isInt({ min: 1 }),
@@ -44,7 +45,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTACTS_MANAGE),
   [param('id').isUUID()],
   validate,
   getContactById
@@ -53,7 +54,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTACTS_MANAGE),
   [
     param('id').isUUID(),
     body('status').isIn(['PENDING', 'READ', 'REPLIED']).withMessage('Invalid status'),
@@ -65,7 +66,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTACTS_MANAGE),
   [param('id').isUUID()],
   validate,
   deleteContact
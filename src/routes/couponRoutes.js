@@ -9,7 +9,8 @@ import {
   deleteCoupon,
 } from '../controllers/couponController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 
 const router = express.Router();
@@ -32,7 +33,7 @@ router.get('/active', getActiveCoupons);
 router.get(
   '/admin',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
   [
     query('status').optional().isIn(['ACTIVE', 'INACTIVE', 'EXPIRED']),
     query('page').optional().isInt({ min: 1 }),
@@ -50,7 +51,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
   [
     body('code').notEmpty().trim().isLength({ min: 3, max: 50 }),
     body('description').optional().isString(),
@@ -71,7 +72,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
   [
     param('id').isUUID(),
     body('code').optional().trim().isLength({ min: 3, max: 50 }),
@@ -94,7 +95,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
   [param('id').isUUID()],
   deleteCoupon
 );
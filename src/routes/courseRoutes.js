@@ -7,11 +7,28 @@ import {
   createCourse,
   updateCourse,
   deleteCourse,
+  cloneCourse,
 } from '../controllers/courseController.js';
+import {
+  getCourseRevisions,
+  getCourseRevision,
+  createCourseDraft,
+  discardCourseDraft,
+  publishCourseDraft,
+  rollbackCourseRevision,
+} from '../controllers/courseRevisionController.js';
+import { exportCourse, importCourse } from '../controllers/coursePackageController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { singleUpload, processImageUpload } from '../middleware/cloudinaryUpload.js';
-import { courseValidation, courseFilterValidation } from '../utils/validators.js';
+import {
+  courseValidation,
+  courseFilterValidation,
+  courseCloneValidation,
+  validate,
+  body,
+} from '../utils/validators.js';
 import { param, query } from 'express-validator';
 
 const router = express.Router();
@@ -31,7 +48,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   singleUpload('thumbnail'),
   processImageUpload,
   courseValidation,
@@ -41,7 +58,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   singleUpload('thumbnail'),
   processImageUpload,
   [param('id').isUUID(), ...courseValidation],
@@ -51,11 +68,104 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [param('id').isUUID()],
   deleteCourse
 );
 
+// Copy a course (or a template) with its curriculum into a new draft course
+router.post(
+  '/:id/clone',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  courseCloneValidation,
+  cloneCourse
+);
+
+// Course packages: move courses between environments or archive them (Admin)
+router.post(
+  '/import',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([
+    body('package').isObject().withMessage('package must be a course package object'),
+    body('instructorId').optional().isUUID().withMessage('Instructor ID must be a valid UUID'),
+    body('categoryId').optional().isUUID().withMessage('Category ID must be a valid UUID'),
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug must be URL-friendly (lowercase letters, numbers, and hyphens only)'),
+    body('dryRun').optional().isBoolean(),
+  ]),
+  importCourse
+);
+
+router.get(
+  '/:id/export',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([param('id').isUUID().withMessage('Invalid course ID')]),
+  exportCourse
+);
+
+// Curriculum revisions (Admin)
+const revisionParams = [
+  param('courseId').isUUID().withMessage('Invalid course ID'),
+  param('revisionId').isUUID().withMessage('Invalid revision ID'),
+];
+
+router.get(
+  '/:courseId/revisions',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([param('courseId').isUUID().withMessage('Invalid course ID')]),
+  getCourseRevisions
+);
+
+router.post(
+  '/:courseId/revisions',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([
+    param('courseId').isUUID().withMessage('Invalid course ID'),
+    body('notes').optional().isString().isLength({ max: 2000 }),
+  ]),
+  createCourseDraft
+);
+
+router.get(
+  '/:courseId/revisions/:revisionId',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate(revisionParams),
+  getCourseRevision
+);
+
+router.delete(
+  '/:courseId/revisions/:revisionId',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate(revisionParams),
+  discardCourseDraft
+);
+
+router.post(
+  '/:courseId/revisions/:revisionId/publish',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate(revisionParams),
+  publishCourseDraft
+);
+
+router.post(
+  '/:courseId/revisions/:revisionId/rollback',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate(revisionParams),
+  rollbackCourseRevision
+);
+
 export default router;
 
 
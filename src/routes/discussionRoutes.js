@@ -0,0 +1,133 @@
+import express from 'express';
+import {
+  getCourseThreads,
+  getThread,
+  createThread,
+  updateThread,
+  deleteThread,
+  createReply,
+  updateReply,
+  deleteReply,
+  markAnswered,
+  unmarkAnswered,
+  upvoteThread,
+  upvoteReply,
+  moderateThread,
+  moderateReply,
+} from '../controllers/discussionController.js';
+import { authenticate } from '../middleware/auth.js';
+import { loadUserPermissions } from '../middleware/role.js';
+import { validate, paginationValidation, body, param, query } from '../utils/validators.js';
+
+const router = express.Router();
+
+// Q&A is for enrolled students, course instructors and staff (checked per course)
+router.use(authenticate, loadUserPermissions);
+
+const threadIdValidation = [param('id').isUUID().withMessage('Invalid question ID')];
+const replyIdValidation = [param('id').isUUID().withMessage('Invalid reply ID')];
+
+const contentValidation = (optional = false) => {
+  const chain = body('content');
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Text must be between 1 and 10000 characters');
+};
+
+const titleValidation = (optional = false) => {
+  const chain = body('title');
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 255 })
+    .withMessage('Title must be between 5 and 255 characters');
+};
+
+// ==================== QUESTIONS ====================
+router.get(
+  '/course/:courseId/threads',
+  validate([
+    param('courseId').isUUID().withMessage('Invalid course ID'),
+    ...paginationValidation,
+    query('lessonId').optional().custom((value) => value === 'none' || /^[0-9a-f-]{36}$/i.test(value))
+      .withMessage('lessonId must be a lesson ID or "none"'),
+    query('q').optional().trim().isLength({ max: 200 }),
+    query('answered').optional().isBoolean().toBoolean(),
+    query('hidden').optional().isBoolean().toBoolean(),
+    query('sort').optional().isIn(['recent', 'votes', 'newest']).withMessage('Sort must be recent, votes or newest'),
+  ]),
+  getCourseThreads
+);
+
+router.post(
+  '/course/:courseId/threads',
+  validate([
+    param('courseId').isUUID().withMessage('Invalid course ID'),
+    body('lessonId').optional({ nullable: true }).isUUID().withMessage('Invalid lesson ID'),
+    titleValidation(),
+    contentValidation(),
+  ]),
+  createThread
+);
+
+router.get('/threads/:id', validate(threadIdValidation), getThread);
+router.put(
+  '/threads/:id',
+  validate([...threadIdValidation, titleValidation(true), contentValidation(true)]),
+  updateThread
+);
+router.delete('/threads/:id', validate(threadIdValidation), deleteThread);
+
+router.post('/threads/:id/upvote', validate(threadIdValidation), upvoteThread);
+router.delete('/threads/:id/upvote', validate(threadIdValidation), upvoteThread);
+
+// Instructor or staff
+router.post(
+  '/threads/:id/answer',
+  validate([...threadIdValidation, body('replyId').optional({ nullable: true }).isUUID().withMessage('Invalid reply ID')]),
+  markAnswered
+);
+router.delete('/threads/:id/answer', validate(threadIdValidation), unmarkAnswered);
+
+router.patch(
+  '/threads/:id/moderate',
+  validate([
+    ...threadIdValidation,
+    body('isHidden').optional().isBoolean().toBoolean(),
+    body('isPinned').optional().isBoolean().toBoolean(),
+    body('isLocked').optional().isBoolean().toBoolean(),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ]),
+  moderateThread
+);
+
+// ==================== REPLIES ====================
+router.post(
+  '/threads/:id/replies',
+  validate([
+    ...threadIdValidation,
+    body('parentId').optional({ nullable: true }).isUUID().withMessage('Invalid parent reply ID'),
+    contentValidation(),
+  ]),
+  createReply
+);
+
+router.put('/replies/:id', validate([...replyIdValidation, contentValidation()]), updateReply);
+router.delete('/replies/:id', validate(replyIdValidation), deleteReply);
+
+router.post('/replies/:id/upvote', validate(replyIdValidation), upvoteReply);
+router.delete('/replies/:id/upvote', validate(replyIdValidation), upvoteReply);
+
+router.patch(
+  '/replies/:id/moderate',
+  validate([
+    ...replyIdValidation,
+    body('isHidden').isBoolean().withMessage('isHidden is required').toBoolean(),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ]),
+  moderateReply
+);
+
+export default router;
@@ -7,7 +7,8 @@ import {
   getAllEnrollments,
 } from '../controllers/enrollmentController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission, loadUserPermissions } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 
 const router = express.Router();
@@ -18,6 +19,7 @@ router.post(
   authenticate,
   [
     body('courseId').notEmpty().isUUID(),
+    body('cohortId').optional().isUUID(),
     body('affiliateCode').optional().isString(),
   ],
   enrollInCourse
@@ -38,6 +40,7 @@ router.get(
   '/:id',
   authenticate,
   [param('id').isUUID()],
+  loadUserPermissions,
   getEnrollmentById
 );
 
@@ -52,10 +55,11 @@ router.delete(
 router.get(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ENROLLMENTS_READ),
   [
     query('status').optional().isIn(['PENDING', 'ACTIVE', 'COMPLETED', 'CANCELLED']),
     query('courseId').optional().isUUID(),
+    query('cohortId').optional().isUUID(),
     query('userId').optional().isUUID(),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -10,7 +10,8 @@ import {
   markEventAttendance,
 } from '../controllers/eventController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -54,7 +55,7 @@ router.post(
 router.get(
   '/:id/registrations',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
   [
     param('id').isUUID(),
     query('page').optional().isInt({ min: 1 }),
@@ -66,7 +67,7 @@ router.get(
 router.post(
   '/:id/attendance/:registrationId',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
   [
     param('id').isUUID(),
     param('registrationId').isUUID(),
@@ -77,7 +78,7 @@ router.post(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
   [
     body('title').notEmpty().trim().withMessage('Event title is required'),
     body('slug').notEmpty().trim().withMessage('Event slug is required'),
@@ -100,7 +101,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
   [
     param('id').isUUID(),
     body('title').optional().notEmpty().trim(),
@@ -125,7 +126,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
   [param('id').isUUID()],
   deleteEvent
 );
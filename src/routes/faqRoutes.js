@@ -7,7 +7,8 @@ import {
   deleteFAQ,
 } from '../controllers/faqController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -36,7 +37,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   [
     body('question').notEmpty().trim().isLength({ min: 1, max: 500 }).withMessage('Question is required (max 500 characters)'),
     body('answer').notEmpty().isString().withMessage('Answer is required'),
@@ -51,7 +52,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   [
     param('id').isUUID(),
     body('question').optional().trim().isLength({ min: 1, max: 500 }),
@@ -67,7 +68,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   [param('id').isUUID()],
   validate,
   deleteFAQ
@@ -7,7 +7,8 @@ import {
   deleteGalleryItem,
 } from '../controllers/galleryController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { singleUpload, processImageUpload, processVideoUpload } from '../middleware/cloudinaryUpload.js';
 import { body, param, query } from 'express-validator';
 
@@ -36,7 +37,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   singleUpload('file'),
   processImageUpload,
   [
@@ -56,7 +57,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   singleUpload('file'),
   processImageUpload,
   [
@@ -77,7 +78,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   [param('id').isUUID()],
   deleteGalleryItem
 );
@@ -0,0 +1,427 @@
+import express from 'express';
+import {
+  getMyProfile,
+  updateMyProfile,
+  getMyCourses,
+  getMyCourse,
+  getMyCourseStudents,
+  getMySubmissions,
+  getMyLiveClasses,
+  getMyEarningsSummary,
+  getMyEarnings,
+} from '../controllers/instructorPortalController.js';
+import { updateCourse } from '../controllers/courseController.js';
+import {
+  getCourseRevisions,
+  getCourseRevision,
+  createCourseDraft,
+  discardCourseDraft,
+} from '../controllers/courseRevisionController.js';
+import {
+  createChapter,
+  updateChapter,
+  deleteChapter,
+  reorderChapters,
+} from '../controllers/chapterController.js';
+import { createLesson, updateLesson, deleteLesson, getLessonVideoStatus } from '../controllers/lessonController.js';
+import { createQuiz, updateQuiz, deleteQuiz } from '../controllers/quizController.js';
+import { uploadScormPackage, getScormPackage, getScormAttempts } from '../controllers/scormController.js';
+import {
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  getSubmissions,
+  gradeSubmission,
+} from '../controllers/assignmentController.js';
+import { createLiveClass, updateLiveClass, deleteLiveClass } from '../controllers/liveClassController.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  requireInstructor,
+  requireCourseOwnership,
+  requireLiveClassOwnership,
+  courseFromParam,
+  courseFromBody,
+  optionalCourseFromBody,
+  courseOfChapter,
+  courseOfLesson,
+  courseOfQuiz,
+  courseOfAssignment,
+  courseOfSubmission,
+  pinInstructor,
+  stripAdminOnlyCourseFields,
+} from '../middleware/instructorAccess.js';
+import { singleUpload, packageUpload, processImageUpload, stageVideoUpload } from '../middleware/cloudinaryUpload.js';
+import { courseValidation, paginationValidation, validate, body, param, query } from '../utils/validators.js';
+
+const router = express.Router();
+
+// Every route is for a logged-in instructor, scoped to their own content
+router.use(authenticate);
+router.use(requireInstructor);
+
+// ==================== PROFILE ====================
+router.get('/me', getMyProfile);
+router.put(
+  '/me',
+  singleUpload('image'),
+  processImageUpload,
+  validate([
+    body('bio').optional().isString(),
+    body('designation').optional().trim().isLength({ max: 255 }),
+    body('specialization').optional().trim().isLength({ max: 500 }),
+    body('phone').optional().isString(),
+    body('image').optional().isString().isURL(),
+    body('socialLinks').optional().isJSON(),
+    body('bankName').optional().trim().isLength({ max: 255 }),
+    body('accountNumber').optional().trim().isLength({ max: 100 }),
+    body('ifscCode').optional().trim().isLength({ max: 50 }),
+    body('panNumber').optional().trim().isLength({ max: 50 }),
+  ]),
+  updateMyProfile
+);
+
+// ==================== COURSES ====================
+router.get('/courses', getMyCourses);
+router.get(
+  '/courses/:courseId',
+  validate([param('courseId').isUUID().withMessage('Invalid course ID')]),
+  requireCourseOwnership(courseFromParam('courseId')),
+  getMyCourse
+);
+router.get(
+  '/courses/:courseId/students',
+  validate([param('courseId').isUUID().withMessage('Invalid course ID'), ...paginationValidation]),
+  requireCourseOwnership(courseFromParam('courseId')),
+  getMyCourseStudents
+);
+router.put(
+  '/courses/:id',
+  singleUpload('thumbnail'),
+  requireCourseOwnership(courseFromParam('id')),
+  stripAdminOnlyCourseFields,
+  pinInstructor,
+  processImageUpload,
+  [param('id').isUUID(), ...courseValidation],
+  updateCourse
+);
+
+// ==================== CURRICULUM DRAFTS ====================
+// Instructors prepare drafts; an admin publishes them
+router.get(
+  '/courses/:courseId/revisions',
+  validate([param('courseId').isUUID().withMessage('Invalid course ID')]),
+  requireCourseOwnership(courseFromParam('courseId')),
+  getCourseRevisions
+);
+router.post(
+  '/courses/:courseId/revisions',
+  validate([
+    param('courseId').isUUID().withMessage('Invalid course ID'),
+    body('notes').optional().isString().isLength({ max: 2000 }),
+  ]),
+  requireCourseOwnership(courseFromParam('courseId')),
+  createCourseDraft
+);
+router.get(
+  '/courses/:courseId/revisions/:revisionId',
+  validate([
+    param('courseId').isUUID().withMessage('Invalid course ID'),
+    param('revisionId').isUUID().withMessage('Invalid revision ID'),
+  ]),
+  requireCourseOwnership(courseFromParam('courseId')),
+  getCourseRevision
+);
+router.delete(
+  '/courses/:courseId/revisions/:revisionId',
+  validate([
+    param('courseId').isUUID().withMessage('Invalid course ID'),
+    param('revisionId').isUUID().withMessage('Invalid revision ID'),
+  ]),
+  requireCourseOwnership(courseFromParam('courseId')),
+  discardCourseDraft
+);
+
+// ==================== CHAPTERS ====================
+router.post(
+  '/chapters',
+  validate([
+    body('courseId').notEmpty().isUUID().withMessage('Course ID is required'),
+    body('title').notEmpty().trim().isLength({ min: 1, max: 255 }).withMessage('Title is required (max 255 characters)'),
+    body('slug').optional().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional().isString(),
+    body('order').optional().isInt({ min: 0 }),
+    body('isLocked').optional().isBoolean(),
+    body('isPreview').optional().isBoolean(),
+    body('releaseAfterDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }),
+    body('releaseAt').optional({ nullable: true }).isISO8601(),
+  ]),
+  requireCourseOwnership(courseFromBody),
+  createChapter
+);
+router.put(
+  '/chapters/:id',
+  validate([
+    param('id').isUUID().withMessage('Invalid chapter ID'),
+    body('title').optional().trim().isLength({ min: 1, max: 255 }),
+    body('slug').optional().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional().isString(),
+    body('order').optional().isInt({ min: 0 }),
+    body('isLocked').optional().isBoolean(),
+    body('isPreview').optional().isBoolean(),
+    body('releaseAfterDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }),
+    body('releaseAt').optional({ nullable: true }).isISO8601(),
+  ]),
+  requireCourseOwnership(courseOfChapter),
+  updateChapter
+);
+router.post(
+  '/chapters/:id/reorder',
+  validate([
+    param('id').isUUID().withMessage('Invalid chapter ID'),
+    body('order').notEmpty().isInt({ min: 0 }).withMessage('Order is required and must be a positive integer'),
+  ]),
+  requireCourseOwnership(courseOfChapter),
+  reorderChapters
+);
+router.delete(
+  '/chapters/:id',
+  validate([param('id').isUUID().withMessage('Invalid chapter ID')]),
+  requireCourseOwnership(courseOfChapter),
+  deleteChapter
+);
+
+// ==================== LESSONS ====================
+const lessonFieldValidation = [
+  body('chapterId').optional().isUUID(),
+  body('title').optional().trim().isLength({ min: 1, max: 255 }),
+  body('slug').optional().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional().isString(),
+  body('content').optional().isString(),
+  body('videoUrl').optional().isString(),
+  body('videoDuration').optional().isInt({ min: 0 }),
+  body('attachmentUrl').optional().isString(),
+  body('lessonType').optional().isIn(['VIDEO', 'TEXT', 'PDF', 'QUIZ', 'ASSIGNMENT', 'SCORM']),
+  body('order').optional().isInt(),
+  body('isPreview').optional().isBoolean(),
+  body('isLocked').optional().isBoolean(),
+  body('unlockRequirement').optional(),
+  body('releaseAfterDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }),
+  body('releaseAt').optional({ nullable: true }).isISO8601(),
+];
+
+router.post(
+  '/lessons',
+  singleUpload('video'),
+  validate([
+    body('courseId').notEmpty().isUUID(),
+    body('title').notEmpty().trim().isLength({ min: 1, max: 255 }),
+    ...lessonFieldValidation,
+  ]),
+  requireCourseOwnership(courseFromBody),
+  stageVideoUpload,
+  createLesson
+);
+router.put(
+  '/lessons/:id',
+  singleUpload('video'),
+  validate([param('id').isUUID(), ...lessonFieldValidation]),
+  requireCourseOwnership(courseOfLesson),
+  stageVideoUpload,
+  updateLesson
+);
+router.delete(
+  '/lessons/:id',
+  validate([param('id').isUUID()]),
+  requireCourseOwnership(courseOfLesson),
+  deleteLesson
+);
+router.get(
+  '/lessons/:id/video',
+  validate([param('id').isUUID()]),
+  requireCourseOwnership(courseOfLesson),
+  getLessonVideoStatus
+);
+
+// SCORM lessons: the package zip and learners' attempts
+router.post(
+  '/lessons/:lessonId/scorm',
+  validate([param('lessonId').isUUID()]),
+  requireCourseOwnership(courseOfLesson),
+  packageUpload('package'),
+  uploadScormPackage
+);
+router.get(
+  '/lessons/:lessonId/scorm',
+  validate([param('lessonId').isUUID()]),
+  requireCourseOwnership(courseOfLesson),
+  getScormPackage
+);
+router.get(
+  '/lessons/:lessonId/scorm/attempts',
+  validate([param('lessonId').isUUID(), ...paginationValidation]),
+  requireCourseOwnership(courseOfLesson),
+  getScormAttempts
+);
+
+// ==================== QUIZZES ====================
+router.post(
+  '/quizzes',
+  validate([
+    body('lessonId').isUUID().withMessage('Invalid lesson ID'),
+    body('title').notEmpty().trim().withMessage('Title is required'),
+    body('passingScore').optional().isInt({ min: 0, max: 100 }),
+    body('timeLimit').optional().isInt({ min: 1 }),
+    body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
+    body('questions.*.question').notEmpty().withMessage('Question text is required'),
+    body('questions.*.correctAnswer').notEmpty().withMessage('Correct answer is required'),
+    body('questions.*.points').optional().isInt({ min: 1 }),
+  ]),
+  requireCourseOwnership(courseOfLesson),
+  createQuiz
+);
+router.put(
+  '/quizzes/:id',
+  validate([
+    param('id').isUUID().withMessage('Invalid quiz ID'),
+    body('title').optional().trim(),
+    body('description').optional().trim(),
+    body('timeLimit').optional().isInt({ min: 1 }),
+    body('passingScore').optional().isInt({ min: 0, max: 100 }),
+  ]),
+  requireCourseOwnership(courseOfQuiz),
+  updateQuiz
+);
+router.delete(
+  '/quizzes/:id',
+  validate([param('id').isUUID().withMessage('Invalid quiz ID')]),
+  requireCourseOwnership(courseOfQuiz),
+  deleteQuiz
+);
+
+// ==================== ASSIGNMENTS & GRADING ====================
+router.post(
+  '/assignments',
+  validate([
+    body('courseId').isUUID().withMessage('Invalid course ID'),
+    body('title').notEmpty().trim().withMessage('Title is required'),
+    body('description').optional().trim(),
+    body('dueDate').optional().isISO8601().withMessage('Invalid due date format'),
+    body('maxScore').optional().isInt({ min: 1 }).withMessage('Max score must be a positive integer'),
+  ]),
+  requireCourseOwnership(courseFromBody),
+  createAssignment
+);
+router.put(
+  '/assignments/:id',
+  validate([
+    param('id').isUUID().withMessage('Invalid assignment ID'),
+    body('title').optional().trim(),
+    body('description').optional().trim(),
+    body('dueDate').optional().isISO8601(),
+    body('maxScore').optional().isInt({ min: 1 }),
+  ]),
+  requireCourseOwnership(courseOfAssignment),
+  updateAssignment
+);
+router.delete(
+  '/assignments/:id',
+  validate([param('id').isUUID().withMessage('Invalid assignment ID')]),
+  requireCourseOwnership(courseOfAssignment),
+  deleteAssignment
+);
+router.get(
+  '/submissions',
+  validate([
+    query('courseId').optional().isUUID(),
+    query('graded').optional().isBoolean(),
+    ...paginationValidation,
+  ]),
+  getMySubmissions
+);
+router.get(
+  '/assignments/:id/submissions',
+  validate([param('id').isUUID().withMessage('Invalid assignment ID'), ...paginationValidation]),
+  requireCourseOwnership(courseOfAssignment),
+  getSubmissions
+);
+router.post(
+  '/submissions/:submissionId/grade',
+  validate([
+    param('submissionId').isUUID().withMessage('Invalid submission ID'),
+    body('score').isInt({ min: 0 }).withMessage('Score must be a non-negative integer'),
+    body('feedback').optional().trim().isLength({ max: 2000 }),
+  ]),
+  requireCourseOwnership(courseOfSubmission),
+  gradeSubmission
+);
+
+// ==================== LIVE CLASSES ====================
+router.get('/live-classes', getMyLiveClasses);
+router.post(
+  '/live-classes',
+  pinInstructor,
+  validate([
+    body('title').notEmpty().trim().withMessage('Title is required'),
+    body('scheduledAt').isISO8601().withMessage('Valid scheduled date is required'),
+    body('duration').isInt({ min: 1 }).withMessage('Duration must be a positive integer'),
+    body('description').optional().isString(),
+    body('courseId').optional().isUUID(),
+    body('meetingUrl').optional().isURL(),
+    body('meetingId').optional().isString(),
+    body('meetingPassword').optional().isString(),
+    body('meetingProvider').optional().isIn(['ZOOM', 'GOOGLE_MEET', 'OTHER']),
+    body('autoGenerateMeeting').optional().isBoolean(),
+    body('hostEmail').optional().isEmail(),
+  ]),
+  requireCourseOwnership(optionalCourseFromBody),
+  createLiveClass
+);
+router.put(
+  '/live-classes/:id',
+  validate([
+    param('id').isUUID(),
+    body('title').optional().notEmpty().trim(),
+    body('scheduledAt').optional().isISO8601(),
+    body('duration').optional().isInt({ min: 1 }),
+    body('description').optional().isString(),
+    body('courseId').optional({ values: 'null' }).isUUID(),
+    body('meetingUrl').optional().isURL(),
+    body('meetingId').optional().isString(),
+    body('meetingPassword').optional().isString(),
+    body('meetingProvider').optional().isIn(['ZOOM', 'GOOGLE_MEET', 'OTHER']),
+    body('autoGenerateMeeting').optional().isBoolean(),
+    body('hostEmail').optional().isEmail(),
+    body('recordingUrl').optional().isURL(),
+    body('status').optional().isIn(['SCHEDULED', 'LIVE', 'COMPLETED', 'CANCELLED']),
+  ]),
+  requireLiveClassOwnership,
+  requireCourseOwnership(optionalCourseFromBody),
+  pinInstructor,
+  updateLiveClass
+);
+router.delete(
+  '/live-classes/:id',
+  validate([param('id').isUUID()]),
+  requireLiveClassOwnership,
+  deleteLiveClass
+);
+
+// ==================== EARNINGS ====================
+router.get(
+  '/earnings/summary',
+  validate([query('startDate').optional().isISO8601(), query('endDate').optional().isISO8601()]),
+  getMyEarningsSummary
+);
+router.get(
+  '/earnings',
+  validate([
+    query('courseId').optional().isUUID(),
+    query('status').optional().isIn(['PENDING', 'PAID', 'CANCELLED']),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    ...paginationValidation,
+  ]),
+  getMyEarnings
+);
+
+export default router;
@@ -5,9 +5,12 @@ import {
   createInstructor,
   updateInstructor,
   deleteInstructor,
+  linkInstructorAccount,
+  unlinkInstructorAccount,
 } from '../controllers/instructorController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { singleUpload, processImageUpload } from '../middleware/cloudinaryUpload.js';
 import { body, param, query } from 'express-validator';
 
@@ -34,7 +37,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE),
   singleUpload('image'),
   processImageUpload,
   [
@@ -61,7 +64,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE),
   singleUpload('image'),
   processImageUpload,
   [
@@ -89,13 +92,41 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE),
   [
     param('id').isUUID(),
   ],
   deleteInstructor
 );
 
+router.post(
+  '/:id/account',
+  authenticate,
+  requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE),
+  [
+    param('id').isUUID(),
+    body('userId').optional().isUUID().withMessage('Invalid user ID'),
+    body('email').optional().isEmail().normalizeEmail().withMessage('Invalid email'),
+    body().custom((value) => {
+      if (!value.userId && !value.email) {
+        throw new Error('Either userId or email is required');
+      }
+      return true;
+    }),
+  ],
+  linkInstructorAccount
+);
+
+router.delete(
+  '/:id/account',
+  authenticate,
+  requirePermission(PERMISSIONS.INSTRUCTORS_MANAGE),
+  [
+    param('id').isUUID(),
+  ],
+  unlinkInstructorAccount
+);
+
 export default router;
 
 
@@ -0,0 +1,14 @@
+import express from 'express';
+import { streamLessonMedia } from '../controllers/lessonMediaController.js';
+
+/**
+ * Signed lesson media links. Mounted ahead of CORS and the API rate limiter: the token in
+ * the path authorises the request, and <video> elements send no Origin and many range requests.
+ */
+const router = express.Router();
+
+router.get('/lessons/:token', streamLessonMedia);
+// HLS rendition playlists and segments, listed in the playlists served for the link above
+router.get('/lessons/:token/hls/:expires/:signature/*', streamLessonMedia);
+
+export default router;
@@ -0,0 +1,77 @@
+import express from 'express';
+import {
+  searchMyNotes,
+  getLessonNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+  exportCourseNotes,
+} from '../controllers/lessonNoteController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, paginationValidation, body, param, query } from '../utils/validators.js';
+
+const router = express.Router();
+
+// Notes are private to the logged-in student
+router.use(authenticate);
+
+const noteFieldValidation = [
+  body('content').optional({ nullable: true }).isString().isLength({ max: 10000 }).withMessage('Notes can be up to 10000 characters'),
+  body('videoTimestamp').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Video timestamp must be a positive number of seconds').toFloat(),
+  body('pageNumber').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Page number must be a positive integer').toInt(),
+];
+
+router.get(
+  '/',
+  validate([
+    ...paginationValidation,
+    query('q').optional().trim().isLength({ max: 200 }),
+    query('courseId').optional().isUUID().withMessage('Invalid course ID'),
+    query('lessonId').optional().isUUID().withMessage('Invalid lesson ID'),
+    query('type').optional().isIn(['NOTE', 'BOOKMARK']).withMessage('Type must be NOTE or BOOKMARK'),
+  ]),
+  searchMyNotes
+);
+
+router.get(
+  '/lesson/:lessonId',
+  validate([param('lessonId').isUUID().withMessage('Invalid lesson ID')]),
+  getLessonNotes
+);
+
+router.get(
+  '/course/:courseId/export',
+  validate([
+    param('courseId').isUUID().withMessage('Invalid course ID'),
+    query('format').optional().isIn(['markdown', 'pdf']).withMessage('Format must be markdown or pdf'),
+  ]),
+  exportCourseNotes
+);
+
+router.post(
+  '/',
+  validate([
+    body('lessonId').isUUID().withMessage('Invalid lesson ID'),
+    body('type').optional().isIn(['NOTE', 'BOOKMARK']).withMessage('Type must be NOTE or BOOKMARK'),
+    ...noteFieldValidation,
+  ]),
+  createNote
+);
+
+router.put(
+  '/:id',
+  validate([
+    param('id').isUUID().withMessage('Invalid note ID'),
+    body('type').optional().isIn(['NOTE', 'BOOKMARK']).withMessage('Type must be NOTE or BOOKMARK'),
+    ...noteFieldValidation,
+  ]),
+  updateNote
+);
+
+router.delete(
+  '/:id',
+  validate([param('id').isUUID().withMessage('Invalid note ID')]),
+  deleteNote
+);
+
+export default router;
@@ -5,10 +5,12 @@ import {
   createLesson,
   updateLesson,
   deleteLesson,
+  getLessonVideoStatus,
 } from '../controllers/lessonController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
-import { singleUpload, processVideoUpload, processDocumentUpload } from '../middleware/cloudinaryUpload.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { singleUpload, stageVideoUpload, processDocumentUpload } from '../middleware/cloudinaryUpload.js';
 import { body, param } from 'express-validator';
 
 const router = express.Router();
@@ -21,9 +23,9 @@ router.get('/:id', [param('id').isUUID()], getLessonById);
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   singleUpload('video'),
-  processVideoUpload,
+  stageVideoUpload,
   [
     body('courseId').notEmpty().isUUID(),
     body('chapterId').optional().isUUID(),
@@ -34,11 +36,13 @@ router.post(
     body('videoUrl').optional().isString(),
     body('videoDuration').optional().isInt({ min: 0 }),
     body('attachmentUrl').optional().isString(),
-    body('lessonType').optional().isIn(['VIDEO', 'TEXT', 'PDF', 'QUIZ', 'ASSIGNMENT']),
+    body('lessonType').optional().isIn(['VIDEO', 'TEXT', 'PDF', 'QUIZ', 'ASSIGNMENT', 'SCORM']),
     body('order').optional().isInt(),
     body('isPreview').optional().isBoolean(),
     body('isLocked').optional().isBoolean(),
     body('unlockRequirement').optional(),
+    body('releaseAfterDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }),
+    body('releaseAt').optional({ nullable: true }).isISO8601(),
   ],
   createLesson
 );
@@ -46,9 +50,9 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   singleUpload('video'),
-  processVideoUpload,
+  stageVideoUpload,
   [
     param('id').isUUID(),
     body('chapterId').optional().isUUID(),
@@ -59,19 +63,29 @@ router.put(
     body('videoUrl').optional().isString(),
     body('videoDuration').optional().isInt({ min: 0 }),
     body('attachmentUrl').optional().isString(),
-    body('lessonType').optional().isIn(['VIDEO', 'TEXT', 'PDF', 'QUIZ', 'ASSIGNMENT']),
+    body('lessonType').optional().isIn(['VIDEO', 'TEXT', 'PDF', 'QUIZ', 'ASSIGNMENT', 'SCORM']),
     body('order').optional().isInt(),
     body('isPreview').optional().isBoolean(),
     body('isLocked').optional().isBoolean(),
     body('unlockRequirement').optional(),
+    body('releaseAfterDays').optional({ nullable: true }).isInt({ min: 0, max: 3650 }),
+    body('releaseAt').optional({ nullable: true }).isISO8601(),
   ],
   updateLesson
 );
 
+router.get(
+  '/:id/video',
+  authenticate,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  [param('id').isUUID()],
+  getLessonVideoStatus
+);
+
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [param('id').isUUID()],
   deleteLesson
 );
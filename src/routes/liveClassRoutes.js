@@ -10,7 +10,8 @@ import {
   getMyLiveClasses,
 } from '../controllers/liveClassController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission, loadUserPermissions } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -23,6 +24,7 @@ router.get(
     query('status').optional().isIn(['SCHEDULED', 'LIVE', 'COMPLETED', 'CANCELLED']),
     query('instructorId').optional().isUUID(),
     query('courseId').optional().isUUID(),
+    query('cohortId').optional().isUUID(),
     query('upcoming').optional().isBoolean(),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -38,6 +40,7 @@ router.get(
 
 // Authenticated routes
 router.use(authenticate);
+router.use(loadUserPermissions);
 
 // Get user's live classes
 router.get('/me/enrollments', getMyLiveClasses);
@@ -62,7 +65,7 @@ router.post(
 // Admin routes
 router.post(
   '/',
-  requireAdmin,
+  requirePermission(PERMISSIONS.LIVE_CLASSES_MANAGE),
   [
     body('title').notEmpty().trim().withMessage('Title is required'),
     body('instructorId').isUUID().withMessage('Valid instructor ID is required'),
@@ -70,6 +73,7 @@ router.post(
     body('duration').isInt({ min: 1 }).withMessage('Duration must be a positive integer'),
     body('description').optional().isString(),
     body('courseId').optional().isUUID(),
+    body('cohortId').optional({ nullable: true, checkFalsy: true }).isUUID(),
     body('meetingUrl').optional().isURL(),
     body('meetingId').optional().isString(),
     body('meetingPassword').optional().isString(),
@@ -83,7 +87,7 @@ router.post(
 
 router.put(
   '/:id',
-  requireAdmin,
+  requirePermission(PERMISSIONS.LIVE_CLASSES_MANAGE),
   [
     param('id').isUUID(),
     body('title').optional().notEmpty().trim(),
@@ -92,6 +96,7 @@ router.put(
     body('duration').optional().isInt({ min: 1 }),
     body('description').optional().isString(),
     body('courseId').optional().isUUID(),
+    body('cohortId').optional({ nullable: true, checkFalsy: true }).isUUID(),
     body('meetingUrl').optional().isURL(),
     body('meetingId').optional().isString(),
     body('meetingPassword').optional().isString(),
@@ -107,7 +112,7 @@ router.put(
 
 router.delete(
   '/:id',
-  requireAdmin,
+  requirePermission(PERMISSIONS.LIVE_CLASSES_MANAGE),
   [param('id').isUUID()],
   deleteLiveClass
 );
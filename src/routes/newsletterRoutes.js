@@ -6,7 +6,8 @@ import {
   deleteSubscriber,
 } from '../controllers/newsletterController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -36,7 +37,7 @@ router.post(
 router.get(
   '/subscribers',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.NEWSLETTER_MANAGE),
   [
     query('isActive').optional().isBoolean(),
     query('page').optional().isInt({ min: 1 }),
@@ -49,7 +50,7 @@ router.get(
 router.delete(
   '/subscribers/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.NEWSLETTER_MANAGE),
   [param('id').isUUID()],
   validate,
   deleteSubscriber
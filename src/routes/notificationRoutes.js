@@ -9,7 +9,8 @@ import {
   createBulkNotifications,
 } from '../controllers/notificationController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -41,7 +42,7 @@ router.delete('/:id', [param('id').isUUID()], deleteNotification);
 // Admin routes
 router.post(
   '/',
-  requireAdmin,
+  requirePermission(PERMISSIONS.NOTIFICATIONS_SEND),
   [
     body('userId').isUUID().withMessage('Valid user ID is required'),
     body('title').notEmpty().trim().withMessage('Title is required'),
@@ -55,7 +56,7 @@ router.post(
 
 router.post(
   '/bulk',
-  requireAdmin,
+  requirePermission(PERMISSIONS.NOTIFICATIONS_SEND),
   [
     body('userIds').isArray().withMessage('User IDs array is required'),
     body('userIds.*').isUUID(),
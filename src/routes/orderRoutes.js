@@ -7,7 +7,8 @@ import {
   cancelOrder,
 } from '../controllers/orderController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission, loadUserPermissions } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -15,6 +16,7 @@ const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
+router.use(loadUserPermissions);
 
 // Get all orders
 router.get(
@@ -64,7 +66,7 @@ router.post(
 // Update order status (Admin only)
 router.put(
   '/:id/status',
-  requireAdmin,
+  requirePermission(PERMISSIONS.ORDERS_MANAGE),
   [
     param('id').isUUID(),
     body('status').isIn(['PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED']),
@@ -0,0 +1,119 @@
+import express from 'express';
+import {
+  createOrganisation,
+  getMyOrganisations,
+  getAllOrganisations,
+  getOrganisation,
+  updateOrganisation,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  purchaseSeats,
+  getSeats,
+  inviteToSeats,
+  reclaimSeat,
+  getDashboard,
+  acceptInvite,
+} from '../controllers/organisationController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/role.js';
+import { requireOrganisationAdmin } from '../middleware/organisationAccess.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { body, param } from 'express-validator';
+import { validate, paginationValidation } from '../utils/validators.js';
+
+const router = express.Router();
+
+// All organisation routes require authentication
+router.use(authenticate);
+
+const organisationIdValidation = [param('id').isUUID().withMessage('Invalid organisation ID')];
+
+router.post(
+  '/',
+  validate([
+    body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Organisation name must be between 2 and 255 characters'),
+    body('contactEmail').optional().isEmail().withMessage('Invalid contact email').normalizeEmail(),
+  ]),
+  createOrganisation
+);
+router.get('/', requirePermission(PERMISSIONS.ORGANISATIONS_MANAGE), validate(paginationValidation), getAllOrganisations);
+router.get('/mine', getMyOrganisations);
+
+// Seat invites are accepted by the invited employee, not an org admin
+router.post(
+  '/invites/accept',
+  validate([body('token').isString().notEmpty().withMessage('Invite token is required')]),
+  acceptInvite
+);
+
+// ==================== ORGANISATION ADMINS ====================
+router.get('/:id', validate(organisationIdValidation), requireOrganisationAdmin, getOrganisation);
+router.put(
+  '/:id',
+  validate([
+    ...organisationIdValidation,
+    body('name').optional().trim().isLength({ min: 2, max: 255 }),
+    body('contactEmail').optional({ nullable: true, checkFalsy: true }).isEmail().normalizeEmail(),
+    body('isActive').optional().isBoolean().toBoolean(),
+  ]),
+  requireOrganisationAdmin,
+  updateOrganisation
+);
+
+router.get('/:id/members', validate(organisationIdValidation), requireOrganisationAdmin, getMembers);
+router.put(
+  '/:id/members/:userId',
+  validate([
+    ...organisationIdValidation,
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    body('role').isIn(['ADMIN', 'MEMBER']).withMessage('Role must be ADMIN or MEMBER'),
+  ]),
+  requireOrganisationAdmin,
+  updateMemberRole
+);
+router.delete(
+  '/:id/members/:userId',
+  validate([...organisationIdValidation, param('userId').isUUID().withMessage('Invalid user ID')]),
+  requireOrganisationAdmin,
+  removeMember
+);
+
+router.get('/:id/seats', validate(organisationIdValidation), requireOrganisationAdmin, getSeats);
+router.post(
+  '/:id/seats/purchase',
+  validate([
+    ...organisationIdValidation,
+    body('courseId').isUUID().withMessage('Invalid course ID'),
+    body('seats').isInt({ min: 1, max: 1000 }).withMessage('Seats must be between 1 and 1000').toInt(),
+    body('paymentMethod')
+      .isIn(['ESEWA', 'MOBILE_BANKING', 'VISA_CARD', 'MASTERCARD'])
+      .withMessage('Invalid payment method'),
+    body('couponCode').optional().isString().trim(),
+    body('successUrl').optional().isURL().withMessage('Invalid success URL format'),
+    body('failureUrl').optional().isURL().withMessage('Invalid failure URL format'),
+  ]),
+  requireOrganisationAdmin,
+  purchaseSeats
+);
+router.post(
+  '/:id/seats/invite',
+  validate([
+    ...organisationIdValidation,
+    body('courseId').isUUID().withMessage('Invalid course ID'),
+    body('emails').isArray({ min: 1, max: 200 }).withMessage('Provide between 1 and 200 email addresses'),
+    body('emails.*').isEmail().withMessage('Invalid email address').normalizeEmail(),
+  ]),
+  requireOrganisationAdmin,
+  inviteToSeats
+);
+router.post(
+  '/:id/seats/:seatId/reclaim',
+  validate([...organisationIdValidation, param('seatId').isUUID().withMessage('Invalid seat ID')]),
+  requireOrganisationAdmin,
+  reclaimSeat
+);
+
+router.get('/:id/dashboard', validate(organisationIdValidation), requireOrganisationAdmin, getDashboard);
+
+export default router;
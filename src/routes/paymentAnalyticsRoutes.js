@@ -5,7 +5,8 @@ import {
   getTopPaymentMethods,
 } from '../controllers/paymentAnalyticsController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { query } from 'express-validator';
 
 const router = express.Router();
@@ -14,7 +15,7 @@ const router = express.Router();
 router.get(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   [
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
@@ -26,7 +27,7 @@ router.get(
 router.get(
   '/trends',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   [query('days').optional().isInt({ min: 1, max: 365 })],
   getPaymentTrends
 );
@@ -34,7 +35,7 @@ router.get(
 router.get(
   '/top-methods',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   [query('limit').optional().isInt({ min: 1, max: 20 })],
   getTopPaymentMethods
 );
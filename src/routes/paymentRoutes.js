@@ -16,7 +16,8 @@ import {
   getTopPaymentMethods,
 } from '../controllers/paymentAnalyticsController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission, loadUserPermissions } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 
 const router = express.Router();
@@ -43,6 +44,10 @@ router.post(
       .optional()
       .isUUID()
       .withMessage('Invalid course ID format'),
+    body('cohortId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid cohort ID format'),
     body('orderId')
       .optional()
       .isUUID()
@@ -119,6 +124,7 @@ router.get(
       .isUUID()
       .withMessage('Invalid payment ID format'),
   ],
+  loadUserPermissions,
   getPayment
 );
 
@@ -126,7 +132,7 @@ router.get(
 router.get(
   '/analytics',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   [
     query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
@@ -138,7 +144,7 @@ router.get(
 router.get(
   '/analytics/trends',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   [
     query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
   ],
@@ -148,7 +154,7 @@ router.get(
 router.get(
   '/analytics/methods',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   [
     query('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
   ],
@@ -172,7 +178,7 @@ router.post(
 router.post(
   '/:paymentId/refund',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.PAYMENTS_REFUND),
   [
     param('paymentId')
       .isUUID()
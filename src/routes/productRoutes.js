@@ -11,7 +11,8 @@ import {
   deleteProductReview,
 } from '../controllers/productController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission, loadUserPermissions } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param, query } from 'express-validator';
 import { validate } from '../utils/validators.js';
 
@@ -74,6 +75,7 @@ router.put(
     body('comment').optional().isString().trim(),
   ],
   validate,
+  loadUserPermissions,
   updateProductReview
 );
 
@@ -84,6 +86,7 @@ router.delete(
     param('id').isUUID(),
     param('reviewId').isUUID(),
   ],
+  loadUserPermissions,
   deleteProductReview
 );
 
@@ -91,7 +94,7 @@ router.delete(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   [
     body('name').notEmpty().trim().withMessage('Product name is required'),
     body('slug').notEmpty().trim().withMessage('Product slug is required'),
@@ -113,7 +116,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   [
     param('id').isUUID(),
     body('name').optional().notEmpty().trim(),
@@ -136,7 +139,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   [param('id').isUUID()],
   deleteProduct
 );
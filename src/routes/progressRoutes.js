@@ -1,7 +1,9 @@
 import express from 'express';
 import {
   updateLessonProgress,
+  recordWatchHeartbeat,
   getCourseProgress,
+  getCourseUnlocks,
 } from '../controllers/progressController.js';
 import { authenticate } from '../middleware/auth.js';
 import { body, param } from 'express-validator';
@@ -21,12 +23,27 @@ router.put(
   updateLessonProgress
 );
 
+router.post(
+  '/lesson/:lessonId/heartbeat',
+  [
+    param('lessonId').isUUID(),
+    body('position').isFloat({ min: 0 }).toFloat(),
+  ],
+  recordWatchHeartbeat
+);
+
 router.get(
   '/course/:courseId',
   [param('courseId').isUUID()],
   getCourseProgress
 );
 
+router.get(
+  '/course/:courseId/unlocks',
+  [param('courseId').isUUID()],
+  getCourseUnlocks
+);
+
 export default router;
 
 
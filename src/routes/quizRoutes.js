@@ -8,7 +8,8 @@ import {
   deleteQuiz,
 } from '../controllers/quizController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { body, param } from 'express-validator';
 
 const router = express.Router();
@@ -44,7 +45,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     body('lessonId').isUUID().withMessage('Invalid lesson ID'),
     body('title').notEmpty().trim().withMessage('Title is required'),
@@ -61,7 +62,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [
     param('id').isUUID().withMessage('Invalid quiz ID'),
     body('title').optional().trim(),
@@ -75,7 +76,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
   [param('id').isUUID().withMessage('Invalid quiz ID')],
   deleteQuiz
 );
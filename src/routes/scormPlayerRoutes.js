@@ -0,0 +1,17 @@
+import express from 'express';
+import { getScormPlayer, getScormContent, commitScormRuntime } from '../controllers/scormController.js';
+import { allowPlayerEmbedding, resolveScormLaunch } from '../middleware/scormPlayer.js';
+
+/**
+ * SCORM player and package content. Mounted ahead of CORS and the API rate limiter:
+ * the launch token in the path authorises every request, and content makes many asset requests.
+ */
+const router = express.Router();
+
+router.use(allowPlayerEmbedding);
+
+router.get('/:token', resolveScormLaunch, getScormPlayer);
+router.get('/:token/content/*', resolveScormLaunch, getScormContent);
+router.post('/:token/runtime', express.json({ limit: '2mb' }), resolveScormLaunch, commitScormRuntime);
+
+export default router;
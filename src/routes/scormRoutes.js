@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  uploadScormPackage,
+  getScormPackage,
+  deleteScormPackage,
+  launchScormLesson,
+  getMyScormAttempt,
+  getScormAttempts,
+} from '../controllers/scormController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission, loadUserPermissions } from '../middleware/role.js';
+import { packageUpload } from '../middleware/cloudinaryUpload.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { param } from 'express-validator';
+import { validate, paginationValidation } from '../utils/validators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const lessonIdValidation = [param('lessonId').isUUID().withMessage('Invalid lesson ID')];
+
+// ==================== LEARNERS ====================
+router.get('/lessons/:lessonId/launch', validate(lessonIdValidation), loadUserPermissions, launchScormLesson);
+router.get('/lessons/:lessonId/attempt', validate(lessonIdValidation), getMyScormAttempt);
+
+// ==================== ADMIN ====================
+router.post(
+  '/lessons/:lessonId/package',
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate(lessonIdValidation),
+  packageUpload('package'),
+  uploadScormPackage
+);
+router.get(
+  '/lessons/:lessonId/package',
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate(lessonIdValidation),
+  getScormPackage
+);
+router.delete(
+  '/lessons/:lessonId/package',
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate(lessonIdValidation),
+  deleteScormPackage
+);
+router.get(
+  '/lessons/:lessonId/attempts',
+  requirePermission(PERMISSIONS.COURSES_MANAGE),
+  validate([...lessonIdValidation, ...paginationValidation]),
+  getScormAttempts
+);
+
+export default router;
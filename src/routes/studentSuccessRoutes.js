@@ -7,7 +7,8 @@ import {
   deleteSuccessStory,
 } from '../controllers/studentSuccessController.js';
 import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/role.js';
+import { requirePermission } from '../middleware/role.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { singleUpload, processImageUpload } from '../middleware/cloudinaryUpload.js';
 import { body, param, query } from 'express-validator';
 
@@ -35,7 +36,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   singleUpload('studentImage'),
   processImageUpload,
   [
@@ -58,7 +59,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   singleUpload('studentImage'),
   processImageUpload,
   [
@@ -82,7 +83,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
   [param('id').isUUID()],
   deleteSuccessStory
 );
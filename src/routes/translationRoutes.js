@@ -0,0 +1,65 @@
+import express from 'express';
+import {
+  getMissingTranslations,
+  getEntityTranslations,
+  upsertTranslation,
+  deleteTranslation,
+} from '../controllers/translationController.js';
+import { authenticate } from '../middleware/auth.js';
+import { loadUserPermissions } from '../middleware/role.js';
+import { config } from '../config/env.js';
+import { TRANSLATABLE_FIELDS } from '../services/translationService.js';
+import { validate, paginationValidation, body, param, query } from '../utils/validators.js';
+
+const router = express.Router();
+
+// Staff only; each content type is checked against the permission needed to edit it
+router.use(authenticate, loadUserPermissions);
+
+const ENTITY_TYPES = Object.keys(TRANSLATABLE_FIELDS).map((type) => type.toLowerCase());
+
+const entityTypeMessage = `Content type must be one of: ${ENTITY_TYPES.join(', ')}`;
+const localeMessage = `Language must be one of: ${config.i18n.supportedLocales.join(', ')}`;
+
+const entityValidation = [
+  param('entityType').toLowerCase().isIn(ENTITY_TYPES).withMessage(entityTypeMessage),
+  param('entityId').isUUID().withMessage('Invalid content ID'),
+];
+
+const localeValidation = param('locale').toLowerCase().isIn(config.i18n.supportedLocales).withMessage(localeMessage);
+
+router.get(
+  '/missing',
+  validate([
+    ...paginationValidation,
+    query('entityType').optional().toLowerCase().isIn(ENTITY_TYPES).withMessage(entityTypeMessage),
+    query('locale').optional().toLowerCase().isIn(config.i18n.supportedLocales).withMessage(localeMessage),
+    query('courseId').optional().isUUID().withMessage('Invalid course ID'),
+  ]),
+  getMissingTranslations
+);
+
+router.get(
+  '/:entityType/:entityId',
+  validate(entityValidation),
+  getEntityTranslations
+);
+
+router.put(
+  '/:entityType/:entityId/:locale',
+  validate([
+    ...entityValidation,
+    localeValidation,
+    body('fields').isObject().withMessage('fields must be an object of translated text'),
+    body('fields.*').optional({ nullable: true }).isString().withMessage('Translated fields must be text'),
+  ]),
+  upsertTranslation
+);
+
+router.delete(
+  '/:entityType/:entityId/:locale',
+  validate([...entityValidation, localeValidation]),
+  deleteTranslation
+);
+
+export default router;
@@ -1,9 +1,77 @@
 import app from './app.js';
 import { config } from './config/env.js';
 import { prisma } from './config/database.js';
+import { processScheduledDeletions } from './services/accountService.js';
+import { deliverPendingStatements } from './services/xapiService.js';
+import { notifyReleasedContent } from './services/contentReleaseService.js';
+import { processLessonVideos } from './services/lessonVideoService.js';
+import { assertSmsConfigured } from './services/smsService.js';
 
 const PORT = process.env.PORT || config.port;
 
+const ACCOUNT_DELETION_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const XAPI_DELIVERY_INTERVAL_MS = 60 * 1000; // every minute
+const CONTENT_RELEASE_INTERVAL_MS = 15 * 60 * 1000; // every 15 minutes
+const LESSON_VIDEO_INTERVAL_MS = 60 * 1000; // every minute
+
+// Anonymise accounts whose deletion grace period has ended
+const runScheduledDeletions = async () => {
+  try {
+    const processed = await processScheduledDeletions();
+    if (processed > 0) {
+      console.log(`✓ Anonymised ${processed} deleted account(s)`);
+    }
+  } catch (error) {
+    console.error('Scheduled account deletion failed:', error);
+  }
+};
+
+// Send queued xAPI statements to the configured LRS endpoints
+let deliveringXapi = false;
+const runXapiDelivery = async () => {
+  if (deliveringXapi || !config.xapi.enabled) return;
+  deliveringXapi = true;
+  try {
+    const { sent } = await deliverPendingStatements();
+    if (sent > 0) {
+      console.log(`✓ Sent ${sent} xAPI statement(s)`);
+    }
+  } catch (error) {
+    console.error('xAPI delivery failed:', error);
+  } finally {
+    deliveringXapi = false;
+  }
+};
+
+// Tell students about drip-scheduled lessons that have opened for them
+const runContentReleaseNotifications = async () => {
+  try {
+    const notified = await notifyReleasedContent();
+    if (notified > 0) {
+      console.log(`✓ Notified ${notified} student(s) about newly unlocked lessons`);
+    }
+  } catch (error) {
+    console.error('Content release notifications failed:', error);
+  }
+};
+
+// Upload staged lesson videos and pick up finished HLS renditions
+let processingVideos = false;
+const runLessonVideoProcessing = async () => {
+  if (processingVideos) return;
+  processingVideos = true;
+  try {
+    const { uploaded, ready } = await processLessonVideos();
+    if (uploaded > 0 || ready > 0) {
+      console.log(`✓ Lesson videos: ${uploaded} uploaded, ${ready} ready to stream`);
+    }
+  } catch (error) {
+    console.error('Lesson video processing failed:', error);
+  } finally {
+    processingVideos = false;
+  }
+};
+
 // Graceful shutdown
 const shutdown = async () => {
   console.log('\nShutting down gracefully...');
@@ -17,6 +85,9 @@ process.on('SIGINT', shutdown);
 // Start server
 const startServer = async () => {
   try {
+    // OTPs must not be left to the console provider in production
+    assertSmsConfigured();
+
     // Test database connection
     await prisma.$connect();
     console.log('✓ Database connected successfully');
@@ -26,6 +97,17 @@ const startServer = async () => {
       console.log(`✓ Environment: ${config.nodeEnv}`);
       console.log(`✓ Health check: http://localhost:${PORT}/health`);
     });
+
+    setInterval(runScheduledDeletions, ACCOUNT_DELETION_INTERVAL_MS).unref();
+    runScheduledDeletions();
+
+    setInterval(runXapiDelivery, XAPI_DELIVERY_INTERVAL_MS).unref();
+
+    setInterval(runContentReleaseNotifications, CONTENT_RELEASE_INTERVAL_MS).unref();
+    runContentReleaseNotifications();
+
+    setInterval(runLessonVideoProcessing, LESSON_VIDEO_INTERVAL_MS).unref();
+    runLessonVideoProcessing();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
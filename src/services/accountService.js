@@ -0,0 +1,429 @@
+import crypto from 'crypto';
+import path from 'path';
+import { once } from 'events';
+import { Readable } from 'stream';
+import archiver from 'archiver';
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { hashPassword } from '../utils/hashPassword.js';
+import { createAuditLog } from './auditLogService.js';
+import { revokeAllSessions, SessionRevokeReason } from './sessionService.js';
+import { getSignedDeliveryUrl } from './cloudinaryService.js';
+
+/**
+ * Account Service
+ * Personal data export and account deletion (anonymisation).
+ */
+
+const ANONYMISED_NAME = 'Deleted User';
+
+const anonymisedEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+// Uploaded files bundled into one export, in total; any beyond this are listed by URL only
+const EXPORT_FILES_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Collect everything we hold about a user into one JSON-serialisable bundle
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+export const buildDataExport = async (userId) => {
+  const [
+    profile,
+    enrollments,
+    lessonProgress,
+    lessonNotes,
+    discussionThreads,
+    discussionReplies,
+    scormAttempts,
+    xapiStatements,
+    quizAttempts,
+    submissions,
+    certificates,
+    payments,
+    orders,
+    courseReviews,
+    productReviews,
+    notifications,
+    eventRegistrations,
+    blogComments,
+    organisations,
+  ] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        fullName: true,
+        phone: true,
+        profileImage: true,
+        role: true,
+        isEmailVerified: true,
+        isPhoneVerified: true,
+        twoFactorEnabled: true,
+        preferredPaymentMethod: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    }),
+    prisma.enrollment.findMany({
+      where: { userId },
+      include: { course: { select: { id: true, title: true, slug: true } } },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.lessonProgress.findMany({
+      where: { userId },
+      include: { lesson: { select: { id: true, title: true, courseId: true } } },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.lessonNote.findMany({
+      where: { userId },
+      include: { lesson: { select: { id: true, title: true, courseId: true } } },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.discussionThread.findMany({
+      where: { userId },
+      select: { id: true, courseId: true, lessonId: true, title: true, content: true, isAnswered: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.discussionReply.findMany({
+      where: { userId },
+      select: { id: true, threadId: true, content: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.scormAttempt.findMany({
+      where: { userId },
+      include: {
+        package: { select: { lesson: { select: { id: true, title: true, courseId: true } } } },
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.xapiStatement.findMany({
+      where: { userId },
+      select: { id: true, verb: true, activityType: true, activityId: true, timestamp: true },
+      orderBy: { timestamp: 'asc' },
+    }),
+    prisma.quizAttempt.findMany({
+      where: { userId },
+      include: { quiz: { select: { id: true, title: true } } },
+      orderBy: { completedAt: 'asc' },
+    }),
+    prisma.assignmentSubmission.findMany({
+      where: { userId },
+      include: { assignment: { select: { id: true, title: true, courseId: true } } },
+      orderBy: { submittedAt: 'asc' },
+    }),
+    prisma.certificate.findMany({
+      where: { userId },
+      include: { course: { select: { id: true, title: true } } },
+      orderBy: { issuedAt: 'asc' },
+    }),
+    prisma.payment.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        courseId: true,
+        orderId: true,
+        amount: true,
+        discount: true,
+        finalAmount: true,
+        currency: true,
+        paymentMethod: true,
+        transactionId: true,
+        cardLastFour: true,
+        cardType: true,
+        status: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.order.findMany({
+      where: { userId },
+      include: {
+        items: {
+          include: { product: { select: { id: true, name: true } } },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.review.findMany({
+      where: { userId },
+      include: { course: { select: { id: true, title: true } } },
+    }),
+    prisma.productReview.findMany({
+      where: { userId },
+      include: { product: { select: { id: true, name: true } } },
+    }),
+    prisma.notification.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.eventRegistration.findMany({
+      where: { userId },
+      include: { event: { select: { id: true, title: true } } },
+    }),
+    prisma.blogComment.findMany({
+      where: { userId },
+      select: { id: true, blogId: true, content: true, isApproved: true, createdAt: true },
+    }),
+    prisma.organisationMember.findMany({
+      where: { userId },
+      select: {
+        role: true,
+        createdAt: true,
+        organisation: { select: { id: true, name: true } },
+      },
+    }),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    application: config.appName,
+    profile,
+    enrollments,
+    lessonProgress,
+    lessonNotes,
+    discussions: {
+      questions: discussionThreads,
+      replies: discussionReplies,
+    },
+    scormAttempts,
+    learningRecords: xapiStatements,
+    quizAttempts,
+    assignmentSubmissions: submissions,
+    certificates,
+    payments,
+    orders,
+    reviews: {
+      courses: courseReviews,
+      products: productReviews,
+    },
+    notifications,
+    eventRegistrations,
+    blogComments,
+    organisations,
+  };
+};
+
+/**
+ * Uploaded files referenced by an export: profile image, certificates and assignment files
+ */
+const listExportFiles = (bundle) => {
+  const extension = (url) => {
+    try {
+      return path.posix.extname(new URL(url).pathname).toLowerCase();
+    } catch {
+      return '';
+    }
+  };
+
+  const files = [];
+  if (bundle.profile?.profileImage) {
+    const url = bundle.profile.profileImage;
+    files.push({ path: `files/profile-image${extension(url)}`, url });
+  }
+  for (const certificate of bundle.certificates) {
+    const url = certificate.certificateUrl;
+    if (url) files.push({ path: `files/certificates/${certificate.id}${extension(url)}`, url });
+  }
+  for (const submission of bundle.assignmentSubmissions) {
+    const url = submission.fileUrl;
+    if (url) files.push({ path: `files/assignments/${submission.id}${extension(url)}`, url });
+  }
+  return files;
+};
+
+/**
+ * Open an uploaded file for an export. Only files in our own Cloudinary account are
+ * fetched; stored URLs can point anywhere.
+ * @returns {Promise<{ stream: Readable, size: number }|null>} null when the file is elsewhere,
+ *   missing, of unknown size or over maxBytes
+ */
+const openExportFile = async (url, maxBytes) => {
+  if (!url.startsWith(`https://res.cloudinary.com/${config.cloudinary.cloudName}/`)) {
+    return null;
+  }
+
+  const response = await fetch(getSignedDeliveryUrl(url));
+  const size = Number(response.headers.get('content-length'));
+  if (!response.ok || !response.body || !size || size > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+  return { stream: Readable.fromWeb(response.body), size };
+};
+
+/**
+ * Personal data export as a ZIP stream: the user's uploaded files under files/, then
+ * data.json, which lists every file with its original URL and whether it is included.
+ * The data is collected before this resolves, so database errors come before any output.
+ * @param {string} userId
+ * @returns {Promise<import('stream').Readable>} Emits 'error' if a file fails partway
+ */
+export const createDataExportArchive = async (userId) => {
+  const bundle = await buildDataExport(userId);
+  const archive = archiver('zip');
+
+  const addFiles = async () => {
+    const files = [];
+    let remainingBytes = EXPORT_FILES_MAX_BYTES;
+
+    // One at a time: only the file being copied is in flight
+    for (const file of listExportFiles(bundle)) {
+      const opened = await openExportFile(file.url, remainingBytes).catch(() => null);
+      if (opened) {
+        const added = once(archive, 'entry');
+        // Uploads (images, PDFs, documents) are compressed already
+        archive.append(opened.stream, { name: file.path, store: true });
+        await added;
+        remainingBytes -= opened.size;
+      }
+      files.push({ path: opened ? file.path : null, url: file.url, included: Boolean(opened) });
+    }
+
+    archive.append(JSON.stringify({ ...bundle, files }, null, 2), { name: 'data.json' });
+    await archive.finalize();
+  };
+  addFiles().catch((error) => archive.destroy(error));
+
+  return archive;
+};
+
+/**
+ * Schedule an account for deletion after the grace period and sign it out everywhere
+ * @returns {Promise<Date>} When the account will be anonymised
+ */
+export const scheduleAccountDeletion = async (userId) => {
+  const scheduledFor = new Date(Date.now() + config.accountDeletion.graceDays * 24 * 60 * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { deletionScheduledFor: scheduledFor },
+  });
+  await revokeAllSessions(userId, SessionRevokeReason.ACCOUNT_DELETION);
+
+  return scheduledFor;
+};
+
+export const cancelAccountDeletion = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { deletionScheduledFor: null },
+  });
+};
+
+/**
+ * Irreversibly anonymise a user.
+ * Learning activity and other personal data are removed; payments, orders,
+ * transactions and enrollments stay (pointing at the anonymised row) for accounting.
+ */
+export const anonymiseUser = async (userId) => {
+  // Nobody can log in with this: the plain value is never stored or returned
+  const unusablePassword = await hashPassword(crypto.randomBytes(32).toString('hex'));
+  const email = anonymisedEmail(userId);
+
+  await prisma.$transaction([
+    prisma.otp.deleteMany({ where: { userId } }),
+    prisma.session.deleteMany({ where: { userId } }),
+    prisma.notification.deleteMany({ where: { userId } }),
+    prisma.lessonProgress.deleteMany({ where: { userId } }),
+    prisma.lessonNote.deleteMany({ where: { userId } }),
+    prisma.scormAttempt.deleteMany({ where: { userId } }),
+    prisma.xapiStatement.deleteMany({ where: { userId } }),
+    prisma.quizAttempt.deleteMany({ where: { userId } }),
+    prisma.assignmentSubmission.deleteMany({ where: { userId } }),
+    prisma.certificate.deleteMany({ where: { userId } }),
+    prisma.review.deleteMany({ where: { userId } }),
+    prisma.productReview.deleteMany({ where: { userId } }),
+    prisma.wishlistItem.deleteMany({ where: { userId } }),
+    prisma.cart.deleteMany({ where: { userId } }),
+    prisma.liveClassEnrollment.deleteMany({ where: { userId } }),
+    prisma.staffRoleAssignment.deleteMany({ where: { userId } }),
+    prisma.organisationMember.deleteMany({ where: { userId } }),
+    // The organisation gets the seat back
+    prisma.organisationSeat.updateMany({
+      where: { userId },
+      data: { userId: null, email, status: 'RECLAIMED', inviteTokenHash: null, reclaimedAt: new Date() },
+    }),
+    prisma.blogComment.updateMany({
+      where: { userId },
+      data: { userId: null, name: ANONYMISED_NAME, email: null },
+    }),
+    // One registration per event per email, so the placeholder email stays unique
+    prisma.eventRegistration.updateMany({
+      where: { userId },
+      data: { userId: null, name: ANONYMISED_NAME, email, phone: '' },
+    }),
+    // Earnings history stays; bank details go
+    prisma.affiliate.updateMany({
+      where: { userId },
+      data: {
+        status: 'SUSPENDED',
+        bankName: null,
+        accountNumber: null,
+        ifscCode: null,
+        panNumber: null,
+      },
+    }),
+    prisma.instructor.updateMany({
+      where: { userId },
+      data: { userId: null },
+    }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        email,
+        pendingEmail: null,
+        password: unusablePassword,
+        fullName: ANONYMISED_NAME,
+        profileImage: null,
+        phone: null,
+        isPhoneVerified: false,
+        isEmailVerified: false,
+        isActive: false,
+        role: 'USER',
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: null,
+        preferredPaymentMethod: null,
+        deletionScheduledFor: null,
+        deletedAt: new Date(),
+      },
+    }),
+  ]);
+
+  await createAuditLog({
+    userId,
+    action: 'ACCOUNT_ANONYMISED',
+    entityType: 'USER',
+    entityId: userId,
+    description: 'Account deleted and personal data anonymised',
+    riskScore: 20,
+  });
+};
+
+/**
+ * Anonymise every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts anonymised
+ */
+export const processScheduledDeletions = async () => {
+  const due = await prisma.user.findMany({
+    where: {
+      deletionScheduledFor: { lte: new Date() },
+      deletedAt: null,
+    },
+    select: { id: true },
+  });
+
+  let processed = 0;
+  for (const { id } of due) {
+    try {
+      await anonymiseUser(id);
+      processed++;
+    } catch (error) {
+      console.error(`Failed to anonymise user ${id}:`, error);
+    }
+  }
+
+  return processed;
+};
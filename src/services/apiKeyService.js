@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+
+/**
+ * API Key Service
+ * Long-lived, scoped keys for server-to-server callers (website builder, mobile backend, scripts).
+ */
+
+const KEY_PREFIX = 'sk_';
+const PREFIX_DISPLAY_LENGTH = 11;
+
+// Don't write lastUsedAt on every request from a busy integration
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Fields safe to return to admins (never the hash)
+ */
+export const apiKeySelect = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  scopes: true,
+  rateLimitPerMinute: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  revokedBy: true,
+  createdById: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Scopes that are not in the catalogue
+ * @param {string[]} scopes
+ * @returns {string[]}
+ */
+export const findUnknownScopes = (scopes = []) => scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+
+/**
+ * Create a key. The plain key is returned once and never stored.
+ * @returns {Promise<{apiKey: Object, key: string}>}
+ */
+export const createApiKey = async ({ name, scopes, expiresAt = null, rateLimitPerMinute = null, createdById }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name,
+      keyPrefix: key.substring(0, PREFIX_DISPLAY_LENGTH),
+      keyHash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute: rateLimitPerMinute || config.apiKeys.defaultRateLimitPerMinute,
+      expiresAt,
+      createdById,
+    },
+    select: apiKeySelect,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Look up a presented key
+ * @returns {Promise<{apiKey: Object|null, reason?: string}>}
+ */
+export const findUsableApiKey = async (key) => {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+    return { apiKey: null, reason: 'Invalid API key' };
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(key) },
+  });
+
+  if (!apiKey) {
+    return { apiKey: null, reason: 'Invalid API key' };
+  }
+  if (apiKey.revokedAt) {
+    return { apiKey: null, reason: 'API key has been revoked' };
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { apiKey: null, reason: 'API key has expired' };
+  }
+
+  return { apiKey };
+};
+
+/**
+ * Track when and from where a key was last used
+ */
+export const touchApiKey = async (apiKey, ipAddress) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_WRITE_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date(), lastUsedIp: ipAddress || null },
+  });
+};
+
+/**
+ * The scope a request needs, e.g. GET /api/courses/123 -> courses:read.
+ * Null for paths API keys can never use.
+ */
+export const getRequiredScope = (req) => {
+  const resource = req.originalUrl.split('?')[0].split('/')[2];
+  const required = `${resource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+  return API_KEY_SCOPES.includes(required) ? required : null;
+};
+
+export const hasScope = (apiKey, scope) => Array.isArray(apiKey.scopes) && apiKey.scopes.includes(scope);
+
+export const revokeApiKey = async (id, revokedBy) => {
+  return await prisma.apiKey.update({
+    where: { id },
+    data: { revokedAt: new Date(), revokedBy },
+    select: apiKeySelect,
+  });
+};
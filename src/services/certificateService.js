@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
+import { recordStatement, extensionIri } from './xapiService.js';
 
 const prisma = new PrismaClient();
 
@@ -134,6 +135,18 @@ export const issueCertificate = async (userId, courseId) => {
     },
   });
 
+  // Issuing the certificate is what completes the course for learning records
+  await recordStatement({
+    user: certificate.user,
+    verb: 'completed',
+    object: { type: 'course', id: courseId, name: certificate.course.title },
+    result: { completion: true },
+    extensions: {
+      [extensionIri('certificate-id')]: certificate.certificateId,
+      [extensionIri('certificate-url')]: certificate.certificateUrl,
+    },
+  });
+
   return certificate;
 };
 
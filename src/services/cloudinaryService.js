@@ -297,6 +297,104 @@ export const getVideoUrl = (publicId, transformations = {}) => {
   });
 };
 
+/**
+ * Upload a lesson video from disk and have Cloudinary generate adaptive HLS renditions
+ * in the background (see areStreamingRenditionsReady). The video and its renditions use
+ * authenticated delivery: they only load through signed URLs.
+ * @param {string} filePath - Staged upload
+ * @param {Object} options
+ * @param {string} [options.folder='lms/videos']
+ * @param {string} [options.streamingProfile='auto'] - Cloudinary streaming profile
+ * @returns {Promise<Object>} Upload result (duration in seconds)
+ */
+export const uploadStreamingVideo = (filePath, { folder = 'lms/videos', streamingProfile = 'auto' } = {}) => {
+  return new Promise((resolve, reject) => {
+    // Chunked, so large lectures don't hit the single-request size limit
+    cloudinary.uploader.upload_large(
+      filePath,
+      {
+        resource_type: 'video',
+        type: 'authenticated',
+        folder,
+        use_filename: true,
+        unique_filename: true,
+        overwrite: false,
+        eager: [{ streaming_profile: streamingProfile, format: 'm3u8' }],
+        eager_async: true,
+      },
+      (error, result) => {
+        if (error) {
+          reject(new Error(`Video upload failed: ${error.message || error.toString()}`));
+        } else {
+          resolve(result);
+        }
+      }
+    );
+  });
+};
+
+/**
+ * HLS master playlist and poster image of an uploaded video. The manifest URL is left
+ * unsigned: it is only fetched by the server (see getSignedDeliveryUrl). The poster is signed.
+ * @param {string} publicId
+ * @param {Object} [options]
+ * @param {number|string} [options.version] - Asset version from the upload result
+ * @param {string} [options.streamingProfile='auto']
+ * @returns {{ manifestUrl: string, posterUrl: string }}
+ */
+export const getStreamingUrls = (publicId, { version, streamingProfile = 'auto' } = {}) => {
+  const base = { resource_type: 'video', type: 'authenticated', secure: true, ...(version && { version }) };
+  return {
+    manifestUrl: cloudinary.url(publicId, { ...base, streaming_profile: streamingProfile, format: 'm3u8' }),
+    posterUrl: cloudinary.url(publicId, { ...base, start_offset: 'auto', format: 'jpg', sign_url: true }),
+  };
+};
+
+/**
+ * Whether Cloudinary has finished generating a video's HLS renditions
+ * @param {string} publicId
+ * @returns {Promise<boolean>}
+ */
+export const areStreamingRenditionsReady = async (publicId) => {
+  const resource = await cloudinary.api.resource(publicId, { resource_type: 'video', type: 'authenticated' });
+  return (resource.derived || []).some((derived) => (
+    derived.format === 'm3u8' || derived.transformation?.startsWith('sp_')
+  ));
+};
+
+/**
+ * URL the server fetches a stored asset from. Assets uploaded with authenticated delivery
+ * only load through a signed URL; any other URL is returned unchanged.
+ * @param {string} url - Stored asset URL, possibly with a transformation (e.g. an HLS rendition)
+ * @returns {string} URL to fetch
+ */
+export const getSignedDeliveryUrl = (url) => {
+  const match = url.match(
+    /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/authenticated\/(?:s--[^/]+--\/)?([^?#]+)/
+  );
+  if (!match) {
+    return url;
+  }
+
+  const [, resourceType, rest] = match;
+  // Anything ahead of the version is the transformation
+  const versioned = rest.match(/^(?:(.+?)\/)?v(\d+)\/(.+)$/);
+  const [, transformation, version, path] = versioned || [null, null, null, rest];
+  // Raw public IDs keep their extension; image and video IDs do not
+  const extension = resourceType === 'raw' ? null : path.match(/\.([a-z0-9]+)$/i)?.[1];
+  const publicId = extension ? path.slice(0, -(extension.length + 1)) : path;
+
+  return cloudinary.url(decodeURIComponent(publicId), {
+    resource_type: resourceType,
+    type: 'authenticated',
+    sign_url: true,
+    secure: true,
+    ...(transformation && { raw_transformation: transformation }),
+    ...(version && { version }),
+    ...(extension && { format: extension }),
+  });
+};
+
 export default {
   uploadImage,
   uploadVideo,
@@ -304,6 +402,10 @@ export default {
   deleteFile,
   getImageUrl,
   getVideoUrl,
+  uploadStreamingVideo,
+  getStreamingUrls,
+  areStreamingRenditionsReady,
+  getSignedDeliveryUrl,
 };
 
 
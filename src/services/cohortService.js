@@ -0,0 +1,458 @@
+import { prisma } from '../config/database.js';
+
+/**
+ * Cohort Service
+ * Scheduled runs (batches) of a course: enrollment windows, seats, price overrides,
+ * rosters and per-cohort progress reports.
+ */
+
+// Enrollments that hold a seat; unpaid (PENDING) enrollments do not
+const SEAT_STATUSES = ['ACTIVE', 'COMPLETED'];
+
+const PROGRESS_BUCKETS = [
+  { label: '0-24', min: 0, max: 24 },
+  { label: '25-49', min: 25, max: 49 },
+  { label: '50-74', min: 50, max: 74 },
+  { label: '75-99', min: 75, max: 99 },
+  { label: '100', min: 100, max: 100 },
+];
+
+const cohortError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Prisma filter for cohorts taking enrollments at `now`. Without an explicit close date
+ * enrollment stays open until the cohort ends.
+ */
+export const openCohortWhere = (now = new Date()) => ({
+  isActive: true,
+  OR: [{ enrollmentOpensAt: null }, { enrollmentOpensAt: { lte: now } }],
+  AND: [
+    {
+      OR: [
+        { enrollmentClosesAt: { gte: now } },
+        { enrollmentClosesAt: null, endDate: null },
+        { enrollmentClosesAt: null, endDate: { gte: now } },
+      ],
+    },
+  ],
+});
+
+/**
+ * Whether a cohort is taking enrollments (same rules as openCohortWhere)
+ */
+export const isEnrollmentOpen = (cohort, now = new Date()) => {
+  if (!cohort.isActive) return false;
+  if (cohort.enrollmentOpensAt && cohort.enrollmentOpensAt > now) return false;
+  const closesAt = cohort.enrollmentClosesAt || cohort.endDate;
+  return !closesAt || closesAt >= now;
+};
+
+/**
+ * What a student pays for the course in this cohort
+ * @returns {number}
+ */
+export const getEffectivePrice = (course, cohort = null) => {
+  if (cohort && cohort.price !== null && cohort.price !== undefined) {
+    return Number(cohort.price);
+  }
+  return course.isFree ? 0 : Number(course.price);
+};
+
+/**
+ * Seats taken in each cohort
+ * @param {string[]} cohortIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export const countTakenSeats = async (cohortIds) => {
+  if (cohortIds.length === 0) return new Map();
+
+  const groups = await prisma.enrollment.groupBy({
+    by: ['cohortId'],
+    where: {
+      cohortId: { in: cohortIds },
+      status: { in: SEAT_STATUSES },
+    },
+    _count: { _all: true },
+  });
+
+  return new Map(groups.map((group) => [group.cohortId, group._count._all]));
+};
+
+/**
+ * Add seat counts, enrollment state and the effective price to cohorts of one course
+ * @param {Object[]} cohorts
+ * @param {Object} course - With price and isFree
+ * @param {Map<string, number>} [takenSeats] - From countTakenSeats, when already loaded
+ */
+export const withAvailability = async (cohorts, course, takenSeats = null) => {
+  const taken = takenSeats || await countTakenSeats(cohorts.map((cohort) => cohort.id));
+  const now = new Date();
+
+  return cohorts.map((cohort) => {
+    const seatsTaken = taken.get(cohort.id) || 0;
+    const seatsLeft = cohort.capacity === null ? null : Math.max(cohort.capacity - seatsTaken, 0);
+    return {
+      ...cohort,
+      seatsTaken,
+      seatsLeft,
+      isEnrollmentOpen: isEnrollmentOpen(cohort, now) && seatsLeft !== 0,
+      effectivePrice: getEffectivePrice(course, cohort),
+    };
+  });
+};
+
+/**
+ * The cohort a new enrollment goes into. Courses that run cohorts require one; others take none.
+ * @param {Object} course
+ * @param {string} [cohortId]
+ * @returns {Promise<Object|null>}
+ */
+export const resolveEnrollmentCohort = async (course, cohortId) => {
+  if (!cohortId) {
+    const activeCohorts = await prisma.cohort.count({
+      where: { courseId: course.id, isActive: true },
+    });
+    if (activeCohorts > 0) {
+      throw cohortError('This course runs in cohorts. Choose a cohort to enroll in.');
+    }
+    return null;
+  }
+
+  const cohort = await prisma.cohort.findUnique({ where: { id: cohortId } });
+  if (!cohort || cohort.courseId !== course.id) {
+    throw cohortError('Cohort not found for this course', 404);
+  }
+  if (!isEnrollmentOpen(cohort)) {
+    throw cohortError('Enrollment for this cohort is closed');
+  }
+  if (cohort.capacity !== null) {
+    const taken = await countTakenSeats([cohort.id]);
+    if ((taken.get(cohort.id) || 0) >= cohort.capacity) {
+      throw cohortError('This cohort is full', 409);
+    }
+  }
+
+  return cohort;
+};
+
+/**
+ * Check, inside a transaction, that a cohort has a seat for one more enrollment. The cohort
+ * row stays locked until the transaction ends, so concurrent enrollments are counted one at
+ * a time and can't both take the last seat.
+ * @param {Object} tx - Interactive transaction client
+ * @param {string|null} cohortId
+ */
+export const reserveCohortSeat = async (tx, cohortId) => {
+  if (!cohortId) return;
+
+  const [cohort] = await tx.$queryRaw`SELECT "capacity" FROM "cohorts" WHERE "id" = ${cohortId} FOR UPDATE`;
+  if (!cohort || cohort.capacity === null) return;
+
+  const taken = await tx.enrollment.count({
+    where: { cohortId, status: { in: SEAT_STATUSES } },
+  });
+  if (taken >= cohort.capacity) {
+    throw cohortError('This cohort is full', 409);
+  }
+};
+
+// ==================== MANAGEMENT ====================
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const COHORT_FIELDS = ['name', 'description', 'startDate', 'endDate', 'enrollmentOpensAt', 'enrollmentClosesAt', 'capacity', 'price', 'isActive'];
+
+const toCohortData = (input) => {
+  const data = {};
+  for (const field of COHORT_FIELDS) {
+    if (input[field] === undefined) continue;
+    const value = input[field];
+    if (['startDate', 'endDate', 'enrollmentOpensAt', 'enrollmentClosesAt'].includes(field)) {
+      data[field] = toDate(value);
+    } else if (field === 'capacity') {
+      data.capacity = value === null || value === '' ? null : parseInt(value);
+    } else if (field === 'price') {
+      data.price = value === null || value === '' ? null : parseFloat(value);
+    } else if (field === 'isActive') {
+      data.isActive = value === true || value === 'true';
+    } else {
+      data[field] = value;
+    }
+  }
+  return data;
+};
+
+const assertValidSchedule = (cohort) => {
+  if (!cohort.startDate) {
+    throw cohortError('Cohort start date is required');
+  }
+  if (cohort.endDate && cohort.endDate < cohort.startDate) {
+    throw cohortError('Cohort end date must be after its start date');
+  }
+  if (cohort.enrollmentOpensAt && cohort.enrollmentClosesAt && cohort.enrollmentClosesAt < cohort.enrollmentOpensAt) {
+    throw cohortError('Enrollment must close after it opens');
+  }
+};
+
+/**
+ * Create a cohort for a course
+ */
+export const createCohort = async (courseId, input) => {
+  const course = await prisma.course.findUnique({ where: { id: courseId }, select: { id: true } });
+  if (!course) {
+    throw cohortError('Course not found', 404);
+  }
+
+  const data = toCohortData(input);
+  assertValidSchedule(data);
+
+  return await prisma.cohort.create({
+    data: { ...data, courseId },
+  });
+};
+
+/**
+ * Update a cohort. Capacity cannot drop below the seats already taken.
+ * @returns {Promise<{ before: Object, cohort: Object }>}
+ */
+export const updateCohort = async (cohortId, input) => {
+  const before = await prisma.cohort.findUnique({ where: { id: cohortId } });
+  if (!before) {
+    throw cohortError('Cohort not found', 404);
+  }
+
+  const data = toCohortData(input);
+  assertValidSchedule({ ...before, ...data });
+
+  if (data.capacity !== undefined && data.capacity !== null) {
+    const taken = (await countTakenSeats([cohortId])).get(cohortId) || 0;
+    if (data.capacity < taken) {
+      throw cohortError(`Capacity cannot be lower than the ${taken} seats already taken`);
+    }
+  }
+
+  const cohort = await prisma.cohort.update({
+    where: { id: cohortId },
+    data,
+  });
+
+  return { before, cohort };
+};
+
+/**
+ * Delete a cohort that has no enrollments. Its live classes stay with the course.
+ */
+export const deleteCohort = async (cohortId) => {
+  const cohort = await prisma.cohort.findUnique({
+    where: { id: cohortId },
+    include: { _count: { select: { enrollments: true } } },
+  });
+  if (!cohort) {
+    throw cohortError('Cohort not found', 404);
+  }
+  if (cohort._count.enrollments > 0) {
+    throw cohortError('This cohort has enrollments. Move them to another cohort or deactivate it instead.', 409);
+  }
+
+  await prisma.cohort.delete({ where: { id: cohortId } });
+  return cohort;
+};
+
+/**
+ * Move an enrollment into a cohort of the same course. Admins may overfill with `force`.
+ * @returns {Promise<{ enrollment: Object, previousCohortId: string|null }>}
+ */
+export const assignEnrollment = async (cohortId, enrollmentId, { force = false } = {}) => {
+  const [cohort, enrollment] = await Promise.all([
+    prisma.cohort.findUnique({ where: { id: cohortId } }),
+    prisma.enrollment.findUnique({ where: { id: enrollmentId } }),
+  ]);
+  if (!cohort) {
+    throw cohortError('Cohort not found', 404);
+  }
+  if (!enrollment) {
+    throw cohortError('Enrollment not found', 404);
+  }
+  if (enrollment.courseId !== cohort.courseId) {
+    throw cohortError('The enrollment is for a different course');
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (enrollment.cohortId !== cohortId && !force) {
+      await reserveCohortSeat(tx, cohortId);
+    }
+
+    return tx.enrollment.update({
+      where: { id: enrollmentId },
+      data: { cohortId },
+      include: {
+        user: { select: { id: true, fullName: true, email: true } },
+      },
+    });
+  });
+
+  return { enrollment: updated, previousCohortId: enrollment.cohortId };
+};
+
+// ==================== REPORTS ====================
+
+/**
+ * Students enrolled in a cohort
+ */
+export const getCohortRoster = async (cohortId, { status, search, page = 1, limit = 50 } = {}) => {
+  const where = { cohortId };
+  if (status) where.status = status;
+  if (search) {
+    where.user = {
+      OR: [
+        { fullName: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+      ],
+    };
+  }
+
+  const skip = (page - 1) * limit;
+  const [enrollments, total] = await Promise.all([
+    prisma.enrollment.findMany({
+      where,
+      select: {
+        id: true,
+        status: true,
+        progress: true,
+        completedAt: true,
+        createdAt: true,
+        user: {
+          select: { id: true, fullName: true, email: true, phone: true },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+      skip,
+      take: limit,
+    }),
+    prisma.enrollment.count({ where }),
+  ]);
+
+  return {
+    roster: enrollments,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+/**
+ * Progress of a cohort's students: totals, progress distribution, completion of each lesson
+ * and attendance at the cohort's live classes
+ */
+export const getCohortProgressReport = async (cohortId) => {
+  const cohort = await prisma.cohort.findUnique({
+    where: { id: cohortId },
+    include: {
+      course: { select: { id: true, title: true, slug: true } },
+    },
+  });
+  if (!cohort) {
+    throw cohortError('Cohort not found', 404);
+  }
+
+  const [enrollments, lessons, liveClasses] = await Promise.all([
+    prisma.enrollment.findMany({
+      where: { cohortId, status: { in: SEAT_STATUSES } },
+      select: { userId: true, status: true, progress: true },
+    }),
+    prisma.lesson.findMany({
+      where: { courseId: cohort.courseId },
+      select: {
+        id: true,
+        title: true,
+        order: true,
+        chapter: { select: { id: true, title: true, order: true } },
+      },
+    }),
+    prisma.liveClass.findMany({
+      where: { cohortId },
+      select: { id: true, title: true, scheduledAt: true, status: true },
+      orderBy: { scheduledAt: 'asc' },
+    }),
+  ]);
+
+  const userIds = enrollments.map((enrollment) => enrollment.userId);
+  const [lessonCounts, attendanceCounts] = userIds.length === 0
+    ? [[], []]
+    : await Promise.all([
+      prisma.lessonProgress.groupBy({
+        by: ['lessonId'],
+        where: {
+          userId: { in: userIds },
+          lessonId: { in: lessons.map((lesson) => lesson.id) },
+          isCompleted: true,
+        },
+        _count: { _all: true },
+      }),
+      prisma.liveClassEnrollment.groupBy({
+        by: ['liveClassId'],
+        where: {
+          userId: { in: userIds },
+          liveClassId: { in: liveClasses.map((liveClass) => liveClass.id) },
+          attended: true,
+        },
+        _count: { _all: true },
+      }),
+    ]);
+
+  const completedByLesson = new Map(lessonCounts.map((row) => [row.lessonId, row._count._all]));
+  const attendedByClass = new Map(attendanceCounts.map((row) => [row.liveClassId, row._count._all]));
+  const students = enrollments.length;
+  const completed = enrollments.filter((enrollment) => enrollment.status === 'COMPLETED').length;
+
+  // Curriculum order: loose lessons first, then chapters
+  const sortKey = (lesson) => [lesson.chapter ? 1 : 0, lesson.chapter?.order ?? 0, lesson.order];
+  lessons.sort((a, b) => {
+    const [x, y] = [sortKey(a), sortKey(b)];
+    return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+  });
+
+  return {
+    cohort,
+    summary: {
+      students,
+      active: students - completed,
+      completed,
+      completionRate: percentage(completed, students),
+      averageProgress: students > 0
+        ? Math.round(enrollments.reduce((sum, enrollment) => sum + enrollment.progress, 0) / students)
+        : 0,
+    },
+    distribution: PROGRESS_BUCKETS.map((bucket) => ({
+      range: bucket.label,
+      students: enrollments.filter((enrollment) => enrollment.progress >= bucket.min && enrollment.progress <= bucket.max).length,
+    })),
+    lessons: lessons.map((lesson) => {
+      const count = completedByLesson.get(lesson.id) || 0;
+      return {
+        id: lesson.id,
+        title: lesson.title,
+        chapter: lesson.chapter?.title ?? null,
+        completed: count,
+        completionRate: percentage(count, students),
+      };
+    }),
+    liveClasses: liveClasses.map((liveClass) => {
+      const attended = attendedByClass.get(liveClass.id) || 0;
+      return {
+        ...liveClass,
+        attended,
+        attendanceRate: percentage(attended, students),
+      };
+    }),
+  };
+};
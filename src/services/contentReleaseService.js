@@ -0,0 +1,105 @@
+import { prisma } from '../config/database.js';
+import { getReleaseDate } from './lessonAccessService.js';
+import { createBulkNotifications } from './notificationService.js';
+
+/**
+ * Content Release Service
+ * Tells students when drip-scheduled lessons open for them.
+ */
+
+const MAX_TITLES_IN_MESSAGE = 3;
+
+const hasSchedule = {
+  OR: [{ releaseAfterDays: { not: null } }, { releaseAt: { not: null } }],
+};
+
+const describeLessons = (lessons) => {
+  const titles = lessons.slice(0, MAX_TITLES_IN_MESSAGE).map((lesson) => `"${lesson.title}"`);
+  const more = lessons.length - titles.length;
+  return more > 0 ? `${titles.join(', ')} and ${more} more` : titles.join(', ');
+};
+
+const notifyCourse = async (course, now) => {
+  const lessons = await prisma.lesson.findMany({
+    where: { courseId: course.id, isPreview: false },
+    select: {
+      id: true,
+      title: true,
+      order: true,
+      releaseAfterDays: true,
+      releaseAt: true,
+      chapter: {
+        select: { order: true, isPreview: true, releaseAfterDays: true, releaseAt: true },
+      },
+    },
+  });
+  const scheduled = lessons
+    .filter((lesson) => !lesson.chapter?.isPreview)
+    .sort((a, b) => (a.chapter?.order ?? -1) - (b.chapter?.order ?? -1) || a.order - b.order);
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: { courseId: course.id, status: 'ACTIVE' },
+    select: { id: true, userId: true, createdAt: true, dripNotifiedAt: true },
+  });
+
+  // Students who enrolled on the same day see the same lessons open, so group identical messages
+  const groups = new Map();
+  for (const enrollment of enrollments) {
+    const since = enrollment.dripNotifiedAt || enrollment.createdAt;
+    const released = scheduled.filter((lesson) => {
+      const releaseDate = getReleaseDate(lesson, lesson.chapter, enrollment.createdAt);
+      return releaseDate && releaseDate > since && releaseDate <= now;
+    });
+    if (released.length === 0) continue;
+
+    const message = released.length === 1
+      ? `${describeLessons(released)} is now available in "${course.title}".`
+      : `${released.length} new lessons are now available in "${course.title}": ${describeLessons(released)}.`;
+    if (!groups.has(message)) groups.set(message, []);
+    groups.get(message).push(enrollment);
+  }
+
+  let notified = 0;
+  for (const [message, group] of groups) {
+    await createBulkNotifications(group.map((enrollment) => enrollment.userId), {
+      title: 'New lessons unlocked',
+      message,
+      type: 'INFO',
+      link: `/courses/${course.slug}`,
+    });
+    await prisma.enrollment.updateMany({
+      where: { id: { in: group.map((enrollment) => enrollment.id) } },
+      data: { dripNotifiedAt: now },
+    });
+    notified += group.length;
+  }
+
+  return notified;
+};
+
+/**
+ * Notify every active student whose drip-scheduled lessons opened since they were last told
+ * @returns {Promise<number>} Students notified
+ */
+export const notifyReleasedContent = async (now = new Date()) => {
+  const courses = await prisma.course.findMany({
+    where: {
+      OR: [
+        { lessons: { some: hasSchedule } },
+        { chapters: { some: hasSchedule } },
+      ],
+    },
+    select: { id: true, title: true, slug: true },
+  });
+
+  let notified = 0;
+  for (const course of courses) {
+    try {
+      notified += await notifyCourse(course, now);
+    } catch (error) {
+      console.error(`Failed to send release notifications for course ${course.id}:`, error);
+    }
+  }
+
+  return notified;
+};
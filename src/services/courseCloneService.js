@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import { prisma } from '../config/database.js';
+import { generateSlug, generateUniqueSlug } from '../utils/helpers.js';
+import { snapshotCurriculum, applyCurriculum } from './courseRevisionService.js';
+
+/**
+ * Course Clone Service
+ * Copies a course (or a template) with its published curriculum into a new draft course.
+ */
+
+// Cloning a large course writes every chapter, lesson and question
+const CLONE_TIMEOUT_MS = 60 * 1000;
+
+const cloneError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Give every chapter, lesson, quiz and question a new ID. Chapter/lesson slugs are kept:
+ * they were unique in the source course, so they are unique in the new one.
+ */
+export const remapCurriculum = (content, { includeQuizzes = true } = {}) => {
+  const chapterIds = new Map(content.chapters.map((chapter) => [chapter.id, crypto.randomUUID()]));
+  const lessonIds = new Map(content.lessons.map((lesson) => [lesson.id, crypto.randomUUID()]));
+
+  // Prerequisites are lesson IDs; point them at the copies
+  const remapUnlockRequirement = (requirement) => {
+    if (!requirement) return null;
+    const prerequisites = (Array.isArray(requirement) ? requirement : [requirement])
+      .map((lessonId) => lessonIds.get(lessonId))
+      .filter(Boolean);
+    if (prerequisites.length === 0) return null;
+    return Array.isArray(requirement) ? prerequisites : prerequisites[0];
+  };
+
+  return {
+    chapters: content.chapters.map((chapter) => ({
+      ...chapter,
+      id: chapterIds.get(chapter.id),
+    })),
+    lessons: content.lessons.map((lesson) => ({
+      ...lesson,
+      id: lessonIds.get(lesson.id),
+      chapterId: lesson.chapterId ? chapterIds.get(lesson.chapterId) : null,
+      unlockRequirement: remapUnlockRequirement(lesson.unlockRequirement),
+      quiz: includeQuizzes && lesson.quiz
+        ? {
+          ...lesson.quiz,
+          id: crypto.randomUUID(),
+          questions: lesson.quiz.questions.map((question) => ({ ...question, id: crypto.randomUUID() })),
+        }
+        : null,
+    })),
+  };
+};
+
+/**
+ * Clone a course. The copy starts as a DRAFT with no enrollments, ratings or reviews.
+ * @param {string} sourceId
+ * @param {Object} options
+ * @param {string} [options.title] - Defaults to the source title (plus "(Copy)" unless cloning a template)
+ * @param {string} [options.slug] - Must be free; generated from the title when omitted
+ * @param {string} [options.instructorId] - Defaults to the source course's instructor
+ * @param {boolean} [options.includeQuizzes=true]
+ * @param {boolean} [options.includeAssignments=true] - Due dates are cleared, they belong to the old batch
+ * @param {boolean} [options.keepPrices=true] - When false the copy is priced at `price` (or 0)
+ * @param {number} [options.price]
+ * @param {boolean} [options.asTemplate=false] - Make the copy a template
+ */
+export const cloneCourse = async (sourceId, options = {}) => {
+  const {
+    title,
+    slug,
+    instructorId,
+    includeQuizzes = true,
+    includeAssignments = true,
+    keepPrices = true,
+    price,
+    asTemplate = false,
+  } = options;
+
+  const source = await prisma.course.findUnique({
+    where: { id: sourceId },
+    include: {
+      assignments: { orderBy: { createdAt: 'asc' } },
+    },
+  });
+
+  if (!source) {
+    throw cloneError('Course not found', 404);
+  }
+
+  if (instructorId) {
+    const instructor = await prisma.instructor.findUnique({
+      where: { id: instructorId },
+      select: { id: true },
+    });
+    if (!instructor) {
+      throw cloneError('Instructor not found');
+    }
+  }
+
+  const finalTitle = title || (source.isTemplate ? source.title : `${source.title} (Copy)`);
+
+  let finalSlug = slug;
+  if (finalSlug) {
+    const taken = await prisma.course.findUnique({ where: { slug: finalSlug }, select: { id: true } });
+    if (taken) {
+      throw cloneError('Course with this slug already exists. Please use a different slug.', 409);
+    }
+  } else {
+    finalSlug = await generateUniqueSlug(generateSlug(finalTitle), async (candidate) => {
+      return await prisma.course.findUnique({ where: { slug: candidate }, select: { id: true } });
+    });
+  }
+
+  const parsedPrice = price !== undefined ? parseFloat(price) : 0;
+  const pricing = keepPrices
+    ? { price: source.price, originalPrice: source.originalPrice, isFree: source.isFree }
+    : { price: parsedPrice, originalPrice: null, isFree: parsedPrice === 0 };
+
+  const curriculum = remapCurriculum(await snapshotCurriculum(source.id), { includeQuizzes });
+
+  // SCORM packages are shared with the copy (files are only deleted once no package uses them)
+  const scormPackages = await prisma.scormPackage.findMany({
+    where: { lesson: { courseId: source.id } },
+    include: { lesson: { select: { slug: true } } },
+  });
+  // Processed videos too, so the copy keeps its HLS renditions
+  const lessonVideos = await prisma.lessonVideo.findMany({
+    where: { courseId: source.id, status: 'READY' },
+  });
+  const sourceLessonSlugs = new Map(
+    (await prisma.lesson.findMany({ where: { courseId: source.id }, select: { id: true, slug: true } }))
+      .map((lesson) => [lesson.id, lesson.slug])
+  );
+  const lessonIdsBySlug = new Map(curriculum.lessons.map((lesson) => [lesson.slug, lesson.id]));
+
+  return await prisma.$transaction(async (tx) => {
+    const course = await tx.course.create({
+      data: {
+        title: finalTitle,
+        slug: finalSlug,
+        description: source.description,
+        shortDescription: source.shortDescription,
+        thumbnail: source.thumbnail,
+        ...pricing,
+        status: 'DRAFT',
+        level: source.level,
+        duration: source.duration,
+        language: source.language,
+        isOngoing: source.isOngoing,
+        progressionMode: source.progressionMode,
+        tags: source.tags,
+        learningOutcomes: source.learningOutcomes ?? undefined,
+        skills: source.skills ?? undefined,
+        isTemplate: asTemplate === true || asTemplate === 'true',
+        clonedFromId: source.id,
+        instructorId: instructorId || source.instructorId,
+        categoryId: source.categoryId,
+      },
+    });
+
+    await applyCurriculum(tx, course.id, curriculum);
+
+    const copiedPackages = scormPackages.filter((scormPackage) => lessonIdsBySlug.has(scormPackage.lesson.slug));
+    if (copiedPackages.length > 0) {
+      await tx.scormPackage.createMany({
+        data: copiedPackages.map((scormPackage) => ({
+          lessonId: lessonIdsBySlug.get(scormPackage.lesson.slug),
+          version: scormPackage.version,
+          title: scormPackage.title,
+          launchPath: scormPackage.launchPath,
+          masteryScore: scormPackage.masteryScore,
+          storageKey: scormPackage.storageKey,
+          files: scormPackage.files,
+          fileCount: scormPackage.fileCount,
+          totalBytes: scormPackage.totalBytes,
+          uploadedBy: scormPackage.uploadedBy,
+        })),
+      });
+    }
+
+    const copiedVideos = lessonVideos.filter((video) => lessonIdsBySlug.has(sourceLessonSlugs.get(video.lessonId)));
+    if (copiedVideos.length > 0) {
+      await tx.lessonVideo.createMany({
+        data: copiedVideos.map((video) => ({
+          lessonId: lessonIdsBySlug.get(sourceLessonSlugs.get(video.lessonId)),
+          courseId: course.id,
+          status: video.status,
+          originalName: video.originalName,
+          publicId: video.publicId,
+          mp4Url: video.mp4Url,
+          manifestUrl: video.manifestUrl,
+          posterUrl: video.posterUrl,
+          duration: video.duration,
+          uploadedBy: video.uploadedBy,
+          readyAt: video.readyAt,
+        })),
+      });
+    }
+
+    if (includeAssignments && source.assignments.length > 0) {
+      await tx.assignment.createMany({
+        data: source.assignments.map((assignment) => ({
+          courseId: course.id,
+          title: assignment.title,
+          description: assignment.description,
+          maxScore: assignment.maxScore,
+        })),
+      });
+    }
+
+    return await tx.course.findUnique({
+      where: { id: course.id },
+      include: {
+        instructor: {
+          select: { id: true, name: true, email: true },
+        },
+        category: {
+          select: { id: true, name: true, slug: true },
+        },
+        _count: {
+          select: { chapters: true, lessons: true, assignments: true },
+        },
+      },
+    });
+  }, { timeout: CLONE_TIMEOUT_MS });
+};
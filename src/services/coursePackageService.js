@@ -0,0 +1,433 @@
+import { prisma } from '../config/database.js';
+import { generateSlug, generateUniqueSlug } from '../utils/helpers.js';
+import { snapshotCurriculum, applyCurriculum, validateRevisionContent } from './courseRevisionService.js';
+import { remapCurriculum } from './courseCloneService.js';
+
+/**
+ * Course Package Service
+ * Exports a course to a self-contained JSON package and imports packages into another database.
+ * Media files are not embedded; the package lists the URLs they live at.
+ */
+
+export const PACKAGE_FORMAT = 'vaastu-course-package';
+export const PACKAGE_VERSION = 1;
+
+const IMPORT_TIMEOUT_MS = 60 * 1000;
+
+const LESSON_TYPES = ['VIDEO', 'TEXT', 'PDF', 'QUIZ', 'ASSIGNMENT', 'SCORM'];
+
+const PROGRESSION_MODES = ['FREE', 'SEQUENTIAL_CHAPTER', 'SEQUENTIAL_LESSON'];
+
+const COURSE_FIELDS = [
+  'title',
+  'slug',
+  'description',
+  'shortDescription',
+  'thumbnail',
+  'price',
+  'originalPrice',
+  'isFree',
+  'status',
+  'level',
+  'duration',
+  'language',
+  'isOngoing',
+  'progressionMode',
+  'startDate',
+  'endDate',
+  'tags',
+  'learningOutcomes',
+  'skills',
+];
+
+// Types of the package fields written to the database as they are (null is always allowed)
+const FIELD_TYPES = {
+  course: {
+    description: 'text',
+    shortDescription: 'text',
+    thumbnail: 'text',
+    price: 'amount',
+    originalPrice: 'amount',
+    duration: 'integer',
+    language: 'text',
+    startDate: 'date',
+    endDate: 'date',
+  },
+  chapter: { description: 'text', order: 'integer' },
+  lesson: {
+    chapterId: 'text',
+    description: 'text',
+    content: 'text',
+    videoUrl: 'text',
+    videoDuration: 'integer',
+    attachmentUrl: 'text',
+    order: 'integer',
+  },
+  quiz: { description: 'text', timeLimit: 'integer', passingScore: 'integer' },
+  question: { questionType: 'text', description: 'text', points: 'integer', order: 'integer' },
+  assignment: { description: 'text', dueDate: 'date', maxScore: 'integer' },
+};
+
+const TYPE_CHECKS = {
+  text: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  date: (value) => ['string', 'number'].includes(typeof value) && !Number.isNaN(new Date(value).getTime()),
+  amount: (value) => ['string', 'number'].includes(typeof value) && Number.isFinite(Number(value)) && Number(value) >= 0,
+};
+
+const TYPE_NAMES = {
+  text: 'text',
+  integer: 'a whole number',
+  date: 'a date',
+  amount: 'a non-negative amount',
+};
+
+/**
+ * Fields of a package record whose value has the wrong type
+ */
+const typeProblems = (record, kind, label) => Object.entries(FIELD_TYPES[kind])
+  .filter(([field, type]) => record[field] != null && !TYPE_CHECKS[type](record[field]))
+  .map(([field, type]) => `${label}: ${field} must be ${TYPE_NAMES[type]}`);
+
+const packageError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Every media URL the course points at, with where it is used
+ */
+const collectMedia = (course, curriculum) => {
+  const media = [];
+  const add = (url, usedBy) => {
+    if (url) media.push({ url, usedBy });
+  };
+
+  add(course.thumbnail, 'course.thumbnail');
+  for (const lesson of curriculum.lessons) {
+    add(lesson.videoUrl, `lesson:${lesson.slug}.videoUrl`);
+    add(lesson.attachmentUrl, `lesson:${lesson.slug}.attachmentUrl`);
+  }
+
+  return media;
+};
+
+/**
+ * Build the export package for a course
+ */
+export const exportCoursePackage = async (courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    include: {
+      category: { select: { name: true, slug: true, type: true } },
+      instructor: { select: { name: true, slug: true, email: true } },
+      assignments: { orderBy: { createdAt: 'asc' } },
+    },
+  });
+
+  if (!course) {
+    throw packageError('Course not found', 404);
+  }
+
+  const curriculum = await snapshotCurriculum(courseId);
+  const courseData = Object.fromEntries(COURSE_FIELDS.map((field) => [field, course[field] ?? null]));
+
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    course: {
+      ...courseData,
+      price: course.price.toString(),
+      originalPrice: course.originalPrice?.toString() ?? null,
+    },
+    category: course.category,
+    instructor: course.instructor,
+    curriculum,
+    assignments: course.assignments.map((assignment) => ({
+      title: assignment.title,
+      description: assignment.description,
+      dueDate: assignment.dueDate,
+      maxScore: assignment.maxScore,
+    })),
+    media: collectMedia(course, curriculum),
+  };
+};
+
+/**
+ * Structural and type problems in a package (empty when it can be imported); runs before
+ * dry runs too, so a malformed package is reported instead of failing on write
+ * @returns {string[]}
+ */
+export const validateCoursePackage = (pkg) => {
+  if (!pkg || typeof pkg !== 'object') {
+    return ['Package must be a JSON object'];
+  }
+  if (pkg.format !== PACKAGE_FORMAT) {
+    return [`Unknown package format "${pkg.format}"`];
+  }
+  if (pkg.version !== PACKAGE_VERSION) {
+    return [`Unsupported package version ${pkg.version} (expected ${PACKAGE_VERSION})`];
+  }
+
+  const problems = [];
+  const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+  if (!pkg.course || !isText(pkg.course.title)) {
+    problems.push('course.title is required');
+  } else {
+    problems.push(...typeProblems(pkg.course, 'course', 'Course'));
+  }
+
+  const { curriculum } = pkg;
+  if (!curriculum || !Array.isArray(curriculum.chapters) || !Array.isArray(curriculum.lessons)) {
+    problems.push('curriculum.chapters and curriculum.lessons must be arrays');
+    return problems;
+  }
+
+  curriculum.chapters.forEach((chapter, index) => {
+    if (!chapter || typeof chapter !== 'object') {
+      problems.push(`Chapter #${index + 1} must be an object`);
+      return;
+    }
+    if (!isText(chapter.id) || !isText(chapter.title) || !isText(chapter.slug)) {
+      problems.push(`Chapter #${index + 1} needs an id, title and slug`);
+    }
+    problems.push(...typeProblems(chapter, 'chapter', `Chapter #${index + 1}`));
+  });
+
+  const lessonIds = new Set();
+  curriculum.lessons.forEach((lesson, index) => {
+    const label = `Lesson #${index + 1}`;
+    if (!lesson || typeof lesson !== 'object') {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+    if (!isText(lesson.id) || !isText(lesson.title) || !isText(lesson.slug)) {
+      problems.push(`${label} needs an id, title and slug`);
+    }
+    if (lessonIds.has(lesson.id)) {
+      problems.push(`${label} repeats the id "${lesson.id}"`);
+    }
+    lessonIds.add(lesson.id);
+    if (lesson.lessonType && !LESSON_TYPES.includes(lesson.lessonType)) {
+      problems.push(`${label} has an unknown lessonType "${lesson.lessonType}"`);
+    }
+    problems.push(...typeProblems(lesson, 'lesson', label));
+    if (lesson.quiz) {
+      if (!isText(lesson.quiz.title) || !Array.isArray(lesson.quiz.questions)) {
+        problems.push(`${label} has a quiz without a title or questions`);
+      } else if (lesson.quiz.questions.some((question) => !question || !isText(question.question) || !isText(question.correctAnswer))) {
+        problems.push(`${label} has quiz questions without question text or a correct answer`);
+      } else {
+        problems.push(...typeProblems(lesson.quiz, 'quiz', `${label} quiz`));
+        lesson.quiz.questions.forEach((question, questionIndex) => {
+          problems.push(...typeProblems(question, 'question', `${label} question #${questionIndex + 1}`));
+        });
+      }
+    }
+  });
+
+  if (problems.length === 0) {
+    problems.push(...validateRevisionContent(curriculum));
+  }
+
+  if (pkg.assignments !== undefined && !Array.isArray(pkg.assignments)) {
+    problems.push('assignments must be an array');
+  } else if ((pkg.assignments || []).some((assignment) => !assignment || !isText(assignment.title))) {
+    problems.push('Every assignment needs a title');
+  } else {
+    (pkg.assignments || []).forEach((assignment, index) => {
+      problems.push(...typeProblems(assignment, 'assignment', `Assignment #${index + 1}`));
+    });
+  }
+
+  return problems;
+};
+
+/**
+ * Fill in defaults for fields a hand-edited package may leave out
+ */
+const normaliseCurriculum = (curriculum) => ({
+  chapters: curriculum.chapters.map((chapter, index) => ({
+    ...chapter,
+    description: chapter.description ?? null,
+    order: Number.isInteger(chapter.order) ? chapter.order : index,
+    isLocked: chapter.isLocked === true,
+    isPreview: chapter.isPreview === true,
+  })),
+  lessons: curriculum.lessons.map((lesson, index) => ({
+    ...lesson,
+    chapterId: lesson.chapterId || null,
+    lessonType: lesson.lessonType || 'VIDEO',
+    order: Number.isInteger(lesson.order) ? lesson.order : index,
+    isPreview: lesson.isPreview === true,
+    isLocked: lesson.isLocked === true,
+    quiz: lesson.quiz
+      ? {
+        ...lesson.quiz,
+        passingScore: lesson.quiz.passingScore ?? 70,
+        questions: lesson.quiz.questions.map((question, questionIndex) => ({
+          ...question,
+          questionType: question.questionType || 'multiple_choice',
+          points: question.points ?? 1,
+          order: question.order ?? questionIndex,
+        })),
+      }
+      : null,
+  })),
+});
+
+const resolveInstructor = async (pkg, instructorId) => {
+  if (instructorId) {
+    const instructor = await prisma.instructor.findUnique({
+      where: { id: instructorId },
+      select: { id: true, name: true, slug: true },
+    });
+    if (!instructor) throw packageError('Instructor not found');
+    return instructor;
+  }
+
+  if (pkg.instructor?.slug) {
+    const instructor = await prisma.instructor.findUnique({
+      where: { slug: pkg.instructor.slug },
+      select: { id: true, name: true, slug: true },
+    });
+    if (instructor) return instructor;
+  }
+
+  throw packageError(`Instructor "${pkg.instructor?.slug || 'unknown'}" does not exist here. Pass instructorId to choose one.`);
+};
+
+const resolveCategory = async (pkg, categoryId, warnings) => {
+  if (categoryId) {
+    const category = await prisma.category.findUnique({
+      where: { id: categoryId },
+      select: { id: true, name: true, slug: true },
+    });
+    if (!category) throw packageError('Category not found');
+    return category;
+  }
+
+  if (!pkg.category?.slug) return null;
+
+  const category = await prisma.category.findUnique({
+    where: { slug: pkg.category.slug },
+    select: { id: true, name: true, slug: true },
+  });
+  if (!category) {
+    warnings.push(`Category "${pkg.category.slug}" does not exist here; the course was left uncategorised`);
+  }
+  return category;
+};
+
+/**
+ * Import a package as a new DRAFT course. IDs are regenerated; a taken course slug gets a suffix.
+ * With dryRun nothing is written and the report describes what would be created.
+ * @param {Object} pkg
+ * @param {Object} options
+ * @param {string} [options.instructorId] - Defaults to the instructor with the package's instructor slug
+ * @param {string} [options.categoryId] - Defaults to the category with the package's category slug
+ * @param {string} [options.slug] - Preferred course slug
+ * @param {boolean} [options.dryRun=false]
+ */
+export const importCoursePackage = async (pkg, { instructorId, categoryId, slug, dryRun = false } = {}) => {
+  const problems = validateCoursePackage(pkg);
+  if (problems.length > 0) {
+    throw packageError(`Invalid course package: ${problems.join('; ')}`);
+  }
+
+  const warnings = [];
+  const instructor = await resolveInstructor(pkg, instructorId);
+  const category = await resolveCategory(pkg, categoryId, warnings);
+
+  const requestedSlug = generateSlug(slug || pkg.course.slug || pkg.course.title);
+  const courseSlug = await generateUniqueSlug(requestedSlug, async (candidate) => {
+    return await prisma.course.findUnique({ where: { slug: candidate }, select: { id: true } });
+  });
+  if (courseSlug !== requestedSlug) {
+    warnings.push(`Course slug "${requestedSlug}" is taken; using "${courseSlug}"`);
+  }
+
+  const curriculum = remapCurriculum(normaliseCurriculum(pkg.curriculum));
+  for (const lesson of curriculum.lessons.filter((item) => item.lessonType === 'SCORM')) {
+    warnings.push(`SCORM lesson "${lesson.title}" has no package; upload its zip after importing`);
+  }
+  const assignments = pkg.assignments || [];
+  const quizzes = curriculum.lessons.filter((lesson) => lesson.quiz);
+
+  const report = {
+    dryRun,
+    course: {
+      id: null,
+      title: pkg.course.title,
+      slug: courseSlug,
+      status: 'DRAFT',
+    },
+    instructor,
+    category,
+    created: {
+      chapters: curriculum.chapters.length,
+      lessons: curriculum.lessons.length,
+      quizzes: quizzes.length,
+      questions: quizzes.reduce((sum, lesson) => sum + lesson.quiz.questions.length, 0),
+      assignments: assignments.length,
+    },
+    media: Array.isArray(pkg.media) ? pkg.media.length : 0,
+    warnings,
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  const { course } = pkg;
+  const created = await prisma.$transaction(async (tx) => {
+    const newCourse = await tx.course.create({
+      data: {
+        title: course.title,
+        slug: courseSlug,
+        description: course.description ?? null,
+        shortDescription: course.shortDescription ?? null,
+        thumbnail: course.thumbnail ?? null,
+        price: course.price ? parseFloat(course.price) : 0,
+        originalPrice: course.originalPrice ? parseFloat(course.originalPrice) : null,
+        isFree: course.isFree === true,
+        // Imported courses are reviewed before going live
+        status: 'DRAFT',
+        level: course.level ?? null,
+        duration: Number.isInteger(course.duration) ? course.duration : null,
+        language: course.language || 'en',
+        isOngoing: course.isOngoing === true,
+        progressionMode: PROGRESSION_MODES.includes(course.progressionMode) ? course.progressionMode : 'FREE',
+        startDate: course.startDate ? new Date(course.startDate) : null,
+        endDate: course.endDate ? new Date(course.endDate) : null,
+        tags: course.tags ?? null,
+        learningOutcomes: course.learningOutcomes ?? undefined,
+        skills: course.skills ?? undefined,
+        instructorId: instructor.id,
+        categoryId: category?.id ?? null,
+      },
+    });
+
+    await applyCurriculum(tx, newCourse.id, curriculum);
+
+    if (assignments.length > 0) {
+      await tx.assignment.createMany({
+        data: assignments.map((assignment) => ({
+          courseId: newCourse.id,
+          title: assignment.title,
+          description: assignment.description ?? null,
+          dueDate: assignment.dueDate ? new Date(assignment.dueDate) : null,
+          maxScore: assignment.maxScore ?? 100,
+        })),
+      });
+    }
+
+    return newCourse;
+  }, { timeout: IMPORT_TIMEOUT_MS });
+
+  report.course.id = created.id;
+  return report;
+};
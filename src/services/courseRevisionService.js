@@ -0,0 +1,694 @@
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import { generateSlug } from '../utils/helpers.js';
+
+/**
+ * Course Revision Service
+ * Curriculum (chapters, lessons, quizzes) is edited in a draft copy and published in one
+ * transaction. Every published version is kept so a course can be rolled back.
+ *
+ * Revision content:
+ * {
+ *   chapters: [{ id, title, slug, description, order, isLocked, isPreview, releaseAfterDays, releaseAt }],
+ *   lessons: [{ id, chapterId, title, slug, ..., quiz: { id, title, ..., questions: [...] } | null }]
+ * }
+ * IDs are kept across publishes, so progress and quiz attempts stay attached to lessons that survive.
+ */
+
+const CHAPTER_FIELDS = [
+  'title',
+  'slug',
+  'description',
+  'order',
+  'isLocked',
+  'isPreview',
+  'releaseAfterDays',
+  'releaseAt',
+];
+
+const LESSON_FIELDS = [
+  'chapterId',
+  'title',
+  'slug',
+  'description',
+  'content',
+  'videoUrl',
+  'videoDuration',
+  'attachmentUrl',
+  'lessonType',
+  'order',
+  'isPreview',
+  'isLocked',
+  'unlockRequirement',
+  'releaseAfterDays',
+  'releaseAt',
+];
+
+const QUIZ_FIELDS = ['title', 'description', 'timeLimit', 'passingScore'];
+
+const QUESTION_FIELDS = ['question', 'questionType', 'description', 'options', 'correctAnswer', 'points', 'order'];
+
+// Publishing a large course touches every lesson
+const PUBLISH_TIMEOUT_MS = 60 * 1000;
+
+const revisionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+
+// Nullable Json columns need DbNull rather than null when written
+const JSON_FIELDS = ['unlockRequirement', 'options'];
+
+const toRowData = (source, fields) => Object.fromEntries(
+  Object.entries(pick(source, fields)).map(([field, value]) => [
+    field,
+    value === null && JSON_FIELDS.includes(field) ? Prisma.DbNull : value,
+  ])
+);
+
+const toBoolean = (value) => value === true || value === 'true';
+
+const parseJsonInput = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+const uniqueSlugIn = (items, baseSlug, excludeId = null) => {
+  const taken = new Set(items.filter((item) => item.id !== excludeId).map((item) => item.slug));
+  let slug = baseSlug;
+  let counter = 1;
+  while (taken.has(slug)) {
+    slug = `${baseSlug}-${counter}`;
+    counter++;
+  }
+  return slug;
+};
+
+const nextOrder = (items) => (items.length ? Math.max(...items.map((item) => item.order)) + 1 : 0);
+
+const serialiseQuiz = (quiz) => {
+  if (!quiz) return null;
+  return {
+    id: quiz.id,
+    ...pick(quiz, QUIZ_FIELDS),
+    questions: (quiz.questions || []).map((question) => ({
+      id: question.id,
+      ...pick(question, QUESTION_FIELDS),
+    })),
+  };
+};
+
+/**
+ * Current live curriculum in revision-content form
+ */
+export const snapshotCurriculum = async (courseId, db = prisma) => {
+  const chapters = await db.chapter.findMany({
+    where: { courseId },
+    orderBy: { order: 'asc' },
+  });
+  const lessons = await db.lesson.findMany({
+    where: { courseId },
+    include: {
+      quiz: {
+        include: {
+          questions: { orderBy: { order: 'asc' } },
+        },
+      },
+    },
+    orderBy: { order: 'asc' },
+  });
+
+  return {
+    chapters: chapters.map((chapter) => ({ id: chapter.id, ...pick(chapter, CHAPTER_FIELDS) })),
+    lessons: lessons.map((lesson) => ({
+      id: lesson.id,
+      ...pick(lesson, LESSON_FIELDS),
+      quiz: serialiseQuiz(lesson.quiz),
+    })),
+  };
+};
+
+// ==================== DRAFT LOOKUP ====================
+
+export const getOpenDraft = async (courseId) => {
+  return await prisma.courseRevision.findFirst({
+    where: { courseId, status: 'DRAFT' },
+  });
+};
+
+/**
+ * Find the open draft holding an item that may only exist in the draft
+ */
+const findDraftWith = async (predicate) => {
+  const drafts = await prisma.courseRevision.findMany({
+    where: { status: 'DRAFT' },
+  });
+  return drafts.find((draft) => predicate(draft.content)) || null;
+};
+
+export const findDraftForLesson = async (lessonId) => {
+  const lesson = await prisma.lesson.findUnique({
+    where: { id: lessonId },
+    select: { courseId: true },
+  });
+  if (lesson) return await getOpenDraft(lesson.courseId);
+
+  return await findDraftWith((content) => content.lessons.some((entry) => entry.id === lessonId));
+};
+
+export const findDraftForChapter = async (chapterId) => {
+  const chapter = await prisma.chapter.findUnique({
+    where: { id: chapterId },
+    select: { courseId: true },
+  });
+  if (chapter) return await getOpenDraft(chapter.courseId);
+
+  return await findDraftWith((content) => content.chapters.some((entry) => entry.id === chapterId));
+};
+
+export const findDraftForQuiz = async (quizId) => {
+  const quiz = await prisma.quiz.findUnique({
+    where: { id: quizId },
+    select: { lesson: { select: { courseId: true } } },
+  });
+  if (quiz) return await getOpenDraft(quiz.lesson.courseId);
+
+  return await findDraftWith((content) => content.lessons.some((entry) => entry.quiz?.id === quizId));
+};
+
+/**
+ * Course a draft-only lesson, chapter or quiz belongs to (for ownership checks)
+ */
+export const findDraftCourseId = async ({ lessonId, chapterId, quizId }) => {
+  let draft = null;
+  if (lessonId) draft = await findDraftForLesson(lessonId);
+  else if (chapterId) draft = await findDraftForChapter(chapterId);
+  else if (quizId) draft = await findDraftForQuiz(quizId);
+  return draft?.courseId ?? null;
+};
+
+/**
+ * Save edited draft content. Fails if someone else saved the draft in the meantime.
+ */
+const saveDraft = async (draft, content) => {
+  const { count } = await prisma.courseRevision.updateMany({
+    where: { id: draft.id, status: 'DRAFT', updatedAt: draft.updatedAt },
+    data: { content },
+  });
+
+  if (count === 0) {
+    throw revisionError('The draft was changed by someone else. Reload it and try again.', 409);
+  }
+};
+
+// ==================== DRAFT EDITING ====================
+
+/**
+ * Drip schedule fields from a request body (chapters and lessons); dates are stored as ISO strings
+ */
+export const normaliseReleaseInput = (body) => {
+  const data = {};
+  if (body.releaseAfterDays !== undefined) {
+    data.releaseAfterDays = body.releaseAfterDays === null || body.releaseAfterDays === ''
+      ? null
+      : parseInt(body.releaseAfterDays);
+  }
+  if (body.releaseAt !== undefined) {
+    data.releaseAt = body.releaseAt ? new Date(body.releaseAt).toISOString() : null;
+  }
+  return data;
+};
+
+/**
+ * Normalise lesson fields from a request body (only the fields present)
+ */
+export const normaliseLessonInput = (body) => {
+  const data = {};
+  if (body.chapterId !== undefined) data.chapterId = body.chapterId || null;
+  if (body.title !== undefined) data.title = body.title;
+  if (body.slug) data.slug = body.slug;
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.content !== undefined) data.content = body.content || null;
+  if (body.videoUrl !== undefined) data.videoUrl = body.videoUrl || null;
+  if (body.videoDuration !== undefined) data.videoDuration = body.videoDuration ? parseInt(body.videoDuration) : null;
+  if (body.attachmentUrl !== undefined) data.attachmentUrl = body.attachmentUrl || null;
+  if (body.lessonType) data.lessonType = body.lessonType;
+  if (body.order !== undefined && body.order !== null) data.order = parseInt(body.order);
+  if (body.isPreview !== undefined) data.isPreview = toBoolean(body.isPreview);
+  if (body.isLocked !== undefined) data.isLocked = toBoolean(body.isLocked);
+  if (body.unlockRequirement !== undefined) {
+    data.unlockRequirement = body.unlockRequirement ? parseJsonInput(body.unlockRequirement) : null;
+  }
+  return { ...data, ...normaliseReleaseInput(body) };
+};
+
+export const normaliseChapterInput = (body) => {
+  const data = {};
+  if (body.title !== undefined) data.title = body.title;
+  if (body.slug) data.slug = body.slug;
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.order !== undefined && body.order !== null) data.order = parseInt(body.order);
+  if (body.isLocked !== undefined) data.isLocked = toBoolean(body.isLocked);
+  if (body.isPreview !== undefined) data.isPreview = toBoolean(body.isPreview);
+  return { ...data, ...normaliseReleaseInput(body) };
+};
+
+const assertDraftChapter = (content, chapterId) => {
+  if (chapterId && !content.chapters.some((chapter) => chapter.id === chapterId)) {
+    throw revisionError('Invalid chapter ID or chapter does not belong to this course');
+  }
+};
+
+export const createDraftLesson = async (draft, input) => {
+  const content = draft.content;
+  assertDraftChapter(content, input.chapterId);
+
+  const siblings = content.lessons.filter((lesson) => lesson.chapterId === (input.chapterId || null));
+  const lesson = {
+    id: crypto.randomUUID(),
+    ...pick({}, LESSON_FIELDS),
+    lessonType: 'VIDEO',
+    isPreview: false,
+    isLocked: false,
+    ...input,
+    chapterId: input.chapterId || null,
+    slug: uniqueSlugIn(content.lessons, input.slug || generateSlug(input.title)),
+    order: input.order ?? nextOrder(siblings),
+    quiz: null,
+  };
+
+  content.lessons.push(lesson);
+  await saveDraft(draft, content);
+  return lesson;
+};
+
+export const updateDraftLesson = async (draft, lessonId, changes) => {
+  const content = draft.content;
+  const lesson = content.lessons.find((entry) => entry.id === lessonId);
+  if (!lesson) throw revisionError('Lesson not found', 404);
+
+  if (changes.chapterId !== undefined) assertDraftChapter(content, changes.chapterId);
+
+  if (changes.slug) {
+    changes.slug = uniqueSlugIn(content.lessons, changes.slug, lessonId);
+  } else if (changes.title && changes.title !== lesson.title) {
+    changes.slug = uniqueSlugIn(content.lessons, generateSlug(changes.title), lessonId);
+  }
+
+  Object.assign(lesson, changes);
+  await saveDraft(draft, content);
+  return lesson;
+};
+
+export const deleteDraftLesson = async (draft, lessonId) => {
+  const content = draft.content;
+  const before = content.lessons.length;
+  content.lessons = content.lessons.filter((entry) => entry.id !== lessonId);
+  if (content.lessons.length === before) throw revisionError('Lesson not found', 404);
+
+  await saveDraft(draft, content);
+};
+
+export const createDraftChapter = async (draft, input) => {
+  const content = draft.content;
+  const chapter = {
+    id: crypto.randomUUID(),
+    description: null,
+    isLocked: false,
+    isPreview: false,
+    ...input,
+    slug: uniqueSlugIn(content.chapters, input.slug || generateSlug(input.title)),
+    order: input.order ?? nextOrder(content.chapters),
+  };
+
+  content.chapters.push(chapter);
+  await saveDraft(draft, content);
+  return chapter;
+};
+
+/**
+ * @param {Function|Object} changes - Fields to set, or a function of the current chapter returning them
+ */
+export const updateDraftChapter = async (draft, chapterId, changes) => {
+  const content = draft.content;
+  const chapter = content.chapters.find((entry) => entry.id === chapterId);
+  if (!chapter) throw revisionError('Chapter not found', 404);
+
+  const resolved = typeof changes === 'function' ? changes(chapter) : changes;
+  if (resolved.slug && resolved.slug !== chapter.slug) {
+    resolved.slug = uniqueSlugIn(content.chapters, generateSlug(resolved.slug), chapterId);
+  }
+
+  Object.assign(chapter, resolved);
+  await saveDraft(draft, content);
+  return chapter;
+};
+
+export const deleteDraftChapter = async (draft, chapterId) => {
+  const content = draft.content;
+  if (!content.chapters.some((entry) => entry.id === chapterId)) {
+    throw revisionError('Chapter not found', 404);
+  }
+  if (content.lessons.some((lesson) => lesson.chapterId === chapterId)) {
+    throw revisionError('Cannot delete chapter with lessons. Please delete or move lessons first.');
+  }
+
+  content.chapters = content.chapters.filter((entry) => entry.id !== chapterId);
+  await saveDraft(draft, content);
+};
+
+const buildDraftQuestions = (questions) => questions.map((question, index) => ({
+  id: crypto.randomUUID(),
+  question: question.question,
+  questionType: question.questionType || 'multiple_choice',
+  description: question.description || null,
+  options: question.options || null,
+  correctAnswer: question.correctAnswer,
+  points: question.points || 1,
+  order: question.order || index,
+}));
+
+export const createDraftQuiz = async (draft, lessonId, input) => {
+  const content = draft.content;
+  const lesson = content.lessons.find((entry) => entry.id === lessonId);
+  if (!lesson) throw revisionError('Lesson not found', 404);
+  if (lesson.quiz) throw revisionError('Quiz already exists for this lesson');
+
+  lesson.quiz = {
+    id: crypto.randomUUID(),
+    title: input.title,
+    description: input.description ?? null,
+    timeLimit: input.timeLimit || null,
+    passingScore: input.passingScore || 70,
+    questions: buildDraftQuestions(input.questions || []),
+  };
+
+  await saveDraft(draft, content);
+  return lesson.quiz;
+};
+
+export const updateDraftQuiz = async (draft, quizId, input) => {
+  const content = draft.content;
+  const lesson = content.lessons.find((entry) => entry.quiz?.id === quizId);
+  if (!lesson) throw revisionError('Quiz not found', 404);
+
+  const { quiz } = lesson;
+  if (input.title) quiz.title = input.title;
+  if (input.description !== undefined) quiz.description = input.description;
+  if (input.timeLimit !== undefined) quiz.timeLimit = input.timeLimit;
+  if (input.passingScore !== undefined) quiz.passingScore = input.passingScore;
+
+  await saveDraft(draft, content);
+  return quiz;
+};
+
+export const deleteDraftQuiz = async (draft, quizId) => {
+  const content = draft.content;
+  const lesson = content.lessons.find((entry) => entry.quiz?.id === quizId);
+  if (!lesson) throw revisionError('Quiz not found', 404);
+
+  lesson.quiz = null;
+  await saveDraft(draft, content);
+};
+
+// ==================== PREVIEW ====================
+
+/**
+ * Revision content as students would see it: chapters with their lessons
+ */
+export const buildCurriculumPreview = (content) => {
+  const byOrder = (a, b) => a.order - b.order;
+
+  return {
+    chapters: [...content.chapters].sort(byOrder).map((chapter) => ({
+      ...chapter,
+      lessons: content.lessons.filter((lesson) => lesson.chapterId === chapter.id).sort(byOrder),
+    })),
+    lessonsWithoutChapter: content.lessons.filter((lesson) => !lesson.chapterId).sort(byOrder),
+  };
+};
+
+// Key order isn't preserved once content is stored as jsonb
+const canonicalJson = (value) => JSON.stringify(value, (key, nested) => (
+  nested && typeof nested === 'object' && !Array.isArray(nested)
+    ? Object.fromEntries(Object.keys(nested).sort().map((name) => [name, nested[name]]))
+    : nested
+));
+
+/**
+ * What publishing `content` would change compared to `liveContent`
+ */
+export const summariseChanges = (content, liveContent) => {
+  const compare = (items, liveItems) => {
+    const liveById = new Map(liveItems.map((item) => [item.id, item]));
+    const ids = new Set(items.map((item) => item.id));
+
+    return {
+      added: items.filter((item) => !liveById.has(item.id)).map(({ id, title }) => ({ id, title })),
+      removed: liveItems.filter((item) => !ids.has(item.id)).map(({ id, title }) => ({ id, title })),
+      changed: items
+        .filter((item) => liveById.has(item.id) && canonicalJson(item) !== canonicalJson(liveById.get(item.id)))
+        .map(({ id, title }) => ({ id, title })),
+    };
+  };
+
+  return {
+    chapters: compare(content.chapters, liveContent.chapters),
+    lessons: compare(content.lessons, liveContent.lessons),
+  };
+};
+
+// ==================== REVISIONS ====================
+
+const nextVersion = async (courseId, db = prisma) => {
+  const latest = await db.courseRevision.findFirst({
+    where: { courseId },
+    orderBy: { version: 'desc' },
+    select: { version: true },
+  });
+  return (latest?.version || 0) + 1;
+};
+
+/**
+ * Record what is live now as a published revision, so the first publish can be rolled back
+ */
+const ensurePublishedBaseline = async (courseId, userId) => {
+  const published = await prisma.courseRevision.findFirst({
+    where: { courseId, status: 'PUBLISHED' },
+    select: { id: true },
+  });
+  if (published) return;
+
+  await prisma.courseRevision.create({
+    data: {
+      courseId,
+      version: await nextVersion(courseId),
+      status: 'PUBLISHED',
+      content: await snapshotCurriculum(courseId),
+      notes: 'Curriculum before revisions were enabled',
+      createdBy: userId,
+      publishedBy: userId,
+      publishedAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Open a draft copy of the live curriculum
+ */
+export const openDraft = async (courseId, userId, notes = null) => {
+  if (await getOpenDraft(courseId)) {
+    throw revisionError('This course already has an open draft', 409);
+  }
+
+  await ensurePublishedBaseline(courseId, userId);
+
+  return await prisma.courseRevision.create({
+    data: {
+      courseId,
+      version: await nextVersion(courseId),
+      status: 'DRAFT',
+      content: await snapshotCurriculum(courseId),
+      notes,
+      createdBy: userId,
+    },
+  });
+};
+
+export const discardDraft = async (draft) => {
+  await prisma.courseRevision.delete({
+    where: { id: draft.id },
+  });
+};
+
+/**
+ * Problems that would stop a revision from being published
+ */
+export const validateRevisionContent = (content) => {
+  const problems = [];
+  const chapterIds = new Set(content.chapters.map((chapter) => chapter.id));
+
+  const findDuplicates = (values) => values.filter((value, index) => values.indexOf(value) !== index);
+
+  for (const slug of new Set(findDuplicates(content.chapters.map((chapter) => chapter.slug)))) {
+    problems.push(`Duplicate chapter slug "${slug}"`);
+  }
+  for (const slug of new Set(findDuplicates(content.lessons.map((lesson) => lesson.slug)))) {
+    problems.push(`Duplicate lesson slug "${slug}"`);
+  }
+  // Drip schedules (packages from elsewhere may carry anything)
+  for (const item of [...content.chapters, ...content.lessons]) {
+    if (item.releaseAfterDays != null && !(Number.isInteger(item.releaseAfterDays) && item.releaseAfterDays >= 0)) {
+      problems.push(`"${item.title}" must be released a whole number of days after enrollment`);
+    }
+    if (item.releaseAt != null && Number.isNaN(new Date(item.releaseAt).getTime())) {
+      problems.push(`"${item.title}" has an invalid release date`);
+    }
+  }
+
+  for (const lesson of content.lessons) {
+    if (lesson.chapterId && !chapterIds.has(lesson.chapterId)) {
+      problems.push(`Lesson "${lesson.title}" points to a chapter that is not in this revision`);
+    }
+    if (lesson.quiz && lesson.quiz.questions.length === 0) {
+      problems.push(`Quiz "${lesson.quiz.title}" has no questions`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Make the live tables match a revision's content
+ */
+export const applyCurriculum = async (tx, courseId, content) => {
+  const live = await snapshotCurriculum(courseId, tx);
+
+  const keptLessonIds = new Set(content.lessons.map((lesson) => lesson.id));
+  const keptChapterIds = new Set(content.chapters.map((chapter) => chapter.id));
+
+  // Removed lessons take their progress with them; everything else keeps its ID
+  await tx.lesson.deleteMany({
+    where: { courseId, id: { notIn: [...keptLessonIds] } },
+  });
+  await tx.chapter.deleteMany({
+    where: { courseId, id: { notIn: [...keptChapterIds] } },
+  });
+
+  // Park slugs first so renames and swaps don't trip the (courseId, slug) unique index
+  for (const chapter of live.chapters.filter((entry) => keptChapterIds.has(entry.id))) {
+    await tx.chapter.update({ where: { id: chapter.id }, data: { slug: `~${chapter.id}` } });
+  }
+  for (const lesson of live.lessons.filter((entry) => keptLessonIds.has(entry.id))) {
+    await tx.lesson.update({ where: { id: lesson.id }, data: { slug: `~${lesson.id}` } });
+  }
+
+  for (const chapter of content.chapters) {
+    const data = toRowData(chapter, CHAPTER_FIELDS);
+    await tx.chapter.upsert({
+      where: { id: chapter.id },
+      create: { id: chapter.id, courseId, ...data },
+      update: data,
+    });
+  }
+
+  for (const lesson of content.lessons) {
+    const data = toRowData(lesson, LESSON_FIELDS);
+    await tx.lesson.upsert({
+      where: { id: lesson.id },
+      create: { id: lesson.id, courseId, ...data },
+      update: data,
+    });
+
+    const { quiz } = lesson;
+    await tx.quiz.deleteMany({
+      where: { lessonId: lesson.id, ...(quiz && { NOT: { id: quiz.id } }) },
+    });
+    if (!quiz) continue;
+
+    const quizData = toRowData(quiz, QUIZ_FIELDS);
+    await tx.quiz.upsert({
+      where: { id: quiz.id },
+      create: { id: quiz.id, lessonId: lesson.id, ...quizData },
+      update: quizData,
+    });
+
+    await tx.quizQuestion.deleteMany({
+      where: { quizId: quiz.id, id: { notIn: quiz.questions.map((question) => question.id) } },
+    });
+    for (const question of quiz.questions) {
+      const questionData = toRowData(question, QUESTION_FIELDS);
+      await tx.quizQuestion.upsert({
+        where: { id: question.id },
+        create: { id: question.id, quizId: quiz.id, ...questionData },
+        update: questionData,
+      });
+    }
+  }
+};
+
+/**
+ * Publish a revision atomically. The version it replaces is archived with exactly
+ * what students had, including any edits made outside a draft.
+ */
+export const publishRevision = async (revision, userId) => {
+  const problems = validateRevisionContent(revision.content);
+  if (problems.length > 0) {
+    throw revisionError(`Cannot publish: ${problems.join('; ')}`);
+  }
+
+  return await prisma.$transaction(async (tx) => {
+    const liveContent = await snapshotCurriculum(revision.courseId, tx);
+
+    await tx.courseRevision.updateMany({
+      where: { courseId: revision.courseId, status: 'PUBLISHED' },
+      data: { status: 'ARCHIVED', content: liveContent },
+    });
+
+    await applyCurriculum(tx, revision.courseId, revision.content);
+
+    return await tx.courseRevision.update({
+      where: { id: revision.id },
+      data: {
+        status: 'PUBLISHED',
+        publishedBy: userId,
+        publishedAt: new Date(),
+      },
+    });
+  }, { timeout: PUBLISH_TIMEOUT_MS });
+};
+
+/**
+ * Publish an earlier version again, as a new revision
+ */
+export const rollbackToRevision = async (revision, userId) => {
+  if (await getOpenDraft(revision.courseId)) {
+    throw revisionError('Publish or discard the open draft before rolling back', 409);
+  }
+
+  const restored = await prisma.courseRevision.create({
+    data: {
+      courseId: revision.courseId,
+      version: await nextVersion(revision.courseId),
+      status: 'DRAFT',
+      content: revision.content,
+      notes: `Rollback to version ${revision.version}`,
+      createdBy: userId,
+    },
+  });
+
+  try {
+    return await publishRevision(restored, userId);
+  } catch (error) {
+    await discardDraft(restored);
+    throw error;
+  }
+};
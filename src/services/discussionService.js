@@ -0,0 +1,639 @@
+import { prisma } from '../config/database.js';
+import { createNotification } from './notificationService.js';
+import { findUsersWithPermission } from './permissionService.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Discussion Service
+ * Q&A threads on a course or one of its lessons. Enrolled students ask and reply; the course
+ * instructor and staff answer, mark questions answered and moderate.
+ *
+ * Functions take an `actor`: { user, canModerate }, where canModerate is the
+ * DISCUSSIONS_MODERATE permission (admins always have it).
+ */
+
+// Enrollments that may take part; unpaid (PENDING) ones may not
+const PARTICIPANT_STATUSES = ['ACTIVE', 'COMPLETED'];
+
+const AUTHOR_SELECT = { id: true, fullName: true, profileImage: true, role: true };
+
+const discussionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * What the actor may do in a course's Q&A. The course instructor moderates their own course.
+ */
+const getCourseAccess = async (actor, courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: {
+      id: true,
+      title: true,
+      slug: true,
+      instructor: { select: { userId: true } },
+    },
+  });
+  if (!course) {
+    throw discussionError('Course not found', 404);
+  }
+
+  const isInstructor = course.instructor?.userId === actor.user.id;
+  const canModerate = isInstructor || actor.canModerate;
+
+  let isEnrolled = false;
+  if (!canModerate) {
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { userId: actor.user.id, courseId, status: { in: PARTICIPANT_STATUSES } },
+      select: { id: true },
+    });
+    isEnrolled = Boolean(enrollment);
+  }
+
+  return { course, isInstructor, canModerate, canParticipate: isEnrolled || canModerate };
+};
+
+const requireParticipant = async (actor, courseId) => {
+  const access = await getCourseAccess(actor, courseId);
+  if (!access.canParticipate) {
+    throw discussionError('Only students enrolled in this course can take part in its Q&A', 403);
+  }
+  return access;
+};
+
+const requireModerator = (access) => {
+  if (!access.canModerate) {
+    throw discussionError('Only the course instructor or staff can do this', 403);
+  }
+};
+
+/**
+ * Add the authors who moderate discussions to the access, for their badges
+ */
+const withStaffAuthors = async (access, authors) => ({
+  ...access,
+  staffAuthorIds: await findUsersWithPermission(authors, PERMISSIONS.DISCUSSIONS_MODERATE),
+});
+
+/**
+ * Instructor/staff badge shown next to an author
+ */
+const authorBadge = (author, access) => {
+  const instructorUserId = access.course.instructor?.userId;
+  if (instructorUserId && author.id === instructorUserId) return 'INSTRUCTOR';
+  if (access.staffAuthorIds?.has(author.id)) return 'STAFF';
+  return null;
+};
+
+const presentAuthor = (author, access) => ({
+  id: author.id,
+  fullName: author.fullName,
+  profileImage: author.profileImage,
+  badge: authorBadge(author, access),
+});
+
+// Hidden posts stay in place for the thread's structure, without their content
+const presentContent = (post, access) => (post.isHidden && !access.canModerate ? null : post.content);
+
+const presentThread = (thread, access, userId) => {
+  const { votes, user, ...rest } = thread;
+  return {
+    ...rest,
+    title: thread.isHidden && !access.canModerate ? null : thread.title,
+    content: presentContent(thread, access),
+    author: presentAuthor(user, access),
+    hasUpvoted: Boolean(votes?.length),
+    isOwn: thread.userId === userId,
+  };
+};
+
+const presentReply = (reply, access, userId, acceptedReplyId) => {
+  const { votes, user, ...rest } = reply;
+  return {
+    ...rest,
+    content: presentContent(reply, access),
+    author: presentAuthor(user, access),
+    hasUpvoted: Boolean(votes?.length),
+    isOwn: reply.userId === userId,
+    isAcceptedAnswer: reply.id === acceptedReplyId,
+    replies: [],
+  };
+};
+
+const threadLink = (course, thread) => `/courses/${course.slug}/discussions/${thread.id}`;
+
+const loadThread = async (threadId) => {
+  const thread = await prisma.discussionThread.findUnique({
+    where: { id: threadId },
+  });
+  if (!thread) {
+    throw discussionError('Question not found', 404);
+  }
+  return thread;
+};
+
+const loadReply = async (replyId) => {
+  const reply = await prisma.discussionReply.findUnique({
+    where: { id: replyId },
+    include: { thread: true },
+  });
+  if (!reply) {
+    throw discussionError('Reply not found', 404);
+  }
+  return reply;
+};
+
+// ==================== THREADS ====================
+
+/**
+ * Questions on a course, pinned first
+ * @param {Object} actor
+ * @param {string} courseId
+ * @param {Object} filters
+ * @param {string} [filters.lessonId] - A lesson's questions; 'none' for course-wide ones only
+ * @param {string} [filters.q] - Search titles and text
+ * @param {boolean} [filters.answered]
+ * @param {boolean} [filters.hidden] - Moderators only: hidden questions
+ * @param {string} [filters.sort='recent'] - recent | votes | newest
+ */
+export const listThreads = async (actor, courseId, filters = {}) => {
+  const access = await requireParticipant(actor, courseId);
+  const { lessonId, q, answered, hidden, sort = 'recent', page = 1, limit = 20 } = filters;
+
+  const where = { courseId };
+  if (lessonId) where.lessonId = lessonId === 'none' ? null : lessonId;
+  if (answered !== undefined) where.isAnswered = answered;
+  where.isHidden = access.canModerate && hidden !== undefined ? hidden : false;
+  if (q) {
+    where.OR = [
+      { title: { contains: q, mode: 'insensitive' } },
+      { content: { contains: q, mode: 'insensitive' } },
+    ];
+  }
+
+  const orderBy = [{ isPinned: 'desc' }];
+  if (sort === 'votes') orderBy.push({ upvoteCount: 'desc' });
+  orderBy.push(sort === 'newest' ? { createdAt: 'desc' } : { lastActivityAt: 'desc' });
+
+  const skip = (page - 1) * limit;
+  const [threads, total] = await Promise.all([
+    prisma.discussionThread.findMany({
+      where,
+      include: {
+        user: { select: AUTHOR_SELECT },
+        lesson: { select: { id: true, title: true } },
+        votes: { where: { userId: actor.user.id }, select: { id: true } },
+      },
+      orderBy,
+      skip,
+      take: limit,
+    }),
+    prisma.discussionThread.count({ where }),
+  ]);
+
+  const presentAccess = await withStaffAuthors(access, threads.map((thread) => thread.user));
+  return {
+    threads: threads.map((thread) => presentThread(thread, presentAccess, actor.user.id)),
+    permissions: { canModerate: access.canModerate },
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * A question with its replies as a tree (oldest first, the accepted answer first)
+ */
+export const getThread = async (actor, threadId) => {
+  const thread = await prisma.discussionThread.findUnique({
+    where: { id: threadId },
+    include: {
+      user: { select: AUTHOR_SELECT },
+      lesson: { select: { id: true, title: true } },
+      votes: { where: { userId: actor.user.id }, select: { id: true } },
+      replies: {
+        include: {
+          user: { select: AUTHOR_SELECT },
+          votes: { where: { userId: actor.user.id }, select: { id: true } },
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+  });
+  if (!thread) {
+    throw discussionError('Question not found', 404);
+  }
+
+  const access = await requireParticipant(actor, thread.courseId);
+  if (thread.isHidden && !access.canModerate && thread.userId !== actor.user.id) {
+    throw discussionError('Question not found', 404);
+  }
+
+  const { replies, ...rest } = thread;
+  const presentAccess = await withStaffAuthors(access, [thread.user, ...replies.map((reply) => reply.user)]);
+  const nodes = new Map(replies.map((reply) => [
+    reply.id,
+    presentReply(reply, presentAccess, actor.user.id, thread.acceptedReplyId),
+  ]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.replies : roots).push(node);
+  }
+  roots.sort((a, b) => Number(b.isAcceptedAnswer) - Number(a.isAcceptedAnswer));
+
+  return {
+    ...presentThread(rest, presentAccess, actor.user.id),
+    replies: roots,
+    permissions: { canModerate: access.canModerate, canReply: !thread.isLocked || access.canModerate },
+  };
+};
+
+/**
+ * Ask a question on a course, or on one of its lessons
+ */
+export const createThread = async (actor, courseId, { lessonId, title, content }) => {
+  const access = await requireParticipant(actor, courseId);
+
+  if (lessonId) {
+    const lesson = await prisma.lesson.findUnique({
+      where: { id: lessonId },
+      select: { courseId: true },
+    });
+    if (!lesson || lesson.courseId !== courseId) {
+      throw discussionError('Invalid lesson ID or lesson does not belong to this course');
+    }
+  }
+
+  const thread = await prisma.discussionThread.create({
+    data: {
+      courseId,
+      lessonId: lessonId || null,
+      userId: actor.user.id,
+      title: title.trim(),
+      content: content.trim(),
+    },
+    include: {
+      user: { select: AUTHOR_SELECT },
+      lesson: { select: { id: true, title: true } },
+    },
+  });
+
+  const instructorUserId = access.course.instructor?.userId;
+  if (instructorUserId && instructorUserId !== actor.user.id) {
+    await createNotification(instructorUserId, {
+      title: 'New question in your course',
+      message: `${actor.user.fullName} asked "${thread.title}" in "${access.course.title}".`,
+      type: 'INFO',
+      link: threadLink(access.course, thread),
+    });
+  }
+
+  return presentThread(thread, await withStaffAuthors(access, [thread.user]), actor.user.id);
+};
+
+/**
+ * Edit your own question
+ */
+export const updateThread = async (actor, threadId, { title, content }) => {
+  const thread = await loadThread(threadId);
+  const access = await requireParticipant(actor, thread.courseId);
+
+  if (thread.userId !== actor.user.id) {
+    throw discussionError('You can only edit your own questions', 403);
+  }
+  if (thread.isHidden) {
+    throw discussionError('This question was removed by a moderator', 403);
+  }
+
+  const updated = await prisma.discussionThread.update({
+    where: { id: threadId },
+    data: {
+      ...(title !== undefined && { title: title.trim() }),
+      ...(content !== undefined && { content: content.trim() }),
+    },
+    include: {
+      user: { select: AUTHOR_SELECT },
+      lesson: { select: { id: true, title: true } },
+    },
+  });
+
+  return presentThread(updated, await withStaffAuthors(access, [updated.user]), actor.user.id);
+};
+
+/**
+ * Delete a question (its author or a moderator)
+ * @returns {Promise<{ thread: Object, asModerator: boolean }>}
+ */
+export const deleteThread = async (actor, threadId) => {
+  const thread = await loadThread(threadId);
+  const access = await getCourseAccess(actor, thread.courseId);
+
+  if (thread.userId !== actor.user.id && !access.canModerate) {
+    throw discussionError('You can only delete your own questions', 403);
+  }
+
+  await prisma.discussionThread.delete({ where: { id: threadId } });
+  return { thread, asModerator: thread.userId !== actor.user.id };
+};
+
+// ==================== REPLIES ====================
+
+/**
+ * Reply to a question, or to another reply. Notifies the question's author and the
+ * author of the reply being answered.
+ */
+export const createReply = async (actor, threadId, { content, parentId }) => {
+  const thread = await loadThread(threadId);
+  const access = await requireParticipant(actor, thread.courseId);
+
+  if (thread.isHidden && !access.canModerate) {
+    throw discussionError('Question not found', 404);
+  }
+  if (thread.isLocked && !access.canModerate) {
+    throw discussionError('This question is closed for replies', 403);
+  }
+
+  let parent = null;
+  if (parentId) {
+    parent = await prisma.discussionReply.findUnique({
+      where: { id: parentId },
+      select: { id: true, threadId: true, userId: true },
+    });
+    if (!parent || parent.threadId !== threadId) {
+      throw discussionError('Invalid parent reply');
+    }
+  }
+
+  const [reply] = await prisma.$transaction([
+    prisma.discussionReply.create({
+      data: {
+        threadId,
+        parentId: parent?.id ?? null,
+        userId: actor.user.id,
+        content: content.trim(),
+      },
+      include: { user: { select: AUTHOR_SELECT } },
+    }),
+    prisma.discussionThread.update({
+      where: { id: threadId },
+      data: {
+        replyCount: { increment: 1 },
+        lastActivityAt: new Date(),
+      },
+    }),
+  ]);
+
+  const link = threadLink(access.course, thread);
+  const recipients = new Set([thread.userId, parent?.userId].filter(Boolean));
+  recipients.delete(actor.user.id);
+  for (const userId of recipients) {
+    await createNotification(userId, {
+      title: userId === thread.userId ? 'New reply to your question' : 'New reply to your answer',
+      message: `${actor.user.fullName} replied to "${thread.title}".`,
+      type: 'INFO',
+      link,
+    });
+  }
+
+  return presentReply(
+    reply,
+    await withStaffAuthors(access, [reply.user]),
+    actor.user.id,
+    thread.acceptedReplyId
+  );
+};
+
+/**
+ * Edit your own reply
+ */
+export const updateReply = async (actor, replyId, { content }) => {
+  const reply = await loadReply(replyId);
+  const access = await requireParticipant(actor, reply.thread.courseId);
+
+  if (reply.userId !== actor.user.id) {
+    throw discussionError('You can only edit your own replies', 403);
+  }
+  if (reply.isHidden) {
+    throw discussionError('This reply was removed by a moderator', 403);
+  }
+
+  const updated = await prisma.discussionReply.update({
+    where: { id: replyId },
+    data: { content: content.trim() },
+    include: { user: { select: AUTHOR_SELECT } },
+  });
+
+  return presentReply(
+    updated,
+    await withStaffAuthors(access, [updated.user]),
+    actor.user.id,
+    reply.thread.acceptedReplyId
+  );
+};
+
+/**
+ * Delete a reply and the replies under it (its author or a moderator)
+ * @returns {Promise<{ reply: Object, asModerator: boolean }>}
+ */
+export const deleteReply = async (actor, replyId) => {
+  const reply = await loadReply(replyId);
+  const access = await getCourseAccess(actor, reply.thread.courseId);
+
+  if (reply.userId !== actor.user.id && !access.canModerate) {
+    throw discussionError('You can only delete your own replies', 403);
+  }
+
+  await prisma.discussionReply.delete({ where: { id: replyId } });
+
+  // Replies under it went too; an accepted answer among them no longer answers the question
+  const [replyCount, acceptedReply] = await Promise.all([
+    prisma.discussionReply.count({ where: { threadId: reply.threadId } }),
+    reply.thread.acceptedReplyId
+      ? prisma.discussionReply.findUnique({ where: { id: reply.thread.acceptedReplyId }, select: { id: true } })
+      : null,
+  ]);
+  const answerRemoved = reply.thread.acceptedReplyId && !acceptedReply;
+
+  await prisma.discussionThread.update({
+    where: { id: reply.threadId },
+    data: {
+      replyCount,
+      ...(answerRemoved && { isAnswered: false, acceptedReplyId: null, answeredAt: null, answeredBy: null }),
+    },
+  });
+
+  return { reply, asModerator: reply.userId !== actor.user.id };
+};
+
+// ==================== ANSWERS ====================
+
+/**
+ * Mark a question answered (course instructor or staff), optionally by one of its replies
+ */
+export const markAnswered = async (actor, threadId, replyId = null) => {
+  const thread = await loadThread(threadId);
+  const access = await getCourseAccess(actor, thread.courseId);
+  requireModerator(access);
+
+  if (replyId) {
+    const reply = await prisma.discussionReply.findUnique({
+      where: { id: replyId },
+      select: { threadId: true, isHidden: true },
+    });
+    if (!reply || reply.threadId !== threadId) {
+      throw discussionError('Invalid reply ID or reply does not belong to this question');
+    }
+    if (reply.isHidden) {
+      throw discussionError('A hidden reply cannot be the answer');
+    }
+  }
+
+  const updated = await prisma.discussionThread.update({
+    where: { id: threadId },
+    data: {
+      isAnswered: true,
+      acceptedReplyId: replyId,
+      answeredAt: new Date(),
+      answeredBy: actor.user.id,
+    },
+  });
+
+  if (!thread.isAnswered && thread.userId !== actor.user.id) {
+    await createNotification(thread.userId, {
+      title: 'Your question was answered',
+      message: `"${thread.title}" was marked as answered.`,
+      type: 'SUCCESS',
+      link: threadLink(access.course, thread),
+    });
+  }
+
+  return updated;
+};
+
+export const unmarkAnswered = async (actor, threadId) => {
+  const thread = await loadThread(threadId);
+  const access = await getCourseAccess(actor, thread.courseId);
+  requireModerator(access);
+
+  return await prisma.discussionThread.update({
+    where: { id: threadId },
+    data: {
+      isAnswered: false,
+      acceptedReplyId: null,
+      answeredAt: null,
+      answeredBy: null,
+    },
+  });
+};
+
+// ==================== UPVOTES ====================
+
+/**
+ * Add or remove the actor's upvote on a question or reply
+ * @param {Object} actor
+ * @param {{ threadId?: string, replyId?: string }} target
+ * @param {boolean} upvote - false removes the vote
+ * @returns {Promise<{ upvoteCount: number, hasUpvoted: boolean }>}
+ */
+export const setUpvote = async (actor, { threadId, replyId }, upvote) => {
+  const post = threadId ? await loadThread(threadId) : await loadReply(replyId);
+  const courseId = threadId ? post.courseId : post.thread.courseId;
+  await requireParticipant(actor, courseId);
+
+  if (post.userId === actor.user.id) {
+    throw discussionError('You cannot upvote your own post');
+  }
+
+  const target = threadId ? { threadId } : { replyId };
+  const counter = threadId
+    ? (data) => prisma.discussionThread.update({ where: { id: threadId }, data, select: { upvoteCount: true } })
+    : (data) => prisma.discussionReply.update({ where: { id: replyId }, data, select: { upvoteCount: true } });
+
+  const existing = await prisma.discussionVote.findFirst({
+    where: { userId: actor.user.id, ...target },
+    select: { id: true },
+  });
+
+  if (upvote && !existing) {
+    try {
+      const [, counted] = await prisma.$transaction([
+        prisma.discussionVote.create({ data: { userId: actor.user.id, ...target } }),
+        counter({ upvoteCount: { increment: 1 } }),
+      ]);
+      return { upvoteCount: counted.upvoteCount, hasUpvoted: true };
+    } catch (error) {
+      // A double click can race past the check above
+      if (error.code !== 'P2002') throw error;
+    }
+  } else if (!upvote && existing) {
+    const { count } = await prisma.discussionVote.deleteMany({ where: { id: existing.id } });
+    if (count > 0) {
+      const counted = await counter({ upvoteCount: { decrement: 1 } });
+      return { upvoteCount: counted.upvoteCount, hasUpvoted: false };
+    }
+  }
+
+  return { upvoteCount: post.upvoteCount, hasUpvoted: upvote };
+};
+
+// ==================== MODERATION ====================
+
+/**
+ * Hide, pin or lock a question
+ * @returns {Promise<{ before: Object, thread: Object }>}
+ */
+export const moderateThread = async (actor, threadId, { isHidden, isPinned, isLocked, reason }) => {
+  const thread = await loadThread(threadId);
+  const access = await getCourseAccess(actor, thread.courseId);
+  requireModerator(access);
+
+  const data = { moderatedBy: actor.user.id };
+  if (isPinned !== undefined) data.isPinned = isPinned;
+  if (isLocked !== undefined) data.isLocked = isLocked;
+  if (isHidden !== undefined) {
+    data.isHidden = isHidden;
+    data.moderationReason = isHidden ? reason || null : null;
+  }
+
+  const updated = await prisma.discussionThread.update({
+    where: { id: threadId },
+    data,
+  });
+
+  return { before: thread, thread: updated };
+};
+
+/**
+ * Hide or restore a reply
+ * @returns {Promise<{ before: Object, reply: Object }>}
+ */
+export const moderateReply = async (actor, replyId, { isHidden, reason }) => {
+  const reply = await loadReply(replyId);
+  const access = await getCourseAccess(actor, reply.thread.courseId);
+  requireModerator(access);
+
+  const updated = await prisma.discussionReply.update({
+    where: { id: replyId },
+    data: {
+      isHidden,
+      moderationReason: isHidden ? reason || null : null,
+      moderatedBy: actor.user.id,
+    },
+  });
+
+  // A hidden reply can't stay the accepted answer
+  if (isHidden && reply.thread.acceptedReplyId === replyId) {
+    await prisma.discussionThread.update({
+      where: { id: reply.threadId },
+      data: { isAnswered: false, acceptedReplyId: null, answeredAt: null, answeredBy: null },
+    });
+  }
+
+  return { before: reply, reply: updated };
+};
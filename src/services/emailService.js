@@ -35,7 +35,11 @@ const initResend = () => {
 
 // Email templates
 const getOTPEmailTemplate = (otp, purpose = 'verification') => {
-  const purposeText = purpose === 'password_reset' ? 'reset your password' : 'verify your email';
+  const purposeTexts = {
+    password_reset: 'reset your password',
+    email_change: 'confirm your new email address',
+  };
+  const purposeText = purposeTexts[purpose] || 'verify your email';
   
   return `
     <!DOCTYPE html>
@@ -94,6 +98,96 @@ const getWelcomeEmailTemplate = (fullName) => {
   `;
 };
 
+const getEmailChangeNoticeTemplate = (fullName, newEmail, cancelUrl) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Email Change Requested</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">${config.appName}</h1>
+      </div>
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e0e0e0;">
+        <h2 style="color: #333; margin-top: 0;">Email Change Requested</h2>
+        <p>Hello ${fullName},</p>
+        <p>Someone asked to change the login email of your account to <strong>${newEmail}</strong>.</p>
+        <p>If this was you, no action is needed. If it wasn't, cancel the change right away - this also undoes it if it has already been confirmed:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${cancelUrl}" style="background: #e53e3e; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Cancel Email Change</a>
+        </div>
+        <p style="color: #666; font-size: 14px;">We also recommend changing your password.</p>
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+        <p style="color: #999; font-size: 12px; text-align: center; margin: 0;">© ${new Date().getFullYear()} ${config.appName}. All rights reserved.</p>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+const getAccountLockedTemplate = (fullName, unlockUrl, lockoutMinutes) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Locked</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">${config.appName}</h1>
+      </div>
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e0e0e0;">
+        <h2 style="color: #333; margin-top: 0;">Your Account Has Been Locked</h2>
+        <p>Hello ${fullName},</p>
+        <p>We locked your account for ${lockoutMinutes} minutes after several failed sign-in attempts.</p>
+        <p>If this was you, you can unlock it now:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${unlockUrl}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Unlock My Account</a>
+        </div>
+        <p style="color: #666; font-size: 14px;">If it wasn't you, someone may be trying to guess your password. We recommend resetting it.</p>
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+        <p style="color: #999; font-size: 12px; text-align: center; margin: 0;">© ${new Date().getFullYear()} ${config.appName}. All rights reserved.</p>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+const getOrganisationSeatInviteTemplate = (organisationName, courseTitle, inviteUrl, expiryDays) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Course Invitation</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">${config.appName}</h1>
+      </div>
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e0e0e0;">
+        <h2 style="color: #333; margin-top: 0;">You've Been Given a Course Seat</h2>
+        <p>Hello,</p>
+        <p><strong>${organisationName}</strong> has reserved a seat for you in <strong>${courseTitle}</strong>.</p>
+        <p>Sign in or create an account with this email address, then accept the invitation:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${inviteUrl}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Accept Invitation</a>
+        </div>
+        <p style="color: #666; font-size: 14px;">This invitation expires in ${expiryDays} days.</p>
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+        <p style="color: #999; font-size: 12px; text-align: center; margin: 0;">© ${new Date().getFullYear()} ${config.appName}. All rights reserved.</p>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
 // Send email using Nodemailer
 const sendWithNodemailer = async (to, subject, html) => {
   try {
@@ -165,9 +259,11 @@ export const sendEmail = async (to, subject, html, retries = 2) => {
 
 // Specific email functions
 export const sendOTPEmail = async (email, otp, purpose = 'verification') => {
-  const subject = purpose === 'password_reset' 
-    ? 'Password Reset OTP' 
-    : 'Email Verification OTP';
+  const subjects = {
+    password_reset: 'Password Reset OTP',
+    email_change: 'Confirm Your New Email Address',
+  };
+  const subject = subjects[purpose] || 'Email Verification OTP';
   const html = getOTPEmailTemplate(otp, purpose);
   return await sendEmail(email, subject, html);
 };
@@ -178,3 +274,20 @@ export const sendWelcomeEmail = async (email, fullName) => {
   return await sendEmail(email, subject, html);
 };
 
+export const sendEmailChangeNoticeEmail = async (email, fullName, newEmail, cancelUrl) => {
+  const subject = 'Your login email is being changed';
+  const html = getEmailChangeNoticeTemplate(fullName, newEmail, cancelUrl);
+  return await sendEmail(email, subject, html);
+};
+
+export const sendAccountLockedEmail = async (email, fullName, unlockUrl, lockoutMinutes) => {
+  const subject = 'Your account has been locked';
+  const html = getAccountLockedTemplate(fullName, unlockUrl, lockoutMinutes);
+  return await sendEmail(email, subject, html);
+};
+
+export const sendOrganisationSeatInviteEmail = async (email, organisationName, courseTitle, inviteUrl, expiryDays) => {
+  const subject = `${organisationName} invited you to ${courseTitle}`;
+  const html = getOrganisationSeatInviteTemplate(organisationName, courseTitle, inviteUrl, expiryDays);
+  return await sendEmail(email, subject, html);
+};
@@ -2,11 +2,143 @@ import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROGRESSION_REASONS = {
+  SEQUENTIAL_LESSON: 'Complete the previous lessons first',
+  SEQUENTIAL_CHAPTER: 'Complete the previous chapter first',
+};
+
+const lessonWithQuiz = {
+  orderBy: { order: 'asc' },
+  include: { quiz: { select: { id: true } } },
+};
+
+/**
+ * When drip-scheduled content opens for a student: the latest of the lesson's and its
+ * chapter's schedules. Null when neither is scheduled.
+ * @param {Object} lesson - With releaseAfterDays/releaseAt
+ * @param {Object|null} chapter - With releaseAfterDays/releaseAt
+ * @param {Date} enrolledAt
+ * @returns {Date|null}
+ */
+export const getReleaseDate = (lesson, chapter, enrolledAt) => {
+  const dates = [];
+  for (const item of [lesson, chapter]) {
+    if (!item) continue;
+    if (item.releaseAt) {
+      dates.push(new Date(item.releaseAt).getTime());
+    }
+    if (item.releaseAfterDays !== null && item.releaseAfterDays !== undefined && enrolledAt) {
+      dates.push(new Date(enrolledAt).getTime() + item.releaseAfterDays * DAY_MS);
+    }
+  }
+  return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+};
+
+/**
+ * Lessons the user has finished: completed, and with the lesson's quiz passed if it has one
+ * @param {string} userId
+ * @param {{ id: string, quiz?: { id: string }|null }[]} lessons
+ * @returns {Promise<Set<string>>}
+ */
+const getFinishedLessonIds = async (userId, lessons) => {
+  if (lessons.length === 0) return new Set();
+
+  const lessonIds = lessons.map(lesson => lesson.id);
+  const [completed, passedAttempts] = await Promise.all([
+    prisma.lessonProgress.findMany({
+      where: { userId, lessonId: { in: lessonIds }, isCompleted: true },
+      select: { lessonId: true },
+    }),
+    prisma.quizAttempt.findMany({
+      where: { userId, isPassed: true, quiz: { lessonId: { in: lessonIds } } },
+      select: { quiz: { select: { lessonId: true } } },
+    }),
+  ]);
+
+  const completedIds = new Set(completed.map(p => p.lessonId));
+  const passedIds = new Set(passedAttempts.map(attempt => attempt.quiz.lessonId));
+
+  return new Set(
+    lessons
+      .filter(lesson => completedIds.has(lesson.id) && (!lesson.quiz || passedIds.has(lesson.id)))
+      .map(lesson => lesson.id)
+  );
+};
+
+/**
+ * Earlier lessons the progression mode requires before the lesson at `index` of the
+ * curriculum sequence. Manually locked lessons are skipped, students cannot finish them.
+ * @param {string} mode - Course progressionMode
+ * @param {{ lesson: Object, chapter: Object|null }[]} sequence - Loose lessons, then chapters, in order
+ * @param {number} index
+ * @param {Set<string>} finishedIds
+ * @returns {Object[]} The blocking lessons
+ */
+const getSequenceBlockers = (mode, sequence, index, finishedIds) => {
+  if (!PROGRESSION_REASONS[mode]) return [];
+
+  const chapterId = sequence[index].chapter?.id ?? null;
+  return sequence
+    .slice(0, index)
+    .filter(({ lesson, chapter }) =>
+      (mode === 'SEQUENTIAL_LESSON' || (chapter?.id ?? null) !== chapterId) &&
+      !lesson.isLocked &&
+      !chapter?.isLocked &&
+      !finishedIds.has(lesson.id)
+    )
+    .map(({ lesson }) => lesson);
+};
+
+/**
+ * Lessons the user still has to finish before the course's progression mode opens a lesson
+ * @param {string} userId - User ID
+ * @param {{ id: string, courseId: string }} lesson
+ * @param {string} progressionMode - FREE, SEQUENTIAL_CHAPTER or SEQUENTIAL_LESSON
+ * @returns {Promise<{reason?: string, blockingLessons: {id: string, title: string}[]}>}
+ */
+export const getProgressionBlockers = async (userId, lesson, progressionMode) => {
+  if (!PROGRESSION_REASONS[progressionMode]) {
+    return { blockingLessons: [] };
+  }
+
+  const [looseLessons, chapters] = await Promise.all([
+    prisma.lesson.findMany({
+      where: { courseId: lesson.courseId, chapterId: null },
+      ...lessonWithQuiz,
+    }),
+    prisma.chapter.findMany({
+      where: { courseId: lesson.courseId },
+      orderBy: { order: 'asc' },
+      include: { lessons: lessonWithQuiz },
+    }),
+  ]);
+
+  const sequence = [
+    ...looseLessons.map(item => ({ lesson: item, chapter: null })),
+    ...chapters.flatMap(chapter => chapter.lessons.map(item => ({ lesson: item, chapter }))),
+  ];
+  const index = sequence.findIndex(entry => entry.lesson.id === lesson.id);
+  if (index <= 0) {
+    return { blockingLessons: [] };
+  }
+
+  const earlier = sequence.slice(0, index).map(entry => entry.lesson);
+  const finishedIds = await getFinishedLessonIds(userId, earlier);
+  const blockingLessons = getSequenceBlockers(progressionMode, sequence, index, finishedIds)
+    .map(item => ({ id: item.id, title: item.title }));
+
+  return blockingLessons.length > 0
+    ? { reason: PROGRESSION_REASONS[progressionMode], blockingLessons }
+    : { blockingLessons };
+};
+
 /**
  * Check if user can access a lesson
  * @param {string} userId - User ID
  * @param {string} lessonId - Lesson ID
- * @returns {Promise<{canAccess: boolean, reason?: string, unlockedLessons?: string[]}>}
+ * @returns {Promise<{canAccess: boolean, reason?: string, unlocksAt?: Date, missingPrerequisites?: string[], blockingLessons?: {id: string, title: string}[]}>}
  */
 export const checkLessonAccess = async (userId, lessonId) => {
   try {
@@ -47,6 +179,12 @@ export const checkLessonAccess = async (userId, lessonId) => {
       return { canAccess: false, reason: 'This lesson is locked' };
     }
 
+    // Check drip schedule
+    const unlocksAt = getReleaseDate(lesson, lesson.chapter, lesson.course.enrollments[0].createdAt);
+    if (unlocksAt && unlocksAt > new Date()) {
+      return { canAccess: false, reason: 'This lesson is not available yet', unlocksAt };
+    }
+
     // Check prerequisites (unlock requirements)
     if (lesson.unlockRequirement) {
       const prerequisites = Array.isArray(lesson.unlockRequirement)
@@ -79,8 +217,15 @@ export const checkLessonAccess = async (userId, lessonId) => {
       }
     }
 
-    // Check if previous lessons in the same chapter/course are completed (if sequential unlock is enabled)
-    // This can be customized based on business logic
+    // Check the course's progression mode
+    const progression = await getProgressionBlockers(userId, lesson, lesson.course.progressionMode);
+    if (progression.blockingLessons.length > 0) {
+      return {
+        canAccess: false,
+        reason: progression.reason,
+        blockingLessons: progression.blockingLessons,
+      };
+    }
 
     return { canAccess: true };
   } catch (error) {
@@ -90,10 +235,11 @@ export const checkLessonAccess = async (userId, lessonId) => {
 };
 
 /**
- * Get all unlocked lessons for a user in a course
+ * Get the unlocked and locked lessons for a user in a course
  * @param {string} userId - User ID
  * @param {string} courseId - Course ID
- * @returns {Promise<string[]>} - Array of unlocked lesson IDs
+ * @returns {Promise<{unlocked: string[], locked: {lessonId: string, reason: string, unlocksAt: Date|null}[]}>}
+ *   unlocksAt is set when a drip schedule still holds the lesson back
  */
 export const getUnlockedLessons = async (userId, courseId) => {
   try {
@@ -101,14 +247,16 @@ export const getUnlockedLessons = async (userId, courseId) => {
       where: { id: courseId },
       include: {
         chapters: {
+          orderBy: { order: 'asc' },
           include: {
-            lessons: true,
+            lessons: lessonWithQuiz,
           },
         },
         lessons: {
           where: {
             chapterId: null,
           },
+          ...lessonWithQuiz,
         },
         enrollments: {
           where: {
@@ -120,11 +268,13 @@ export const getUnlockedLessons = async (userId, courseId) => {
     });
 
     if (!course) {
-      return [];
+      return { unlocked: [], locked: [] };
     }
 
-    const isEnrolled = course.enrollments && course.enrollments.length > 0;
-    const unlockedLessonIds = [];
+    const enrollment = course.enrollments[0] || null;
+    const unlocked = [];
+    const locked = [];
+    const now = new Date();
 
     // Get completed lesson IDs
     const completedProgress = await prisma.lessonProgress.findMany({
@@ -139,26 +289,42 @@ export const getUnlockedLessons = async (userId, courseId) => {
 
     const completedLessonIds = new Set(completedProgress.map(p => p.lessonId));
 
-    // Check all lessons
+    // Check all lessons in curriculum order, with the chapter they belong to
     const allLessons = [
-      ...course.lessons,
-      ...course.chapters.flatMap(chapter => chapter.lessons),
+      ...course.lessons.map(lesson => ({ lesson, chapter: null })),
+      ...course.chapters.flatMap(chapter => chapter.lessons.map(lesson => ({ lesson, chapter }))),
     ];
 
-    for (const lesson of allLessons) {
+    const finishedLessonIds = enrollment && PROGRESSION_REASONS[course.progressionMode]
+      ? await getFinishedLessonIds(userId, allLessons.map(entry => entry.lesson))
+      : new Set();
+
+    for (const [index, { lesson, chapter }] of allLessons.entries()) {
       // Preview lessons are always unlocked
-      if (lesson.isPreview || lesson.chapter?.isPreview) {
-        unlockedLessonIds.push(lesson.id);
+      if (lesson.isPreview || chapter?.isPreview) {
+        unlocked.push(lesson.id);
         continue;
       }
 
+      const releaseDate = enrollment ? getReleaseDate(lesson, chapter, enrollment.createdAt) : null;
+      const unlocksAt = releaseDate && releaseDate > now ? releaseDate : null;
+      const lock = (reason) => locked.push({ lessonId: lesson.id, reason, unlocksAt });
+
       // Must be enrolled
-      if (!isEnrolled) {
+      if (!enrollment) {
+        lock('You must be enrolled in this course');
         continue;
       }
 
       // Check manual lock
-      if (lesson.isLocked || lesson.chapter?.isLocked) {
+      if (lesson.isLocked || chapter?.isLocked) {
+        lock('This lesson is locked');
+        continue;
+      }
+
+      // Check drip schedule
+      if (unlocksAt) {
+        lock('This lesson is not available yet');
         continue;
       }
 
@@ -173,17 +339,24 @@ export const getUnlockedLessons = async (userId, courseId) => {
         );
 
         if (!allPrerequisitesMet) {
+          lock('Complete prerequisite lessons first');
           continue;
         }
       }
 
-      unlockedLessonIds.push(lesson.id);
+      // Check the course's progression mode
+      if (getSequenceBlockers(course.progressionMode, allLessons, index, finishedLessonIds).length > 0) {
+        lock(PROGRESSION_REASONS[course.progressionMode]);
+        continue;
+      }
+
+      unlocked.push(lesson.id);
     }
 
-    return unlockedLessonIds;
+    return { unlocked, locked };
   } catch (error) {
     console.error('Error getting unlocked lessons:', error);
-    return [];
+    return { unlocked: [], locked: [] };
   }
 };
 
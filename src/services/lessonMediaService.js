@@ -0,0 +1,86 @@
+import { config } from '../config/env.js';
+import { generateLessonMediaToken } from './tokenService.js';
+
+/**
+ * Lesson Media Service
+ * Videos and attachments of paid lessons are only handed out as short-lived links bound to
+ * the viewer (served by /api/media). Preview lessons keep their stored URLs, except for HLS:
+ * renditions are never delivered publicly, so every lesson's playlist goes through a link.
+ */
+
+// Asset name in a media link -> lesson field holding the stored URL
+export const MEDIA_ASSETS = {
+  video: 'videoUrl',
+  attachment: 'attachmentUrl',
+};
+
+// Asset name of a lesson's HLS master playlist (stored on its LessonVideo)
+export const HLS_ASSET = 'hls';
+
+/**
+ * Preview lessons (or lessons in a preview chapter) are open to everyone
+ * @param {Object} lesson
+ * @param {Object|null} [chapter] - Defaults to lesson.chapter
+ */
+export const isPublicLesson = (lesson, chapter = lesson.chapter) => Boolean(lesson.isPreview || chapter?.isPreview);
+
+/**
+ * Drop stored media URLs from a paid lesson. Used wherever lessons are listed; the player
+ * gets signed links from the single-lesson endpoint.
+ */
+export const hideLessonMedia = (lesson, chapter = lesson.chapter) => {
+  if (isPublicLesson(lesson, chapter)) {
+    return lesson;
+  }
+  return {
+    ...lesson,
+    videoUrl: null,
+    attachmentUrl: null,
+    ...(lesson.video && { video: { ...lesson.video, manifestUrl: null } }),
+  };
+};
+
+/**
+ * Lifetime of a link to a lesson's MP4. The player keeps making range requests to the same
+ * URL while it plays, so the link has to last as long as the video (HLS paths get their own
+ * window instead; see the media controller).
+ */
+const videoLinkSeconds = (lesson) => (
+  config.lessonMedia.urlExpiryMinutes * 60
+  + (lesson.videoDuration || 0)
+  + config.lessonMedia.playbackGraceMinutes * 60
+);
+
+/**
+ * Replace a lesson's media URLs with signed links for one user. Preview lessons only get a
+ * link for their HLS playlist.
+ * @param {Object} lesson
+ * @param {string|null} userId - null for visitors of a preview lesson
+ * @param {string} baseUrl - Public URL of this API, e.g. https://api.example.com
+ * @returns {Object} The lesson with signed URLs and mediaExpiresAt
+ */
+export const signLessonMedia = (lesson, userId, baseUrl) => {
+  const isPublic = isPublicLesson(lesson);
+  if (isPublic && !lesson.video?.manifestUrl) {
+    return lesson;
+  }
+
+  const signed = { ...lesson };
+  for (const [asset, field] of Object.entries(MEDIA_ASSETS)) {
+    if (isPublic || !lesson[field]) continue;
+    const token = generateLessonMediaToken({
+      userId,
+      lessonId: lesson.id,
+      asset,
+      expiresInSeconds: asset === 'video' ? videoLinkSeconds(lesson) : null,
+    });
+    signed[field] = `${baseUrl}/api/media/lessons/${token}`;
+  }
+  if (lesson.video?.manifestUrl) {
+    const token = generateLessonMediaToken({ userId, lessonId: lesson.id, asset: HLS_ASSET });
+    signed.video = { ...lesson.video, manifestUrl: `${baseUrl}/api/media/lessons/${token}` };
+  }
+  signed.mediaExpiresAt = new Date(Date.now() + config.lessonMedia.urlExpiryMinutes * 60 * 1000);
+
+  return signed;
+};
@@ -0,0 +1,298 @@
+import { prisma } from '../config/database.js';
+import { checkLessonAccess } from './lessonAccessService.js';
+import { renderTextPdf } from '../utils/pdf.js';
+
+/**
+ * Lesson Note Service
+ * Students' notes and bookmarks on lessons, optionally pinned to a moment in the video or a
+ * page. Notes are private: every query is scoped to the owner.
+ */
+
+const NOTE_LESSON_SELECT = {
+  id: true,
+  title: true,
+  slug: true,
+  lessonType: true,
+  order: true,
+  courseId: true,
+};
+
+const noteError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * 754 -> "12:34", 3754 -> "1:02:34"
+ */
+export const formatTimestamp = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Where in the lesson a note points, e.g. "12:34" or "p. 4"
+ */
+const noteLocation = (note) => {
+  if (note.videoTimestamp !== null && note.videoTimestamp !== undefined) return formatTimestamp(note.videoTimestamp);
+  if (note.pageNumber !== null && note.pageNumber !== undefined) return `p. ${note.pageNumber}`;
+  return null;
+};
+
+/**
+ * Notes can only be taken on lessons the student can open
+ */
+const assertLessonAccess = async (userId, lessonId) => {
+  const access = await checkLessonAccess(userId, lessonId);
+  if (!access.canAccess) {
+    throw noteError(access.reason, access.reason === 'Lesson not found' ? 404 : 403);
+  }
+};
+
+const findOwnNote = async (userId, id) => {
+  const note = await prisma.lessonNote.findFirst({
+    where: { id, userId },
+  });
+  if (!note) {
+    throw noteError('Note not found', 404);
+  }
+  return note;
+};
+
+/**
+ * Note fields from a request body (only the fields present)
+ */
+const normaliseNoteInput = (body) => {
+  const data = {};
+  if (body.type !== undefined) data.type = body.type;
+  if (body.content !== undefined) data.content = body.content?.trim() || null;
+  if (body.videoTimestamp !== undefined) {
+    data.videoTimestamp = body.videoTimestamp === null ? null : Math.floor(body.videoTimestamp);
+  }
+  if (body.pageNumber !== undefined) data.pageNumber = body.pageNumber;
+  return data;
+};
+
+const assertNoteContent = (note) => {
+  if (note.type === 'NOTE' && !note.content) {
+    throw noteError('A note needs some text');
+  }
+};
+
+/**
+ * A student's notes and bookmarks on one lesson, in playback/page order
+ */
+export const getLessonNotes = async (userId, lessonId) => {
+  await assertLessonAccess(userId, lessonId);
+
+  return await prisma.lessonNote.findMany({
+    where: { userId, lessonId },
+    orderBy: [
+      { videoTimestamp: { sort: 'asc', nulls: 'last' } },
+      { pageNumber: { sort: 'asc', nulls: 'last' } },
+      { createdAt: 'asc' },
+    ],
+  });
+};
+
+export const createNote = async (userId, body) => {
+  await assertLessonAccess(userId, body.lessonId);
+
+  const data = { type: 'NOTE', ...normaliseNoteInput(body) };
+  assertNoteContent(data);
+
+  return await prisma.lessonNote.create({
+    data: {
+      userId,
+      lessonId: body.lessonId,
+      ...data,
+    },
+    include: { lesson: { select: NOTE_LESSON_SELECT } },
+  });
+};
+
+export const updateNote = async (userId, id, body) => {
+  const note = await findOwnNote(userId, id);
+  await assertLessonAccess(userId, note.lessonId);
+
+  const data = normaliseNoteInput(body);
+  assertNoteContent({ ...note, ...data });
+
+  return await prisma.lessonNote.update({
+    where: { id },
+    data,
+    include: { lesson: { select: NOTE_LESSON_SELECT } },
+  });
+};
+
+export const deleteNote = async (userId, id) => {
+  await findOwnNote(userId, id);
+  await prisma.lessonNote.delete({ where: { id } });
+};
+
+/**
+ * Search a student's own notes (text and lesson title)
+ * @param {string} userId
+ * @param {Object} filters
+ * @param {string} [filters.q]
+ * @param {string} [filters.courseId]
+ * @param {string} [filters.lessonId]
+ * @param {string} [filters.type] - NOTE or BOOKMARK
+ */
+export const searchNotes = async (userId, { q, courseId, lessonId, type, page = 1, limit = 20 } = {}) => {
+  const where = { userId };
+  if (lessonId) where.lessonId = lessonId;
+  if (courseId) where.lesson = { courseId };
+  if (type) where.type = type;
+  if (q) {
+    where.OR = [
+      { content: { contains: q, mode: 'insensitive' } },
+      { lesson: { title: { contains: q, mode: 'insensitive' } } },
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const [notes, total] = await Promise.all([
+    prisma.lessonNote.findMany({
+      where,
+      include: {
+        lesson: {
+          select: {
+            ...NOTE_LESSON_SELECT,
+            course: { select: { id: true, title: true, slug: true } },
+          },
+        },
+      },
+      orderBy: { updatedAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.lessonNote.count({ where }),
+  ]);
+
+  return {
+    notes,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// ==================== EXPORT ====================
+
+/**
+ * A student's notes on a course, grouped by chapter and lesson in curriculum order
+ */
+export const getCourseNotes = async (userId, courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: { id: true, title: true, slug: true },
+  });
+  if (!course) {
+    throw noteError('Course not found', 404);
+  }
+
+  const notes = await prisma.lessonNote.findMany({
+    where: { userId, lesson: { courseId } },
+    include: {
+      lesson: {
+        select: {
+          ...NOTE_LESSON_SELECT,
+          chapter: { select: { id: true, title: true, order: true } },
+        },
+      },
+    },
+  });
+
+  const byLesson = new Map();
+  for (const note of notes) {
+    if (!byLesson.has(note.lessonId)) {
+      byLesson.set(note.lessonId, { lesson: note.lesson, notes: [] });
+    }
+    byLesson.get(note.lessonId).notes.push(note);
+  }
+
+  // Curriculum order: loose lessons first (so they never fall under a chapter's heading), then chapters
+  const inChapter = (lesson) => (lesson.chapter ? 1 : 0);
+  const position = (value) => value ?? Number.MAX_SAFE_INTEGER;
+  const lessons = [...byLesson.values()]
+    .sort((a, b) => (
+      inChapter(a.lesson) - inChapter(b.lesson) ||
+      (a.lesson.chapter?.order ?? 0) - (b.lesson.chapter?.order ?? 0) ||
+      a.lesson.order - b.lesson.order
+    ))
+    .map((entry) => ({
+      ...entry,
+      notes: entry.notes.sort((a, b) => (
+        position(a.videoTimestamp) - position(b.videoTimestamp) ||
+        position(a.pageNumber) - position(b.pageNumber) ||
+        a.createdAt - b.createdAt
+      )),
+    }));
+
+  return { course, lessons, total: notes.length };
+};
+
+const noteLine = (note) => {
+  const location = noteLocation(note);
+  const label = note.type === 'BOOKMARK' ? 'Bookmark' : null;
+  return [label, location && `[${location}]`].filter(Boolean).join(' ');
+};
+
+export const renderNotesMarkdown = ({ course, lessons }) => {
+  const lines = [`# My notes: ${course.title}`, '', `_Exported ${new Date().toISOString().slice(0, 10)}_`];
+  let chapterId;
+
+  for (const { lesson, notes } of lessons) {
+    if (lesson.chapter && lesson.chapter.id !== chapterId) {
+      chapterId = lesson.chapter.id;
+      lines.push('', `## ${lesson.chapter.title}`);
+    }
+    lines.push('', `### ${lesson.title}`, '');
+    for (const note of notes) {
+      const heading = noteLine(note);
+      const [first = '', ...rest] = (note.content || '').split('\n');
+      lines.push(`- ${heading ? `**${heading}** ` : ''}${first}`.trimEnd());
+      rest.forEach((line) => lines.push(`  ${line}`.trimEnd()));
+    }
+  }
+
+  if (lessons.length === 0) {
+    lines.push('', 'No notes yet.');
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+export const renderNotesPdf = ({ course, lessons }) => {
+  const blocks = [
+    { text: `My notes: ${course.title}`, style: 'title' },
+    { text: `Exported ${new Date().toISOString().slice(0, 10)}`, style: 'meta' },
+  ];
+  let chapterId;
+
+  for (const { lesson, notes } of lessons) {
+    if (lesson.chapter && lesson.chapter.id !== chapterId) {
+      chapterId = lesson.chapter.id;
+      blocks.push({ text: lesson.chapter.title, style: 'heading' });
+    }
+    blocks.push({ text: lesson.title, style: 'subheading' });
+    for (const note of notes) {
+      const heading = noteLine(note);
+      if (heading) blocks.push({ text: heading, style: 'meta' });
+      if (note.content) blocks.push({ text: note.content, style: 'body' });
+    }
+  }
+
+  if (lessons.length === 0) {
+    blocks.push({ text: 'No notes yet.', style: 'body' });
+  }
+
+  return renderTextPdf(blocks, { title: `My notes: ${course.title}` });
+};
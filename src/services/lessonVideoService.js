@@ -0,0 +1,288 @@
+import fs from 'fs/promises';
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import {
+  uploadStreamingVideo,
+  getStreamingUrls,
+  areStreamingRenditionsReady,
+} from './cloudinaryService.js';
+import * as courseRevisionService from './courseRevisionService.js';
+
+/**
+ * Lesson Video Service
+ * Lesson video uploads are staged on disk and processed in the background: the file is
+ * uploaded to Cloudinary, which builds adaptive HLS renditions and a poster. Once the
+ * renditions exist the lesson's videoUrl/videoDuration are filled in and the manifest is served.
+ */
+
+// Uploads per run; each one can take minutes for a long lecture
+const UPLOAD_BATCH_SIZE = 2;
+// An upload still PROCESSING without a publicId after this long was interrupted (e.g. a restart)
+const STALE_UPLOAD_MS = 30 * 60 * 1000;
+
+const removeStagedFile = async (filePath) => {
+  if (!filePath) return;
+  await fs.unlink(filePath).catch(() => {});
+};
+
+/**
+ * Queue a staged upload for a lesson, replacing any earlier upload for it
+ * @param {Object} params
+ * @param {string} params.lessonId - Live or draft-only lesson
+ * @param {string} params.courseId
+ * @param {string|null} [params.revisionId] - Open draft the upload belongs to
+ * @param {{ path: string, originalName: string }} params.stagedVideo - From stageVideoUpload
+ * @param {string} [params.uploadedBy]
+ */
+export const queueLessonVideo = async ({ lessonId, courseId, revisionId = null, stagedVideo, uploadedBy = null }) => {
+  const previous = await prisma.lessonVideo.findUnique({
+    where: { lessonId },
+    select: { sourcePath: true },
+  });
+
+  const data = {
+    courseId,
+    revisionId,
+    status: 'QUEUED',
+    sourcePath: stagedVideo.path,
+    originalName: stagedVideo.originalName,
+    publicId: null,
+    mp4Url: null,
+    manifestUrl: null,
+    posterUrl: null,
+    duration: null,
+    attempts: 0,
+    error: null,
+    uploadedBy,
+    processingStartedAt: null,
+    readyAt: null,
+  };
+
+  const video = await prisma.lessonVideo.upsert({
+    where: { lessonId },
+    create: { lessonId, ...data },
+    update: data,
+  });
+
+  // The staged file now belongs to the queue
+  stagedVideo.queued = true;
+  if (previous?.sourcePath && previous.sourcePath !== stagedVideo.path) {
+    await removeStagedFile(previous.sourcePath);
+  }
+
+  return video;
+};
+
+/**
+ * Forget a deleted lesson's video. Stored files are kept, like other lesson media:
+ * cloned courses may share them.
+ */
+export const removeLessonVideo = async (lessonId) => {
+  const video = await prisma.lessonVideo.findUnique({
+    where: { lessonId },
+    select: { id: true, sourcePath: true },
+  });
+  if (!video) return;
+
+  await prisma.lessonVideo.delete({ where: { id: video.id } });
+  await removeStagedFile(video.sourcePath);
+};
+
+/**
+ * Point the lesson at a processed video. Uploads made in a draft only change the draft
+ * while it is open; otherwise the live lesson (and any draft opened since) is updated.
+ */
+const applyToLesson = async (video) => {
+  const changes = {
+    videoUrl: video.mp4Url,
+    videoDuration: video.duration,
+  };
+
+  const draft = await courseRevisionService.findDraftForLesson(video.lessonId);
+  const draftLesson = draft?.content.lessons.find((lesson) => lesson.id === video.lessonId);
+
+  if (!video.revisionId || draft?.id !== video.revisionId) {
+    await prisma.lesson.updateMany({
+      where: { id: video.lessonId },
+      data: changes,
+    });
+  }
+  if (draftLesson) {
+    await courseRevisionService.updateDraftLesson(draft, video.lessonId, changes);
+  }
+};
+
+const failVideo = async (video, error) => {
+  const attempts = video.attempts + 1;
+  // Skipped when a newer upload has replaced this one
+  await prisma.lessonVideo.updateMany({
+    where: { id: video.id, sourcePath: video.sourcePath },
+    data: {
+      attempts,
+      error: error.message,
+      status: attempts >= config.lessonVideo.maxAttempts ? 'FAILED' : 'QUEUED',
+    },
+  });
+  if (attempts >= config.lessonVideo.maxAttempts) {
+    await removeStagedFile(video.sourcePath);
+  }
+};
+
+const uploadVideo = async (video) => {
+  const { count } = await prisma.lessonVideo.updateMany({
+    where: { id: video.id, status: 'QUEUED', sourcePath: video.sourcePath },
+    data: { status: 'PROCESSING', processingStartedAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  try {
+    const result = await uploadStreamingVideo(video.sourcePath, {
+      folder: 'lms/videos',
+      streamingProfile: config.lessonVideo.streamingProfile,
+    });
+    const { manifestUrl, posterUrl } = getStreamingUrls(result.public_id, {
+      version: result.version,
+      streamingProfile: config.lessonVideo.streamingProfile,
+    });
+
+    // A newer upload may have replaced this one while it was uploading
+    const { count: stored } = await prisma.lessonVideo.updateMany({
+      where: { id: video.id, sourcePath: video.sourcePath },
+      data: {
+        publicId: result.public_id,
+        mp4Url: result.secure_url,
+        manifestUrl,
+        posterUrl,
+        duration: result.duration ? Math.round(result.duration) : null,
+        sourcePath: null,
+        error: null,
+      },
+    });
+    if (stored > 0) {
+      await removeStagedFile(video.sourcePath);
+    }
+    return stored > 0;
+  } catch (error) {
+    console.error(`Lesson video upload failed for lesson ${video.lessonId}:`, error.message);
+    await failVideo(video, error);
+    return false;
+  }
+};
+
+const finishVideo = async (video) => {
+  const timeoutMs = config.lessonVideo.processingTimeoutHours * 60 * 60 * 1000;
+
+  let ready = false;
+  try {
+    ready = await areStreamingRenditionsReady(video.publicId);
+  } catch (error) {
+    // Transient API errors are retried on the next run until the timeout
+    console.error(`Lesson video status check failed for lesson ${video.lessonId}:`, error.message);
+  }
+
+  if (!ready) {
+    if (Date.now() - video.processingStartedAt.getTime() > timeoutMs) {
+      await prisma.lessonVideo.update({
+        where: { id: video.id },
+        data: { status: 'FAILED', error: 'Streaming renditions were not generated in time' },
+      });
+    }
+    return false;
+  }
+
+  await applyToLesson(video);
+  await prisma.lessonVideo.update({
+    where: { id: video.id },
+    data: { status: 'READY', readyAt: new Date() },
+  });
+  return true;
+};
+
+/**
+ * One pass of the pipeline: upload queued videos and finish those whose renditions are ready
+ * @returns {Promise<{ uploaded: number, ready: number }>}
+ */
+export const processLessonVideos = async () => {
+  const totals = { uploaded: 0, ready: 0 };
+
+  // Uploads interrupted mid-way go back to the queue
+  await prisma.lessonVideo.updateMany({
+    where: {
+      status: 'PROCESSING',
+      publicId: null,
+      processingStartedAt: { lt: new Date(Date.now() - STALE_UPLOAD_MS) },
+    },
+    data: { status: 'QUEUED' },
+  });
+
+  const queued = await prisma.lessonVideo.findMany({
+    where: { status: 'QUEUED', sourcePath: { not: null } },
+    orderBy: { createdAt: 'asc' },
+    take: UPLOAD_BATCH_SIZE,
+  });
+  for (const video of queued) {
+    if (await uploadVideo(video)) totals.uploaded += 1;
+  }
+
+  const processing = await prisma.lessonVideo.findMany({
+    where: { status: 'PROCESSING', publicId: { not: null } },
+    orderBy: { processingStartedAt: 'asc' },
+  });
+  for (const video of processing) {
+    try {
+      if (await finishVideo(video)) totals.ready += 1;
+    } catch (error) {
+      console.error(`Finishing lesson video failed for lesson ${video.lessonId}:`, error.message);
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Processing status for staff
+ */
+export const getVideoStatus = (video) => {
+  if (!video) return null;
+  return {
+    status: video.status,
+    originalName: video.originalName,
+    manifestUrl: video.manifestUrl,
+    posterUrl: video.posterUrl,
+    duration: video.duration,
+    attempts: video.attempts,
+    error: video.error,
+    draft: Boolean(video.revisionId),
+    readyAt: video.readyAt,
+    updatedAt: video.updatedAt,
+  };
+};
+
+/**
+ * Video details for students. A finished video is only shown while it is still the lesson's
+ * video; uploads made in an unpublished draft are not shown at all.
+ * @param {Object|null} video - LessonVideo row
+ * @param {Object} lesson
+ * @returns {{ status: string, manifestUrl: string|null, posterUrl: string|null, duration: number|null }|null}
+ */
+export const describeLessonVideo = (video, lesson) => {
+  if (!video) return null;
+
+  if (video.status === 'READY') {
+    if (video.mp4Url !== lesson.videoUrl) return null;
+    return {
+      status: video.status,
+      manifestUrl: video.manifestUrl,
+      posterUrl: video.posterUrl,
+      duration: video.duration,
+    };
+  }
+
+  if (video.revisionId) return null;
+  return {
+    status: video.status,
+    manifestUrl: null,
+    posterUrl: null,
+    duration: null,
+  };
+};
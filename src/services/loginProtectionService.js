@@ -0,0 +1,188 @@
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { createAuditLog } from './auditLogService.js';
+import { sendAccountLockedEmail } from './emailService.js';
+import { generateAccountUnlockToken } from './tokenService.js';
+
+/**
+ * Login Protection Service
+ * Per-account failed-attempt tracking with progressive delays and temporary lockout,
+ * so guessing spread across many IPs is still stopped.
+ */
+
+const minutesToMs = (minutes) => minutes * 60 * 1000;
+
+/**
+ * Failures that still count (older ones fall out of the window)
+ */
+const countRecentFailures = (user, now = new Date()) => {
+  const { attemptWindowMinutes } = config.loginProtection;
+  if (!user.lastFailedLoginAt) return 0;
+  if (now - user.lastFailedLoginAt > minutesToMs(attemptWindowMinutes)) return 0;
+  return user.failedLoginAttempts;
+};
+
+/**
+ * Whether the account may attempt to log in right now
+ * @param {Object} user - User row including the login protection fields
+ * @returns {{allowed: boolean, locked?: boolean, retryAfterSeconds?: number}}
+ */
+export const checkLoginAllowed = (user) => {
+  const now = new Date();
+
+  if (user.lockedUntil && user.lockedUntil > now) {
+    return {
+      allowed: false,
+      locked: true,
+      retryAfterSeconds: Math.ceil((user.lockedUntil - now) / 1000),
+    };
+  }
+
+  const failures = countRecentFailures(user, now);
+  const { delayAfterAttempts } = config.loginProtection;
+
+  if (failures >= delayAfterAttempts) {
+    // 1s, 2s, 4s, ... between attempts
+    const delayMs = 1000 * 2 ** (failures - delayAfterAttempts);
+    const nextAttemptAt = new Date(user.lastFailedLoginAt.getTime() + delayMs);
+
+    if (nextAttemptAt > now) {
+      return {
+        allowed: false,
+        locked: false,
+        retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000),
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Send the standard refusal for a blocked login attempt
+ */
+export const rejectBlockedLogin = (res, check) => {
+  res.set('Retry-After', String(check.retryAfterSeconds));
+
+  if (check.locked) {
+    return res.status(423).json({
+      success: false,
+      message: 'Account temporarily locked after too many failed attempts. Check your email to unlock it or try again later.',
+      data: { retryAfterSeconds: check.retryAfterSeconds },
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed attempts. Please wait before trying again.',
+    data: { retryAfterSeconds: check.retryAfterSeconds },
+  });
+};
+
+const lockAccount = async (user, req) => {
+  const lockedUntil = new Date(Date.now() + minutesToMs(config.loginProtection.lockoutMinutes));
+
+  // Only the request that actually locks the account reports it
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: new Date() } }],
+    },
+    data: {
+      lockedUntil,
+      failedLoginAttempts: 0,
+    },
+  });
+
+  if (count === 0) return;
+
+  await createAuditLog({
+    userId: user.id,
+    action: 'ACCOUNT_LOCKED',
+    entityType: 'USER',
+    entityId: user.id,
+    description: `Account locked for ${config.loginProtection.lockoutMinutes} minutes after repeated failed logins`,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+    metadata: { lockedUntil },
+    riskScore: 70,
+  });
+
+  const unlockToken = generateAccountUnlockToken({ userId: user.id, lockedUntil });
+  const unlockUrl = `${config.frontendUrl}/account/unlock?token=${encodeURIComponent(unlockToken)}`;
+  try {
+    await sendAccountLockedEmail(user.email, user.fullName, unlockUrl, config.loginProtection.lockoutMinutes);
+  } catch (error) {
+    console.error('Failed to send account locked email:', error);
+  }
+};
+
+/**
+ * Count a failed attempt (wrong password, login OTP or 2FA code) and lock when the limit is hit
+ */
+export const recordFailedLogin = async (user, req) => {
+  const now = new Date();
+  const withinWindow = countRecentFailures(user, now) > 0;
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: withinWindow ? { increment: 1 } : 1,
+      lastFailedLoginAt: now,
+    },
+    select: { failedLoginAttempts: true },
+  });
+
+  if (updated.failedLoginAttempts >= config.loginProtection.maxFailedAttempts) {
+    await lockAccount(user, req);
+  }
+};
+
+/**
+ * Clear failure tracking after a successful login
+ */
+export const recordSuccessfulLogin = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null,
+    },
+  });
+};
+
+/**
+ * Lift a lockout
+ * @param {string} userId
+ * @param {Object} req - Request that triggered the unlock (for the audit trail)
+ * @param {string} via - EMAIL_LINK or ADMIN
+ */
+export const unlockAccount = async (userId, req, via) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null,
+    },
+  });
+
+  await createAuditLog({
+    userId: req.user?.id || userId,
+    action: 'ACCOUNT_UNLOCKED',
+    entityType: 'USER',
+    entityId: userId,
+    description: via === 'ADMIN' ? 'Account unlocked by an administrator' : 'Account unlocked from the emailed link',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl,
+    metadata: { via },
+    riskScore: 30,
+  });
+};
@@ -281,17 +281,9 @@ export const confirmOrderPayment = async (orderId) => {
 export const getOrderById = async (orderId, userId = null) => {
   const where = { id: orderId };
   
-  // If userId provided, ensure user can only access their own orders (unless admin)
+  // If userId provided, only that user's order is returned (staff pass null)
   if (userId) {
-    // Check if user is admin
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { role: true },
-    });
-
-    if (user?.role !== 'ADMIN') {
-      where.userId = userId;
-    }
+    where.userId = userId;
   }
 
   return await prisma.order.findUnique({
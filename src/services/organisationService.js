@@ -0,0 +1,401 @@
+import crypto from 'crypto';
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import * as instructorEarningService from './instructorEarningService.js';
+import * as auditLogService from './auditLogService.js';
+import { sendOrganisationSeatInviteEmail } from './emailService.js';
+
+/**
+ * Organisation Service
+ * Seat pools bought per course, email invites and seat reclaim.
+ */
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Seats in use (invited or active) for each pool
+ * @param {string[]} seatPoolIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export const countUsedSeats = async (seatPoolIds) => {
+  const groups = await prisma.organisationSeat.groupBy({
+    by: ['seatPoolId'],
+    where: {
+      seatPoolId: { in: seatPoolIds },
+      status: { in: ['INVITED', 'ACTIVE'] },
+    },
+    _count: { _all: true },
+  });
+
+  return new Map(groups.map((group) => [group.seatPoolId, group._count._all]));
+};
+
+/**
+ * Add paid seats once the purchase payment is verified. Safe to call twice.
+ */
+export const completeSeatPurchase = async (paymentId) => {
+  const purchase = await prisma.organisationSeatPurchase.findUnique({
+    where: { paymentId },
+  });
+
+  if (!purchase || purchase.status === 'COMPLETED') {
+    return purchase;
+  }
+
+  const [completed] = await prisma.$transaction([
+    prisma.organisationSeatPurchase.update({
+      where: { id: purchase.id },
+      data: { status: 'COMPLETED' },
+    }),
+    prisma.organisationSeatPool.update({
+      where: { id: purchase.seatPoolId },
+      data: { totalSeats: { increment: purchase.seats } },
+    }),
+  ]);
+
+  return completed;
+};
+
+/**
+ * Invite people to seats in a pool, one seat per email. Seats are counted and handed out
+ * with the pool row locked, so concurrent invites can't over-allocate it.
+ * @returns {Promise<{invited: Object[], skipped: Object[]}>}
+ */
+export const inviteToSeats = async ({ organisation, seatPool, emails, invitedBy }) => {
+  const uniqueEmails = [...new Set(emails.map((email) => email.trim().toLowerCase()))];
+  const expiresAt = new Date(Date.now() + config.organisations.inviteExpiryDays * 24 * 60 * 60 * 1000);
+
+  const { created, skipped } = await prisma.$transaction(async (tx) => {
+    const [pool] = await tx.$queryRaw`
+      SELECT "totalSeats" FROM "organisation_seat_pools" WHERE "id" = ${seatPool.id} FOR UPDATE
+    `;
+
+    const existingSeats = await tx.organisationSeat.findMany({
+      where: {
+        seatPoolId: seatPool.id,
+        email: { in: uniqueEmails },
+        status: { in: ['INVITED', 'ACTIVE'] },
+      },
+      select: { email: true },
+    });
+    const alreadySeated = new Set(existingSeats.map((seat) => seat.email));
+
+    const used = await tx.organisationSeat.count({
+      where: { seatPoolId: seatPool.id, status: { in: ['INVITED', 'ACTIVE'] } },
+    });
+    let available = (pool?.totalSeats ?? 0) - used;
+
+    const createdSeats = [];
+    const skippedEmails = [];
+    for (const email of uniqueEmails) {
+      if (alreadySeated.has(email)) {
+        skippedEmails.push({ email, reason: 'Already has a seat for this course' });
+        continue;
+      }
+      if (available <= 0) {
+        skippedEmails.push({ email, reason: 'No seats left' });
+        continue;
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const seat = await tx.organisationSeat.create({
+        data: {
+          seatPoolId: seatPool.id,
+          email,
+          inviteTokenHash: hashInviteToken(token),
+          inviteExpiresAt: expiresAt,
+          invitedBy,
+        },
+      });
+      available--;
+      createdSeats.push({ seat, token });
+    }
+
+    return { created: createdSeats, skipped: skippedEmails };
+  });
+
+  // Emails go out once the seats are committed
+  const invited = [];
+  for (const { seat, token } of created) {
+    const inviteUrl = `${config.frontendUrl}/organisations/invites/accept?token=${encodeURIComponent(token)}`;
+    try {
+      await sendOrganisationSeatInviteEmail(
+        seat.email,
+        organisation.name,
+        seatPool.course.title,
+        inviteUrl,
+        config.organisations.inviteExpiryDays
+      );
+    } catch (error) {
+      console.error(`Failed to send seat invite to ${seat.email}:`, error);
+    }
+
+    invited.push({ id: seat.id, email: seat.email, inviteExpiresAt: expiresAt });
+  }
+
+  return { invited, skipped };
+};
+
+/**
+ * Record the instructor's cut for a newly used seat, against the oldest purchase
+ * that still has uncommissioned seats (reassigned seats earn nothing twice)
+ */
+const recordSeatCommission = async (seatPool, enrollment, userId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: seatPool.courseId },
+    select: { instructorId: true },
+  });
+  if (!course?.instructorId) return;
+
+  const purchases = await prisma.organisationSeatPurchase.findMany({
+    where: { seatPoolId: seatPool.id, status: 'COMPLETED' },
+    orderBy: { createdAt: 'asc' },
+  });
+  const purchase = purchases.find((entry) => entry.seatsCommissioned < entry.seats);
+  if (!purchase) return;
+
+  try {
+    await instructorEarningService.calculateCommission(
+      course.instructorId,
+      seatPool.courseId,
+      purchase.paymentId,
+      enrollment.id,
+      purchase.pricePerSeat
+    );
+    await prisma.organisationSeatPurchase.update({
+      where: { id: purchase.id },
+      data: { seatsCommissioned: { increment: 1 } },
+    });
+  } catch (error) {
+    console.error('Instructor commission calculation failed:', error);
+    await auditLogService.createAuditLog({
+      userId,
+      action: 'INSTRUCTOR_COMMISSION_ERROR',
+      entityType: 'PAYMENT',
+      entityId: purchase.paymentId,
+      description: `Failed to calculate instructor commission for an organisation seat: ${error.message}`,
+    });
+  }
+};
+
+/**
+ * Accept a seat invite: joins the organisation and enrols the user in the course
+ * @returns {Promise<{seat?: Object, enrollment?: Object, error?: string, status?: number}>}
+ */
+export const acceptSeatInvite = async (token, user) => {
+  const seat = await prisma.organisationSeat.findUnique({
+    where: { inviteTokenHash: hashInviteToken(token) },
+    include: {
+      seatPool: {
+        include: {
+          organisation: { select: { id: true, name: true, isActive: true } },
+          course: { select: { id: true, title: true, slug: true } },
+        },
+      },
+    },
+  });
+
+  if (!seat || seat.status !== 'INVITED') {
+    return { error: 'This invitation is no longer valid', status: 400 };
+  }
+  if (seat.inviteExpiresAt && seat.inviteExpiresAt < new Date()) {
+    return { error: 'This invitation has expired. Ask your organisation to send a new one.', status: 400 };
+  }
+  if (!seat.seatPool.organisation.isActive) {
+    return { error: 'This organisation is no longer active', status: 400 };
+  }
+  if (seat.email !== user.email.toLowerCase()) {
+    return { error: `This invitation was sent to ${seat.email}. Sign in with that address to accept it.`, status: 403 };
+  }
+
+  const { seatPool } = seat;
+
+  const existing = await prisma.enrollment.findUnique({
+    where: {
+      userId_courseId: { userId: user.id, courseId: seatPool.courseId },
+    },
+  });
+  if (existing && ['ACTIVE', 'COMPLETED'].includes(existing.status)) {
+    return { error: 'You are already enrolled in this course', status: 409 };
+  }
+
+  // The seat is claimed first and only if it is still an open invite, so accepting the
+  // same invite twice at once enrols once
+  const claimed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.organisationSeat.updateMany({
+      where: { id: seat.id, status: 'INVITED', inviteTokenHash: seat.inviteTokenHash },
+      data: {
+        status: 'ACTIVE',
+        userId: user.id,
+        acceptedAt: new Date(),
+        inviteTokenHash: null,
+      },
+    });
+    if (count === 0) return null;
+
+    // A returning employee picks up their previous progress
+    const enrollment = existing
+      ? await tx.enrollment.update({
+        where: { id: existing.id },
+        data: { status: 'ACTIVE' },
+      })
+      : await tx.enrollment.create({
+        data: {
+          userId: user.id,
+          courseId: seatPool.courseId,
+          status: 'ACTIVE',
+        },
+      });
+
+    if (!existing || existing.status === 'PENDING') {
+      await tx.course.update({
+        where: { id: seatPool.courseId },
+        data: { totalEnrollments: { increment: 1 } },
+      });
+    }
+
+    await tx.organisationMember.upsert({
+      where: {
+        organisationId_userId: { organisationId: seatPool.organisationId, userId: user.id },
+      },
+      create: {
+        organisationId: seatPool.organisationId,
+        userId: user.id,
+      },
+      update: {},
+    });
+
+    const acceptedSeat = await tx.organisationSeat.findUnique({ where: { id: seat.id } });
+    return { acceptedSeat, enrollment };
+  });
+
+  if (!claimed) {
+    return { error: 'This invitation is no longer valid', status: 400 };
+  }
+  const { acceptedSeat, enrollment } = claimed;
+
+  if (!existing) {
+    await recordSeatCommission(seatPool, enrollment, user.id);
+  }
+
+  return {
+    seat: acceptedSeat,
+    enrollment,
+    organisation: seatPool.organisation,
+    course: seatPool.course,
+  };
+};
+
+/**
+ * Free a seat: cancels a pending invite, or ends the holder's access to the course.
+ * Their progress is kept in case they come back.
+ */
+export const reclaimSeat = async (seat, reclaimedBy) => {
+  const updated = await prisma.organisationSeat.update({
+    where: { id: seat.id },
+    data: {
+      status: 'RECLAIMED',
+      inviteTokenHash: null,
+      reclaimedAt: new Date(),
+      reclaimedBy,
+    },
+  });
+
+  if (seat.status === 'ACTIVE' && seat.userId) {
+    await prisma.enrollment.updateMany({
+      where: {
+        userId: seat.userId,
+        courseId: seat.seatPool.courseId,
+        status: 'ACTIVE',
+      },
+      data: { status: 'CANCELLED' },
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Progress of every seat holder, from their enrollments and certificates
+ */
+export const buildProgressDashboard = async (organisationId) => {
+  const seatPools = await prisma.organisationSeatPool.findMany({
+    where: { organisationId },
+    include: {
+      course: { select: { id: true, title: true, slug: true } },
+      seats: {
+        where: { status: { in: ['INVITED', 'ACTIVE'] } },
+        include: {
+          user: { select: { id: true, email: true, fullName: true } },
+        },
+        orderBy: { invitedAt: 'asc' },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const activeSeats = seatPools.flatMap((pool) =>
+    pool.seats.filter((seat) => seat.status === 'ACTIVE' && seat.userId)
+  );
+  const userIds = [...new Set(activeSeats.map((seat) => seat.userId))];
+  const courseIds = seatPools.map((pool) => pool.courseId);
+
+  const [enrollments, certificates] = await Promise.all([
+    prisma.enrollment.findMany({
+      where: { userId: { in: userIds }, courseId: { in: courseIds } },
+      select: { userId: true, courseId: true, status: true, progress: true, completedAt: true, updatedAt: true },
+    }),
+    prisma.certificate.findMany({
+      where: { userId: { in: userIds }, courseId: { in: courseIds } },
+      select: { userId: true, courseId: true, certificateId: true, certificateUrl: true, issuedAt: true },
+    }),
+  ]);
+
+  const key = (userId, courseId) => `${userId}:${courseId}`;
+  const enrollmentsByKey = new Map(enrollments.map((entry) => [key(entry.userId, entry.courseId), entry]));
+  const certificatesByKey = new Map(certificates.map((entry) => [key(entry.userId, entry.courseId), entry]));
+
+  const courses = seatPools.map((pool) => {
+    const learners = pool.seats.map((seat) => {
+      const enrollment = seat.userId ? enrollmentsByKey.get(key(seat.userId, pool.courseId)) : null;
+      const certificate = seat.userId ? certificatesByKey.get(key(seat.userId, pool.courseId)) : null;
+
+      return {
+        seatId: seat.id,
+        email: seat.email,
+        status: seat.status,
+        user: seat.user,
+        invitedAt: seat.invitedAt,
+        acceptedAt: seat.acceptedAt,
+        progress: enrollment?.progress ?? 0,
+        completedAt: enrollment?.completedAt || null,
+        lastActivityAt: enrollment?.updatedAt || null,
+        certificate: certificate || null,
+      };
+    });
+
+    const started = learners.filter((learner) => learner.status === 'ACTIVE');
+    const averageProgress = started.length
+      ? Math.round(started.reduce((sum, learner) => sum + learner.progress, 0) / started.length)
+      : 0;
+
+    return {
+      course: pool.course,
+      seats: {
+        total: pool.totalSeats,
+        used: pool.seats.length,
+        available: Math.max(pool.totalSeats - pool.seats.length, 0),
+      },
+      summary: {
+        invited: learners.length - started.length,
+        active: started.length,
+        completed: started.filter((learner) => learner.completedAt).length,
+        certified: started.filter((learner) => learner.certificate).length,
+        averageProgress,
+      },
+      learners,
+    };
+  });
+
+  return { courses };
+};
@@ -29,7 +29,11 @@ export const createOTP = async (userId, type) => {
   }
 };
 
-export const verifyOTP = async (userId, otp, type) => {
+/**
+ * Check an OTP. Pass { markUsed: false } to validate without consuming it,
+ * then call markOTPUsed once the rest of the request has been accepted.
+ */
+export const verifyOTP = async (userId, otp, type, { markUsed = true } = {}) => {
   try {
     const otpRecord = await prisma.otp.findFirst({
       where: {
@@ -51,10 +55,9 @@ export const verifyOTP = async (userId, otp, type) => {
     }
 
     // Mark OTP as used
-    await prisma.otp.update({
-      where: { id: otpRecord.id },
-      data: { isUsed: true },
-    });
+    if (markUsed) {
+      await markOTPUsed(otpRecord.id);
+    }
 
     return { valid: true, otpRecord };
   } catch (error) {
@@ -62,6 +65,31 @@ export const verifyOTP = async (userId, otp, type) => {
   }
 };
 
+/**
+ * Mark every outstanding OTP of a type as used, so only the newest one works
+ */
+export const invalidateOTPs = async (userId, type) => {
+  try {
+    await prisma.otp.updateMany({
+      where: {
+        userId,
+        type,
+        isUsed: false,
+      },
+      data: { isUsed: true },
+    });
+  } catch (error) {
+    throw new Error('Failed to invalidate OTPs');
+  }
+};
+
+export const markOTPUsed = async (otpId) => {
+  await prisma.otp.update({
+    where: { id: otpId },
+    data: { isUsed: true },
+  });
+};
+
 export const canResendOTP = async (userId, type) => {
   try {
     const recentOTP = await prisma.otp.findFirst({
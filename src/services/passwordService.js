@@ -0,0 +1,88 @@
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { hashPassword, comparePassword } from '../utils/hashPassword.js';
+
+/**
+ * Password Service
+ * Setting passwords and enforcing the reuse history.
+ */
+
+/**
+ * Whether a password matches the current one or one of the last N
+ * @param {string} userId
+ * @param {string} password - Plain-text candidate
+ * @returns {Promise<boolean>}
+ */
+export const isPasswordReused = async (userId, password) => {
+  const { historyCount } = config.passwordPolicy;
+  if (historyCount <= 0) return false;
+
+  const [user, history] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { password: true },
+    }),
+    prisma.passwordHistory.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: historyCount,
+      select: { passwordHash: true },
+    }),
+  ]);
+
+  const hashes = new Set(history.map((entry) => entry.passwordHash));
+  if (user?.password) hashes.add(user.password);
+
+  for (const hash of hashes) {
+    if (await comparePassword(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Record a password hash in the history and drop entries beyond the configured depth
+ */
+export const recordPasswordHistory = async (userId, passwordHash) => {
+  const { historyCount } = config.passwordPolicy;
+  if (historyCount <= 0) return;
+
+  await prisma.passwordHistory.create({
+    data: { userId, passwordHash },
+  });
+
+  const stale = await prisma.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    skip: historyCount,
+    select: { id: true },
+  });
+
+  if (stale.length > 0) {
+    await prisma.passwordHistory.deleteMany({
+      where: { id: { in: stale.map((entry) => entry.id) } },
+    });
+  }
+};
+
+/**
+ * Set a new password. Also clears any lockout, since the user has proven control of the account.
+ * Callers check the policy and isPasswordReused first.
+ */
+export const setUserPassword = async (userId, password) => {
+  const passwordHash = await hashPassword(password);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      password: passwordHash,
+      passwordChangedAt: new Date(),
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null,
+    },
+  });
+  await recordPasswordHistory(userId, passwordHash);
+};
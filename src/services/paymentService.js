@@ -8,6 +8,8 @@ import * as auditLogService from './auditLogService.js';
 import * as affiliateService from './affiliateService.js';
 import * as instructorEarningService from './instructorEarningService.js';
 import { confirmOrderPayment } from './orderService.js';
+import { completeSeatPurchase } from './organisationService.js';
+import { reserveCohortSeat } from './cohortService.js';
 import { config } from '../config/env.js';
 import crypto from 'crypto';
 
@@ -422,9 +424,45 @@ export const verifyPayment = async (params) => {
         );
       }
 
+      // Organisation seat purchases add seats to the pool instead of enrolling the payer
+      const seatPurchase = await prisma.organisationSeatPurchase.findUnique({
+        where: { paymentId: payment.id },
+        select: { id: true },
+      });
+      if (seatPurchase) {
+        await completeSeatPurchase(payment.id);
+      }
+
       // Auto-enroll in course if payment is for a course (only if not already enrolled)
-      if (payment.courseId) {
-        const enrollment = await enrollUserInCourse(payment.userId, payment.courseId, payment.finalAmount);
+      if (payment.courseId && !seatPurchase) {
+        let enrollment;
+        try {
+          enrollment = await enrollUserInCourse(
+            payment.userId,
+            payment.courseId,
+            payment.finalAmount,
+            payment.metadata?.cohortId || null
+          );
+        } catch (error) {
+          if (error.statusCode !== 409) throw error;
+
+          // The last seat went to another student while this payment was being confirmed
+          await processRefund(payment.id, null, 'Cohort was full when the payment was confirmed');
+          await auditLogService.createAuditLog({
+            userId: payment.userId,
+            action: 'COHORT_FULL_REFUND',
+            entityType: 'PAYMENT',
+            entityId: payment.id,
+            description: 'Cohort filled up before the payment was confirmed; payment refunded',
+          });
+
+          return {
+            success: false,
+            cohortFull: true,
+            message: 'This cohort filled up before your payment was confirmed. Your payment will be refunded.',
+            payment: await prisma.payment.findUnique({ where: { id: payment.id } }),
+          };
+        }
         
         // Get course to find instructor
         const course = await prisma.course.findUnique({
@@ -544,10 +582,13 @@ export const verifyPayment = async (params) => {
 };
 
 /**
- * Helper: Enroll user in course
+ * Helper: Enroll user in course, in the cohort the payment was made for.
+ * The seat is re-checked under the cohort lock when the enrollment becomes active.
+ * @throws 409 when the cohort filled up after the payment started
  */
-const enrollUserInCourse = async (userId, courseId, amount = null) => {
-  // Check if already enrolled
+const enrollUserInCourse = async (userId, courseId, amount = null, cohortId = null) => {
+  // Check if already enrolled; an enrollment created during payment initiation
+  // (e.g. with an affiliate) is PENDING until now
   const existingEnrollment = await prisma.enrollment.findUnique({
     where: {
       userId_courseId: {
@@ -560,57 +601,39 @@ const enrollUserInCourse = async (userId, courseId, amount = null) => {
     },
   });
 
-  if (existingEnrollment) {
+  if (existingEnrollment && existingEnrollment.status !== 'PENDING') {
     return existingEnrollment;
   }
 
-  // Check if enrollment was created during payment initiation (with affiliate)
-  const pendingEnrollment = await prisma.enrollment.findFirst({
-    where: {
-      userId,
-      courseId,
-      status: 'PENDING',
-    },
-    include: {
-      affiliate: true,
-    },
-  });
+  const enrollment = await prisma.$transaction(async (tx) => {
+    await reserveCohortSeat(tx, cohortId || existingEnrollment?.cohortId || null);
 
-  if (pendingEnrollment) {
-    // Activate pending enrollment
-    const enrollment = await prisma.enrollment.update({
-      where: { id: pendingEnrollment.id },
+    if (existingEnrollment) {
+      // Activate pending enrollment
+      return tx.enrollment.update({
+        where: { id: existingEnrollment.id },
+        data: {
+          status: 'ACTIVE',
+          ...(cohortId && { cohortId }),
+        },
+        include: {
+          affiliate: true,
+        },
+      });
+    }
+
+    // Create new enrollment
+    return tx.enrollment.create({
       data: {
+        userId,
+        courseId,
+        cohortId,
         status: 'ACTIVE',
       },
       include: {
         affiliate: true,
       },
     });
-
-    // Update course enrollment count
-    await prisma.course.update({
-      where: { id: courseId },
-      data: {
-        totalEnrollments: {
-          increment: 1,
-        },
-      },
-    });
-
-    return enrollment;
-  }
-
-  // Create new enrollment
-  const enrollment = await prisma.enrollment.create({
-    data: {
-      userId,
-      courseId,
-      status: 'ACTIVE',
-    },
-    include: {
-      affiliate: true,
-    },
   });
 
   // Update course enrollment count
@@ -780,6 +803,12 @@ export const retryPayment = async (paymentId, paymentMethod = null) => {
     productName: payment.metadata?.productName || 'Course/Product Payment',
   });
 
+  // Keep a seat purchase attached to whichever attempt succeeds
+  await prisma.organisationSeatPurchase.updateMany({
+    where: { paymentId },
+    data: { paymentId: newPayment.paymentId },
+  });
+
   return {
     success: true,
     retryCount: currentRetries + 1,
@@ -0,0 +1,70 @@
+import { prisma } from '../config/database.js';
+import { ALL_PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Get the set of permissions a user holds through their staff roles
+ * @param {{id: string, role: string}} user
+ * @returns {Promise<Set<string>>}
+ */
+export const getUserPermissions = async (user) => {
+  if (user.role === 'ADMIN') {
+    return new Set(ALL_PERMISSIONS);
+  }
+
+  const assignments = await prisma.staffRoleAssignment.findMany({
+    where: { userId: user.id },
+    select: {
+      staffRole: {
+        select: { permissions: true },
+      },
+    },
+  });
+
+  const permissions = new Set();
+  for (const { staffRole } of assignments) {
+    if (Array.isArray(staffRole.permissions)) {
+      staffRole.permissions.forEach((permission) => permissions.add(permission));
+    }
+  }
+
+  return permissions;
+};
+
+/**
+ * Which of these users hold a permission, looked up together
+ * @param {Array<{id: string, role: string}>} users
+ * @param {string} permission
+ * @returns {Promise<Set<string>>} Ids of the users who hold it
+ */
+export const findUsersWithPermission = async (users, permission) => {
+  const holders = new Set(users.filter((user) => user.role === 'ADMIN').map((user) => user.id));
+  const staffIds = [...new Set(users.map((user) => user.id))].filter((id) => !holders.has(id));
+  if (staffIds.length === 0) {
+    return holders;
+  }
+
+  const assignments = await prisma.staffRoleAssignment.findMany({
+    where: { userId: { in: staffIds } },
+    select: {
+      userId: true,
+      staffRole: {
+        select: { permissions: true },
+      },
+    },
+  });
+
+  for (const { userId, staffRole } of assignments) {
+    if (Array.isArray(staffRole.permissions) && staffRole.permissions.includes(permission)) {
+      holders.add(userId);
+    }
+  }
+
+  return holders;
+};
+
+/**
+ * Return the entries of a permission list that are not known permissions
+ */
+export const findUnknownPermissions = (permissions) => {
+  return permissions.filter((permission) => !ALL_PERMISSIONS.includes(permission));
+};
@@ -0,0 +1,82 @@
+import { prisma } from '../config/database.js';
+import { recordStatement } from './xapiService.js';
+
+/**
+ * Progress Service
+ * Lesson completion and the course progress derived from it.
+ */
+
+/**
+ * Recalculate a learner's course progress from their completed lessons and store it on the enrollment
+ * @returns {Promise<number>} Progress percentage
+ */
+export const refreshCourseProgress = async (userId, courseId) => {
+  const totalLessons = await prisma.lesson.count({
+    where: { courseId },
+  });
+
+  const completedLessons = await prisma.lessonProgress.count({
+    where: {
+      userId,
+      lesson: {
+        courseId,
+      },
+      isCompleted: true,
+    },
+  });
+
+  const courseProgress = totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0;
+
+  await prisma.enrollment.updateMany({
+    where: {
+      userId,
+      courseId,
+    },
+    data: {
+      progress: courseProgress,
+      completedAt: courseProgress === 100 ? new Date() : null,
+      status: courseProgress === 100 ? 'COMPLETED' : 'ACTIVE',
+    },
+  });
+
+  return courseProgress;
+};
+
+/**
+ * Mark a lesson completed (once) and update course progress
+ * @returns {Promise<{progress: Object, courseProgress: number}>}
+ */
+export const markLessonCompleted = async (userId, lesson) => {
+  const where = {
+    userId_lessonId: {
+      userId,
+      lessonId: lesson.id,
+    },
+  };
+
+  const existing = await prisma.lessonProgress.findUnique({ where });
+  const progress = existing?.isCompleted
+    ? existing
+    : await prisma.lessonProgress.upsert({
+      where,
+      update: { isCompleted: true, completedAt: new Date() },
+      create: {
+        userId,
+        lessonId: lesson.id,
+        isCompleted: true,
+        completedAt: new Date(),
+      },
+    });
+
+  if (!existing?.isCompleted) {
+    await recordStatement({
+      userId,
+      verb: 'completed',
+      object: { type: 'lesson', id: lesson.id, name: lesson.title },
+      course: { id: lesson.courseId },
+      result: { completion: true },
+    });
+  }
+
+  return { progress, courseProgress: await refreshCourseProgress(userId, lesson.courseId) };
+};
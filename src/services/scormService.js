@@ -0,0 +1,653 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { extractZip } from '../utils/zip.js';
+import { uploadDocument, deleteFile } from './cloudinaryService.js';
+import { markLessonCompleted } from './progressService.js';
+
+/**
+ * SCORM Service
+ * Unpacks SCORM 1.2 / 2004 zips, stores the files on Cloudinary and keeps each learner's cmi.* data.
+ * Content is served back through the API so it shares an origin with the player's runtime API.
+ */
+
+const MB = 1024 * 1024;
+
+// Parallel uploads when storing a package
+const UPLOAD_CONCURRENCY = 5;
+
+// imsmanifest.xml is parsed in memory
+const MAX_MANIFEST_BYTES = 5 * MB;
+
+// Limits on what content may store per learner
+const MAX_CMI_KEYS = 2000;
+const MAX_CMI_VALUE_LENGTH = 64000;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.xsd': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.pdf': 'application/pdf',
+  '.swf': 'application/x-shockwave-flash',
+};
+
+const scormError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const contentTypeFor = (filePath) => CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+
+// ==================== MANIFEST ====================
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const readAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name.replace(':', '\\:')}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeXml(match[1] ?? match[2]) : null;
+};
+
+const readElementText = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`, 'i'));
+  return match ? decodeXml(match[1].trim()) : null;
+};
+
+const joinBase = (...parts) => parts.filter(Boolean).join('');
+
+/**
+ * Read version, launch file, title and mastery score from imsmanifest.xml
+ */
+export const parseManifest = (xml) => {
+  const schemaVersion = readElementText(xml, 'schemaversion') || '';
+  let version = 'SCORM_12';
+  if (/2004|CAM 1\.3/i.test(schemaVersion) || /adlcp_v1p3/i.test(xml)) {
+    version = 'SCORM_2004';
+  }
+
+  const manifestTag = xml.match(/<manifest\b[^>]*>/i)?.[0] || '';
+  const resourcesTag = xml.match(/<resources\b[^>]*>/i)?.[0] || '';
+  const resources = [...xml.matchAll(/<resource\b[^>]*>/gi)].map(([tag]) => ({
+    identifier: readAttribute(tag, 'identifier'),
+    href: readAttribute(tag, 'href'),
+    base: readAttribute(tag, 'xml:base'),
+    scormType: (readAttribute(tag, 'adlcp:scormtype') || readAttribute(tag, 'adlcp:scormType') || '').toLowerCase(),
+  }));
+
+  // The first item of the default organisation that points at a resource is the entry point
+  const organizationsTag = xml.match(/<organizations\b[^>]*>/i)?.[0] || '';
+  const defaultOrganization = readAttribute(organizationsTag, 'default');
+  const organizations = [...xml.matchAll(/<organization\b[^>]*>[\s\S]*?<\/organization>/gi)].map(([block]) => block);
+  const organization = organizations.find((block) => (
+    defaultOrganization && readAttribute(block.match(/<organization\b[^>]*>/i)[0], 'identifier') === defaultOrganization
+  )) || organizations[0] || '';
+
+  let launchResource = null;
+  let parameters = '';
+  for (const [itemTag] of organization.matchAll(/<item\b[^>]*>/gi)) {
+    const identifierRef = readAttribute(itemTag, 'identifierref');
+    const resource = identifierRef && resources.find((entry) => entry.identifier === identifierRef && entry.href);
+    if (resource) {
+      launchResource = resource;
+      parameters = readAttribute(itemTag, 'parameters') || '';
+      break;
+    }
+  }
+  launchResource = launchResource || resources.find((entry) => entry.scormType === 'sco' && entry.href);
+
+  if (!launchResource) {
+    throw scormError('imsmanifest.xml does not name a launchable resource');
+  }
+
+  let launchPath = joinBase(readAttribute(manifestTag, 'xml:base'), readAttribute(resourcesTag, 'xml:base'), launchResource.base, launchResource.href);
+  if (parameters) {
+    const trimmed = parameters.replace(/^[?&]/, '');
+    launchPath += `${launchPath.includes('?') ? '&' : '?'}${trimmed}`;
+  }
+
+  const masteryScore = parseFloat(readElementText(xml, 'adlcp:masteryscore'));
+
+  return {
+    version,
+    title: readElementText(organization, 'title'),
+    launchPath: path.posix.normalize(launchPath),
+    masteryScore: Number.isFinite(masteryScore) ? masteryScore : null,
+  };
+};
+
+// ==================== PACKAGES ====================
+
+const uploadPackageFiles = async (files, storageKey) => {
+  const stored = {};
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < files.length) {
+      const index = nextIndex++;
+      const file = files[index];
+      const result = await uploadDocument(file.source, {
+        folder: `lms/scorm/${storageKey}`,
+        // Cloudinary public IDs can't hold every character a zip path can; the manifest maps them back
+        publicId: `f${String(index).padStart(5, '0')}${path.extname(file.path).toLowerCase()}`,
+      });
+      stored[file.path] = {
+        url: result.secure_url,
+        publicId: result.public_id,
+        contentType: contentTypeFor(file.path),
+        size: file.size,
+      };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, files.length) }, worker));
+  return stored;
+};
+
+/**
+ * Remove a package's files unless another package (e.g. in a cloned course) still uses them
+ */
+const releasePackageFiles = async (scormPackage) => {
+  const stillUsed = await prisma.scormPackage.count({
+    where: { storageKey: scormPackage.storageKey, NOT: { id: scormPackage.id } },
+  });
+  if (stillUsed > 0) return;
+
+  for (const file of Object.values(scormPackage.files)) {
+    try {
+      await deleteFile(file.publicId, 'raw');
+    } catch (error) {
+      console.error(`Failed to delete SCORM file ${file.publicId}:`, error);
+    }
+  }
+};
+
+/**
+ * Unpack a zip into a temporary directory and store its files on Cloudinary
+ * @returns {Promise<{ parsed: Object, files: { path: string, size: number }[], storageKey: string, storedFiles: Object }>}
+ */
+const unpackAndStore = async (zipPath) => {
+  const workDir = await fs.mkdtemp(path.join(config.scorm.stagingDir || os.tmpdir(), 'scorm-'));
+  try {
+    const entries = await extractZip(zipPath, workDir, { maxUnpackedBytes: config.scorm.maxUnpackedMb * MB });
+
+    // Some tools zip a folder instead of its contents
+    const manifest = entries
+      .filter((entry) => path.posix.basename(entry.path).toLowerCase() === 'imsmanifest.xml')
+      .sort((a, b) => a.path.length - b.path.length)[0];
+    if (!manifest) {
+      throw scormError('Not a SCORM package: imsmanifest.xml is missing');
+    }
+    if (manifest.size > MAX_MANIFEST_BYTES) {
+      throw scormError('imsmanifest.xml is too large');
+    }
+
+    const root = path.posix.dirname(manifest.path);
+    const files = entries
+      .filter((entry) => root === '.' || entry.path.startsWith(`${root}/`))
+      .map((entry) => ({
+        path: root === '.' ? entry.path : entry.path.slice(root.length + 1),
+        size: entry.size,
+        source: path.join(workDir, entry.path),
+      }));
+
+    const parsed = parseManifest(await fs.readFile(path.join(workDir, manifest.path), 'utf8'));
+    const launchFile = parsed.launchPath.split('?')[0];
+    if (!files.some((file) => file.path === launchFile)) {
+      throw scormError(`Launch file "${launchFile}" is not in the package`);
+    }
+
+    const storageKey = crypto.randomUUID();
+    const storedFiles = await uploadPackageFiles(files, storageKey);
+
+    return { parsed, files, storageKey, storedFiles };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Unpack and store a SCORM zip for a lesson, replacing any earlier package.
+ * Learner runtime data is cleared on replace (suspend data won't fit new content); lesson completion stays.
+ * @param {Object} lesson
+ * @param {string} zipPath - The uploaded zip, staged on disk
+ * @param {string} uploadedBy
+ */
+export const importScormPackage = async (lesson, zipPath, uploadedBy) => {
+  const { parsed, files, storageKey, storedFiles } = await unpackAndStore(zipPath);
+
+  const data = {
+    version: parsed.version,
+    title: parsed.title,
+    launchPath: parsed.launchPath,
+    masteryScore: parsed.masteryScore,
+    storageKey,
+    files: storedFiles,
+    fileCount: files.length,
+    totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+    uploadedBy,
+  };
+
+  const previous = await prisma.scormPackage.findUnique({
+    where: { lessonId: lesson.id },
+  });
+
+  const scormPackage = previous
+    ? await prisma.$transaction(async (tx) => {
+      await tx.scormAttempt.deleteMany({ where: { packageId: previous.id } });
+      return await tx.scormPackage.update({ where: { id: previous.id }, data });
+    })
+    : await prisma.scormPackage.create({ data: { lessonId: lesson.id, ...data } });
+
+  if (previous) {
+    await releasePackageFiles(previous);
+  }
+
+  return scormPackage;
+};
+
+export const deleteScormPackage = async (scormPackage) => {
+  await prisma.scormPackage.delete({
+    where: { id: scormPackage.id },
+  });
+  await releasePackageFiles(scormPackage);
+};
+
+/**
+ * Package details for admins (without the file map)
+ */
+export const scormPackageSelect = {
+  id: true,
+  lessonId: true,
+  version: true,
+  title: true,
+  launchPath: true,
+  masteryScore: true,
+  fileCount: true,
+  totalBytes: true,
+  uploadedBy: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// ==================== RUNTIME ====================
+
+/**
+ * "HHHH:MM:SS.SS" (1.2) or "PT1H2M3.4S" (2004) to seconds
+ */
+export const parseScormDuration = (value) => {
+  if (typeof value !== 'string') return 0;
+
+  const clock = value.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (clock) {
+    return Math.round(Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3]));
+  }
+
+  const iso = value.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (iso) {
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = iso;
+    return Math.round(Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds));
+  }
+
+  return 0;
+};
+
+const formatScormDuration = (totalSeconds, version) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (version === 'SCORM_2004') {
+    return `PT${hours}H${minutes}M${seconds}S`;
+  }
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${String(hours).padStart(4, '0')}:${pad(minutes)}:${pad(seconds)}`;
+};
+
+const numberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Status fields the LMS tracks, read from the cmi values
+ */
+const deriveStatus = (values, scormPackage) => {
+  if (scormPackage.version === 'SCORM_2004') {
+    const completionStatus = values['cmi.completion_status'] || null;
+    const successStatus = values['cmi.success_status'] || null;
+    return {
+      completionStatus,
+      successStatus,
+      scoreRaw: numberOrNull(values['cmi.score.raw']),
+      scoreScaled: numberOrNull(values['cmi.score.scaled']),
+      isCompleted: completionStatus === 'completed' && successStatus !== 'failed',
+    };
+  }
+
+  let lessonStatus = values['cmi.core.lesson_status'] || null;
+  const scoreRaw = numberOrNull(values['cmi.core.score.raw']);
+  const scoreMax = numberOrNull(values['cmi.core.score.max']) ?? 100;
+
+  // SCORM 1.2: with a mastery score the LMS decides pass/fail
+  if (scormPackage.masteryScore !== null && scoreRaw !== null && ['completed', 'passed', 'failed'].includes(lessonStatus)) {
+    lessonStatus = scoreRaw >= scormPackage.masteryScore ? 'passed' : 'failed';
+  }
+
+  return {
+    completionStatus: lessonStatus,
+    successStatus: ['passed', 'failed'].includes(lessonStatus) ? lessonStatus : null,
+    scoreRaw,
+    scoreScaled: scoreRaw !== null && scoreMax > 0 ? scoreRaw / scoreMax : null,
+    isCompleted: ['completed', 'passed'].includes(lessonStatus),
+  };
+};
+
+/**
+ * Values handed to the content when it starts: what it stored last time plus the LMS-owned elements
+ */
+export const buildInitialValues = (scormPackage, attempt, user) => {
+  const stored = attempt?.cmi?.values || {};
+  const resuming = Boolean(
+    stored['cmi.suspend_data'] || stored['cmi.core.lesson_location'] || stored['cmi.location']
+  );
+  const totalTime = formatScormDuration(attempt?.totalTimeSeconds || 0, scormPackage.version);
+  const values = { ...stored };
+
+  if (scormPackage.version === 'SCORM_2004') {
+    Object.assign(values, {
+      'cmi.learner_id': user.id,
+      'cmi.learner_name': user.fullName,
+      'cmi.mode': 'normal',
+      'cmi.credit': 'credit',
+      'cmi.entry': resuming ? 'resume' : 'ab-initio',
+      'cmi.total_time': totalTime,
+      'cmi.completion_status': stored['cmi.completion_status'] || 'unknown',
+      'cmi.success_status': stored['cmi.success_status'] || 'unknown',
+    });
+    if (scormPackage.masteryScore !== null) {
+      values['cmi.scaled_passing_score'] = String(scormPackage.masteryScore / 100);
+    }
+  } else {
+    Object.assign(values, {
+      'cmi.core.student_id': user.id,
+      'cmi.core.student_name': user.fullName,
+      'cmi.core.lesson_mode': 'normal',
+      'cmi.core.credit': 'credit',
+      'cmi.core.entry': resuming ? 'resume' : 'ab-initio',
+      'cmi.core.total_time': totalTime,
+      'cmi.core.lesson_status': stored['cmi.core.lesson_status'] || 'not attempted',
+    });
+    if (scormPackage.masteryScore !== null) {
+      values['cmi.student_data.mastery_score'] = String(scormPackage.masteryScore);
+    }
+  }
+
+  return values;
+};
+
+// Elements the content writes but never reads back
+const WRITE_ONLY = ['cmi.core.session_time', 'cmi.session_time', 'cmi.core.exit', 'cmi.exit'];
+
+/**
+ * Store values committed by the content. A lesson whose content reports completion
+ * (completed/passed) is marked complete in LessonProgress.
+ * @param {Object} params
+ * @param {string} params.sessionId - Random ID per player load, so repeated commits don't double count session time
+ * @param {Object} params.values - cmi.* element -> value
+ */
+export const commitRuntimeData = async ({ scormPackage, userId, sessionId, values }) => {
+  const changes = Object.entries(values || {}).filter(([key, value]) => (
+    /^cmi\.[a-z0-9_.]+$/i.test(key) && ['string', 'number'].includes(typeof value)
+  ));
+
+  const attempt = await prisma.scormAttempt.findUnique({
+    where: { packageId_userId: { packageId: scormPackage.id, userId } },
+  });
+
+  const stored = { ...(attempt?.cmi?.values || {}) };
+  let session = attempt?.cmi?.session || null;
+  let totalTimeSeconds = attempt?.totalTimeSeconds || 0;
+
+  for (const [key, rawValue] of changes) {
+    const value = String(rawValue);
+    if (value.length > MAX_CMI_VALUE_LENGTH) {
+      throw scormError(`Value for ${key} is too long`);
+    }
+
+    if (key === 'cmi.core.session_time' || key === 'cmi.session_time') {
+      const seconds = parseScormDuration(value);
+      if (session?.id === sessionId) {
+        totalTimeSeconds += seconds - session.seconds;
+      } else {
+        totalTimeSeconds += seconds;
+      }
+      session = { id: sessionId, seconds };
+    }
+
+    if (!WRITE_ONLY.includes(key)) {
+      stored[key] = value;
+    }
+  }
+
+  if (Object.keys(stored).length > MAX_CMI_KEYS) {
+    throw scormError('Too much runtime data for this lesson');
+  }
+
+  const status = deriveStatus(stored, scormPackage);
+  const data = {
+    cmi: { values: stored, session },
+    completionStatus: status.completionStatus,
+    successStatus: status.successStatus,
+    scoreRaw: status.scoreRaw,
+    scoreScaled: status.scoreScaled,
+    totalTimeSeconds,
+    ...(status.isCompleted && !attempt?.completedAt && { completedAt: new Date() }),
+  };
+
+  const saved = await prisma.scormAttempt.upsert({
+    where: { packageId_userId: { packageId: scormPackage.id, userId } },
+    update: data,
+    create: { packageId: scormPackage.id, userId, ...data },
+  });
+
+  if (status.isCompleted && !attempt?.completedAt) {
+    await markLessonCompleted(userId, scormPackage.lesson);
+  }
+
+  return saved;
+};
+
+// ==================== PLAYER ====================
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Error codes the content sees, per SCORM edition
+const RUNTIME_ERROR_CODES = {
+  SCORM_12: { general: '101', notInitialised: '301', readOnly: '403', writeOnly: '404', invalid: '201' },
+  SCORM_2004: { general: '101', notInitialised: '122', readOnly: '404', writeOnly: '405', invalid: '401' },
+};
+
+/**
+ * HTML page that exposes the SCORM runtime API (window.API or window.API_1484_11) and loads the
+ * content in an iframe. It is served from /api/scorm/player/:token/, so "content/..." and "runtime"
+ * resolve under the same launch token.
+ */
+export const renderPlayerPage = (scormPackage, initialValues) => {
+  const settings = {
+    version: scormPackage.version,
+    values: initialValues,
+    codes: RUNTIME_ERROR_CODES[scormPackage.version],
+    parentOrigin: new URL(config.frontendUrl).origin,
+  };
+  // Keep "</script>" in stored values from closing the script tag
+  const settingsJson = JSON.stringify(settings).replace(/</g, '\\u003c');
+  const contentSrc = `content/${encodeURI(scormPackage.launchPath)}`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(scormPackage.title || 'Lesson')}</title>
+<style>html, body, iframe { margin: 0; padding: 0; width: 100%; height: 100%; border: 0; overflow: hidden; }</style>
+<script>
+(function () {
+  var settings = ${settingsJson};
+  var values = settings.values;
+  var codes = settings.codes;
+  var pending = {};
+  var state = 'new';
+  var lastError = '0';
+  var sessionId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+  var messages = { '0': 'No error' };
+  messages[codes.general] = 'General exception';
+  messages[codes.notInitialised] = 'Not initialized';
+  messages[codes.readOnly] = 'Element is read only';
+  messages[codes.writeOnly] = 'Element is write only';
+  messages[codes.invalid] = 'Invalid data model element';
+
+  var readOnly = /(\\._count|\\._children|student_id|student_name|learner_id|learner_name|total_time|\\.entry|\\.credit|lesson_mode|cmi\\.mode|mastery_score|scaled_passing_score)$/;
+  var writeOnly = /(session_time|\\.exit)$/;
+
+  function hasPending() {
+    for (var key in pending) { if (Object.prototype.hasOwnProperty.call(pending, key)) return true; }
+    return false;
+  }
+
+  function send(useBeacon) {
+    var body = JSON.stringify({ sessionId: sessionId, values: pending });
+    if (useBeacon && navigator.sendBeacon) {
+      pending = {};
+      return navigator.sendBeacon('runtime', new Blob([body], { type: 'application/json' }));
+    }
+    try {
+      // The SCORM API is synchronous, so the commit is too
+      var xhr = new XMLHttpRequest();
+      xhr.open('POST', 'runtime', false);
+      xhr.setRequestHeader('Content-Type', 'application/json');
+      xhr.send(body);
+      if (xhr.status >= 200 && xhr.status < 300) {
+        pending = {};
+        return true;
+      }
+    } catch (e) {}
+    lastError = codes.general;
+    return false;
+  }
+
+  function countOf(key) {
+    var prefix = key.slice(0, -'_count'.length);
+    var seen = {};
+    var count = 0;
+    for (var stored in values) {
+      if (stored.indexOf(prefix) === 0) {
+        var index = stored.slice(prefix.length).split('.')[0];
+        if (/^\\d+$/.test(index) && !seen[index]) { seen[index] = true; count++; }
+      }
+    }
+    return String(count);
+  }
+
+  function initialize() {
+    if (state === 'running') { lastError = codes.general; return 'false'; }
+    state = 'running';
+    lastError = '0';
+    return 'true';
+  }
+
+  function finish() {
+    if (state !== 'running') { lastError = codes.notInitialised; return 'false'; }
+    var ok = send(false);
+    state = 'done';
+    if (window.parent !== window) {
+      window.parent.postMessage({ type: 'scorm:finished' }, settings.parentOrigin);
+    }
+    return ok ? 'true' : 'false';
+  }
+
+  function getValue(key) {
+    if (state !== 'running') { lastError = codes.notInitialised; return ''; }
+    if (writeOnly.test(key)) { lastError = codes.writeOnly; return ''; }
+    lastError = '0';
+    if (/\\._count$/.test(key)) return countOf(key);
+    return Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : '';
+  }
+
+  function setValue(key, value) {
+    if (state !== 'running') { lastError = codes.notInitialised; return 'false'; }
+    if (!/^cmi\\./.test(key)) { lastError = codes.invalid; return 'false'; }
+    if (readOnly.test(key)) { lastError = codes.readOnly; return 'false'; }
+    lastError = '0';
+    values[key] = String(value);
+    pending[key] = String(value);
+    return 'true';
+  }
+
+  function commit() {
+    if (state !== 'running') { lastError = codes.notInitialised; return 'false'; }
+    lastError = '0';
+    return send(false) ? 'true' : 'false';
+  }
+
+  function getLastError() { return lastError; }
+  function getErrorString(code) { return messages[code] || ''; }
+  function getDiagnostic(code) { return messages[code || lastError] || ''; }
+
+  if (settings.version === 'SCORM_2004') {
+    window.API_1484_11 = {
+      Initialize: initialize, Terminate: finish, GetValue: getValue, SetValue: setValue, Commit: commit,
+      GetLastError: getLastError, GetErrorString: getErrorString, GetDiagnostic: getDiagnostic
+    };
+  } else {
+    window.API = {
+      LMSInitialize: initialize, LMSFinish: finish, LMSGetValue: getValue, LMSSetValue: setValue, LMSCommit: commit,
+      LMSGetLastError: getLastError, LMSGetErrorString: getErrorString, LMSGetDiagnostic: getDiagnostic
+    };
+  }
+
+  // Content that is closed without calling Finish/Terminate still gets its data saved
+  window.addEventListener('pagehide', function () {
+    if (state === 'running' && hasPending()) send(true);
+  });
+})();
+</script>
+</head>
+<body>
+<iframe src="${escapeHtml(contentSrc)}" allow="autoplay; fullscreen"></iframe>
+</body>
+</html>`;
+};
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { prisma } from '../config/database.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  refreshTokenMatches,
+  verifyRefreshToken,
+} from './tokenService.js';
+import { createAuditLog } from './auditLogService.js';
+
+export const SessionRevokeReason = {
+  LOGOUT: 'LOGOUT',
+  USER_REVOKED: 'USER_REVOKED',
+  SIGN_OUT_OTHERS: 'SIGN_OUT_OTHERS',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+  ACCOUNT_BLOCKED: 'ACCOUNT_BLOCKED',
+  ACCOUNT_DELETION: 'ACCOUNT_DELETION',
+  EMAIL_CHANGED: 'EMAIL_CHANGED',
+  REUSE_DETECTED: 'REUSE_DETECTED',
+};
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Build a human readable device label from a user agent string
+ * e.g. "Chrome on Windows", "Safari on iOS"
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  let browser = null;
+  if (/okhttp|dart|cfnetwork/i.test(userAgent)) browser = 'Mobile app';
+  else if (/edg\//i.test(userAgent)) browser = 'Edge';
+  else if (/opr\/|opera/i.test(userAgent)) browser = 'Opera';
+  else if (/chrome|crios/i.test(userAgent)) browser = 'Chrome';
+  else if (/firefox|fxios/i.test(userAgent)) browser = 'Firefox';
+  else if (/safari/i.test(userAgent)) browser = 'Safari';
+  else if (/postman/i.test(userAgent)) browser = 'Postman';
+
+  let os = null;
+  if (/android/i.test(userAgent)) os = 'Android';
+  else if (/iphone|ipad|ipod/i.test(userAgent)) os = 'iOS';
+  else if (/windows/i.test(userAgent)) os = 'Windows';
+  else if (/mac os|macintosh/i.test(userAgent)) os = 'macOS';
+  else if (/linux/i.test(userAgent)) os = 'Linux';
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+/**
+ * Extract session context (device, IP) from a request
+ */
+export const getSessionContext = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  const deviceName = typeof req.body?.deviceName === 'string' ? req.body.deviceName.trim() : '';
+
+  return {
+    userAgent,
+    ipAddress: req.ip || null,
+    deviceLabel: (deviceName || describeUserAgent(userAgent)).slice(0, 255),
+  };
+};
+
+const signRefreshToken = (userId, sessionId) => {
+  // jti keeps every rotated token unique even within the same second
+  const refreshToken = generateRefreshToken({
+    userId,
+    sessionId,
+    jti: crypto.randomUUID(),
+  });
+  const { exp } = jwt.decode(refreshToken);
+
+  return { refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Start a new session for a user and issue its token pair
+ * @param {{id: string, role: string}} user
+ * @param {{userAgent?: string, ipAddress?: string, deviceLabel?: string}} context
+ * @returns {Promise<{session: object, accessToken: string, refreshToken: string}>}
+ */
+export const createSession = async (user, context = {}) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, expiresAt } = signRefreshToken(user.id, sessionId);
+
+  const session = await prisma.session.create({
+    data: {
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      deviceLabel: context.deviceLabel || null,
+      userAgent: context.userAgent || null,
+      ipAddress: context.ipAddress || null,
+      expiresAt,
+    },
+  });
+
+  const accessToken = generateAccessToken({ userId: user.id, role: user.role, sessionId });
+
+  return { session, accessToken, refreshToken };
+};
+
+/**
+ * Revoke a single session
+ */
+export const revokeSession = async (sessionId, reason) => {
+  return await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ */
+export const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  return await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+/**
+ * A rotated-out refresh token was presented: revoke its session, audit it and refuse
+ */
+const revokeReusedSession = async (session, context) => {
+  await revokeSession(session.id, SessionRevokeReason.REUSE_DETECTED);
+  await createAuditLog({
+    userId: session.userId,
+    action: 'REFRESH_TOKEN_REUSE',
+    entityType: 'SESSION',
+    entityId: session.id,
+    description: 'Rotated-out refresh token presented again; session revoked',
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    requestPath: '/api/auth/refresh-token',
+    riskScore: 80,
+    metadata: {
+      deviceLabel: session.deviceLabel,
+      sessionIpAddress: session.ipAddress,
+    },
+  });
+
+  throw sessionError('Refresh token reuse detected. Please login again.');
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * A refresh token that was already rotated out means it leaked, so the whole
+ * session is revoked and the incident audited.
+ */
+export const rotateSession = async (refreshToken, context = {}) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw sessionError(error.message);
+  }
+
+  // Tokens issued before sessions existed carry no session ID
+  if (!decoded.sessionId) {
+    throw sessionError('Session expired. Please login again.');
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sessionId },
+    include: {
+      user: {
+        select: { id: true, role: true, isActive: true },
+      },
+    },
+  });
+
+  if (!session || session.userId !== decoded.userId) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (session.revokedAt) {
+    throw sessionError('Session has been revoked. Please login again.');
+  }
+
+  if (session.expiresAt < new Date()) {
+    throw sessionError('Session expired. Please login again.');
+  }
+
+  // Sessions stored with the earlier bcrypt hashes can't be checked reliably; sign in again
+  if (session.refreshTokenHash.startsWith('$2')) {
+    throw sessionError('Session expired. Please login again.');
+  }
+
+  if (!refreshTokenMatches(refreshToken, session.refreshTokenHash)) {
+    await revokeReusedSession(session, context);
+  }
+
+  if (!session.user.isActive) {
+    throw sessionError('User not found or inactive');
+  }
+
+  const rotated = signRefreshToken(session.userId, session.id);
+
+  // Only rotates if the token is still current: of two refreshes with the same token, the
+  // one that loses the race is a reuse
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: session.refreshTokenHash,
+      revokedAt: null,
+    },
+    data: {
+      refreshTokenHash: hashRefreshToken(rotated.refreshToken),
+      expiresAt: rotated.expiresAt,
+      lastUsedAt: new Date(),
+      ipAddress: context.ipAddress || session.ipAddress,
+      userAgent: context.userAgent || session.userAgent,
+    },
+  });
+
+  if (count === 0) {
+    await revokeReusedSession(session, context);
+  }
+
+  const accessToken = generateAccessToken({
+    userId: session.user.id,
+    role: session.user.role,
+    sessionId: session.id,
+  });
+
+  return { accessToken, refreshToken: rotated.refreshToken };
+};
+
+/**
+ * Check that the session an access token belongs to is still active
+ */
+export const isSessionActive = async (sessionId) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true },
+  });
+
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+};
+
+/**
+ * List a user's active sessions, newest activity first
+ */
+export const getActiveSessions = async (userId) => {
+  return await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      deviceLabel: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+};
+
+export const cleanupExpiredSessions = async () => {
+  try {
+    await prisma.session.deleteMany({
+      where: {
+        expiresAt: {
+          lt: new Date(),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error cleaning up expired sessions:', error);
+  }
+};
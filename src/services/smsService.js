@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/env.js';
+
+/**
+ * SMS Service
+ * Sends text messages through a pluggable provider. A provider is any object
+ * with a `name` and an async `send(to, text)` method.
+ */
+
+// Nepali mobile numbers: 10 digits starting with 9 (e.g. 98XXXXXXXX)
+const NEPAL_COUNTRY_CODE = '977';
+const NEPAL_MOBILE_REGEX = /^9\d{9}$/;
+
+/**
+ * Normalize a phone number to E.164 (+977XXXXXXXXXX for Nepali mobiles)
+ * @param {string} phone
+ * @returns {string|null} Normalized number, or null if it is not a valid number
+ */
+export const normalizePhone = (phone) => {
+  if (!phone || typeof phone !== 'string') return null;
+
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (NEPAL_MOBILE_REGEX.test(digits)) {
+    return `+${NEPAL_COUNTRY_CODE}${digits}`;
+  }
+
+  if (digits.startsWith(NEPAL_COUNTRY_CODE) && NEPAL_MOBILE_REGEX.test(digits.slice(NEPAL_COUNTRY_CODE.length))) {
+    return `+${digits}`;
+  }
+
+  // Other countries: accept explicit international numbers
+  if (trimmed.startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+
+  return null;
+};
+
+/**
+ * Local (national) form of a number, as Nepali gateways expect it
+ */
+const toLocalNumber = (phone) => {
+  const digits = phone.replace(/\D/g, '');
+  return digits.startsWith(NEPAL_COUNTRY_CODE) ? digits.slice(NEPAL_COUNTRY_CODE.length) : digits;
+};
+
+/**
+ * Mask a phone number for responses and logs (+97798******78)
+ */
+export const maskPhone = (phone) => {
+  if (!phone || phone.length < 10) return phone;
+  return `${phone.slice(0, 6)}${'*'.repeat(phone.length - 8)}${phone.slice(-2)}`;
+};
+
+// Field names used by HTTP SMS gateways
+const HTTP_GATEWAY_PRESETS = {
+  sparrow: {
+    url: 'https://api.sparrowsms.com/v2/sms/',
+    fields: { token: 'token', from: 'from', to: 'to', text: 'text' },
+  },
+  aakash: {
+    url: 'https://sms.aakashsms.com/sms/v3/send',
+    fields: { token: 'auth_token', from: null, to: 'to', text: 'text' },
+  },
+};
+
+/**
+ * HTTP gateway adapter (Sparrow SMS, Aakash SMS and compatible APIs)
+ */
+export const createHttpSmsProvider = ({ gateway = 'sparrow', apiUrl, apiToken, senderId } = {}) => {
+  const preset = HTTP_GATEWAY_PRESETS[gateway];
+  if (!preset) {
+    throw new Error(`Unknown SMS gateway: ${gateway}`);
+  }
+
+  return {
+    name: gateway,
+    async send(to, text) {
+      if (!apiToken) {
+        throw new Error('SMS gateway is not configured');
+      }
+
+      const { fields } = preset;
+      const params = new URLSearchParams();
+      params.append(fields.token, apiToken);
+      if (fields.from && senderId) params.append(fields.from, senderId);
+      params.append(fields.to, toLocalNumber(to));
+      params.append(fields.text, text);
+
+      const response = await fetch(apiUrl || preset.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: params,
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.error) {
+        throw new Error(data.response || data.message || `SMS gateway responded with ${response.status}`);
+      }
+
+      return data;
+    },
+  };
+};
+
+/**
+ * Development adapter: prints messages and optionally appends them to a file
+ * (one JSON object per line) so tests can read the OTP back
+ */
+export const createConsoleSmsProvider = ({ logFile } = {}) => ({
+  name: 'console',
+  async send(to, text) {
+    console.log(`[SMS] to ${to}: ${text}`);
+
+    if (logFile) {
+      await fs.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.appendFile(logFile, `${JSON.stringify({ to, text, sentAt: new Date().toISOString() })}\n`);
+    }
+
+    return { delivered: false };
+  },
+});
+
+let provider = null;
+
+const createProviderFromConfig = () => {
+  const { provider: name, apiUrl, apiToken, senderId, logFile } = config.sms;
+
+  if (name === 'console') {
+    return createConsoleSmsProvider({ logFile });
+  }
+
+  return createHttpSmsProvider({ gateway: name, apiUrl, apiToken, senderId });
+};
+
+/**
+ * Refuse to run in production without a real gateway: the console provider only logs
+ * messages, OTPs included
+ * @throws {Error} When the SMS configuration is unusable in production
+ */
+export const assertSmsConfigured = () => {
+  if (config.nodeEnv !== 'production') return;
+
+  const { provider: name, apiToken } = config.sms;
+  if (name === 'console') {
+    throw new Error('SMS_PROVIDER must name a real gateway (sparrow or aakash) in production');
+  }
+  if (!HTTP_GATEWAY_PRESETS[name]) {
+    throw new Error(`Unknown SMS gateway: ${name}`);
+  }
+  if (!apiToken) {
+    throw new Error('SMS_API_TOKEN is required in production');
+  }
+};
+
+/**
+ * Replace the active provider (e.g. with a stub in tests)
+ */
+export const setSmsProvider = (smsProvider) => {
+  provider = smsProvider;
+};
+
+export const getSmsProvider = () => {
+  if (!provider) {
+    provider = createProviderFromConfig();
+  }
+  return provider;
+};
+
+export const sendSms = async (to, text) => {
+  try {
+    return await getSmsProvider().send(to, text);
+  } catch (error) {
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+};
+
+const OTP_SMS_PURPOSES = {
+  phone_verification: 'verify your phone number',
+  login: 'log in',
+  password_reset: 'reset your password',
+};
+
+export const sendOTPSms = async (phone, otp, purpose = 'phone_verification') => {
+  const purposeText = OTP_SMS_PURPOSES[purpose] || OTP_SMS_PURPOSES.phone_verification;
+  const text = `${otp} is your ${config.appName} code to ${purposeText}. It expires in 5 minutes. Do not share it with anyone.`;
+  return await sendSms(phone, text);
+};
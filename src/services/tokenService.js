@@ -1,7 +1,12 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
 import { config } from '../config/env.js';
-import { prisma } from '../config/database.js';
+
+const TWO_FACTOR_CHALLENGE = '2fa_challenge';
+const EMAIL_CHANGE_CANCEL = 'email_change_cancel';
+const ACCOUNT_UNLOCK = 'account_unlock';
+const SCORM_LAUNCH = 'scorm_launch';
+const LESSON_MEDIA = 'lesson_media';
 
 export const generateAccessToken = (payload) => {
   return jwt.sign(payload, config.jwtSecret, {
@@ -15,20 +20,54 @@ export const generateRefreshToken = (payload) => {
   });
 };
 
-export const hashRefreshToken = async (token) => {
-  const salt = await bcrypt.genSalt(10);
-  return await bcrypt.hash(token, salt);
+/**
+ * SHA-256 of a refresh token. Not bcrypt: it only reads the first 72 bytes, which every
+ * refresh token of a user shares, so it could not tell a rotated-out token from the current one.
+ */
+export const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Constant-time check of a refresh token against a stored hash
+ */
+export const refreshTokenMatches = (token, storedHash) => {
+  const hashed = Buffer.from(hashRefreshToken(token));
+  const stored = Buffer.from(storedHash || '');
+  return stored.length === hashed.length && crypto.timingSafeEqual(stored, hashed);
 };
 
 export const verifyAccessToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, config.jwtSecret);
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Access token expired');
     }
     throw new Error('Invalid access token');
   }
+
+  // Purpose-bound tokens (e.g. 2FA challenges) share the secret but are not access tokens
+  if (decoded.purpose) {
+    throw new Error('Invalid access token');
+  }
+
+  return decoded;
+};
+
+/**
+ * Short-lived access token for an admin viewing the app as another user.
+ * Carries both identities; it has no session, so it cannot be refreshed.
+ */
+export const generateImpersonationToken = ({ targetUser, impersonatorId }) => {
+  return jwt.sign(
+    {
+      userId: targetUser.id,
+      role: targetUser.role,
+      impersonatorId,
+    },
+    config.jwtSecret,
+    { expiresIn: config.impersonation.expiresIn }
+  );
 };
 
 export const verifyRefreshToken = (token) => {
@@ -42,42 +81,181 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
-export const saveRefreshToken = async (userId, refreshToken) => {
+export const generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: TWO_FACTOR_CHALLENGE }, config.jwtSecret, {
+    expiresIn: config.twoFactor.challengeExpiresIn,
+  });
+};
+
+export const verifyTwoFactorChallengeToken = (token) => {
+  let decoded;
   try {
-    const hashedToken = await hashRefreshToken(refreshToken);
-    await prisma.user.update({
-      where: { id: userId },
-      data: { refreshToken: hashedToken },
-    });
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (error) {
-    throw new Error('Failed to save refresh token');
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Two-factor challenge expired. Please login again.');
+    }
+    throw new Error('Invalid two-factor challenge');
+  }
+
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+    throw new Error('Invalid two-factor challenge');
   }
+
+  return decoded;
 };
 
-export const verifyRefreshTokenInDB = async (userId, refreshToken) => {
+/**
+ * Token for the cancel link sent to the old address when the login email changes
+ */
+export const generateEmailChangeCancelToken = ({ userId, oldEmail, newEmail }) => {
+  return jwt.sign({ userId, oldEmail, newEmail, purpose: EMAIL_CHANGE_CANCEL }, config.jwtSecret, {
+    expiresIn: config.emailChange.cancelExpiresIn,
+  });
+};
+
+export const verifyEmailChangeCancelToken = (token) => {
+  let decoded;
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-    });
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('This cancel link has expired');
+    }
+    throw new Error('Invalid cancel link');
+  }
+
+  if (decoded.purpose !== EMAIL_CHANGE_CANCEL) {
+    throw new Error('Invalid cancel link');
+  }
+
+  return decoded;
+};
+
+/**
+ * Token for the unlock link emailed when an account is locked.
+ * Bound to that lockout, so it cannot lift a later one.
+ */
+export const generateAccountUnlockToken = ({ userId, lockedUntil }) => {
+  return jwt.sign(
+    { userId, lockedUntil: lockedUntil.toISOString(), purpose: ACCOUNT_UNLOCK },
+    config.jwtSecret,
+    { expiresIn: `${config.loginProtection.lockoutMinutes}m` }
+  );
+};
 
-    if (!user || !user.refreshToken) {
-      return false;
+export const verifyAccountUnlockToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('This unlock link has expired');
     }
+    throw new Error('Invalid unlock link');
+  }
+
+  if (decoded.purpose !== ACCOUNT_UNLOCK) {
+    throw new Error('Invalid unlock link');
+  }
+
+  return decoded;
+};
+
+/**
+ * Token in the SCORM player URL. The player and the package content are served under it,
+ * so it has to work without an Authorization header.
+ */
+export const generateScormLaunchToken = ({ userId, packageId }) => {
+  return jwt.sign({ userId, packageId, purpose: SCORM_LAUNCH }, config.jwtSecret, {
+    expiresIn: config.scorm.launchExpiresIn,
+  });
+};
 
-    return await bcrypt.compare(refreshToken, user.refreshToken);
+export const verifyScormLaunchToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (error) {
-    return false;
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('This player link has expired. Reopen the lesson.');
+    }
+    throw new Error('Invalid player link');
+  }
+
+  if (decoded.purpose !== SCORM_LAUNCH) {
+    throw new Error('Invalid player link');
   }
+
+  return decoded;
+};
+
+/**
+ * Token in a signed lesson media link: one asset of one lesson, for one user
+ * @param {number} [expiresInSeconds] - Defaults to the configured link lifetime
+ */
+export const generateLessonMediaToken = ({ userId, lessonId, asset, expiresInSeconds = null }) => {
+  return jwt.sign({ userId, lessonId, asset, purpose: LESSON_MEDIA }, config.jwtSecret, {
+    expiresIn: expiresInSeconds ?? `${config.lessonMedia.urlExpiryMinutes}m`,
+  });
 };
 
-export const removeRefreshToken = async (userId) => {
+export const verifyLessonMediaToken = (token) => {
+  let decoded;
   try {
-    await prisma.user.update({
-      where: { id: userId },
-      data: { refreshToken: null },
-    });
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (error) {
-    throw new Error('Failed to remove refresh token');
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('This media link has expired. Reopen the lesson.');
+    }
+    throw new Error('Invalid media link');
+  }
+
+  if (decoded.purpose !== LESSON_MEDIA) {
+    throw new Error('Invalid media link');
   }
+
+  return decoded;
 };
 
+/**
+ * Signature tying a playlist or segment path to one media link, so the link can only fetch
+ * files listed in the playlists served for it. The path carries its own expiry (Unix
+ * seconds), long enough to play the whole video; the link only has to be valid at the start.
+ */
+export const signLessonMediaPath = (token, path, expires) => (
+  crypto.createHmac('sha256', config.jwtSecret).update(`${token}\n${expires}\n${path}`).digest('base64url')
+);
+
+/**
+ * Check a playlist or segment request made through a media link. The link itself may have
+ * expired since playback started; the path's own expiry is what counts.
+ * @param {string} token - Media link token
+ * @param {{ path: string, expires: string|number, signature: string }} signedPath
+ * @param {number} [now=Date.now()]
+ * @returns {Object} Decoded media link
+ */
+export const verifyLessonMediaPath = (token, { path, expires, signature }, now = Date.now()) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret, { ignoreExpiration: true });
+  } catch (error) {
+    throw new Error('Invalid media link');
+  }
+
+  const expected = Buffer.from(signLessonMediaPath(token, path, expires));
+  const given = Buffer.from(signature || '');
+  if (
+    decoded.purpose !== LESSON_MEDIA ||
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw new Error('Invalid media link');
+  }
+
+  if (!(Number(expires) * 1000 > now)) {
+    throw new Error('This media link has expired. Reopen the lesson.');
+  }
+
+  return decoded;
+};
@@ -0,0 +1,517 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+
+/**
+ * Translation Service
+ * Public content is stored in its base language (a course's `language`, the site default for
+ * everything else) with translations of its text fields kept alongside in ContentTranslation.
+ * Readers get the first language from their preference list that the record is available in;
+ * fields a translation leaves out fall back to the base text.
+ */
+
+// Text fields that can be translated, per entity type
+export const TRANSLATABLE_FIELDS = {
+  COURSE: ['title', 'shortDescription', 'description'],
+  CHAPTER: ['title', 'description'],
+  LESSON: ['title', 'description', 'content'],
+  BLOG: ['title', 'excerpt', 'content', 'seoTitle', 'seoDescription'],
+  PRODUCT: ['name', 'shortDescription', 'description'],
+  FAQ: ['question', 'answer'],
+  CATEGORY: ['name', 'description'],
+};
+
+// Prisma model, table and the field that names a record in reports
+const ENTITY_SOURCES = {
+  COURSE: { model: 'course', table: 'courses', label: 'title' },
+  CHAPTER: { model: 'chapter', table: 'chapters', label: 'title' },
+  LESSON: { model: 'lesson', table: 'lessons', label: 'title' },
+  BLOG: { model: 'blog', table: 'blogs', label: 'title' },
+  PRODUCT: { model: 'product', table: 'products', label: 'name' },
+  FAQ: { model: 'fAQ', table: 'faqs', label: 'question' },
+  CATEGORY: { model: 'category', table: 'categories', label: 'name' },
+};
+
+// Course content is written in the course's language; the rest in the site default
+const COURSE_CONTENT = ['COURSE', 'CHAPTER', 'LESSON'];
+
+const translationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+
+const defaultBaseLocale = (record) => record.language || record.course?.language || config.i18n.defaultLocale;
+
+const byId = (records) => new Map(records.map((record) => [record.id, record]));
+
+/**
+ * Overlay the best available translation on each record and note which language it is in
+ * (`contentLocale`). Records are matched on `id`; anything else on them is left untouched.
+ * @param {string} entityType - Key of TRANSLATABLE_FIELDS
+ * @param {Object|Object[]|null} records
+ * @param {string[]} locales - Preferred languages, best first (req.locales)
+ * @param {Object} [options]
+ * @param {(record: Object) => string} [options.baseLocale] - Language of the stored text;
+ *   defaults to the record's (or its course's) `language`, then the site default
+ * @returns {Promise<Object|Object[]|null>} Same shape as `records`
+ */
+export const localize = async (entityType, records, locales, { baseLocale = defaultBaseLocale } = {}) => {
+  const list = Array.isArray(records) ? records : [records];
+  const present = list.filter(Boolean);
+  if (present.length === 0) return records;
+
+  // Only languages preferred over a record's own language are worth looking up
+  const wanted = new Map();
+  for (const record of present) {
+    const base = baseLocale(record);
+    const preferred = locales.includes(base) ? locales.slice(0, locales.indexOf(base)) : locales;
+    if (preferred.length > 0) wanted.set(record.id, { base, preferred });
+  }
+
+  const translations = wanted.size > 0
+    ? await prisma.contentTranslation.findMany({
+      where: {
+        entityType,
+        entityId: { in: [...wanted.keys()] },
+        locale: { in: locales },
+      },
+      select: { entityId: true, locale: true, fields: true },
+    })
+    : [];
+
+  const byRecord = new Map();
+  for (const translation of translations) {
+    if (!byRecord.has(translation.entityId)) byRecord.set(translation.entityId, new Map());
+    byRecord.get(translation.entityId).set(translation.locale, translation.fields);
+  }
+
+  const localized = list.map((record) => {
+    if (!record) return record;
+
+    const match = wanted.get(record.id);
+    const available = byRecord.get(record.id);
+    const locale = match?.preferred.find((candidate) => available?.has(candidate));
+    if (!locale) {
+      return { ...record, contentLocale: match?.base ?? baseLocale(record) };
+    }
+
+    const fields = available.get(locale);
+    const overlay = Object.fromEntries(
+      TRANSLATABLE_FIELDS[entityType]
+        .filter((field) => field in record && hasText(fields[field]))
+        .map((field) => [field, fields[field]])
+    );
+    return { ...record, ...overlay, contentLocale: locale };
+  });
+
+  return Array.isArray(records) ? localized : localized[0];
+};
+
+/**
+ * Localize courses together with their category, chapters and lessons (where loaded).
+ * Chapters and lessons take their base language from the course they belong to.
+ * @param {Object|Object[]|null} courses
+ * @param {string[]} locales
+ * @returns {Promise<Object|Object[]|null>} Same shape as `courses`
+ */
+export const localizeCourses = async (courses, locales) => {
+  const list = (Array.isArray(courses) ? courses : [courses]).filter(Boolean);
+  if (list.length === 0) return courses;
+
+  const languageOf = new Map();
+  const chapters = [];
+  const lessons = [];
+  for (const course of list) {
+    const language = course.language || config.i18n.defaultLocale;
+    for (const chapter of course.chapters || []) {
+      chapters.push(chapter);
+      languageOf.set(chapter.id, language);
+      for (const lesson of chapter.lessons || []) {
+        lessons.push(lesson);
+        languageOf.set(lesson.id, language);
+      }
+    }
+    for (const lesson of course.lessons || []) {
+      lessons.push(lesson);
+      languageOf.set(lesson.id, language);
+    }
+  }
+  const baseLocale = (record) => languageOf.get(record.id) || config.i18n.defaultLocale;
+
+  const [localizedCourses, categories, localizedChapters, localizedLessons] = await Promise.all([
+    localize('COURSE', list, locales),
+    localize('CATEGORY', list.map((course) => course.category).filter((category) => category?.id), locales),
+    localize('CHAPTER', chapters, locales, { baseLocale }),
+    localize('LESSON', lessons, locales, { baseLocale }),
+  ]);
+
+  const categoryById = byId(categories);
+  const chapterById = byId(localizedChapters);
+  const lessonById = byId(localizedLessons);
+  const localizeLessons = (courseLessons) => courseLessons.map((lesson) => lessonById.get(lesson.id));
+
+  const localized = localizedCourses.map((course) => ({
+    ...course,
+    ...(course.category?.id && { category: categoryById.get(course.category.id) }),
+    ...(course.chapters && {
+      chapters: course.chapters.map((chapter) => ({
+        ...chapterById.get(chapter.id),
+        ...(chapter.lessons && { lessons: localizeLessons(chapter.lessons) }),
+      })),
+    }),
+    ...(course.lessons && { lessons: localizeLessons(course.lessons) }),
+  }));
+
+  return Array.isArray(courses) ? localized : localized[0];
+};
+
+/**
+ * Localize chapters and their lessons (where loaded). Each chapter needs its `course.language`
+ * loaded to know the language it is written in.
+ * @param {Object|Object[]|null} chapters
+ * @param {string[]} locales
+ * @returns {Promise<Object|Object[]|null>} Same shape as `chapters`
+ */
+export const localizeChapters = async (chapters, locales) => {
+  const list = (Array.isArray(chapters) ? chapters : [chapters]).filter(Boolean);
+  if (list.length === 0) return chapters;
+
+  const languageOf = new Map(list.flatMap((chapter) => (
+    (chapter.lessons || []).map((lesson) => [lesson.id, defaultBaseLocale(chapter)])
+  )));
+
+  const [localizedChapters, lessons] = await Promise.all([
+    localize('CHAPTER', list, locales),
+    localize('LESSON', list.flatMap((chapter) => chapter.lessons || []), locales, {
+      baseLocale: (lesson) => languageOf.get(lesson.id),
+    }),
+  ]);
+
+  const lessonById = byId(lessons);
+  const localized = localizedChapters.map((chapter) => ({
+    ...chapter,
+    ...(chapter.lessons && { lessons: chapter.lessons.map((lesson) => lessonById.get(lesson.id)) }),
+  }));
+
+  return Array.isArray(chapters) ? localized : localized[0];
+};
+
+/**
+ * Localize blogs or products together with their category (where loaded)
+ * @param {'BLOG'|'PRODUCT'} entityType
+ * @param {Object|Object[]|null} records
+ * @param {string[]} locales
+ * @returns {Promise<Object|Object[]|null>} Same shape as `records`
+ */
+export const localizeWithCategory = async (entityType, records, locales) => {
+  const list = (Array.isArray(records) ? records : [records]).filter(Boolean);
+  if (list.length === 0) return records;
+
+  const [localizedRecords, categories] = await Promise.all([
+    localize(entityType, list, locales),
+    localize('CATEGORY', list.map((record) => record.category).filter((category) => category?.id), locales),
+  ]);
+
+  const categoryById = byId(categories);
+  const localized = localizedRecords.map((record) => (
+    record.category?.id ? { ...record, category: categoryById.get(record.category.id) } : record
+  ));
+
+  return Array.isArray(records) ? localized : localized[0];
+};
+
+/**
+ * Localize categories together with their parent, children and listed courses, blogs and
+ * products (where loaded)
+ * @param {Object|Object[]|null} categories
+ * @param {string[]} locales
+ * @returns {Promise<Object|Object[]|null>} Same shape as `categories`
+ */
+export const localizeCategories = async (categories, locales) => {
+  const list = (Array.isArray(categories) ? categories : [categories]).filter(Boolean);
+  if (list.length === 0) return categories;
+
+  const [localizedCategories, related, courses, blogs, products] = await Promise.all([
+    localize('CATEGORY', list, locales),
+    localize('CATEGORY', list.flatMap((category) => [category.parent, ...(category.children || [])]).filter(Boolean), locales),
+    localizeCourses(list.flatMap((category) => category.courses || []), locales),
+    localize('BLOG', list.flatMap((category) => category.blogs || []), locales),
+    localize('PRODUCT', list.flatMap((category) => category.products || []), locales),
+  ]);
+
+  const relatedById = byId(related);
+  const courseById = byId(courses);
+  const blogById = byId(blogs);
+  const productById = byId(products);
+  const pick = (records, lookup) => records.map((record) => lookup.get(record.id));
+
+  const localized = localizedCategories.map((category) => ({
+    ...category,
+    ...(category.parent && { parent: relatedById.get(category.parent.id) }),
+    ...(category.children && { children: pick(category.children, relatedById) }),
+    ...(category.courses && { courses: pick(category.courses, courseById) }),
+    ...(category.blogs && { blogs: pick(category.blogs, blogById) }),
+    ...(category.products && { products: pick(category.products, productById) }),
+  }));
+
+  return Array.isArray(categories) ? localized : localized[0];
+};
+
+// ==================== MANAGEMENT ====================
+
+const assertSupportedLocale = (locale) => {
+  if (!config.i18n.supportedLocales.includes(locale)) {
+    throw translationError(`Unsupported language. Use one of: ${config.i18n.supportedLocales.join(', ')}`);
+  }
+};
+
+const sourceSelect = (entityType) => ({
+  id: true,
+  [ENTITY_SOURCES[entityType].label]: true,
+  ...Object.fromEntries(TRANSLATABLE_FIELDS[entityType].map((field) => [field, true])),
+  ...(entityType === 'COURSE' && { language: true }),
+  ...(['CHAPTER', 'LESSON'].includes(entityType) && {
+    courseId: true,
+    course: { select: { language: true } },
+  }),
+});
+
+const findSource = async (entityType, entityId) => {
+  const record = await prisma[ENTITY_SOURCES[entityType].model].findUnique({
+    where: { id: entityId },
+    select: sourceSelect(entityType),
+  });
+  if (!record) {
+    throw translationError('Content not found', 404);
+  }
+  return record;
+};
+
+/**
+ * Base-language fields with text, which a complete translation should cover
+ */
+const translatableText = (entityType, record) => TRANSLATABLE_FIELDS[entityType].filter((field) => hasText(record[field]));
+
+/**
+ * A record's base text and every translation of it
+ * @param {string} entityType
+ * @param {string} entityId
+ */
+export const getEntityTranslations = async (entityType, entityId) => {
+  const record = await findSource(entityType, entityId);
+  const baseLocale = defaultBaseLocale(record);
+  const required = translatableText(entityType, record);
+
+  const translations = await prisma.contentTranslation.findMany({
+    where: { entityType, entityId },
+    orderBy: { locale: 'asc' },
+  });
+
+  return {
+    entityType,
+    entityId,
+    baseLocale,
+    source: Object.fromEntries(TRANSLATABLE_FIELDS[entityType].map((field) => [field, record[field] ?? null])),
+    translations: translations.map((translation) => ({
+      ...translation,
+      missingFields: required.filter((field) => !hasText(translation.fields[field])),
+    })),
+    missingLocales: config.i18n.supportedLocales.filter((locale) => (
+      locale !== baseLocale && !translations.some((translation) => translation.locale === locale)
+    )),
+  };
+};
+
+/**
+ * Create or replace the translation of a record into one language
+ * @param {string} entityType
+ * @param {string} entityId
+ * @param {string} locale
+ * @param {Object} input - Translated text keyed by field; unknown and empty fields are dropped
+ * @param {string} [userId]
+ * @returns {Promise<{ translation: Object, previous: Object|null }>}
+ */
+export const upsertTranslation = async (entityType, entityId, locale, input, userId = null) => {
+  assertSupportedLocale(locale);
+  const record = await findSource(entityType, entityId);
+
+  const baseLocale = defaultBaseLocale(record);
+  if (locale === baseLocale) {
+    throw translationError(`This content is written in ${baseLocale}; edit it directly instead of translating it`);
+  }
+
+  const fields = Object.fromEntries(
+    TRANSLATABLE_FIELDS[entityType]
+      .filter((field) => hasText(input[field]))
+      .map((field) => [field, input[field].trim()])
+  );
+  if (Object.keys(fields).length === 0) {
+    throw translationError(`Provide at least one of: ${TRANSLATABLE_FIELDS[entityType].join(', ')}`);
+  }
+
+  const where = { entityType_entityId_locale: { entityType, entityId, locale } };
+  const previous = await prisma.contentTranslation.findUnique({ where });
+  const translation = await prisma.contentTranslation.upsert({
+    where,
+    create: { entityType, entityId, locale, fields, updatedBy: userId },
+    update: { fields, updatedBy: userId },
+  });
+
+  return { translation, previous };
+};
+
+export const deleteTranslation = async (entityType, entityId, locale) => {
+  const where = { entityType_entityId_locale: { entityType, entityId, locale } };
+  const translation = await prisma.contentTranslation.findUnique({ where });
+  if (!translation) {
+    throw translationError('Translation not found', 404);
+  }
+
+  await prisma.contentTranslation.delete({ where });
+  return translation;
+};
+
+const column = (name) => Prisma.raw(`"${name}"`);
+
+/**
+ * One entity type's records for the missing-translation report: id, label, base language and
+ * which translatable fields have text, without reading the text itself
+ */
+const reportSourceQuery = (entityType, courseId) => {
+  const { table, label } = ENTITY_SOURCES[entityType];
+  const isCourseContent = COURSE_CONTENT.includes(entityType);
+  const hasTextChecks = TRANSLATABLE_FIELDS[entityType].map((field) => (
+    Prisma.sql`CASE WHEN btrim(COALESCE(e.${column(field)}, '')) <> '' THEN ${Prisma.raw(`'${field}'`)} END`
+  ));
+
+  let baseLocale = Prisma.sql`${config.i18n.defaultLocale}::text`;
+  if (entityType === 'COURSE') baseLocale = Prisma.sql`e."language"`;
+  else if (isCourseContent) baseLocale = Prisma.sql`c."language"`;
+
+  let filter = Prisma.empty;
+  if (courseId) {
+    filter = entityType === 'COURSE' ? Prisma.sql`WHERE e."id" = ${courseId}` : Prisma.sql`WHERE e."courseId" = ${courseId}`;
+  }
+
+  return Prisma.sql`
+    SELECT
+      ${Prisma.raw(`'${entityType}'`)}::text AS "entityType",
+      e."id",
+      e.${column(label)} AS "label",
+      ${entityType === 'COURSE' ? Prisma.sql`e."id"` : isCourseContent ? Prisma.sql`e."courseId"` : Prisma.sql`NULL::text`} AS "courseId",
+      ${baseLocale} AS "baseLocale",
+      ARRAY_REMOVE(ARRAY[${Prisma.join(hasTextChecks)}]::text[], NULL) AS "required"
+    FROM ${column(table)} e
+    ${isCourseContent && entityType !== 'COURSE' ? Prisma.sql`JOIN "courses" c ON c."id" = e."courseId"` : Prisma.empty}
+    ${filter}
+  `;
+};
+
+/**
+ * Content that has no translation, or an incomplete one, in the other supported languages.
+ * Worked out in the database so only one page of results is loaded.
+ * @param {Object} filters
+ * @param {string[]} filters.entityTypes - Types to report on
+ * @param {string} [filters.locale] - Only this language
+ * @param {string} [filters.courseId] - Only this course's content (course, chapters and lessons)
+ * @param {number} [filters.page]
+ * @param {number} [filters.limit]
+ */
+export const getMissingTranslations = async ({ entityTypes, locale, courseId, page = 1, limit = 50 }) => {
+  if (locale) assertSupportedLocale(locale);
+  const locales = locale ? [locale] : config.i18n.supportedLocales;
+  const types = courseId ? entityTypes.filter((type) => COURSE_CONTENT.includes(type)) : entityTypes;
+
+  if (types.length === 0) {
+    return { locales, summary: [], items: [], pagination: { page, limit, total: 0, pages: 0 } };
+  }
+
+  // One row per record and target language: missing, incomplete (with the fields left out) or translated
+  const withStatus = Prisma.sql`
+    WITH source AS (
+      ${Prisma.join(types.map((type) => reportSourceQuery(type, courseId)), ' UNION ALL ')}
+    ),
+    status AS (
+      SELECT
+        s."entityType", s."id", s."label", s."courseId", s."baseLocale", l."locale",
+        CASE
+          WHEN t."id" IS NULL THEN 'missing'
+          WHEN cardinality(gaps."fields") > 0 THEN 'incomplete'
+          ELSE 'translated'
+        END AS "state",
+        gaps."fields" AS "missingFields"
+      FROM source s
+      CROSS JOIN unnest(${locales}::text[]) AS l("locale")
+      LEFT JOIN "content_translations" t
+        ON t."entityType"::text = s."entityType" AND t."entityId" = s."id" AND t."locale" = l."locale"
+      CROSS JOIN LATERAL (
+        SELECT COALESCE(array_agg(f), '{}') AS "fields"
+        FROM unnest(s."required") AS f
+        WHERE btrim(COALESCE(t."fields" ->> f, '')) = ''
+      ) gaps
+      WHERE l."locale" <> s."baseLocale"
+    )
+  `;
+
+  const skip = (page - 1) * limit;
+  const [counts, items, [{ total }], records] = await Promise.all([
+    prisma.$queryRaw`
+      ${withStatus}
+      SELECT "entityType", "locale", "state", COUNT(*)::int AS "count"
+      FROM status
+      GROUP BY "entityType", "locale", "state"
+    `,
+    prisma.$queryRaw`
+      ${withStatus}
+      SELECT
+        "entityType",
+        "id" AS "entityId",
+        "label",
+        "courseId",
+        "baseLocale",
+        COALESCE(array_agg("locale" ORDER BY "locale") FILTER (WHERE "state" = 'missing'), '{}') AS "missingLocales",
+        COALESCE(jsonb_object_agg("locale", "missingFields") FILTER (WHERE "state" = 'incomplete'), '{}'::jsonb) AS "incompleteFields"
+      FROM status
+      GROUP BY "entityType", "id", "label", "courseId", "baseLocale"
+      HAVING bool_or("state" <> 'translated')
+      ORDER BY array_position(${types}::text[], "entityType"), "label", "id"
+      LIMIT ${limit} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`
+      ${withStatus}
+      SELECT COUNT(*)::int AS "total"
+      FROM (
+        SELECT 1 FROM status
+        GROUP BY "entityType", "id"
+        HAVING bool_or("state" <> 'translated')
+      ) gaps
+    `,
+    Promise.all(types.map((type) => {
+      const where = courseId ? (type === 'COURSE' ? { id: courseId } : { courseId }) : {};
+      return prisma[ENTITY_SOURCES[type].model].count({ where });
+    })),
+  ]);
+
+  const summary = types.map((entityType, index) => {
+    const byLocale = Object.fromEntries(locales.map((target) => [target, { translated: 0, incomplete: 0, missing: 0 }]));
+    for (const row of counts.filter((count) => count.entityType === entityType)) {
+      byLocale[row.locale][row.state] = row.count;
+    }
+    return { entityType, total: records[index], locales: byLocale };
+  });
+
+  return {
+    locales,
+    summary,
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+
+// RFC 6238 defaults - what every authenticator app expects
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step either side to tolerate clock drift
+const SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate the HOTP value for a counter (RFC 4226)
+ */
+const generateHOTP = (secretBuffer, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', secretBuffer).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate the TOTP code for a secret at a given time
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [timestamp] - Unix time in milliseconds
+ * @returns {string}
+ */
+export const generateTOTP = (secret, timestamp = Date.now()) => {
+  const counter = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+  return generateHOTP(base32Decode(secret), counter);
+};
+
+/**
+ * Generate a new TOTP secret and the otpauth:// URL for QR codes
+ * @param {string} email - Account label shown in the authenticator app
+ * @returns {{secret: string, otpAuthUrl: string}}
+ */
+export const generateTwoFactorSecret = (email) => {
+  const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+  const issuer = config.appName;
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return {
+    secret,
+    otpAuthUrl: `otpauth://totp/${label}?${params.toString()}`,
+  };
+};
+
+/**
+ * Verify a TOTP code against a secret
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} token - 6 digit code from the authenticator app
+ * @returns {boolean}
+ */
+export const verifyTwoFactorToken = (secret, token) => {
+  if (!secret || !token) {
+    return false;
+  }
+
+  const normalizedToken = String(token).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalizedToken) || normalizedToken.length !== TOTP_DIGITS) {
+    return false;
+  }
+
+  const secretBuffer = base32Decode(secret);
+  const currentCounter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = generateHOTP(secretBuffer, currentCounter + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedToken))) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const normalizeBackupCode = (code) => String(code).replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Hash a backup code for storage.
+ * Codes are random and high-entropy, so a fast hash is sufficient here.
+ */
+export const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+};
+
+/**
+ * Generate one-time backup codes
+ * @returns {{codes: string[], hashedCodes: string[]}} - Plain codes to show once, hashes to store
+ */
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  return {
+    codes,
+    hashedCodes: codes.map(hashBackupCode),
+  };
+};
+
+/**
+ * Check a backup code against the stored hashes
+ * @param {string} code - Code entered by the user
+ * @param {string[]} hashedCodes - Hashes stored on the user
+ * @returns {number} - Index of the matching hash, or -1
+ */
+export const verifyBackupCode = (code, hashedCodes) => {
+  if (!code || !Array.isArray(hashedCodes)) {
+    return -1;
+  }
+
+  const hashed = Buffer.from(hashBackupCode(code));
+  return hashedCodes.findIndex(
+    (stored) => typeof stored === 'string' &&
+      stored.length === hashed.length &&
+      crypto.timingSafeEqual(Buffer.from(stored), hashed)
+  );
+};
+
+/**
+ * Verify a TOTP code or, failing that, a backup code
+ * @param {object} user - User with twoFactorSecret and twoFactorBackupCodes
+ * @param {string} token - TOTP code or backup code
+ * @returns {{valid: boolean, usedBackupCode?: boolean, remainingBackupCodes?: string[]}}
+ */
+export const verifySecondFactor = (user, token) => {
+  if (verifyTwoFactorToken(user.twoFactorSecret, token)) {
+    return { valid: true, usedBackupCode: false };
+  }
+
+  const hashedCodes = Array.isArray(user.twoFactorBackupCodes) ? user.twoFactorBackupCodes : [];
+  const index = verifyBackupCode(token, hashedCodes);
+  if (index === -1) {
+    return { valid: false };
+  }
+
+  return {
+    valid: true,
+    usedBackupCode: true,
+    remainingBackupCodes: hashedCodes.filter((_, i) => i !== index),
+  };
+};
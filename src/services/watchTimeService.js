@@ -0,0 +1,125 @@
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+import { recordStatement } from './xapiService.js';
+import { markLessonCompleted } from './progressService.js';
+import { getProgressionBlockers } from './lessonAccessService.js';
+
+/**
+ * Watch Time Service
+ * The player posts its position every few seconds. A beat is credited as watched only when
+ * it follows the previous one closely and the position moved forward no faster than the
+ * fastest playback speed allows; seeks and gaps just move the resume point.
+ */
+
+// Slack for network jitter between two beats, in seconds
+const BEAT_TOLERANCE_SECONDS = 2;
+
+/**
+ * Merge overlapping or touching [start, end] ranges
+ * @param {Array<[number, number]>} intervals
+ * @returns {Array<[number, number]>}
+ */
+export const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+};
+
+export const sumIntervals = (intervals) => intervals.reduce((total, [start, end]) => total + (end - start), 0);
+
+/**
+ * Range watched between two beats, or null when the move is not plausible playback
+ * @param {{ position: number, at: Date }|null} previous - Last beat
+ * @param {{ position: number, at: Date }} current
+ * @returns {[number, number]|null}
+ */
+export const creditedInterval = (previous, current) => {
+  if (!previous?.at) return null;
+
+  const elapsed = (current.at.getTime() - previous.at.getTime()) / 1000;
+  const advanced = current.position - previous.position;
+  const { maxBeatGapSeconds, maxPlaybackRate } = config.watchTracking;
+
+  if (elapsed <= 0 || elapsed > maxBeatGapSeconds) return null;
+  if (advanced <= 0 || advanced > elapsed * maxPlaybackRate + BEAT_TOLERANCE_SECONDS) return null;
+
+  return [previous.position, current.position];
+};
+
+/**
+ * Seconds that must be watched to complete a video lesson, or null when it can't be measured
+ */
+export const requiredWatchSeconds = (lesson) => {
+  if (lesson.lessonType !== 'VIDEO' || !lesson.videoDuration) return null;
+  return Math.ceil(lesson.videoDuration * config.watchTracking.completionThreshold);
+};
+
+/**
+ * Record a heartbeat and complete the lesson once enough of the video was watched
+ * @param {string} userId
+ * @param {Object} lesson - With course { title, progressionMode }
+ * @param {number} position - Playback position in seconds
+ * @returns {Promise<{ progress: Object, credited: number, required: number|null, courseProgress?: number, blockingLessons?: Array }>}
+ */
+export const recordHeartbeat = async (userId, lesson, position) => {
+  const where = { userId_lessonId: { userId, lessonId: lesson.id } };
+  const now = new Date();
+  const maxPosition = lesson.videoDuration || Infinity;
+  const current = { position: Math.min(Math.round(position), maxPosition), at: now };
+
+  const existing = await prisma.lessonProgress.findUnique({ where });
+  const interval = existing
+    ? creditedInterval({ position: existing.lastPosition, at: existing.lastHeartbeatAt }, current)
+    : null;
+
+  const intervals = mergeIntervals([...(existing?.watchedIntervals || []), ...(interval ? [interval] : [])]);
+  const data = {
+    lastPosition: current.position,
+    lastHeartbeatAt: now,
+    watchedIntervals: intervals,
+    watchTime: sumIntervals(intervals),
+  };
+
+  let progress;
+  if (existing) {
+    // Beats racing each other (e.g. two tabs) are dropped rather than double-credited
+    const { count } = await prisma.lessonProgress.updateMany({
+      where: { id: existing.id, updatedAt: existing.updatedAt },
+      data,
+    });
+    progress = count > 0 ? await prisma.lessonProgress.findUnique({ where }) : existing;
+  } else {
+    progress = await prisma.lessonProgress.create({
+      data: { userId, lessonId: lesson.id, ...data },
+    });
+    await recordStatement({
+      userId,
+      verb: 'launched',
+      object: { type: 'lesson', id: lesson.id, name: lesson.title },
+      course: { id: lesson.courseId, title: lesson.course.title },
+    });
+  }
+
+  const required = requiredWatchSeconds(lesson);
+  const result = { progress, credited: interval ? interval[1] - interval[0] : 0, required };
+
+  if (progress.isCompleted || required === null || progress.watchTime < required) {
+    return result;
+  }
+
+  const progression = await getProgressionBlockers(userId, lesson, lesson.course.progressionMode);
+  if (progression.blockingLessons.length > 0) {
+    return { ...result, blockingLessons: progression.blockingLessons };
+  }
+
+  const completed = await markLessonCompleted(userId, lesson);
+  return { ...result, progress: completed.progress, courseProgress: completed.courseProgress };
+};
@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import { prisma } from '../config/database.js';
+import { config } from '../config/env.js';
+
+/**
+ * xAPI Service
+ * Builds xAPI 1.0.3 statements for learner activity, keeps them in a local log and
+ * delivers them to every configured Learning Record Store with retries.
+ */
+
+const XAPI_VERSION = '1.0.3';
+const LRS_TIMEOUT_MS = 15 * 1000;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+const MAX_REPLAY = 5000;
+
+export const VERBS = {
+  launched: 'http://adlnet.gov/expapi/verbs/launched',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed',
+  scored: 'http://adlnet.gov/expapi/verbs/scored',
+  attended: 'http://adlnet.gov/expapi/verbs/attended',
+};
+
+// Activity type -> [path segment in the activity IRI, xAPI activity type]
+const ACTIVITY_TYPES = {
+  course: ['courses', 'http://adlnet.gov/expapi/activities/course'],
+  lesson: ['lessons', 'http://adlnet.gov/expapi/activities/lesson'],
+  quiz: ['quizzes', 'http://adlnet.gov/expapi/activities/assessment'],
+  assignment: ['assignments', 'http://adlnet.gov/expapi/activities/assessment'],
+  'live-class': ['live-classes', 'http://adlnet.gov/expapi/activities/meeting'],
+};
+
+const baseUrl = () => config.xapi.activityBaseUrl.replace(/\/+$/, '');
+
+const activityIri = (type, id) => `${baseUrl()}/${ACTIVITY_TYPES[type][0]}/${id}`;
+
+export const extensionIri = (name) => `${baseUrl()}/xapi/extensions/${name}`;
+
+const toActivity = ({ type, id, name }) => ({
+  objectType: 'Activity',
+  id: activityIri(type, id),
+  definition: {
+    type: ACTIVITY_TYPES[type][1],
+    ...(name && { name: { 'en-US': name } }),
+  },
+});
+
+/**
+ * Build a statement. Learners are identified by account (platform user ID), not email.
+ * @param {Object} params
+ * @param {{ id: string, fullName: string }} params.user
+ * @param {string} params.verb - Key of VERBS
+ * @param {{ type: string, id: string, name?: string }} params.object
+ * @param {{ id: string, title?: string }} [params.course] - Parent course, unless the object is the course
+ * @param {Object} [params.result] - xAPI result
+ * @param {Object} [params.extensions] - Context extensions
+ */
+export const buildStatement = ({ id = crypto.randomUUID(), user, verb, object, course, result, extensions, timestamp = new Date() }) => {
+  const context = {
+    platform: config.appName,
+    ...(course && {
+      contextActivities: {
+        parent: [toActivity({ type: 'course', id: course.id, name: course.title })],
+      },
+    }),
+    ...(extensions && { extensions }),
+  };
+
+  return {
+    id,
+    actor: {
+      objectType: 'Agent',
+      name: user.fullName,
+      account: {
+        homePage: config.frontendUrl,
+        name: user.id,
+      },
+    },
+    verb: {
+      id: VERBS[verb],
+      display: { 'en-US': verb },
+    },
+    object: toActivity(object),
+    ...(result && { result }),
+    context,
+    timestamp: timestamp.toISOString(),
+    version: XAPI_VERSION,
+  };
+};
+
+/**
+ * Log a statement and queue it for every configured LRS. Never throws: learning records
+ * must not fail the request that produced them.
+ * @param {Object} params - See buildStatement; `user` may be replaced by `userId`
+ */
+export const recordStatement = async ({ userId, user, ...params }) => {
+  if (!config.xapi.enabled) return null;
+
+  try {
+    const actor = user || await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, fullName: true },
+    });
+    if (!actor) return null;
+
+    const statement = buildStatement({ user: actor, ...params });
+    const courseId = params.object.type === 'course' ? params.object.id : params.course?.id ?? null;
+
+    return await prisma.xapiStatement.create({
+      data: {
+        id: statement.id,
+        userId: actor.id,
+        verb: params.verb,
+        activityType: params.object.type,
+        activityId: statement.object.id,
+        courseId,
+        statement,
+        timestamp: new Date(statement.timestamp),
+        deliveries: {
+          create: config.xapi.endpoints.map((lrs) => ({ lrs: lrs.name })),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('xAPI statement could not be recorded:', error);
+    return null;
+  }
+};
+
+// ==================== DELIVERY ====================
+
+const sendToLrs = async (lrs, statements) => {
+  const url = new URL('statements', lrs.endpoint.endsWith('/') ? lrs.endpoint : `${lrs.endpoint}/`);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': XAPI_VERSION,
+  };
+  if (lrs.username) {
+    headers.Authorization = `Basic ${Buffer.from(`${lrs.username}:${lrs.password || ''}`).toString('base64')}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(statements),
+    signal: AbortSignal.timeout(LRS_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`LRS responded ${response.status}${body ? `: ${body.slice(0, 500)}` : ''}`);
+  }
+};
+
+// 1, 2, 4, ... minutes, capped
+const nextAttemptAt = (attempts) => new Date(Date.now() + Math.min(2 ** (attempts - 1), MAX_BACKOFF_MINUTES) * 60 * 1000);
+
+const deliverBatch = async (lrs) => {
+  const deliveries = await prisma.xapiDelivery.findMany({
+    where: {
+      lrs: lrs.name,
+      status: 'PENDING',
+      nextAttemptAt: { lte: new Date() },
+    },
+    include: { statement: { select: { statement: true } } },
+    orderBy: { createdAt: 'asc' },
+    take: config.xapi.batchSize,
+  });
+  if (deliveries.length === 0) return { sent: 0, failed: 0 };
+
+  try {
+    await sendToLrs(lrs, deliveries.map((delivery) => delivery.statement.statement));
+  } catch (error) {
+    for (const delivery of deliveries) {
+      const attempts = delivery.attempts + 1;
+      const exhausted = attempts >= config.xapi.maxAttempts;
+      await prisma.xapiDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          attempts,
+          lastError: error.message,
+          status: exhausted ? 'FAILED' : 'PENDING',
+          nextAttemptAt: exhausted ? delivery.nextAttemptAt : nextAttemptAt(attempts),
+        },
+      });
+    }
+    console.error(`xAPI delivery to "${lrs.name}" failed:`, error.message);
+    return { sent: 0, failed: deliveries.length };
+  }
+
+  await prisma.xapiDelivery.updateMany({
+    where: { id: { in: deliveries.map((delivery) => delivery.id) } },
+    data: { status: 'SENT', sentAt: new Date(), lastError: null },
+  });
+  return { sent: deliveries.length, failed: 0 };
+};
+
+/**
+ * Send due deliveries to each LRS, one batch at a time until nothing is due or a batch fails
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export const deliverPendingStatements = async () => {
+  const totals = { sent: 0, failed: 0 };
+  if (!config.xapi.enabled) return totals;
+
+  for (const lrs of config.xapi.endpoints) {
+    let batch;
+    do {
+      batch = await deliverBatch(lrs);
+      totals.sent += batch.sent;
+      totals.failed += batch.failed;
+    } while (batch.sent === config.xapi.batchSize);
+  }
+
+  return totals;
+};
+
+// ==================== LOG ====================
+
+const buildStatementWhere = ({ userId, verb, activityType, courseId, lrs, status, startDate, endDate }) => {
+  const where = {};
+  if (userId) where.userId = userId;
+  if (verb) where.verb = verb;
+  if (activityType) where.activityType = activityType;
+  if (courseId) where.courseId = courseId;
+  if (lrs || status) {
+    where.deliveries = {
+      some: {
+        ...(lrs && { lrs }),
+        ...(status && { status }),
+      },
+    };
+  }
+  if (startDate || endDate) {
+    where.timestamp = {};
+    if (startDate) where.timestamp.gte = new Date(startDate);
+    if (endDate) where.timestamp.lte = new Date(endDate);
+  }
+  return where;
+};
+
+/**
+ * Query the local statement log
+ */
+export const getStatements = async (filters = {}) => {
+  const { page = 1, limit = 50 } = filters;
+  const where = buildStatementWhere(filters);
+  const skip = (page - 1) * limit;
+
+  const [statements, total] = await Promise.all([
+    prisma.xapiStatement.findMany({
+      where,
+      include: {
+        deliveries: {
+          select: { lrs: true, status: true, attempts: true, lastError: true, sentAt: true },
+        },
+      },
+      orderBy: { timestamp: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.xapiStatement.count({ where }),
+  ]);
+
+  return {
+    statements,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Per-LRS delivery counts
+ */
+export const getDeliverySummary = async () => {
+  const counts = await prisma.xapiDelivery.groupBy({
+    by: ['lrs', 'status'],
+    _count: { _all: true },
+  });
+
+  const names = new Set([...config.xapi.endpoints.map((lrs) => lrs.name), ...counts.map((row) => row.lrs)]);
+  return [...names].map((name) => ({
+    lrs: name,
+    configured: config.xapi.endpoints.some((lrs) => lrs.name === name),
+    ...Object.fromEntries(['PENDING', 'SENT', 'FAILED'].map((status) => [
+      status.toLowerCase(),
+      counts.find((row) => row.lrs === name && row.status === status)?._count._all || 0,
+    ])),
+  }));
+};
+
+/**
+ * Queue statements for delivery again (also to an LRS added after they were recorded).
+ * Statement IDs are unchanged, so an LRS that already has them ignores the copies.
+ * @param {Object} params
+ * @param {string[]} [params.statementIds] - Otherwise every statement matching the log filters
+ * @param {string} [params.lrs] - Otherwise every configured LRS
+ * @returns {Promise<{ statements: number, lrs: string[] }>}
+ */
+export const replayStatements = async ({ statementIds, lrs, ...filters }) => {
+  const targets = lrs ? [lrs] : config.xapi.endpoints.map((endpoint) => endpoint.name);
+  const unknown = targets.filter((name) => !config.xapi.endpoints.some((endpoint) => endpoint.name === name));
+  if (targets.length === 0 || unknown.length > 0) {
+    const error = new Error(unknown.length > 0 ? `LRS "${unknown[0]}" is not configured` : 'No LRS is configured');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const where = statementIds?.length ? { id: { in: statementIds } } : buildStatementWhere(filters);
+  const statements = await prisma.xapiStatement.findMany({
+    where,
+    select: { id: true },
+    orderBy: { timestamp: 'asc' },
+    take: MAX_REPLAY,
+  });
+  const ids = statements.map((statement) => statement.id);
+
+  if (ids.length > 0) {
+    await prisma.$transaction(targets.flatMap((name) => [
+      prisma.xapiDelivery.updateMany({
+        where: { statementId: { in: ids }, lrs: name },
+        data: { status: 'PENDING', attempts: 0, lastError: null, nextAttemptAt: new Date(), sentAt: null },
+      }),
+      prisma.xapiDelivery.createMany({
+        data: ids.map((statementId) => ({ statementId, lrs: name })),
+        skipDuplicates: true,
+      }),
+    ]));
+  }
+
+  return { statements: ids.length, lrs: targets };
+};
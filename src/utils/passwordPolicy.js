@@ -0,0 +1,54 @@
+import { config } from '../config/env.js';
+
+/**
+ * Describe the configured password rules (for clients rendering a strength hint)
+ */
+export const describePasswordPolicy = () => {
+  const { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, historyCount } =
+    config.passwordPolicy;
+
+  return {
+    minLength,
+    requireUppercase,
+    requireLowercase,
+    requireNumber,
+    requireSymbol,
+    historyCount,
+  };
+};
+
+/**
+ * Check a password against the configured rules
+ * @param {string} password
+ * @returns {string[]} Human-readable problems; empty when the password is acceptable
+ */
+export const getPasswordPolicyErrors = (password) => {
+  const policy = config.passwordPolicy;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  if (typeof password !== 'string') {
+    return errors;
+  }
+
+  if (password.length > 128) {
+    errors.push('Password must be at most 128 characters long');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one symbol');
+  }
+
+  return errors;
+};
@@ -0,0 +1,58 @@
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+
+/**
+ * Plain-text PDF documents (no images or links). Text is set in Noto Sans Devanagari, which
+ * covers Latin as well as Nepali and Hindi; the font is embedded so the file reads the same
+ * on any device.
+ */
+
+const require = createRequire(import.meta.url);
+
+const FONTS = {
+  regular: require.resolve('@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf'),
+  bold: require.resolve('@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf'),
+};
+
+const MARGIN = 50;
+
+const STYLES = {
+  title: { font: 'bold', size: 18, spaceBefore: 0, spaceAfter: 10 },
+  heading: { font: 'bold', size: 14, spaceBefore: 14, spaceAfter: 6 },
+  subheading: { font: 'bold', size: 11, spaceBefore: 8, spaceAfter: 2 },
+  body: { font: 'regular', size: 11, spaceBefore: 0, spaceAfter: 6 },
+  meta: { font: 'regular', size: 9, spaceBefore: 0, spaceAfter: 4, color: '#666666' },
+};
+
+/**
+ * Render blocks of text into an A4 PDF, flowing onto new pages as needed
+ * @param {Array<{ text: string, style?: 'title'|'heading'|'subheading'|'body'|'meta' }>} blocks
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title shown by PDF viewers
+ * @returns {Promise<Buffer>}
+ */
+export const renderTextPdf = (blocks, { title = '' } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.registerFont('regular', FONTS.regular);
+  doc.registerFont('bold', FONTS.bold);
+
+  for (const block of blocks) {
+    const style = STYLES[block.style] || STYLES.body;
+
+    // No gap above a block that starts a page
+    if (doc.y > doc.page.margins.top) doc.y += style.spaceBefore;
+    doc
+      .font(style.font)
+      .fontSize(style.size)
+      .fillColor(style.color || '#000000')
+      .text(String(block.text ?? '').replace(/\r\n?/g, '\n'));
+    doc.y += style.spaceAfter;
+  }
+
+  doc.end();
+});
@@ -1,4 +1,6 @@
 import { body, query, param, validationResult } from 'express-validator';
+import { normalizePhone } from '../services/smsService.js';
+import { getPasswordPolicyErrors } from './passwordPolicy.js';
 
 // Re-export express-validator functions for convenience
 export { body, query, param };
@@ -20,16 +22,24 @@ export const validate = (validations) => {
   };
 };
 
+// Rules come from config.passwordPolicy
+const passwordPolicyField = (field) => body(field)
+  .isString()
+  .withMessage('Password is required')
+  .custom((value) => {
+    const errors = getPasswordPolicyErrors(value);
+    if (errors.length > 0) {
+      throw new Error(errors.join('. '));
+    }
+    return true;
+  });
+
 export const registerValidation = [
   body('email')
     .isEmail()
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordPolicyField('password'),
   body('fullName')
     .trim()
     .isLength({ min: 2, max: 255 })
@@ -44,6 +54,12 @@ export const loginValidation = [
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Device name must be less than 255 characters'),
 ];
 
 export const verifyOtpValidation = [
@@ -82,11 +98,120 @@ export const resetPasswordValidation = [
     .withMessage('OTP must be 6 digits')
     .isNumeric()
     .withMessage('OTP must contain only numbers'),
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordPolicyField('newPassword'),
+];
+
+const phoneField = () => body('phone')
+  .notEmpty()
+  .withMessage('Phone number is required')
+  .isString()
+  .custom((value) => normalizePhone(value) !== null)
+  .withMessage('Please provide a valid mobile number');
+
+const otpField = () => body('otp')
+  .isLength({ min: 6, max: 6 })
+  .withMessage('OTP must be 6 digits')
+  .isNumeric()
+  .withMessage('OTP must contain only numbers');
+
+export const phoneValidation = [phoneField()];
+
+export const verifyPhoneValidation = [otpField()];
+
+export const phoneLoginValidation = [
+  phoneField(),
+  otpField(),
+  body('deviceName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Device name must be less than 255 characters'),
+];
+
+export const phoneResetPasswordValidation = [
+  phoneField(),
+  otpField(),
+  passwordPolicyField('newPassword'),
+];
+
+export const twoFactorTokenValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification code is required')
+    .isString()
+    .trim(),
+];
+
+export const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required')
+    .isString(),
+  body('token')
+    .notEmpty()
+    .withMessage('Verification code or backup code is required')
+    .isString()
+    .trim(),
+];
+
+export const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('token')
+    .optional()
+    .isString()
+    .trim(),
+];
+
+export const emailChangeValidation = [
+  body('newEmail')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+];
+
+export const confirmEmailChangeValidation = [
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits')
+    .isNumeric()
+    .withMessage('OTP must contain only numbers'),
+];
+
+export const cancelEmailChangeValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Cancel token is required')
+    .isString(),
+];
+
+export const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordPolicyField('newPassword'),
+];
+
+export const unlockAccountValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Unlock token is required')
+    .isString(),
+];
+
+export const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('token')
+    .optional()
+    .isString()
+    .trim(),
 ];
 
 export const userIdValidation = [
@@ -187,6 +312,7 @@ export const courseValidation = [
     })
     .withMessage('Skills must be an array or JSON string'),
   body('isFree').optional().isBoolean().withMessage('isFree must be a boolean'),
+  body('isTemplate').optional().isBoolean().withMessage('isTemplate must be a boolean'),
   body('status')
     .optional()
     .isIn(['DRAFT', 'PUBLISHED', 'ARCHIVED', 'ONGOING'])
@@ -206,6 +332,10 @@ export const courseValidation = [
     .withMessage('Language must be a string (max 10 characters)'),
   body('featured').optional().isBoolean().withMessage('featured must be a boolean'),
   body('isOngoing').optional().isBoolean().withMessage('isOngoing must be a boolean'),
+  body('progressionMode')
+    .optional()
+    .isIn(['FREE', 'SEQUENTIAL_CHAPTER', 'SEQUENTIAL_LESSON'])
+    .withMessage('Progression mode must be one of: FREE, SEQUENTIAL_CHAPTER, SEQUENTIAL_LESSON'),
   body('startDate')
     .optional()
     .isISO8601()
@@ -253,6 +383,22 @@ export const courseFilterValidation = [
   query('limit').optional().isInt({ min: 1, max: 100 }),
 ];
 
+export const courseCloneValidation = [
+  param('id').isUUID().withMessage('Invalid course ID'),
+  body('title').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be between 1 and 255 characters'),
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug must be URL-friendly (lowercase letters, numbers, and hyphens only)'),
+  body('instructorId').optional().isUUID().withMessage('Instructor ID must be a valid UUID'),
+  body('includeQuizzes').optional().isBoolean(),
+  body('includeAssignments').optional().isBoolean(),
+  body('keepPrices').optional().isBoolean(),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('asTemplate').optional().isBoolean(),
+];
+
 // Instructor validations
 export const instructorValidation = [
   body('name').notEmpty().trim().isLength({ min: 1, max: 255 }),
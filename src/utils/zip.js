@@ -0,0 +1,215 @@
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP extractor for uploaded packages (stored and deflated entries, no ZIP64 or encryption).
+ * Works from a file on disk and unpacks with streams, so a package is never held in memory.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const MAX_CENTRAL_DIRECTORY_BYTES = 16 * 1024 * 1024;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const zipError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const readAt = async (file, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await file.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+const findEndOfCentralDirectory = async (file, size) => {
+  // The record is 22 bytes plus a comment of up to 64KB
+  const tailStart = Math.max(0, size - EOCD_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readAt(file, tailStart, size - tailStart);
+  for (let offset = tail.length - EOCD_SIZE; offset >= 0; offset--) {
+    if (tail.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return tail.subarray(offset, offset + EOCD_SIZE);
+    }
+  }
+  return null;
+};
+
+/**
+ * Normalise an entry name to a relative path, or null if it escapes the package root
+ */
+export const safeEntryPath = (name) => {
+  const normalised = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (
+    normalised.startsWith('/') ||
+    normalised.startsWith('../') ||
+    normalised === '..' ||
+    /^[a-zA-Z]:/.test(normalised)
+  ) {
+    return null;
+  }
+  return normalised;
+};
+
+/**
+ * Fail an entry that unpacks to more than its declared size (a zip bomb would otherwise
+ * fill the disk before the total limit is checked)
+ */
+const sizeLimiter = (name, limit) => {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > limit) {
+        callback(zipError(`Archive entry "${name}" is corrupt`));
+      } else {
+        callback(null, chunk);
+      }
+    },
+    flush(callback) {
+      callback(seen === limit ? null : zipError(`Archive entry "${name}" is corrupt`));
+    },
+  });
+};
+
+/**
+ * Read the central directory: every file entry, validated, without unpacking anything
+ */
+const readEntries = async (file, size, { maxEntries, maxUnpackedBytes }) => {
+  const eocd = size >= EOCD_SIZE ? await findEndOfCentralDirectory(file, size) : null;
+  if (!eocd) {
+    throw zipError('File is not a valid ZIP archive');
+  }
+
+  const entryCount = eocd.readUInt16LE(10);
+  const centralSize = eocd.readUInt32LE(12);
+  const centralOffset = eocd.readUInt32LE(16);
+  if (entryCount === 0xffff || centralOffset === 0xffffffff) {
+    throw zipError('ZIP64 archives are not supported');
+  }
+  if (entryCount > maxEntries) {
+    throw zipError(`Archive has more than ${maxEntries} entries`);
+  }
+  if (centralSize > MAX_CENTRAL_DIRECTORY_BYTES || centralOffset + centralSize > size) {
+    throw zipError('ZIP central directory is corrupt');
+  }
+
+  const central = await readAt(file, centralOffset, centralSize);
+  const entries = [];
+  let totalBytes = 0;
+  let offset = 0;
+
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > central.length || central.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw zipError('ZIP central directory is corrupt');
+    }
+
+    const flags = central.readUInt16LE(offset + 8);
+    const method = central.readUInt16LE(offset + 10);
+    const compressedSize = central.readUInt32LE(offset + 20);
+    const uncompressedSize = central.readUInt32LE(offset + 24);
+    const nameLength = central.readUInt16LE(offset + 28);
+    const extraLength = central.readUInt16LE(offset + 30);
+    const commentLength = central.readUInt16LE(offset + 32);
+    const localOffset = central.readUInt32LE(offset + 42);
+    const name = central.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (flags & 0x1) {
+      throw zipError('Encrypted ZIP archives are not supported');
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw zipError(`Archive entry "${name}" uses an unsupported compression method`);
+    }
+
+    const entryPath = safeEntryPath(name);
+    if (!entryPath) {
+      throw zipError(`Archive entry "${name}" points outside the package`);
+    }
+
+    totalBytes += uncompressedSize;
+    if (totalBytes > maxUnpackedBytes) {
+      throw zipError('Archive is too large once unpacked');
+    }
+
+    entries.push({ name, path: entryPath, method, compressedSize, uncompressedSize, localOffset });
+  }
+
+  return entries;
+};
+
+const extractEntry = async (file, size, entry, target) => {
+  const header = await readAt(file, entry.localOffset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+    throw zipError(`Archive entry "${entry.name}" is corrupt`);
+  }
+  const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  if (dataStart + entry.compressedSize > size) {
+    throw zipError(`Archive entry "${entry.name}" is corrupt`);
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+
+  if (entry.compressedSize === 0) {
+    if (entry.uncompressedSize !== 0) {
+      throw zipError(`Archive entry "${entry.name}" is corrupt`);
+    }
+    await fs.writeFile(target, '');
+    return;
+  }
+
+  const source = file.createReadStream({
+    start: dataStart,
+    end: dataStart + entry.compressedSize - 1,
+    autoClose: false,
+  });
+  const stages = entry.method === METHOD_DEFLATED ? [zlib.createInflateRaw()] : [];
+
+  try {
+    await pipeline(source, ...stages, sizeLimiter(entry.name, entry.uncompressedSize), createWriteStream(target));
+  } catch (error) {
+    // Bad deflate data, or more or less output than the entry declared
+    if (error.statusCode || error.code?.startsWith('Z_')) {
+      throw zipError(`Archive entry "${entry.name}" is corrupt`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Unpack every file in a ZIP archive into a directory
+ * @param {string} zipPath
+ * @param {string} targetDir - Existing directory; entries are written below it
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=5000]
+ * @param {number} [options.maxUnpackedBytes] - Total size limit for the unpacked files
+ * @returns {Promise<{ path: string, size: number }[]>} Relative paths of the files written
+ */
+export const extractZip = async (zipPath, targetDir, { maxEntries = 5000, maxUnpackedBytes = Infinity } = {}) => {
+  const file = await fs.open(zipPath, 'r');
+  try {
+    const { size } = await file.stat();
+    const entries = await readEntries(file, size, { maxEntries, maxUnpackedBytes });
+
+    for (const entry of entries) {
+      await extractEntry(file, size, entry, path.join(targetDir, entry.path));
+    }
+
+    return entries.map((entry) => ({ path: entry.path, size: entry.uncompressedSize }));
+  } finally {
+    await file.close();
+  }
+};
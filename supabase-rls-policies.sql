@@ -4,12 +4,32 @@
 -- Enable RLS on all tables
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE otps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organisations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organisation_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organisation_seat_pools ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organisation_seat_purchases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organisation_seats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE course_revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scorm_packages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scorm_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_role_assignments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE instructors ENABLE ROW LEVEL SECURITY;
 ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE courses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE chapters ENABLE ROW LEVEL SECURITY;
 ALTER TABLE lessons ENABLE ROW LEVEL SECURITY;
 ALTER TABLE enrollments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cohorts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lesson_videos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lesson_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discussion_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discussion_replies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discussion_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_translations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE lesson_progress ENABLE ROW LEVEL SECURITY;
 ALTER TABLE consultations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE student_success_stories ENABLE ROW LEVEL SECURITY;
@@ -41,6 +61,8 @@ ALTER TABLE certificates ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payment_retries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE xapi_statements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE xapi_deliveries ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
 ALTER TABLE faqs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE contact_submissions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { config } from '../src/config/env.js';
+import {
+  generateLessonMediaToken,
+  signLessonMediaPath,
+  verifyLessonMediaPath,
+} from '../src/services/tokenService.js';
+
+const SEGMENT = 'demo/video/authenticated/sp_auto/v1/lms/videos/intro/seg_42.ts';
+const HOUR = 60 * 60;
+
+const signedSegment = (token, expires, path = SEGMENT) => ({
+  path,
+  expires: String(expires),
+  signature: signLessonMediaPath(token, path, String(expires)),
+});
+
+test('a segment is served after the media link that started playback has expired', () => {
+  const token = generateLessonMediaToken({ userId: 'user-1', lessonId: 'lesson-1', asset: 'hls' });
+  const { exp } = jwt.decode(token);
+  const now = (exp + 30 * 60) * 1000;
+
+  assert.throws(() => jwt.verify(token, config.jwtSecret, { clockTimestamp: now / 1000 }));
+
+  const decoded = verifyLessonMediaPath(token, signedSegment(token, exp + 2 * HOUR), now);
+  assert.equal(decoded.lessonId, 'lesson-1');
+  assert.equal(decoded.userId, 'user-1');
+});
+
+test('a segment is refused once its playback window has ended', () => {
+  const token = generateLessonMediaToken({ userId: 'user-1', lessonId: 'lesson-1', asset: 'hls' });
+  const { exp } = jwt.decode(token);
+
+  assert.throws(
+    () => verifyLessonMediaPath(token, signedSegment(token, exp + HOUR), (exp + HOUR + 1) * 1000),
+    /expired/
+  );
+});
+
+test('a segment path or window that was not signed for the link is refused', () => {
+  const token = generateLessonMediaToken({ userId: 'user-1', lessonId: 'lesson-1', asset: 'hls' });
+  const other = generateLessonMediaToken({ userId: 'user-2', lessonId: 'lesson-1', asset: 'hls' });
+  const { exp } = jwt.decode(token);
+  const segment = signedSegment(token, exp + HOUR);
+
+  assert.throws(() => verifyLessonMediaPath(token, { ...segment, path: `${SEGMENT}x` }), /Invalid media link/);
+  assert.throws(() => verifyLessonMediaPath(token, { ...segment, expires: String(exp + 9 * HOUR) }), /Invalid media link/);
+  assert.throws(() => verifyLessonMediaPath(other, segment), /Invalid media link/);
+});